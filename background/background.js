@@ -1,4 +1,20 @@
-importScripts("prompts.js");
+importScripts(
+  "prompts.js",
+  "highlight-store.js",
+  "highlight-vault.js",
+  "migrations.js",
+  "operation-journal.js",
+  "highlight-sync.js",
+  "remote-sync.js",
+  "notes-export.js",
+  "../shared/hash-utils.js",
+  "../shared/url-utils.js",
+  "../shared/tag-utils.js",
+  "../shared/vault-crypto.js",
+  "../shared/markdown-export.js",
+  "../shared/csv-export.js",
+  "../shared/web-annotation.js"
+);
 
 // Background service worker for handling storage and communication
 class BackgroundService {
@@ -11,14 +27,105 @@ class BackgroundService {
     // Configuration constants (mirrors content/utils/constants.js for the service worker context)
     this.RATE_LIMIT_MAX = 5;
     this.RATE_LIMIT_WINDOW = 60000;
-    this.MAX_HIGHLIGHTS = 1000;
     this.MAX_TEXT_LENGTH = 1000;
     this.MAX_URL_LENGTH = 500;
     this.MAX_TITLE_LENGTH = 200;
     this.MAX_DOMAIN_LENGTH = 100;
+    this.MAX_NOTE_LENGTH = 10000;
+    this.MAX_COLLECTIONS = 200;
+    this.MAX_COLLECTION_NAME_LENGTH = 100;
     this.SUMMARY_CACHE_TTL = 300000;
+    // Default days deleted highlights stay in the trash, until changed in
+    // the popup's Trash view
+    this.TRASH_RETENTION_DAYS = 30;
+    this.MAX_RETENTION_DAYS = 3650;
     this.MAX_SUMMARY_CACHE = 50;
+    // Quiet period before syncing, so bursts of changes go out as one write
+    this.SYNC_DELAY = 2000;
+    this.MAX_SYNC_URL_LENGTH = 2000;
+    this.MAX_SYNC_CREDENTIAL_LENGTH = 1000;
+
+    // User settings, stored under the "settings" key and merged over these defaults
+    this.DEFAULT_SETTINGS = {
+      // Per-domain URL normalization rules, see shared/url-utils.js
+      urlRules: {},
+      // Highlight colors; highlights store the entry id in their color field
+      // and the first entry is the default for new and legacy highlights
+      colorPalette: [
+        { id: "yellow", name: "Key point", color: "#ffc107" },
+        { id: "red", name: "Disagree", color: "#ef4444" },
+        { id: "green", name: "To do", color: "#10b981" },
+        { id: "blue", name: "Reference", color: "#3b82f6" },
+      ],
+      // What to do when a save or import would go past the highlight limit:
+      // "reject" it, "archive" the oldest highlights, or "prompt" the user
+      overflowPolicy: "prompt",
+      // Days a deleted highlight stays in the trash before it's purged
+      trashRetentionDays: this.TRASH_RETENTION_DAYS,
+      // Sync highlights across devices through chrome.storage.sync
+      syncEnabled: false,
+      // Layout of Markdown exports, see shared/markdown-export.js; null
+      // uses DEFAULT_MARKDOWN_TEMPLATE
+      markdownTemplate: null,
+      // Columns of CSV exports, see shared/csv-export.js
+      csvColumns: [...CSV_DEFAULT_COLUMNS],
+    };
+    this.MAX_PALETTE_COLORS = 12;
+    this.OVERFLOW_POLICIES = ["reject", "archive", "prompt"];
+
+    // Highlight records, see highlight-store.js. Operations wait for the
+    // store to open and for any legacy data to be moved into it.
+    this.store = createHighlightStore();
+    this.storeReady = this.migrateLegacyHighlights();
+    // Optional passphrase encryption of stored highlights, see
+    // highlight-vault.js. Everything reaches the store through vaultStore.
+    this.vault = new HighlightVault();
+    this.vaultReady = this.vault.load();
+    this.vaultStore = new VaultHighlightStore(this.store, this.vault);
+    // Undo/redo history of highlight changes, see operation-journal.js
+    this.journal = new OperationJournal();
+    // Optional cross-device sync, see highlight-sync.js
+    this.sync = new HighlightSync({
+      getStore: () => this.getSyncStore(),
+      runLocked: (fn) => this._withStorageLock(fn),
+      trash: (store, ids) => this._moveToTrash(store, ids),
+    });
+    this.syncTimer = null;
+    // Optional sync with the user's own server, see remote-sync.js
+    this.remoteSync = new RemoteSync({
+      getStore: () => this.getSyncStore(),
+      getConfig: () => this.getRemoteSyncConfig(),
+      runLocked: (fn) => this._withStorageLock(fn),
+      trash: (store, ids) => this._moveToTrash(store, ids),
+    });
+    this.remoteSyncTimer = null;
     this.init();
+
+    // Service workers start often enough for this to keep the trash trimmed
+    this.purgeTrash().catch((error) => console.error("Trash purge failed:", error));
+    // and to retry changes left in the remote sync outbox
+    this.scheduleRemoteSync();
+  }
+
+  async getStore() {
+    await this.storeReady;
+    await this.vaultReady;
+    return this.vaultStore;
+  }
+
+  /**
+   * The store both kinds of sync read from. Synced records are plaintext,
+   * so sync is refused while the vault is on rather than copying
+   * highlights it keeps encrypted into chrome.storage.sync or onto a server.
+   */
+  async getSyncStore() {
+    const store = await this.getStore();
+    if (this.vault.enabled) {
+      const error = new Error("Sync is paused while highlights are encrypted");
+      error.code = "VAULT_SYNC_BLOCKED";
+      throw error;
+    }
+    return store;
   }
 
   /**
@@ -66,44 +173,197 @@ class BackgroundService {
     chrome.runtime.onInstalled.addListener((details) => {
       this.handleInstallation(details);
     });
+
+    // Merge what other devices pushed to chrome.storage.sync
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "sync" && this.sync.isRemoteChange(changes)) {
+        this.scheduleSync();
+      }
+    });
   }
 
   async handleMessage(request, sender, sendResponse) {
+    // Mutations are journaled under this id so the caller can offer to undo them
+    const operationId = OperationJournal.generateId();
+
     try {
       switch (request.action) {
         case "saveHighlight": {
-          const savedHighlight = await this.saveHighlight(request.highlight);
-          sendResponse({ success: true, highlight: savedHighlight });
+          const savedHighlight = await this.saveHighlight(request.highlight, {
+            collectionId: request.collectionId,
+            overflow: request.overflow,
+            operationId,
+          });
+          sendResponse({ success: true, highlight: savedHighlight, operationId });
           break;
         }
 
         case "getHighlights": {
-          const highlights = await this.getHighlights();
+          const highlights = await this.getHighlights(request.page);
           sendResponse({ success: true, highlights });
           break;
         }
 
+        case "updateHighlight": {
+          const highlight = await this.updateHighlight(request.id, request.updates, {
+            operationId,
+          });
+          sendResponse({ success: true, highlight, operationId });
+          break;
+        }
+
+        case "getTags": {
+          const highlights = await this.getHighlights();
+          sendResponse({ success: true, tags: TagUtils.countTags(highlights) });
+          break;
+        }
+
+        case "renameTag": {
+          const updated = await this.renameTag(request.from, request.to, { operationId });
+          sendResponse({ success: true, updated, operationId });
+          break;
+        }
+
+        case "mergeTags": {
+          const updated = await this.mergeTags(request.sources, request.target, { operationId });
+          sendResponse({ success: true, updated, operationId });
+          break;
+        }
+
+        case "deleteTag": {
+          const updated = await this.deleteTag(request.tag, { operationId });
+          sendResponse({ success: true, updated, operationId });
+          break;
+        }
+
         case "deleteHighlight": {
-          await this.deleteHighlight(request.id);
-          sendResponse({ success: true });
+          await this.deleteHighlight(request.id, { operationId });
+          sendResponse({ success: true, operationId });
           break;
         }
 
         case "clearAllHighlights": {
-          await this.clearAllHighlights();
+          await this.clearAllHighlights({ operationId });
+          sendResponse({ success: true, operationId });
+          break;
+        }
+
+        case "getTrash": {
+          const highlights = await this.getTrash();
+          sendResponse({ success: true, highlights });
+          break;
+        }
+
+        case "restoreHighlights": {
+          const restored = await this.restoreHighlights(request.ids, {
+            overflow: request.overflow,
+          });
+          sendResponse({ success: true, restored });
+          break;
+        }
+
+        case "deleteHighlightsForever": {
+          await this.deleteHighlightsForever(request.ids);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case "emptyTrash": {
+          await this.emptyTrash();
           sendResponse({ success: true });
           break;
         }
 
         case "exportHighlights": {
-          const exportData = await this.exportHighlights();
+          const exportData = await this.exportHighlights({
+            collectionId: request.collectionId,
+            format: request.format,
+            ids: request.ids,
+            columns: request.columns,
+            preset: request.preset,
+            flavor: request.flavor,
+          });
           sendResponse({ success: true, data: exportData });
           break;
         }
 
         case "importHighlights": {
-          const result = await this.importHighlights(request.highlights, request.merge);
-          sendResponse({ success: true, ...result });
+          const result = await this.importHighlights(
+            request.collection ? { highlights: request.highlights, collection: request.collection } : request.highlights,
+            request.merge,
+            request.colorPalette,
+            { overflow: request.overflow, operationId }
+          );
+          sendResponse({ success: true, ...result, operationId });
+          break;
+        }
+
+        case "undo": {
+          const operation = await this.undo(request.operationId);
+          sendResponse({ success: true, operation });
+          break;
+        }
+
+        case "redo": {
+          const operation = await this.redo(request.operationId);
+          sendResponse({ success: true, operation });
+          break;
+        }
+
+        case "getUndoStatus": {
+          const status = await this.journal.getStatus();
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "getCollections": {
+          const collections = await this.getCollections();
+          sendResponse({ success: true, collections });
+          break;
+        }
+
+        case "createCollection": {
+          const collection = await this.createCollection(request.name);
+          sendResponse({ success: true, collection });
+          break;
+        }
+
+        case "renameCollection": {
+          const collection = await this.renameCollection(request.id, request.name);
+          sendResponse({ success: true, collection });
+          break;
+        }
+
+        case "reorderCollection": {
+          const collection = await this.reorderCollection(request.id, request.highlightIds);
+          sendResponse({ success: true, collection });
+          break;
+        }
+
+        case "addToCollection": {
+          const collection = await this.addToCollection(request.id, request.highlightIds);
+          sendResponse({ success: true, collection });
+          break;
+        }
+
+        case "removeFromCollection": {
+          const collection = await this.removeFromCollection(request.id, request.highlightIds);
+          sendResponse({ success: true, collection });
+          break;
+        }
+
+        case "deleteCollection": {
+          await this.deleteCollection(request.id);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case "reportAnchorStatus": {
+          const updated = await this.updateAnchorStatus(request.results, {
+            url: sender && sender.tab ? sender.tab.url : null,
+            canonicalUrl: request.canonicalUrl,
+          });
+          sendResponse({ success: true, updated });
           break;
         }
 
@@ -125,6 +385,84 @@ class BackgroundService {
           break;
         }
 
+        case "getSyncStatus": {
+          const status = await this.getSyncStatus();
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "syncNow": {
+          const status = await this.syncNow();
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "getRemoteSyncConfig": {
+          const config = await this.getRemoteSyncConfig();
+          sendResponse({ success: true, config });
+          break;
+        }
+
+        case "saveRemoteSyncConfig": {
+          const config = await this.saveRemoteSyncConfig(request.config);
+          sendResponse({ success: true, config });
+          break;
+        }
+
+        case "getRemoteSyncStatus": {
+          const status = await this.remoteSync.getStatus();
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "remoteSyncNow": {
+          const status = await this.remoteSyncNow();
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "getVaultStatus": {
+          const status = await this.getVaultStatus();
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "enableVault": {
+          const status = await this.enableVault(request.passphrase);
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "disableVault": {
+          const status = await this.disableVault(request.passphrase);
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "unlockVault": {
+          const status = await this.unlockVault(request.passphrase);
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "lockVault": {
+          const status = await this.lockVault();
+          sendResponse({ success: true, status });
+          break;
+        }
+
+        case "getSettings": {
+          const settings = await this.getSettings();
+          sendResponse({ success: true, settings });
+          break;
+        }
+
+        case "saveSettings": {
+          const settings = await this.saveSettings(request.settings);
+          sendResponse({ success: true, settings });
+          break;
+        }
+
         default:
           console.warn("Unknown action:", request.action);
           sendResponse({ success: false, error: "Unknown action" });
@@ -134,173 +472,1424 @@ class BackgroundService {
       sendResponse({
         success: false,
         error: error.message || "An unexpected error occurred",
+        // Lets callers offer the user a way out, e.g. archiving on overflow
+        ...(error.code ? { code: error.code, excess: error.excess } : {}),
       });
     }
   }
 
-  async saveHighlight(highlight) {
+  /**
+   * Save a new highlight, optionally appending it to a collection in the
+   * same locked write. overflow overrides the overflow policy setting for
+   * this save, e.g. "archive" once the user has agreed to it.
+   */
+  async saveHighlight(highlight, { collectionId = null, overflow = null, operationId } = {}) {
     if (!highlight || !highlight.text || !highlight.url) {
       throw new Error("Invalid highlight data: missing required fields");
     }
 
-    return this._withStorageLock(async () => {
-      const result = await chrome.storage.local.get(["highlights"]);
-      const highlights = result.highlights || [];
+    const urlUtils = await this.getUrlUtils();
 
+    const store = await this.getStore();
+
+    return this._withStorageLock(async () => {
       if (!highlight.timestamp) {
         highlight.timestamp = Date.now();
       }
+      if (!highlight.normalizedUrl) {
+        highlight.normalizedUrl = urlUtils.normalize(highlight.url);
+      }
+      if (highlight.color !== undefined && !this.isValidColorId(highlight.color)) {
+        delete highlight.color;
+      }
+      this.sanitizeNote(highlight);
+      highlight.tags = TagUtils.normalizeList(highlight.tags);
 
-      highlights.unshift(highlight);
+      const excess = await this.planOverflow((await store.count()) + 1, store, overflow);
+      await store.put(highlight);
+      const archived = await store.archiveOldest(excess);
 
-      if (highlights.length > this.MAX_HIGHLIGHTS) {
-        highlights.splice(this.MAX_HIGHLIGHTS);
+      // A collection deleted meanwhile doesn't block saving the highlight
+      const collections = await this.readCollections();
+      const collection = collectionId && collections.find((c) => c.id === collectionId);
+      if (collection) {
+        collection.highlightIds.push(highlight.id);
+        collection.updatedAt = Date.now();
       }
+      if (collection || archived.length > 0) {
+        this.pruneCollections(collections, archived);
+        await chrome.storage.local.set({ collections });
+      }
+
+      await this.journal.record({
+        id: operationId,
+        type: "save",
+        label: "Save highlight",
+        undo: [{ op: "trash", ids: [highlight.id] }],
+        redo: [{ op: "restore", ids: [highlight.id] }],
+      });
 
-      await chrome.storage.local.set({ highlights });
       this.notifyTabsAboutUpdate();
       return highlight;
     });
   }
 
-  async getHighlights() {
-    const result = await chrome.storage.local.get(["highlights"]);
-    return result.highlights || [];
+  /**
+   * Check a write that leaves total highlights in the store against the
+   * limit. Resolves with how many of the oldest highlights to archive after
+   * the write; throws when the policy is to reject or to ask first.
+   */
+  async planOverflow(total, store, overflow = null) {
+    const excess = total - store.maxHighlights;
+    if (excess <= 0) return 0;
+
+    const policy = this.OVERFLOW_POLICIES.includes(overflow)
+      ? overflow
+      : (await this.getSettings()).overflowPolicy;
+    if (policy === "archive") return excess;
+
+    const error =
+      policy === "reject"
+        ? new Error(
+            `Highlight limit reached (max ${store.maxHighlights}). Delete or export highlights to make room.`
+          )
+        : new Error(
+            `This would go past the limit of ${store.maxHighlights} highlights. ` +
+              `Archive the ${excess} oldest to make room?`
+          );
+    error.code = policy === "reject" ? "HIGHLIGHT_LIMIT" : "HIGHLIGHT_LIMIT_CONFIRM";
+    error.excess = excess;
+    throw error;
+  }
+
+  /**
+   * All highlights newest first. Content scripts pass their page's URL keys
+   * and domains to get just the candidates for that page.
+   */
+  async getHighlights(page = null) {
+    const store = await this.getStore();
+    if (!page || typeof page !== "object") {
+      return store.getAll();
+    }
+
+    const strings = (value) => (Array.isArray(value) ? value.filter((v) => typeof v === "string") : []);
+    return store.getForPage({
+      normalizedUrls: strings(page.normalizedUrls),
+      domains: strings(page.domains),
+    });
   }
 
-  async deleteHighlight(id) {
+  /**
+   * Apply user edits (note, color) to a stored highlight.
+   * Only whitelisted fields can change; the rest of the record is kept.
+   */
+  async updateHighlight(id, updates, { operationId } = {}) {
     if (!id) {
       throw new Error("Highlight ID is required");
     }
+    const changes = this.sanitizeHighlightUpdates(updates);
+    const store = await this.getStore();
 
     return this._withStorageLock(async () => {
-      const result = await chrome.storage.local.get(["highlights"]);
-      const highlights = result.highlights || [];
-      const filtered = highlights.filter((h) => h.id !== id);
-      await chrome.storage.local.set({ highlights: filtered });
+      let before;
+      const highlight = await store.update(id, (h) => {
+        before = this.pickFields(h, [...Object.keys(changes), "updatedAt"]);
+        Object.assign(h, changes, { updatedAt: Date.now() });
+      });
+      if (!highlight) {
+        throw new Error("Highlight not found");
+      }
+
+      await this.journal.record({
+        id: operationId,
+        type: "edit",
+        label: "Edit highlight",
+        undo: [{ op: "update", changes: [{ id, fields: before }] }],
+        redo: [{ op: "update", changes: [{ id, fields: this.pickFields(highlight, Object.keys(before)) }] }],
+      });
+
       this.notifyTabsAboutUpdate();
-      return true;
+      return highlight;
     });
   }
 
-  async clearAllHighlights() {
-    return this._withStorageLock(async () => {
-      await chrome.storage.local.set({ highlights: [] });
-      this.notifyTabsAboutUpdate();
-      return true;
-    });
+  /**
+   * Copy the given fields of a highlight for the journal. Missing fields
+   * become null, which applyJournalSteps turns back into a missing field.
+   */
+  pickFields(highlight, fields) {
+    return Object.fromEntries(
+      fields.map((field) => [field, highlight[field] === undefined ? null : highlight[field]])
+    );
   }
 
-  async exportHighlights() {
-    const highlights = await this.getHighlights();
-    return {
-      highlights,
-      exportDate: new Date().toISOString(),
-      version: "1.0.0",
-    };
+  sanitizeHighlightUpdates(updates) {
+    if (!updates || typeof updates !== "object") {
+      throw new Error("Invalid highlight updates");
+    }
+
+    const changes = {};
+    if ("note" in updates) {
+      if (typeof updates.note !== "string") {
+        throw new Error("Note must be a string");
+      }
+      if (updates.note.length > this.MAX_NOTE_LENGTH) {
+        throw new Error(`Note is too long (max ${this.MAX_NOTE_LENGTH} characters)`);
+      }
+      changes.note = updates.note;
+    }
+    if ("color" in updates) {
+      if (!this.isValidColorId(updates.color)) {
+        throw new Error("Invalid color");
+      }
+      changes.color = updates.color;
+    }
+    if ("tags" in updates) {
+      if (!Array.isArray(updates.tags)) {
+        throw new Error("Tags must be an array");
+      }
+      changes.tags = TagUtils.normalizeList(updates.tags);
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new Error("No supported fields to update");
+    }
+    return changes;
   }
 
-  async importHighlights(importData, merge = false) {
-    let incoming = [];
+  /**
+   * Notes are free-form Markdown, as are AI summaries saved with a
+   * highlight; drop non-string values and cap the length
+   */
+  sanitizeNote(highlight) {
+    ["note", "summary"].forEach((field) => {
+      if (highlight[field] === undefined) return;
+      if (typeof highlight[field] !== "string") {
+        delete highlight[field];
+      } else if (highlight[field].length > this.MAX_NOTE_LENGTH) {
+        highlight[field] = highlight[field].substring(0, this.MAX_NOTE_LENGTH);
+      }
+    });
+  }
 
-    if (Array.isArray(importData)) {
-      incoming = importData;
-    } else if (
-      importData &&
-      importData.highlights &&
-      Array.isArray(importData.highlights)
-    ) {
-      incoming = importData.highlights;
-    } else {
-      throw new Error(
-        "Invalid import format - expected array or object with highlights property"
-      );
+  /**
+   * Rename a tag on every highlight. Renaming to a tag that already exists
+   * merges the two.
+   */
+  async renameTag(from, to, { operationId } = {}) {
+    return this.mergeTags([from], to, { operationId, label: "Rename tag" });
+  }
+
+  /**
+   * Replace each source tag with the target tag on every highlight
+   */
+  async mergeTags(sources, target, { operationId, label = "Merge tags" } = {}) {
+    const targetTag = TagUtils.normalize(target);
+    if (!targetTag) {
+      throw new Error("Target tag is required");
+    }
+    if (!Array.isArray(sources) || sources.every((s) => !TagUtils.normalize(s))) {
+      throw new Error("At least one source tag is required");
     }
 
-    // Validate each highlight has required fields with correct types, non-empty values, and sane sizes
-    const validHighlights = incoming.filter(
-      (h) =>
-        h &&
-        typeof h === "object" &&
-        typeof h.id === "string" &&
-        h.id.length > 0 &&
-        typeof h.text === "string" &&
-        h.text.length > 0 &&
-        h.text.length <= this.MAX_TEXT_LENGTH &&
-        typeof h.url === "string" &&
-        h.url.length > 0 &&
-        h.url.length <= this.MAX_URL_LENGTH &&
-        typeof h.timestamp === "number" &&
-        h.timestamp > 0
+    const sourceKeys = new Set(sources.map((s) => TagUtils.normalize(s).toLowerCase()));
+    return this.rewriteTags(
+      (tags) => tags.map((tag) => (sourceKeys.has(tag.toLowerCase()) ? targetTag : tag)),
+      { operationId, label }
     );
+  }
 
-    const skipped = incoming.length - validHighlights.length;
-    if (skipped > 0) {
-      console.warn(`Filtered out ${skipped} invalid highlights during import`);
+  async deleteTag(tag, { operationId } = {}) {
+    const key = TagUtils.normalize(tag).toLowerCase();
+    if (!key) {
+      throw new Error("Tag is required");
     }
+    return this.rewriteTags((tags) => tags.filter((t) => t.toLowerCase() !== key), {
+      operationId,
+      label: "Delete tag",
+    });
+  }
+
+  /**
+   * Apply a tag transform to every highlight in a single locked
+   * read-modify-write pass. Returns the number of highlights changed.
+   */
+  async rewriteTags(transform, { operationId, label = "Edit tags" } = {}) {
+    const store = await this.getStore();
 
     return this._withStorageLock(async () => {
-      if (merge) {
-        // Merge: add new highlights, skip duplicates by ID
-        const result = await chrome.storage.local.get(["highlights"]);
-        const existing = result.highlights || [];
-        const existingIds = new Set(existing.map((h) => h.id));
-        const newHighlights = validHighlights.filter(
-          (h) => !existingIds.has(h.id)
-        );
-        const merged = [...newHighlights, ...existing];
+      const now = Date.now();
+      const undo = [];
+      const redo = [];
+      const updated = await store.updateAll((h) => {
+        if (!Array.isArray(h.tags) || h.tags.length === 0) return false;
+        const next = TagUtils.normalizeList(transform(h.tags));
+        if (next.length === h.tags.length && next.every((t, i) => t === h.tags[i])) return false;
 
-        if (merged.length > this.MAX_HIGHLIGHTS) {
-          merged.splice(this.MAX_HIGHLIGHTS);
-        }
+        undo.push({ id: h.id, fields: this.pickFields(h, ["tags", "updatedAt"]) });
+        h.tags = next;
+        h.updatedAt = now;
+        redo.push({ id: h.id, fields: { tags: next, updatedAt: now } });
+        return true;
+      });
 
-        await chrome.storage.local.set({ highlights: merged });
-        this.notifyTabsAboutUpdate();
-        return { imported: newHighlights.length, skippedDuplicates: validHighlights.length - newHighlights.length, skippedInvalid: skipped };
-      } else {
-        // Replace mode
-        await chrome.storage.local.set({ highlights: validHighlights });
+      if (updated > 0) {
+        await this.journal.record({
+          id: operationId,
+          type: "tags",
+          label,
+          undo: [{ op: "update", changes: undo }],
+          redo: [{ op: "update", changes: redo }],
+        });
         this.notifyTabsAboutUpdate();
-        return { imported: validHighlights.length, skippedInvalid: skipped };
       }
+      return updated;
     });
   }
 
-  notifyTabsAboutUpdate() {
-    chrome.tabs.query({}, (tabs) => {
-      if (!tabs) return;
-      tabs.forEach((tab) => {
-        if (!tab.id) return;
-        chrome.tabs
-          .sendMessage(tab.id, { action: "highlightsUpdated" })
-          .catch(() => {
-            // Ignore errors for tabs without content scripts
-          });
-      });
-    });
-  }
-
-  handleInstallation(details) {
-    if (details.reason === "install") {
-      chrome.storage.local.set({ highlights: [] });
-    } else if (details.reason === "update") {
-      this.performMigrationIfNeeded();
+  /**
+   * Move a highlight to the trash. It can be restored until the trash is
+   * purged, see purgeTrash.
+   */
+  async deleteHighlight(id, { operationId } = {}) {
+    if (!id) {
+      throw new Error("Highlight ID is required");
+    }
+
+    return this.trashHighlights([id], { operationId });
+  }
+
+  /**
+   * Move every highlight to the trash. Collections are kept, but emptied.
+   */
+  async clearAllHighlights({ operationId } = {}) {
+    return this.trashHighlights(null, {
+      operationId,
+      type: "clear",
+      label: "Clear all highlights",
+    });
+  }
+
+  /**
+   * Soft-delete highlights (all when ids is null) as one undoable operation.
+   * Resolves with the number of highlights moved.
+   */
+  async trashHighlights(ids, { operationId, type = "delete", label = "Delete highlight" } = {}) {
+    const store = await this.getStore();
+
+    return this._withStorageLock(async () => {
+      const movedIds = await this._moveToTrash(store, ids);
+      if (movedIds.length > 0) {
+        await this.journal.record({
+          id: operationId,
+          type,
+          label,
+          undo: [{ op: "restore", ids: movedIds }],
+          redo: [{ op: "trash", ids: movedIds }],
+        });
+      }
+
+      this.notifyTabsAboutUpdate();
+      return movedIds.length;
+    });
+  }
+
+  /**
+   * Move highlights to the trash. Each trash record keeps a deletedAt time
+   * and where it sat in collections, so a restore puts it back in place.
+   * Callers hold the storage lock. Resolves with the ids moved.
+   */
+  async _moveToTrash(store, ids) {
+    const collections = await this.readCollections();
+    const deletedAt = Date.now();
+
+    const moved = await store.moveToTrash(ids, (highlight) => ({
+      ...highlight,
+      deletedAt,
+      deletedFromCollections: collections
+        .filter((c) => c.highlightIds.includes(highlight.id))
+        .map((c) => ({ id: c.id, index: c.highlightIds.indexOf(highlight.id) })),
+    }));
+
+    const movedIds = moved.map((h) => h.id);
+    this.pruneCollections(collections, movedIds);
+    await chrome.storage.local.set({ collections });
+    return movedIds;
+  }
+
+  /**
+   * Trashed highlights, most recently deleted first. Expired ones are
+   * purged first so the list never shows them.
+   */
+  async getTrash() {
+    await this.purgeTrash();
+    const store = await this.getStore();
+    return store.getTrash();
+  }
+
+  /**
+   * Move trashed highlights back into the library and into the collections
+   * they were in. Restoring counts against the highlight limit.
+   */
+  async restoreHighlights(ids, { overflow = null } = {}) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error("Highlight IDs are required");
+    }
+    const store = await this.getStore();
+
+    return this._withStorageLock(async () => {
+      const restored = await this._restoreFromTrash(store, ids, overflow);
+      this.notifyTabsAboutUpdate();
+      return restored;
+    });
+  }
+
+  /**
+   * Move highlights from the trash back into the library and collections.
+   * Callers hold the storage lock. Resolves with the number restored.
+   */
+  async _restoreFromTrash(store, ids, overflow = null) {
+    // Only ids still in the trash come back; others don't count toward the limit
+    const trashed = new Set((await store.getTrash()).map((h) => h.id));
+    const incoming = new Set(ids.filter((id) => trashed.has(id))).size;
+    const excess = await this.planOverflow((await store.count()) + incoming, store, overflow);
+    const restored = await store.restoreFromTrash(ids, (record) => {
+      const { deletedAt, deletedFromCollections, ...highlight } = record;
+      return highlight;
+    });
+    const archived = await store.archiveOldest(excess);
+
+    const collections = await this.readCollections();
+    restored.forEach((record) => {
+      (record.deletedFromCollections || []).forEach(({ id, index }) => {
+        const collection = collections.find((c) => c.id === id);
+        if (!collection || collection.highlightIds.includes(record.id)) return;
+        collection.highlightIds.splice(index, 0, record.id);
+      });
+    });
+    this.pruneCollections(collections, archived);
+    await chrome.storage.local.set({ collections });
+    return restored.length;
+  }
+
+  /**
+   * Revert the latest operation. With an operationId, only that operation
+   * is reverted, so a stale Undo button fails instead of reverting a later
+   * change. Resolves with the operation's { id, type, label }.
+   */
+  async undo(operationId = null) {
+    return this.replayOperation("done", "undone", "undo", operationId);
+  }
+
+  /**
+   * Repeat the latest undone operation, see undo
+   */
+  async redo(operationId = null) {
+    return this.replayOperation("undone", "done", "redo", operationId);
+  }
+
+  async replayOperation(from, to, steps, operationId) {
+    const store = await this.getStore();
+
+    return this._withStorageLock(async () => {
+      const entry = await this.journal.take(from, operationId);
+      try {
+        await this.applyJournalSteps(store, entry[steps]);
+      } catch (error) {
+        await this.journal.push(from, entry);
+        throw error;
+      }
+      await this.journal.push(to, entry);
+
+      this.notifyTabsAboutUpdate();
+      return { id: entry.id, type: entry.type, label: entry.label };
+    });
+  }
+
+  /**
+   * Carry out journal steps in order. Callers hold the storage lock.
+   * Restores archive on overflow rather than asking, since they only bring
+   * back what an operation removed.
+   */
+  async applyJournalSteps(store, steps) {
+    for (const step of steps) {
+      switch (step.op) {
+        case "trash":
+          await this._moveToTrash(store, step.ids);
+          break;
+        case "restore":
+          await this._restoreFromTrash(store, step.ids, "archive");
+          break;
+        case "put":
+          await store.putMany(step.highlights);
+          break;
+        case "update": {
+          const fieldsById = new Map(step.changes.map((c) => [c.id, c.fields]));
+          await store.updateMany([...fieldsById.keys()], (h) => {
+            Object.entries(fieldsById.get(h.id)).forEach(([field, value]) => {
+              if (value === null) {
+                delete h[field];
+              } else {
+                h[field] = value;
+              }
+            });
+            return true;
+          });
+          break;
+        }
+        default:
+          throw new Error(`Unknown journal step: ${step.op}`);
+      }
+    }
+  }
+
+  async deleteHighlightsForever(ids) {
+    if (!Array.isArray(ids)) {
+      throw new Error("Highlight IDs must be an array");
+    }
+    const store = await this.getStore();
+    return this._withStorageLock(() => store.deleteFromTrash(ids));
+  }
+
+  async emptyTrash() {
+    const store = await this.getStore();
+    return this._withStorageLock(() => store.emptyTrash());
+  }
+
+  /**
+   * Permanently delete trash older than the retention period setting
+   */
+  async purgeTrash() {
+    const { trashRetentionDays } = await this.getSettings();
+    const cutoff = Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000;
+    const store = await this.getStore();
+    return this._withStorageLock(() => store.purgeTrash(cutoff));
+  }
+
+  /**
+   * Export all highlights, only those of one collection in its order, or
+   * only the given ids. The "json" format is a backup that can be imported
+   * again and is encrypted when the vault is on, see
+   * VaultCrypto.decryptExport. "markdown" is rendered with the user's
+   * template and "csv" has the given columns, or the Readwise layout for
+   * preset "readwise". "notes" is one Markdown file per page for Obsidian
+   * or Logseq (flavor), which the caller zips. "annotations" is a W3C Web
+   * Annotation collection for other annotation tools. Those are for use
+   * elsewhere, so they're always plain text. CSV comes back in chunks to
+   * be joined into a Blob.
+   */
+  async exportHighlights({
+    collectionId = null,
+    format = "json",
+    ids = null,
+    columns = null,
+    preset = null,
+    flavor = "obsidian",
+  } = {}) {
+    if (!["json", "markdown", "csv", "notes", "annotations"].includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    if (ids !== null && !Array.isArray(ids)) {
+      throw new Error("Highlight IDs must be an array");
+    }
+
+    let highlights = await this.getHighlights();
+    const settings = await this.getSettings();
+    let collection;
+
+    if (collectionId) {
+      collection = this.findCollection(await this.readCollections(), collectionId);
+      const byId = new Map(highlights.map((h) => [h.id, h]));
+      highlights = collection.highlightIds.map((id) => byId.get(id)).filter(Boolean);
+    }
+    if (ids) {
+      const wanted = new Set(ids);
+      highlights = highlights.filter((h) => wanted.has(h.id));
+    }
+
+    if (format === "annotations") {
+      return WebAnnotation.toCollection(highlights, { label: collection ? collection.name : "Highlights" });
+    }
+    if (format === "notes") {
+      const files = await NotesExport.toFiles(highlights, { flavor });
+      return { format, flavor, count: highlights.length, files };
+    }
+    if (format === "csv") {
+      const chunks = await CsvExport.toChunks(highlights, {
+        preset,
+        columns: columns || settings.csvColumns,
+        palette: settings.colorPalette,
+      });
+      return { format, preset, count: highlights.length, chunks };
+    }
+    if (format === "markdown") {
+      return {
+        format,
+        count: highlights.length,
+        content: MarkdownExport.render(highlights, {
+          template: settings.markdownTemplate,
+          palette: settings.colorPalette,
+        }),
+      };
+    }
+
+    const data = {
+      highlights,
+      ...(collection ? { collection } : {}),
+      // Included so color codes keep their meaning in another install
+      colorPalette: settings.colorPalette,
+      exportDate: new Date().toISOString(),
+      version: "1.0.0",
+    };
+    // With the vault on, exports stay encrypted under its passphrase
+    return this.vault.enabled ? this.vault.encryptExport(data) : data;
+  }
+
+  /**
+   * Import highlights, merging them with the library or replacing it.
+   * Replaced highlights go to the trash, so both modes can be undone.
+   */
+  async importHighlights(
+    importData,
+    merge = false,
+    colorPalette = null,
+    { overflow = null, operationId } = {}
+  ) {
+    let incoming = [];
+
+    if (Array.isArray(importData)) {
+      incoming = importData;
+    } else if (
+      importData &&
+      importData.highlights &&
+      Array.isArray(importData.highlights)
+    ) {
+      incoming = importData.highlights;
+    } else {
+      throw new Error(
+        "Invalid import format - expected array or object with highlights property"
+      );
+    }
+
+    // Validate each highlight has required fields with correct types, non-empty values, and sane sizes
+    const validHighlights = incoming.filter(
+      (h) =>
+        h &&
+        typeof h === "object" &&
+        typeof h.id === "string" &&
+        h.id.length > 0 &&
+        typeof h.text === "string" &&
+        h.text.length > 0 &&
+        h.text.length <= this.MAX_TEXT_LENGTH &&
+        typeof h.url === "string" &&
+        h.url.length > 0 &&
+        h.url.length <= this.MAX_URL_LENGTH &&
+        typeof h.timestamp === "number" &&
+        h.timestamp > 0
+    );
+
+    const skipped = incoming.length - validHighlights.length;
+    if (skipped > 0) {
+      console.warn(`Filtered out ${skipped} invalid highlights during import`);
+    }
+
+    // Older exports predate URL normalization
+    const urlUtils = await this.getUrlUtils();
+    validHighlights.forEach((h) => {
+      if (typeof h.normalizedUrl !== "string") {
+        h.normalizedUrl = urlUtils.normalize(h.url);
+      }
+      if (h.color !== undefined && !this.isValidColorId(h.color)) {
+        delete h.color;
+      }
+      this.sanitizeNote(h);
+      if (h.tags !== undefined) {
+        h.tags = TagUtils.normalizeList(h.tags);
+      }
+    });
+
+    // Colors the exporting install defined but this one doesn't know yet
+    const palette = colorPalette || (importData && importData.colorPalette);
+    if (Array.isArray(palette)) {
+      await this.mergeColorPalette(palette);
+    }
+
+    const store = await this.getStore();
+
+    const result = await this._withStorageLock(async () => {
+      const existingIds = new Set(await store.getIds());
+
+      if (merge) {
+        // Merge: add new highlights, skip duplicates by ID
+        const newHighlights = validHighlights.filter(
+          (h) => !existingIds.has(h.id)
+        );
+        const excess = await this.planOverflow(
+          existingIds.size + newHighlights.length,
+          store,
+          overflow
+        );
+        await store.putMany(newHighlights);
+        const archived = await store.archiveOldest(excess);
+
+        const collections = this.pruneCollections(await this.readCollections(), archived);
+        await chrome.storage.local.set({ collections });
+
+        const newIds = newHighlights.map((h) => h.id);
+        if (newIds.length > 0) {
+          await this.journal.record({
+            id: operationId,
+            type: "import",
+            label: "Import highlights",
+            undo: [{ op: "trash", ids: newIds }],
+            redo: [{ op: "restore", ids: newIds }],
+          });
+        }
+
+        this.notifyTabsAboutUpdate();
+        return { imported: newHighlights.length, skippedDuplicates: validHighlights.length - newHighlights.length, skippedInvalid: skipped, archived: archived.length };
+      } else {
+        // Replace mode: highlights not in the import go to the trash and
+        // ones in both are overwritten
+        const excess = await this.planOverflow(validHighlights.length, store, overflow);
+        const incomingIds = new Set(validHighlights.map((h) => h.id));
+        const replaced = (await store.getAll()).filter((h) => incomingIds.has(h.id));
+        const replacedIds = new Set(replaced.map((h) => h.id));
+        const trashedIds = await this._moveToTrash(
+          store,
+          [...existingIds].filter((id) => !incomingIds.has(id))
+        );
+
+        await store.putMany(validHighlights);
+        const archived = await store.archiveOldest(excess);
+        const collections = this.pruneCollections(await this.readCollections(), archived);
+        await chrome.storage.local.set({ collections });
+
+        const addedIds = [...incomingIds].filter((id) => !replacedIds.has(id));
+        await this.journal.record({
+          id: operationId,
+          type: "import",
+          label: "Replace highlights with import",
+          undo: [
+            { op: "trash", ids: addedIds },
+            { op: "put", highlights: replaced },
+            { op: "restore", ids: trashedIds },
+          ],
+          redo: [
+            { op: "trash", ids: trashedIds },
+            { op: "put", highlights: validHighlights.filter((h) => replacedIds.has(h.id)) },
+            { op: "restore", ids: addedIds },
+          ],
+        });
+
+        this.notifyTabsAboutUpdate();
+        return { imported: validHighlights.length, skippedInvalid: skipped, archived: archived.length };
+      }
+    });
+
+    // Single-collection exports recreate their collection
+    const importedCollection = Array.isArray(importData) ? null : importData.collection;
+    if (importedCollection && typeof importedCollection === "object") {
+      await this.restoreCollection(importedCollection, validHighlights);
+    }
+
+    return result;
+  }
+
+  async readCollections() {
+    const result = await chrome.storage.local.get(["collections"]);
+    return result.collections || [];
+  }
+
+  async getCollections() {
+    return this.readCollections();
+  }
+
+  findCollection(collections, id) {
+    const collection = collections.find((c) => c.id === id);
+    if (!collection) {
+      throw new Error("Collection not found");
+    }
+    return collection;
+  }
+
+  normalizeCollectionName(name) {
+    const normalized = typeof name === "string" ? name.replace(/\s+/g, " ").trim() : "";
+    if (!normalized) {
+      throw new Error("Collection name is required");
+    }
+    return normalized.substring(0, this.MAX_COLLECTION_NAME_LENGTH);
+  }
+
+  generateCollectionId() {
+    return `collection_${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Drop the ids of removed highlights from every collection
+   */
+  pruneCollections(collections, removedIds) {
+    const removed = new Set(removedIds);
+    if (removed.size === 0) return collections;
+    collections.forEach((c) => {
+      c.highlightIds = c.highlightIds.filter((id) => !removed.has(id));
+    });
+    return collections;
+  }
+
+  /**
+   * Run a read-modify-write on the collections list inside the storage lock.
+   * The mutator receives the list and returns the value to resolve with.
+   */
+  async updateCollections(mutate) {
+    return this._withStorageLock(async () => {
+      const collections = await this.readCollections();
+      const value = await mutate(collections);
+      await chrome.storage.local.set({ collections });
+      return value;
+    });
+  }
+
+  async createCollection(name) {
+    const collectionName = this.normalizeCollectionName(name);
+
+    return this.updateCollections((collections) => {
+      if (collections.length >= this.MAX_COLLECTIONS) {
+        throw new Error(`Too many collections (max ${this.MAX_COLLECTIONS})`);
+      }
+      const now = Date.now();
+      const collection = {
+        id: this.generateCollectionId(),
+        name: collectionName,
+        highlightIds: [],
+        createdAt: now,
+        updatedAt: now,
+      };
+      collections.push(collection);
+      return collection;
+    });
+  }
+
+  async renameCollection(id, name) {
+    const collectionName = this.normalizeCollectionName(name);
+
+    return this.updateCollections((collections) => {
+      const collection = this.findCollection(collections, id);
+      collection.name = collectionName;
+      collection.updatedAt = Date.now();
+      return collection;
+    });
+  }
+
+  /**
+   * Set the order of a collection. The new order must contain exactly the
+   * highlights already in the collection.
+   */
+  async reorderCollection(id, highlightIds) {
+    if (!Array.isArray(highlightIds)) {
+      throw new Error("Highlight IDs must be an array");
+    }
+
+    return this.updateCollections((collections) => {
+      const collection = this.findCollection(collections, id);
+      const current = new Set(collection.highlightIds);
+      const next = new Set(highlightIds);
+      if (
+        next.size !== highlightIds.length ||
+        next.size !== current.size ||
+        highlightIds.some((h) => !current.has(h))
+      ) {
+        throw new Error("New order must contain exactly the highlights in the collection");
+      }
+
+      collection.highlightIds = [...highlightIds];
+      collection.updatedAt = Date.now();
+      return collection;
+    });
+  }
+
+  /**
+   * Append highlights to a collection, skipping ones already in it
+   */
+  async addToCollection(id, highlightIds) {
+    if (!Array.isArray(highlightIds) || highlightIds.length === 0) {
+      throw new Error("Highlight IDs are required");
+    }
+
+    return this.updateCollections(async (collections) => {
+      const collection = this.findCollection(collections, id);
+      const existingIds = new Set(await (await this.getStore()).getIds());
+      const present = new Set(collection.highlightIds);
+
+      highlightIds.forEach((highlightId) => {
+        if (existingIds.has(highlightId) && !present.has(highlightId)) {
+          collection.highlightIds.push(highlightId);
+          present.add(highlightId);
+        }
+      });
+      collection.updatedAt = Date.now();
+      return collection;
+    });
+  }
+
+  async removeFromCollection(id, highlightIds) {
+    if (!Array.isArray(highlightIds)) {
+      throw new Error("Highlight IDs must be an array");
+    }
+
+    return this.updateCollections((collections) => {
+      const collection = this.findCollection(collections, id);
+      const removed = new Set(highlightIds);
+      collection.highlightIds = collection.highlightIds.filter((h) => !removed.has(h));
+      collection.updatedAt = Date.now();
+      return collection;
+    });
+  }
+
+  /**
+   * Delete a collection. Its highlights stay in the library.
+   */
+  async deleteCollection(id) {
+    return this.updateCollections((collections) => {
+      const index = collections.findIndex((c) => c.id === id);
+      if (index === -1) {
+        throw new Error("Collection not found");
+      }
+      collections.splice(index, 1);
+      return true;
+    });
+  }
+
+  /**
+   * Recreate a collection from a single-collection export. An existing
+   * collection with the same id gets the missing highlights appended.
+   */
+  async restoreCollection(imported, importedHighlights) {
+    let name;
+    try {
+      name = this.normalizeCollectionName(imported.name);
+    } catch {
+      return null;
+    }
+    const importedIds = new Set(importedHighlights.map((h) => h.id));
+    const highlightIds = (Array.isArray(imported.highlightIds) ? imported.highlightIds : []).filter(
+      (id) => importedIds.has(id)
+    );
+
+    return this.updateCollections((collections) => {
+      const existing = collections.find((c) => c.id === imported.id);
+      if (existing) {
+        const present = new Set(existing.highlightIds);
+        existing.highlightIds.push(...highlightIds.filter((id) => !present.has(id)));
+        existing.updatedAt = Date.now();
+        return existing;
+      }
+
+      const now = Date.now();
+      const collection = {
+        id: typeof imported.id === "string" && imported.id ? imported.id : this.generateCollectionId(),
+        name,
+        highlightIds,
+        createdAt: now,
+        updatedAt: now,
+      };
+      collections.push(collection);
+      return collection;
+    });
+  }
+
+  /**
+   * Record whether each highlight could be re-anchored on its page.
+   * page is the reporting tab's URL and its page's canonical link; only
+   * highlights saved on that page are updated, matched the way the content
+   * script matches them. Reports that change nothing aren't written.
+   * Tabs are deliberately not notified: the report comes from a tab that
+   * just rendered these highlights, and a refresh would re-trigger it.
+   */
+  async updateAnchorStatus(results, { url = null, canonicalUrl = null } = {}) {
+    if (!Array.isArray(results)) {
+      throw new Error("Anchor results must be an array");
+    }
+    if (typeof url !== "string" || !url) {
+      throw new Error("Anchor status must be reported by a tab");
+    }
+
+    const byId = new Map();
+    results.forEach((r) => {
+      if (r && typeof r.id === "string" && (r.status === "anchored" || r.status === "orphaned")) {
+        byId.set(r.id, r);
+      }
+    });
+    if (byId.size === 0) return 0;
+    const urlUtils = await this.getUrlUtils();
+    const pageKeys = new Set([
+      urlUtils.normalize(url),
+      urlUtils.normalize(url, { canonical: typeof canonicalUrl === "string" ? canonicalUrl : null }),
+    ]);
+    const store = await this.getStore();
+
+    return this._withStorageLock(async () => {
+      const now = Date.now();
+      return store.updateMany([...byId.keys()], (h) => {
+        if (!pageKeys.has(h.normalizedUrl) && !pageKeys.has(urlUtils.normalize(h.url))) return false;
+
+        const report = byId.get(h.id);
+        const confidence = typeof report.confidence === "number" ? report.confidence : 1;
+        const anchored = report.status === "anchored";
+        if (h.anchorStatus === report.status && (!anchored || h.anchorConfidence === confidence)) {
+          return false;
+        }
+        h.anchorStatus = report.status;
+        if (anchored) {
+          h.lastAnchoredAt = now;
+          h.anchorConfidence = confidence;
+        }
+        return true;
+      });
+    });
+  }
+
+  /**
+   * Tell content scripts to reload their highlights, and push the change
+   * to other devices unless it just came from them
+   */
+  notifyTabsAboutUpdate({ sync = true } = {}) {
+    if (sync) {
+      this.scheduleSync();
+      this.scheduleRemoteSync();
+    }
+    chrome.tabs.query({}, (tabs) => {
+      if (!tabs) return;
+      tabs.forEach((tab) => {
+        if (!tab.id) return;
+        chrome.tabs
+          .sendMessage(tab.id, { action: "highlightsUpdated" })
+          .catch(() => {
+            // Ignore errors for tabs without content scripts
+          });
+      });
+    });
+  }
+
+  /**
+   * Sync once changes settle for SYNC_DELAY, which keeps within
+   * chrome.storage.sync's write limits. Does nothing while sync is off.
+   */
+  async scheduleSync() {
+    try {
+      const { syncEnabled } = await this.getSettings();
+      await this.vaultReady;
+      if (!syncEnabled || this.vault.enabled) return;
+    } catch (error) {
+      console.error("Failed to read sync setting:", error);
+      return;
+    }
+
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.syncNow().catch((error) => console.error("Sync failed:", error));
+    }, this.SYNC_DELAY);
+  }
+
+  async syncNow() {
+    const { syncEnabled } = await this.getSettings();
+    if (!syncEnabled) {
+      throw new Error("Sync is turned off");
+    }
+
+    clearTimeout(this.syncTimer);
+    const { applied, ...status } = await this.sync.run();
+    if (applied > 0) {
+      this.notifyTabsAboutUpdate({ sync: false });
+    }
+    return { enabled: true, ...status };
+  }
+
+  async getSyncStatus() {
+    const { syncEnabled } = await this.getSettings();
+    return { enabled: syncEnabled, ...(await this.sync.getStatus()) };
+  }
+
+  /**
+   * Sync with the remote server once changes settle, or after delay.
+   * A failed sync schedules its own retry once its backoff has passed.
+   */
+  async scheduleRemoteSync(delay = this.SYNC_DELAY) {
+    try {
+      const { enabled } = await this.getRemoteSyncConfig();
+      await this.vaultReady;
+      if (!enabled || this.vault.enabled) return;
+    } catch (error) {
+      console.error("Failed to read remote sync config:", error);
+      return;
+    }
+
+    clearTimeout(this.remoteSyncTimer);
+    this.remoteSyncTimer = setTimeout(async () => {
+      try {
+        const { applied } = await this.remoteSync.run();
+        if (applied > 0) {
+          this.notifyTabsAboutUpdate({ sync: false });
+        }
+      } catch (error) {
+        console.error("Remote sync failed:", error);
+        if (error.retryIn) {
+          this.scheduleRemoteSync(error.retryIn);
+        }
+      }
+    }, delay);
+  }
+
+  /**
+   * Sync with the remote server right away, even during a retry backoff
+   */
+  async remoteSyncNow() {
+    clearTimeout(this.remoteSyncTimer);
+    try {
+      const { applied, ...status } = await this.remoteSync.run({ force: true });
+      if (applied > 0) {
+        this.notifyTabsAboutUpdate({ sync: false });
+      }
+      return status;
+    } catch (error) {
+      if (error.retryIn) {
+        this.scheduleRemoteSync(error.retryIn);
+      }
+      throw error;
+    }
+  }
+
+  async getRemoteSyncConfig() {
+    const result = await chrome.storage.local.get(["remoteSyncConfig"]);
+    return {
+      enabled: false,
+      type: "rest",
+      url: "",
+      token: "",
+      username: "",
+      password: "",
+      ...(result.remoteSyncConfig || {}),
+    };
+  }
+
+  /**
+   * Validate and store the remote server settings. Pointing sync at a
+   * different server or account starts over with a full pull and push.
+   */
+  async saveRemoteSyncConfig(config) {
+    if (!config || typeof config !== "object") {
+      throw new Error("Invalid sync server settings");
+    }
+    if (!REMOTE_SYNC_TYPES.includes(config.type)) {
+      throw new Error(`Sync server type must be one of: ${REMOTE_SYNC_TYPES.join(", ")}`);
+    }
+
+    const text = (value) =>
+      typeof value === "string" ? value.trim().substring(0, this.MAX_SYNC_CREDENTIAL_LENGTH) : "";
+    const url = typeof config.url === "string" ? config.url.trim() : "";
+    if (config.enabled === true || url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        parsed = null;
+      }
+      // The extension's host permissions only cover https
+      if (!parsed || parsed.protocol !== "https:" || url.length > this.MAX_SYNC_URL_LENGTH) {
+        throw new Error("Sync server URL must be a valid https:// address");
+      }
+    }
+
+    const next = {
+      enabled: config.enabled === true,
+      type: config.type,
+      url,
+      token: text(config.token),
+      username: text(config.username),
+      password: typeof config.password === "string" ? config.password.substring(0, this.MAX_SYNC_CREDENTIAL_LENGTH) : "",
+    };
+
+    const previous = await this.getRemoteSyncConfig();
+    if (previous.type !== next.type || previous.url !== next.url || previous.username !== next.username) {
+      await this.remoteSync.reset();
+    }
+    await chrome.storage.local.set({ remoteSyncConfig: next });
+
+    if (next.enabled) {
+      this.scheduleRemoteSync();
+    } else {
+      clearTimeout(this.remoteSyncTimer);
+    }
+    return next;
+  }
+
+  async getVaultStatus() {
+    await this.vaultReady;
+    return this.vault.getStatus();
+  }
+
+  /**
+   * Turn on encryption with a new passphrase and encrypt every stored
+   * highlight, including the trash and archive
+   */
+  async enableVault(passphrase) {
+    const store = await this.getStore();
+    return this._withStorageLock(async () => {
+      await this.vault.create(passphrase);
+      await store.encryptEverything();
+      return this.vault.getStatus();
+    });
+  }
+
+  /**
+   * Decrypt everything and turn encryption off. Asks for the passphrase
+   * even while unlocked, so anyone at an unlocked browser can't do it.
+   */
+  async disableVault(passphrase) {
+    const store = await this.getStore();
+    return this._withStorageLock(async () => {
+      await this.vault.unlock(passphrase);
+      await store.decryptEverything();
+      await this.vault.clear();
+      return this.vault.getStatus();
+    });
+  }
+
+  async unlockVault(passphrase) {
+    const store = await this.getStore();
+    await this.vault.unlock(passphrase);
+    // Finishes the job if turning the vault on was interrupted
+    await this._withStorageLock(() => store.encryptEverything());
+    await this.performMigrationIfNeeded();
+    this.notifyTabsAboutUpdate({ sync: false });
+    return this.vault.getStatus();
+  }
+
+  async lockVault() {
+    await this.vaultReady;
+    await this.vault.lock();
+    this.notifyTabsAboutUpdate({ sync: false });
+    return this.vault.getStatus();
+  }
+
+  handleInstallation(details) {
+    if (details.reason === "install" || details.reason === "update") {
+      this.performMigrationIfNeeded();
     }
   }
 
+  /**
+   * Bring stored data up to the current schema, see migrations.js.
+   * Failures are rolled back by the migrator and only logged here, so the
+   * extension keeps working on the old schema until the next update.
+   */
   async performMigrationIfNeeded() {
     try {
-      const result = await chrome.storage.local.get(["highlights", "version"]);
-      const currentVersion = chrome.runtime.getManifest().version;
+      // Migrations need to read the records; unlockVault runs them later
+      await this.vaultReady;
+      if (this.vault.locked) return null;
 
-      if (!result.version || result.version !== currentVersion) {
+      const migrator = new SchemaMigrator({
+        store: await this.getStore(),
+        context: { urlUtils: await this.getUrlUtils() },
+      });
+      const result = await this._withStorageLock(() => migrator.run());
+      if (result.applied.length > 0) {
+        this.notifyTabsAboutUpdate();
+      }
+
+      const { version } = await chrome.storage.local.get(["version"]);
+      const currentVersion = chrome.runtime.getManifest().version;
+      if (version !== currentVersion) {
         await chrome.storage.local.set({ version: currentVersion });
       }
+      return result;
     } catch (error) {
       console.error("Migration failed:", error);
+      return null;
     }
   }
 
+  /**
+   * Move highlights from the legacy chrome.storage.local array into
+   * IndexedDB. The array is only removed once the records are committed,
+   * so an interrupted move is simply repeated on the next start.
+   */
+  async migrateLegacyHighlights() {
+    if (this.store.backend !== "indexeddb") return 0;
+
+    try {
+      return await this._withStorageLock(async () => {
+        const result = await chrome.storage.local.get(["highlights"]);
+        if (!Array.isArray(result.highlights)) return 0;
+
+        const legacy = result.highlights.filter((h) => h && typeof h.id === "string");
+        if (legacy.length > 0) {
+          await this.store.putMany(legacy);
+        }
+        await chrome.storage.local.remove("highlights");
+        return legacy.length;
+      });
+    } catch (error) {
+      console.error("Legacy highlight migration failed:", error);
+      return 0;
+    }
+  }
+
+  async getSettings() {
+    const result = await chrome.storage.local.get(["settings"]);
+    return { ...this.DEFAULT_SETTINGS, ...(result.settings || {}) };
+  }
+
+  /**
+   * Merge a partial settings object into the stored settings.
+   * Unknown keys are dropped and known keys are validated.
+   */
+  async saveSettings(partial) {
+    if (!partial || typeof partial !== "object") {
+      throw new Error("Invalid settings");
+    }
+
+    const updates = {};
+    if ("urlRules" in partial) {
+      updates.urlRules = this.sanitizeUrlRules(partial.urlRules);
+    }
+    if ("colorPalette" in partial) {
+      updates.colorPalette = this.sanitizeColorPalette(partial.colorPalette);
+    }
+    if ("overflowPolicy" in partial) {
+      if (!this.OVERFLOW_POLICIES.includes(partial.overflowPolicy)) {
+        throw new Error(`Overflow policy must be one of: ${this.OVERFLOW_POLICIES.join(", ")}`);
+      }
+      updates.overflowPolicy = partial.overflowPolicy;
+    }
+    if ("trashRetentionDays" in partial) {
+      const days = partial.trashRetentionDays;
+      if (!Number.isInteger(days) || days < 1 || days > this.MAX_RETENTION_DAYS) {
+        throw new Error(`Trash retention must be 1 to ${this.MAX_RETENTION_DAYS} days`);
+      }
+      updates.trashRetentionDays = days;
+    }
+    if ("syncEnabled" in partial) {
+      if (typeof partial.syncEnabled !== "boolean") {
+        throw new Error("Sync setting must be true or false");
+      }
+      updates.syncEnabled = partial.syncEnabled;
+    }
+    if ("markdownTemplate" in partial) {
+      const template = partial.markdownTemplate;
+      if (template !== null && typeof template !== "string") {
+        throw new Error("Markdown template must be text");
+      }
+      if (template && template.length > MAX_MARKDOWN_TEMPLATE_LENGTH) {
+        throw new Error(`Markdown template is too long (max ${MAX_MARKDOWN_TEMPLATE_LENGTH} characters)`);
+      }
+      if (template) {
+        // Throws "Template error: ..." so mistakes show up when saving
+        MarkdownExport.compile(template);
+      }
+      updates.markdownTemplate = template || null;
+    }
+    if ("csvColumns" in partial) {
+      // Throws for an empty list or unknown columns
+      CsvExport.resolveColumns({ columns: partial.csvColumns });
+      updates.csvColumns = [...new Set(partial.csvColumns)];
+    }
+
+    const settings = await this._withStorageLock(async () => {
+      const result = await chrome.storage.local.get(["settings"]);
+      const merged = { ...(result.settings || {}), ...updates };
+      await chrome.storage.local.set({ settings: merged });
+      return { ...this.DEFAULT_SETTINGS, ...merged };
+    });
+
+    this.notifyTabsAboutUpdate();
+    return settings;
+  }
+
+  sanitizeUrlRules(rules) {
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+      throw new Error("URL rules must be an object keyed by domain");
+    }
+
+    const toStringList = (value) =>
+      Array.isArray(value) ? value.filter((v) => typeof v === "string" && v.length > 0) : [];
+
+    const sanitized = {};
+    Object.entries(rules).forEach(([domain, rule]) => {
+      const host = String(domain).trim().toLowerCase().substring(0, this.MAX_DOMAIN_LENGTH);
+      if (!host || !rule || typeof rule !== "object") return;
+      sanitized[host] = {
+        keepParams: toStringList(rule.keepParams),
+        removeParams: toStringList(rule.removeParams),
+        keepHash: rule.keepHash === true,
+        ignoreCanonical: rule.ignoreCanonical === true,
+      };
+    });
+    return sanitized;
+  }
+
+  isValidColorId(id) {
+    return typeof id === "string" && /^[a-z0-9-]{1,32}$/.test(id);
+  }
+
+  sanitizeColorPalette(palette) {
+    if (!Array.isArray(palette)) {
+      throw new Error("Color palette must be an array");
+    }
+
+    const seen = new Set();
+    const sanitized = palette
+      .filter(
+        (entry) =>
+          entry &&
+          this.isValidColorId(entry.id) &&
+          typeof entry.color === "string" &&
+          /^#[0-9a-f]{6}$/i.test(entry.color) &&
+          !seen.has(entry.id) &&
+          seen.add(entry.id)
+      )
+      .slice(0, this.MAX_PALETTE_COLORS)
+      .map((entry) => ({
+        id: entry.id,
+        name: String(entry.name || entry.id).substring(0, 40),
+        color: entry.color.toLowerCase(),
+      }));
+
+    if (sanitized.length === 0) {
+      throw new Error("Color palette needs at least one valid color");
+    }
+    return sanitized;
+  }
+
+  /**
+   * Append imported palette entries whose ids are unknown here.
+   * Existing entries keep their local name and color.
+   */
+  async mergeColorPalette(palette) {
+    let incoming;
+    try {
+      incoming = this.sanitizeColorPalette(palette);
+    } catch {
+      return 0;
+    }
+
+    const { colorPalette } = await this.getSettings();
+    const knownIds = new Set(colorPalette.map((entry) => entry.id));
+    const added = incoming.filter((entry) => !knownIds.has(entry.id));
+    const merged = [...colorPalette, ...added].slice(0, this.MAX_PALETTE_COLORS);
+
+    if (merged.length > colorPalette.length) {
+      await this.saveSettings({ colorPalette: merged });
+    }
+    return merged.length - colorPalette.length;
+  }
+
+  async getUrlUtils() {
+    const settings = await this.getSettings();
+    return new UrlUtils(settings.urlRules);
+  }
+
   // Summarize highlight functionality
   async summarizeHighlight(request) {
     if (!request.requestId || !request.highlight || !request.cacheKey) {
@@ -0,0 +1,843 @@
+// Highlight persistence for the background service worker
+// Highlights live in IndexedDB, indexed by url, domain, timestamp and tags, so
+// a write touches one record instead of rewriting the whole library.
+// ChromeStorageHighlightStore keeps the same interface over the legacy
+// chrome.storage.local array for contexts without IndexedDB.
+// Highlights moved out of the library by the overflow policy are kept as
+// gzip-compressed batches in a separate archive store. Schema migrations
+// (migrations.js) park a copy of the data in the backup store while they run.
+// Deleted highlights wait in the trash store until restored or purged.
+
+const HIGHLIGHT_DB_NAME = "highlightSaver";
+const HIGHLIGHT_DB_VERSION = 4;
+const HIGHLIGHT_OBJECT_STORE = "highlights";
+const ARCHIVE_OBJECT_STORE = "archive";
+const BACKUP_OBJECT_STORE = "backups";
+const TRASH_OBJECT_STORE = "trash";
+const MIGRATION_BACKUP_ID = "migration";
+
+// Highlight cap per backend; what happens past it is the overflow policy's call
+const IDB_MAX_HIGHLIGHTS = 100000;
+// chrome.storage.local holds the whole array in a single 10 MB item
+const LEGACY_MAX_HIGHLIGHTS = 1000;
+
+/**
+ * Newest first, the order every caller expects
+ */
+function sortByNewest(highlights) {
+  return highlights.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+}
+
+async function readStream(readable) {
+  const reader = readable.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Pack highlights into an archive batch. The payload is gzip-compressed
+ * and base64-encoded so it fits both IndexedDB and chrome.storage; where
+ * CompressionStream is missing it's stored as plain JSON.
+ */
+async function createArchiveBatch(highlights) {
+  const json = JSON.stringify(highlights);
+  const batch = {
+    id: `archive_${crypto.randomUUID()}`,
+    createdAt: Date.now(),
+    count: highlights.length,
+    highlightIds: highlights.map((h) => h.id),
+  };
+
+  if (typeof CompressionStream === "undefined") {
+    return { ...batch, encoding: "json", data: json };
+  }
+  const stream = new CompressionStream("gzip");
+  const writer = stream.writable.getWriter();
+  writer.write(new TextEncoder().encode(json));
+  writer.close();
+  return { ...batch, encoding: "gzip", data: bytesToBase64(await readStream(stream.readable)) };
+}
+
+async function readArchiveBatch(batch) {
+  if (batch.encoding !== "gzip") {
+    return JSON.parse(batch.data);
+  }
+  const stream = new DecompressionStream("gzip");
+  const writer = stream.writable.getWriter();
+  writer.write(base64ToBytes(batch.data));
+  writer.close();
+  return JSON.parse(new TextDecoder().decode(await readStream(stream.readable)));
+}
+
+/**
+ * Rebuild a batch from its transformed highlights, keeping its id and age.
+ * Returns the batch itself when transform changed nothing.
+ */
+async function repackArchiveBatch(batch, transform) {
+  const original = await readArchiveBatch(batch);
+  const highlights = await Promise.all(original.map(transform));
+  if (highlights.every((h, i) => h === original[i])) return batch;
+  const { id, createdAt } = batch;
+  return { ...(await createArchiveBatch(highlights)), id, createdAt };
+}
+
+/**
+ * Archive batches without their payload, newest first
+ */
+function describeArchiveBatches(batches) {
+  return batches
+    .map(({ data, ...summary }) => summary)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+class IndexedDbHighlightStore {
+  /**
+   * @param {Object} options
+   * @param {IDBFactory} options.factory - defaults to the global indexedDB
+   * @param {string} options.dbName
+   * @param {number} options.maxHighlights
+   */
+  constructor({
+    factory = globalThis.indexedDB,
+    dbName = HIGHLIGHT_DB_NAME,
+    maxHighlights = IDB_MAX_HIGHLIGHTS,
+  } = {}) {
+    this.backend = "indexeddb";
+    this.factory = factory;
+    this.dbName = dbName;
+    this.maxHighlights = maxHighlights;
+    this._db = null;
+  }
+
+  open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = this.factory.open(this.dbName, HIGHLIGHT_DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            const store = db.createObjectStore(HIGHLIGHT_OBJECT_STORE, { keyPath: "id" });
+            store.createIndex("url", "url");
+            store.createIndex("normalizedUrl", "normalizedUrl");
+            store.createIndex("domain", "domain");
+            store.createIndex("timestamp", "timestamp");
+            store.createIndex("tags", "tags", { multiEntry: true });
+          }
+          if (event.oldVersion < 2) {
+            db.createObjectStore(ARCHIVE_OBJECT_STORE, { keyPath: "id" });
+          }
+          if (event.oldVersion < 3) {
+            db.createObjectStore(BACKUP_OBJECT_STORE, { keyPath: "id" });
+          }
+          if (event.oldVersion < 4) {
+            const trash = db.createObjectStore(TRASH_OBJECT_STORE, { keyPath: "id" });
+            trash.createIndex("deletedAt", "deletedAt");
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call retry after a failed open
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    return this._db;
+  }
+
+  close() {
+    if (!this._db) return;
+    this._db.then((db) => db.close()).catch(() => {});
+    this._db = null;
+  }
+
+  /**
+   * Run fn against the highlights object store in one transaction; other
+   * stores named in storeNames are reachable through the transaction it
+   * receives. Resolves with fn's return value once the transaction commits.
+   */
+  async transaction(mode, fn, storeNames = [HIGHLIGHT_OBJECT_STORE]) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let value;
+      tx.oncomplete = () => resolve(value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+      try {
+        value = fn(tx.objectStore(storeNames[0]), tx);
+      } catch (error) {
+        tx.abort();
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Visit every record through a cursor; the visitor returns true when it
+   * changed the record so it's written back in the same transaction
+   */
+  updateAll(visit) {
+    return this.transaction("readwrite", (store) => {
+      const result = { updated: 0 };
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        const highlight = cursor.value;
+        if (visit(highlight)) {
+          cursor.update(highlight);
+          result.updated++;
+        }
+        cursor.continue();
+      };
+      return result;
+    }).then((result) => result.updated);
+  }
+
+  /**
+   * Like updateAll, restricted to the given ids
+   */
+  updateMany(ids, visit) {
+    return this.transaction("readwrite", (store) => {
+      const result = { updated: 0 };
+      ids.forEach((id) => {
+        store.get(id).onsuccess = (event) => {
+          const highlight = event.target.result;
+          if (highlight && visit(highlight)) {
+            store.put(highlight);
+            result.updated++;
+          }
+        };
+      });
+      return result;
+    }).then((result) => result.updated);
+  }
+
+  /**
+   * Apply a change to one record. Resolves with the updated record, or
+   * null when there is no record with that id.
+   */
+  update(id, apply) {
+    return this.transaction("readwrite", (store) => {
+      const result = { highlight: null };
+      store.get(id).onsuccess = (event) => {
+        const highlight = event.target.result;
+        if (!highlight) return;
+        apply(highlight);
+        store.put(highlight);
+        result.highlight = highlight;
+      };
+      return result;
+    }).then((result) => result.highlight);
+  }
+
+  async getAll() {
+    const result = await this.transaction("readonly", (store) => {
+      const result = {};
+      store.getAll().onsuccess = (event) => {
+        result.highlights = event.target.result;
+      };
+      return result;
+    });
+    return sortByNewest(result.highlights);
+  }
+
+  async get(id) {
+    const result = await this.transaction("readonly", (store) => {
+      const result = {};
+      store.get(id).onsuccess = (event) => {
+        result.highlight = event.target.result || null;
+      };
+      return result;
+    });
+    return result.highlight;
+  }
+
+  async getIds() {
+    const result = await this.transaction("readonly", (store) => {
+      const result = {};
+      store.getAllKeys().onsuccess = (event) => {
+        result.ids = event.target.result;
+      };
+      return result;
+    });
+    return result.ids;
+  }
+
+  /**
+   * Highlights that may belong to a page: those whose normalized URL is one
+   * of the page's keys, plus everything saved on its domains so callers can
+   * still match records normalized under older URL rules. Newest first.
+   */
+  async getForPage({ normalizedUrls = [], domains = [] }) {
+    const result = await this.transaction("readonly", (store) => {
+      const byId = new Map();
+      const collect = (event) => {
+        event.target.result.forEach((h) => byId.set(h.id, h));
+      };
+      [...new Set(normalizedUrls)].forEach((url) => {
+        store.index("normalizedUrl").getAll(url).onsuccess = collect;
+      });
+      [...new Set(domains)].forEach((domain) => {
+        store.index("domain").getAll(domain).onsuccess = collect;
+      });
+      return byId;
+    });
+    return sortByNewest([...result.values()]);
+  }
+
+  async count() {
+    const result = await this.transaction("readonly", (store) => {
+      const result = {};
+      store.count().onsuccess = (event) => {
+        result.count = event.target.result;
+      };
+      return result;
+    });
+    return result.count;
+  }
+
+  /**
+   * Add or replace records. The cap isn't enforced here; callers check
+   * it first and archive the overflow afterwards.
+   */
+  putMany(highlights) {
+    return this.transaction("readwrite", (store) => {
+      highlights.forEach((h) => store.put(h));
+    });
+  }
+
+  put(highlight) {
+    return this.putMany([highlight]);
+  }
+
+  /**
+   * Move the count oldest highlights into one compressed archive batch.
+   * Resolves with the archived ids.
+   */
+  async archiveOldest(count) {
+    if (count <= 0) return [];
+
+    const oldest = await this.transaction("readonly", (store) => {
+      const oldest = [];
+      store.index("timestamp").openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || oldest.length >= count) return;
+        oldest.push(cursor.value);
+        cursor.continue();
+      };
+      return oldest;
+    });
+    if (oldest.length === 0) return [];
+
+    const batch = await createArchiveBatch(oldest);
+    await this.transaction(
+      "readwrite",
+      (store, tx) => {
+        tx.objectStore(ARCHIVE_OBJECT_STORE).put(batch);
+        oldest.forEach((h) => store.delete(h.id));
+      },
+      [HIGHLIGHT_OBJECT_STORE, ARCHIVE_OBJECT_STORE]
+    );
+    return batch.highlightIds;
+  }
+
+  async getArchives() {
+    const batches = await this.transaction(
+      "readonly",
+      (archive) => {
+        const result = {};
+        archive.getAll().onsuccess = (event) => {
+          result.batches = event.target.result;
+        };
+        return result;
+      },
+      [ARCHIVE_OBJECT_STORE]
+    );
+    return describeArchiveBatches(batches.batches);
+  }
+
+  /**
+   * The highlights of one archive batch, or null if there's no such batch
+   */
+  async readArchive(id) {
+    const result = await this.transaction(
+      "readonly",
+      (archive) => {
+        const result = {};
+        archive.get(id).onsuccess = (event) => {
+          result.batch = event.target.result;
+        };
+        return result;
+      },
+      [ARCHIVE_OBJECT_STORE]
+    );
+    return result.batch ? readArchiveBatch(result.batch) : null;
+  }
+
+  /**
+   * Pass every archived highlight through transform (which may be async)
+   * and repack the batches it changed under their ids. Used by the vault
+   * to encrypt or decrypt the archive.
+   */
+  async rewriteArchives(transform) {
+    const { batches } = await this.transaction(
+      "readonly",
+      (archive) => {
+        const result = {};
+        archive.getAll().onsuccess = (event) => {
+          result.batches = event.target.result;
+        };
+        return result;
+      },
+      [ARCHIVE_OBJECT_STORE]
+    );
+    const rewritten = await Promise.all(batches.map((batch) => repackArchiveBatch(batch, transform)));
+    return this.transaction(
+      "readwrite",
+      (archive) => {
+        rewritten.filter((batch, i) => batch !== batches[i]).forEach((batch) => archive.put(batch));
+      },
+      [ARCHIVE_OBJECT_STORE]
+    );
+  }
+
+  saveBackup(backup) {
+    return this.transaction(
+      "readwrite",
+      (backups) => {
+        backups.put({ ...backup, id: MIGRATION_BACKUP_ID });
+      },
+      [BACKUP_OBJECT_STORE]
+    );
+  }
+
+  async loadBackup() {
+    const result = await this.transaction(
+      "readonly",
+      (backups) => {
+        const result = {};
+        backups.get(MIGRATION_BACKUP_ID).onsuccess = (event) => {
+          result.backup = event.target.result || null;
+        };
+        return result;
+      },
+      [BACKUP_OBJECT_STORE]
+    );
+    return result.backup;
+  }
+
+  clearBackup() {
+    return this.transaction(
+      "readwrite",
+      (backups) => {
+        backups.delete(MIGRATION_BACKUP_ID);
+      },
+      [BACKUP_OBJECT_STORE]
+    );
+  }
+
+  delete(id) {
+    return this.transaction("readwrite", (store) => {
+      store.delete(id);
+    });
+  }
+
+  clear() {
+    return this.transaction("readwrite", (store) => {
+      store.clear();
+    });
+  }
+
+  /**
+   * Swap the whole library for the given records in one transaction
+   */
+  replaceAll(highlights) {
+    return this.transaction("readwrite", (store) => {
+      store.clear();
+      highlights.forEach((h) => store.put(h));
+    });
+  }
+
+  /**
+   * Move highlights (all of them when ids is null) to the trash in one
+   * transaction. prepare maps each highlight to its trash record, which
+   * needs a deletedAt. Resolves with the trash records.
+   */
+  moveToTrash(ids, prepare) {
+    return this.transaction(
+      "readwrite",
+      (store, tx) => {
+        const trash = tx.objectStore(TRASH_OBJECT_STORE);
+        const moved = [];
+        const move = (highlight) => {
+          const record = prepare(highlight);
+          trash.put(record);
+          store.delete(highlight.id);
+          moved.push(record);
+        };
+
+        if (ids === null) {
+          store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            move(cursor.value);
+            cursor.continue();
+          };
+        } else {
+          ids.forEach((id) => {
+            store.get(id).onsuccess = (event) => {
+              if (event.target.result) move(event.target.result);
+            };
+          });
+        }
+        return moved;
+      },
+      [HIGHLIGHT_OBJECT_STORE, TRASH_OBJECT_STORE]
+    );
+  }
+
+  /**
+   * Move trash records back into the library; prepare maps each record to
+   * the highlight to store. Resolves with the trash records that were found.
+   */
+  restoreFromTrash(ids, prepare) {
+    return this.transaction(
+      "readwrite",
+      (store, tx) => {
+        const trash = tx.objectStore(TRASH_OBJECT_STORE);
+        const restored = [];
+        ids.forEach((id) => {
+          trash.get(id).onsuccess = (event) => {
+            const record = event.target.result;
+            if (!record) return;
+            store.put(prepare(record));
+            trash.delete(id);
+            restored.push(record);
+          };
+        });
+        return restored;
+      },
+      [HIGHLIGHT_OBJECT_STORE, TRASH_OBJECT_STORE]
+    );
+  }
+
+  /**
+   * Trash records, most recently deleted first
+   */
+  async getTrash() {
+    const result = await this.transaction(
+      "readonly",
+      (trash) => {
+        const result = {};
+        trash.getAll().onsuccess = (event) => {
+          result.records = event.target.result;
+        };
+        return result;
+      },
+      [TRASH_OBJECT_STORE]
+    );
+    return result.records.sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * Pass every trash record through transform (which may be async) and
+   * write back the ones it changed
+   */
+  async rewriteTrash(transform) {
+    const original = await this.getTrash();
+    const records = await Promise.all(original.map(transform));
+    return this.transaction(
+      "readwrite",
+      (trash) => {
+        records.filter((record, i) => record !== original[i]).forEach((record) => trash.put(record));
+      },
+      [TRASH_OBJECT_STORE]
+    );
+  }
+
+  deleteFromTrash(ids) {
+    return this.transaction(
+      "readwrite",
+      (trash) => {
+        ids.forEach((id) => trash.delete(id));
+      },
+      [TRASH_OBJECT_STORE]
+    );
+  }
+
+  emptyTrash() {
+    return this.transaction(
+      "readwrite",
+      (trash) => {
+        trash.clear();
+      },
+      [TRASH_OBJECT_STORE]
+    );
+  }
+
+  /**
+   * Permanently delete trash records deleted before the cutoff time.
+   * Resolves with how many were removed.
+   */
+  purgeTrash(before) {
+    return this.transaction(
+      "readwrite",
+      (trash) => {
+        const result = { purged: 0 };
+        // Oldest deletions come first, so stop at the first one to keep
+        trash.index("deletedAt").openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor || cursor.key >= before) return;
+          cursor.delete();
+          result.purged++;
+          cursor.continue();
+        };
+        return result;
+      },
+      [TRASH_OBJECT_STORE]
+    ).then((result) => result.purged);
+  }
+}
+
+class ChromeStorageHighlightStore {
+  constructor({ maxHighlights = LEGACY_MAX_HIGHLIGHTS } = {}) {
+    this.backend = "chrome.storage";
+    this.maxHighlights = maxHighlights;
+  }
+
+  async read() {
+    const result = await chrome.storage.local.get(["highlights"]);
+    return result.highlights || [];
+  }
+
+  async write(highlights) {
+    await chrome.storage.local.set({ highlights });
+  }
+
+  close() {}
+
+  async updateAll(visit) {
+    const highlights = await this.read();
+    let updated = 0;
+    highlights.forEach((h) => {
+      if (visit(h)) updated++;
+    });
+    if (updated > 0) {
+      await this.write(highlights);
+    }
+    return updated;
+  }
+
+  async updateMany(ids, visit) {
+    const wanted = new Set(ids);
+    return this.updateAll((h) => wanted.has(h.id) && visit(h));
+  }
+
+  async update(id, apply) {
+    const highlights = await this.read();
+    const highlight = highlights.find((h) => h.id === id);
+    if (!highlight) return null;
+    apply(highlight);
+    await this.write(highlights);
+    return highlight;
+  }
+
+  async getAll() {
+    return this.read();
+  }
+
+  async get(id) {
+    return (await this.read()).find((h) => h.id === id) || null;
+  }
+
+  async getIds() {
+    return (await this.read()).map((h) => h.id);
+  }
+
+  async getForPage({ normalizedUrls = [], domains = [] }) {
+    const urls = new Set(normalizedUrls);
+    const hosts = new Set(domains);
+    return (await this.read()).filter((h) => urls.has(h.normalizedUrl) || hosts.has(h.domain));
+  }
+
+  async count() {
+    return (await this.read()).length;
+  }
+
+  /**
+   * The array is kept newest first
+   */
+  async putMany(highlights) {
+    const incoming = new Map(highlights.map((h) => [h.id, h]));
+    const existing = await this.read();
+    await this.write(
+      sortByNewest([...highlights, ...existing.filter((h) => !incoming.has(h.id))])
+    );
+  }
+
+  async put(highlight) {
+    return this.putMany([highlight]);
+  }
+
+  async delete(id) {
+    const highlights = await this.read();
+    await this.write(highlights.filter((h) => h.id !== id));
+  }
+
+  async clear() {
+    await this.write([]);
+  }
+
+  async replaceAll(highlights) {
+    await this.write(highlights);
+  }
+
+  async readArchiveBatches() {
+    const result = await chrome.storage.local.get(["highlightArchive"]);
+    return result.highlightArchive || [];
+  }
+
+  async archiveOldest(count) {
+    if (count <= 0) return [];
+
+    const highlights = sortByNewest(await this.read());
+    const oldest = highlights.splice(Math.max(highlights.length - count, 0)).reverse();
+    if (oldest.length === 0) return [];
+
+    const batch = await createArchiveBatch(oldest);
+    const batches = await this.readArchiveBatches();
+    await chrome.storage.local.set({ highlights, highlightArchive: [...batches, batch] });
+    return batch.highlightIds;
+  }
+
+  async getArchives() {
+    return describeArchiveBatches(await this.readArchiveBatches());
+  }
+
+  async readArchive(id) {
+    const batch = (await this.readArchiveBatches()).find((b) => b.id === id);
+    return batch ? readArchiveBatch(batch) : null;
+  }
+
+  async rewriteArchives(transform) {
+    const batches = await this.readArchiveBatches();
+    const rewritten = await Promise.all(batches.map((batch) => repackArchiveBatch(batch, transform)));
+    await chrome.storage.local.set({ highlightArchive: rewritten });
+  }
+
+  async saveBackup(backup) {
+    await chrome.storage.local.set({ migrationBackup: backup });
+  }
+
+  async loadBackup() {
+    const result = await chrome.storage.local.get(["migrationBackup"]);
+    return result.migrationBackup || null;
+  }
+
+  async clearBackup() {
+    await chrome.storage.local.remove("migrationBackup");
+  }
+
+  async readTrash() {
+    const result = await chrome.storage.local.get(["trash"]);
+    return result.trash || [];
+  }
+
+  async moveToTrash(ids, prepare) {
+    const wanted = ids === null ? null : new Set(ids);
+    const highlights = await this.read();
+    const moved = highlights.filter((h) => wanted === null || wanted.has(h.id)).map(prepare);
+    if (moved.length === 0) return [];
+
+    const movedIds = new Set(moved.map((h) => h.id));
+    const trash = await this.readTrash();
+    await chrome.storage.local.set({
+      highlights: highlights.filter((h) => !movedIds.has(h.id)),
+      trash: [...trash.filter((h) => !movedIds.has(h.id)), ...moved],
+    });
+    return moved;
+  }
+
+  async restoreFromTrash(ids, prepare) {
+    const wanted = new Set(ids);
+    const trash = await this.readTrash();
+    const restored = trash.filter((h) => wanted.has(h.id));
+    if (restored.length === 0) return [];
+
+    const highlights = await this.read();
+    const restoredIds = new Set(restored.map((h) => h.id));
+    await chrome.storage.local.set({
+      highlights: sortByNewest([
+        ...highlights.filter((h) => !restoredIds.has(h.id)),
+        ...restored.map(prepare),
+      ]),
+      trash: trash.filter((h) => !restoredIds.has(h.id)),
+    });
+    return restored;
+  }
+
+  async getTrash() {
+    return (await this.readTrash()).sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  async rewriteTrash(transform) {
+    const trash = await Promise.all((await this.readTrash()).map(transform));
+    await chrome.storage.local.set({ trash });
+  }
+
+  async deleteFromTrash(ids) {
+    const removed = new Set(ids);
+    const trash = await this.readTrash();
+    await chrome.storage.local.set({ trash: trash.filter((h) => !removed.has(h.id)) });
+  }
+
+  async emptyTrash() {
+    await chrome.storage.local.set({ trash: [] });
+  }
+
+  async purgeTrash(before) {
+    const trash = await this.readTrash();
+    const kept = trash.filter((h) => h.deletedAt >= before);
+    if (kept.length < trash.length) {
+      await chrome.storage.local.set({ trash: kept });
+    }
+    return trash.length - kept.length;
+  }
+}
+
+/**
+ * IndexedDB where available; service workers always have it, but the
+ * chrome.storage fallback keeps older environments and tests working
+ */
+function createHighlightStore() {
+  if (typeof globalThis.indexedDB !== "undefined") {
+    return new IndexedDbHighlightStore();
+  }
+  return new ChromeStorageHighlightStore();
+}
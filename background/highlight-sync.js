@@ -0,0 +1,359 @@
+// Cross-device sync of highlights through chrome.storage.sync
+// Imported by background.js via importScripts. Records are packed into
+// numbered shard keys ("hs_0", "hs_1", ...) listed by the "hs_meta" key,
+// within chrome.storage.sync's quotas.
+//
+// Every synced record carries a revision counter (r), the time of its last
+// change (u) and the device that made it (d). The higher revision wins,
+// then the later change, then the higher device id, so all devices settle
+// on the same record. Deletes travel as tombstones (x) until they expire.
+//
+// chrome.storage.sync holds about 100 KB, so only the most recently changed
+// highlights fit. The rest stay on this device and are counted as skipped.
+//
+// Anchoring results (SYNC_LOCAL_FIELDS) describe how a highlight rendered
+// on this device, so they're neither synced nor counted as changes.
+
+const SYNC_KEY_PREFIX = "hs_";
+const SYNC_META_KEY = "hs_meta";
+const SYNC_FORMAT_VERSION = 1;
+// chrome.storage.sync's QUOTA_BYTES, QUOTA_BYTES_PER_ITEM and MAX_ITEMS,
+// less some headroom for the meta key
+const SYNC_QUOTA = { bytes: 100000, bytesPerItem: 8000, maxItems: 500 };
+const SYNC_TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+const SYNC_LOCAL_FIELDS = ["anchorStatus", "lastAnchoredAt", "anchorConfidence"];
+
+/**
+ * JSON with sorted keys, so equal records always hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const fields = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * A highlight as it's synced, without the fields only this device uses
+ */
+function toSyncedRecord(highlight) {
+  const record = { ...highlight };
+  SYNC_LOCAL_FIELDS.forEach((field) => delete record[field]);
+  return record;
+}
+
+/**
+ * A synced record with this device's own fields put back from its local copy
+ */
+function withLocalFields(record, local) {
+  const merged = { ...record };
+  if (local) {
+    SYNC_LOCAL_FIELDS.forEach((field) => {
+      if (field in local) merged[field] = local[field];
+    });
+  }
+  return merged;
+}
+
+/**
+ * Hash of a highlight as it's synced, to notice local changes between syncs
+ */
+function hashRecord(record) {
+  return HashUtils.hash(canonicalJson(toSyncedRecord(record)));
+}
+
+/**
+ * Positive when entry a wins over entry b, zero when they're the same change
+ */
+function compareSyncEntries(a, b) {
+  if (a.r !== b.r) return a.r - b.r;
+  if (a.u !== b.u) return a.u - b.u;
+  return a.d === b.d ? 0 : a.d > b.d ? 1 : -1;
+}
+
+function isValidSyncEntry(entry) {
+  if (!entry || typeof entry.i !== "string" || !entry.i) return false;
+  if (!Number.isInteger(entry.r) || entry.r < 1 || typeof entry.u !== "number") return false;
+  if (typeof entry.d !== "string") return false;
+  if (entry.x) return true;
+  const h = entry.h;
+  return Boolean(h && h.id === entry.i && typeof h.text === "string" && typeof h.url === "string");
+}
+
+class HighlightSync {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getStore - resolves with the highlight store
+   * @param {Object} options.area - where synced records go
+   * @param {Object} options.stateArea - keeps this device's sync state
+   * @param {Function} options.runLocked - runs a sync under the storage lock
+   * @param {Function} options.trash - (store, ids) moves highlights deleted
+   *   on another device to the trash
+   * @param {Object} options.quota - { bytes, bytesPerItem, maxItems }
+   */
+  constructor({
+    getStore,
+    area = chrome.storage.sync,
+    stateArea = chrome.storage.local,
+    runLocked = (fn) => fn(),
+    trash = (store, ids) => store.moveToTrash(ids, (h) => ({ ...h, deletedAt: Date.now() })),
+    quota = SYNC_QUOTA,
+  }) {
+    this.getStore = getStore;
+    this.area = area;
+    this.stateArea = stateArea;
+    this.runLocked = runLocked;
+    this.trash = trash;
+    this.quota = quota;
+    this.deviceId = null;
+  }
+
+  static generateDeviceId() {
+    return `device_${crypto.randomUUID()}`;
+  }
+
+  async loadState() {
+    const result = await this.stateArea.get(["syncState"]);
+    const state = result.syncState || {
+      deviceId: HighlightSync.generateDeviceId(),
+      known: {},
+      status: { state: "idle", lastSyncAt: null, synced: 0, skipped: 0, error: null },
+    };
+    this.deviceId = state.deviceId;
+    return state;
+  }
+
+  async getStatus() {
+    return (await this.loadState()).status;
+  }
+
+  /**
+   * Whether a chrome.storage.onChanged change to the sync area came from
+   * another device. This device's own writes don't need merging.
+   */
+  isRemoteChange(changes) {
+    const keys = Object.keys(changes);
+    if (!keys.some((key) => key.startsWith(SYNC_KEY_PREFIX))) return false;
+    const meta = changes[SYNC_META_KEY] && changes[SYNC_META_KEY].newValue;
+    return !meta || meta.device !== this.deviceId;
+  }
+
+  /**
+   * Read the synced records, keyed by highlight id
+   */
+  async readRemote() {
+    const raw = await this.area.get(null);
+    const meta = raw[SYNC_META_KEY];
+    const entries = new Map();
+    const shardCount = meta && meta.version === SYNC_FORMAT_VERSION ? meta.shards : 0;
+
+    for (let i = 0; i < shardCount; i++) {
+      (raw[`${SYNC_KEY_PREFIX}${i}`] || []).forEach((entry) => {
+        if (!isValidSyncEntry(entry)) return;
+        const seen = entries.get(entry.i);
+        if (!seen || compareSyncEntries(entry, seen) > 0) {
+          entries.set(entry.i, entry);
+        }
+      });
+    }
+    return { raw, entries };
+  }
+
+  /**
+   * This device's records as sync entries. Highlights changed since the
+   * last sync get the next revision; ones gone since then get a tombstone.
+   */
+  collectLocalEntries(state, local, trash, now) {
+    const entries = new Map();
+
+    local.forEach((highlight, id) => {
+      const known = state.known[id];
+      const h = toSyncedRecord(highlight);
+      const s = hashRecord(h);
+      if (known && !known.x && known.s === s) {
+        entries.set(id, { ...known, i: id, h });
+      } else {
+        const u = Math.max(h.updatedAt || h.timestamp || 0, known ? known.u : 0);
+        entries.set(id, { i: id, r: (known ? known.r : 0) + 1, u, d: this.deviceId, h, s });
+      }
+    });
+
+    Object.entries(state.known).forEach(([id, known]) => {
+      if (local.has(id)) return;
+      if (known.x) {
+        entries.set(id, { ...known, i: id });
+      } else {
+        const deleted = trash.get(id);
+        const u = Math.max(deleted ? deleted.deletedAt : now, known.u);
+        entries.set(id, { i: id, r: known.r + 1, u, d: this.deviceId, x: 1 });
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Merge remote changes into the store and push this device's changes.
+   * Resolves with the status, which also reports how many records were
+   * applied from other devices.
+   */
+  async run() {
+    const store = await this.getStore();
+
+    return this.runLocked(async () => {
+      const state = await this.loadState();
+      try {
+        const now = Date.now();
+        const remote = await this.readRemote();
+        const local = new Map((await store.getAll()).map((h) => [h.id, h]));
+        const trash = new Map((await store.getTrash()).map((h) => [h.id, h]));
+        const merged = this.collectLocalEntries(state, local, trash, now);
+
+        // Take every remote record that wins over this device's version
+        const puts = [];
+        const deletes = [];
+        remote.entries.forEach((entry, id) => {
+          const mine = merged.get(id);
+          if (mine && compareSyncEntries(entry, mine) <= 0) return;
+          if (entry.x) {
+            merged.set(id, entry);
+            if (local.has(id)) deletes.push(id);
+          } else {
+            merged.set(id, { ...entry, s: hashRecord(entry.h) });
+            puts.push(withLocalFields(entry.h, local.get(id)));
+          }
+        });
+
+        if (deletes.length > 0) {
+          await this.trash(store, deletes);
+        }
+        if (puts.length > 0) {
+          await store.deleteFromTrash(puts.map((h) => h.id));
+          await store.putMany(puts);
+        }
+
+        merged.forEach((entry, id) => {
+          if (entry.x && now - entry.u > SYNC_TOMBSTONE_TTL) merged.delete(id);
+        });
+
+        const { shards, synced, skipped } = this.packShards([...merged.values()]);
+        await this.writeShards(remote.raw, shards, now);
+
+        state.known = {};
+        merged.forEach(({ i, h, ...known }) => {
+          state.known[i] = known;
+        });
+        state.status = {
+          state: skipped > 0 ? "partial" : "synced",
+          lastSyncAt: now,
+          synced,
+          skipped,
+          error: null,
+        };
+        await this.stateArea.set({ syncState: state });
+        return { ...state.status, applied: puts.length + deletes.length };
+      } catch (error) {
+        state.status = { ...state.status, state: "error", error: error.message };
+        await this.stateArea.set({ syncState: state });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Fill shards within the quota: tombstones first so deletes aren't lost,
+   * then highlights by most recent change. Records too big for one item, or
+   * past the total quota, are skipped.
+   */
+  packShards(entries) {
+    const encoder = new TextEncoder();
+    const sizeOf = (value) => encoder.encode(JSON.stringify(value)).length;
+    const ordered = [...entries].sort((a, b) => (b.x ? 1 : 0) - (a.x ? 1 : 0) || b.u - a.u);
+
+    const shards = [];
+    let shard = [];
+    let shardSize = 2;
+    // The meta key, written alongside the shards, counts toward the quota too
+    const meta = { version: SYNC_FORMAT_VERSION, shards: this.quota.maxItems, device: this.deviceId, updatedAt: Date.now() };
+    let total = SYNC_META_KEY.length + sizeOf(meta);
+    let synced = 0;
+    let skipped = 0;
+    const keySize = `${SYNC_KEY_PREFIX}${this.quota.maxItems}`.length;
+
+    ordered.forEach(({ i, r, u, d, x, h }) => {
+      const wire = x ? { i, r, u, d, x: 1 } : { i, r, u, d, h };
+      const size = sizeOf(wire) + 1;
+      if (size + 2 + keySize > this.quota.bytesPerItem) {
+        skipped += x ? 0 : 1;
+        return;
+      }
+
+      const opensShard = shard.length === 0 || keySize + shardSize + size > this.quota.bytesPerItem;
+      const added = size + (opensShard ? 2 + keySize : 0);
+      // Items in use: finished shards, the open one and the meta key
+      const items = shards.length + (shard.length > 0 ? 1 : 0) + 1;
+      if (total + added > this.quota.bytes || (opensShard && items + 1 > this.quota.maxItems)) {
+        skipped += x ? 0 : 1;
+        return;
+      }
+
+      if (opensShard && shard.length > 0) {
+        shards.push(shard);
+        shard = [];
+        shardSize = 2;
+      }
+      shard.push(wire);
+      shardSize += size;
+      total += added;
+      synced += x ? 0 : 1;
+    });
+    if (shard.length > 0) shards.push(shard);
+
+    return { shards, synced, skipped };
+  }
+
+  /**
+   * Write only the shards that changed, then drop leftover shard keys
+   */
+  async writeShards(raw, shards, now) {
+    const updates = {};
+    shards.forEach((shard, index) => {
+      const key = `${SYNC_KEY_PREFIX}${index}`;
+      if (JSON.stringify(raw[key]) !== JSON.stringify(shard)) {
+        updates[key] = shard;
+      }
+    });
+
+    const previous = raw[SYNC_META_KEY];
+    const stale = Object.keys(raw).filter(
+      (key) =>
+        key.startsWith(SYNC_KEY_PREFIX) &&
+        key !== SYNC_META_KEY &&
+        Number(key.substring(SYNC_KEY_PREFIX.length)) >= shards.length
+    );
+    const unchanged =
+      previous &&
+      previous.version === SYNC_FORMAT_VERSION &&
+      previous.shards === shards.length &&
+      Object.keys(updates).length === 0 &&
+      stale.length === 0;
+    if (unchanged) return;
+
+    updates[SYNC_META_KEY] = {
+      version: SYNC_FORMAT_VERSION,
+      shards: shards.length,
+      device: this.deviceId,
+      updatedAt: now,
+    };
+    await this.area.set(updates);
+    if (stale.length > 0) {
+      await this.area.remove(stale);
+    }
+  }
+}
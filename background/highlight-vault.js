@@ -0,0 +1,398 @@
+// Optional encryption of stored highlights with a passphrase
+// Imported by background.js via importScripts, along with ../shared/vault-crypto.js.
+// With the vault on, each record's text, note, summary, URL, title and page context
+// are sealed with AES-GCM into its "sealed" field. The normalized URL and
+// domain are swapped for keyed hashes so page lookups keep working through
+// the store's indexes. Ids, times, colors and tags stay readable.
+//
+// The derived key lives in memory and in chrome.storage.session, which is
+// never written to disk, so the vault locks again when the browser closes.
+
+const VAULT_META_KEY = "vault";
+const VAULT_SESSION_KEY = "vaultKey";
+const VAULT_CHECK_VALUE = "highlight-saver-vault";
+const VAULT_SECRET_FIELDS = ["text", "note", "summary", "url", "normalizedUrl", "domain", "title", "author", "pageText", "anchor"];
+const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+
+class HighlightVault {
+  /**
+   * @param {Object} options
+   * @param {Object} options.area - keeps the salt and passphrase check
+   * @param {Object} options.sessionArea - keeps the key while unlocked
+   * @param {number} options.iterations - PBKDF2 iterations for a new vault
+   */
+  constructor({
+    area = chrome.storage.local,
+    sessionArea = chrome.storage.session,
+    iterations = VAULT_PBKDF2_ITERATIONS,
+  } = {}) {
+    this.area = area;
+    this.sessionArea = sessionArea;
+    this.iterations = iterations;
+    this.meta = null;
+    this.keys = null;
+  }
+
+  /**
+   * Read the vault settings, and the key if the vault was unlocked
+   * before the service worker restarted
+   */
+  async load() {
+    const result = await this.area.get([VAULT_META_KEY]);
+    this.meta = result[VAULT_META_KEY] || null;
+    this.keys = null;
+    if (!this.meta) return;
+
+    const session = await this.sessionArea.get([VAULT_SESSION_KEY]);
+    if (session[VAULT_SESSION_KEY]) {
+      this.keys = await VaultCrypto.importKeys(VaultCrypto.fromBase64(session[VAULT_SESSION_KEY]));
+    }
+  }
+
+  get enabled() {
+    return this.meta !== null;
+  }
+
+  get locked() {
+    return this.enabled && this.keys === null;
+  }
+
+  getStatus() {
+    return { enabled: this.enabled, locked: this.locked };
+  }
+
+  requireKeys() {
+    if (!this.keys) {
+      const error = new Error("Highlights are locked. Unlock them with your passphrase.");
+      error.code = "VAULT_LOCKED";
+      throw error;
+    }
+    return this.keys;
+  }
+
+  async remember(keys) {
+    this.keys = { encryptionKey: keys.encryptionKey, indexKey: keys.indexKey };
+    await this.sessionArea.set({ [VAULT_SESSION_KEY]: VaultCrypto.toBase64(keys.raw) });
+  }
+
+  /**
+   * Turn the vault on with a new passphrase and unlock it. Callers encrypt
+   * the existing records afterwards.
+   */
+  async create(passphrase) {
+    if (this.enabled) {
+      throw new Error("Encryption is already on");
+    }
+    if (typeof passphrase !== "string" || passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = VaultCrypto.randomBytes(16);
+    const keys = await VaultCrypto.deriveKeys(passphrase, salt, this.iterations);
+    const meta = {
+      version: 1,
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: this.iterations, salt: VaultCrypto.toBase64(salt) },
+      check: await VaultCrypto.encryptJson(keys.encryptionKey, VAULT_CHECK_VALUE, VAULT_META_KEY),
+    };
+    await this.area.set({ [VAULT_META_KEY]: meta });
+    this.meta = meta;
+    await this.remember(keys);
+  }
+
+  /**
+   * Derive the keys for passphrase, throwing when it isn't the vault's
+   */
+  async verify(passphrase) {
+    if (!this.enabled) {
+      throw new Error("Encryption is off");
+    }
+    const { kdf, check } = this.meta;
+    const keys = await VaultCrypto.deriveKeys(
+      typeof passphrase === "string" ? passphrase : "",
+      VaultCrypto.fromBase64(kdf.salt),
+      kdf.iterations
+    );
+    try {
+      await VaultCrypto.decryptJson(keys.encryptionKey, check, VAULT_META_KEY);
+    } catch {
+      const error = new Error("Wrong passphrase");
+      error.code = "WRONG_PASSPHRASE";
+      throw error;
+    }
+    return keys;
+  }
+
+  async unlock(passphrase) {
+    await this.remember(await this.verify(passphrase));
+  }
+
+  async lock() {
+    this.keys = null;
+    await this.sessionArea.remove(VAULT_SESSION_KEY);
+  }
+
+  /**
+   * Turn the vault off. Callers decrypt the records first.
+   */
+  async clear() {
+    await this.area.remove(VAULT_META_KEY);
+    this.meta = null;
+    await this.lock();
+  }
+
+  blind(value) {
+    return VaultCrypto.blind(this.requireKeys().indexKey, value);
+  }
+
+  /**
+   * Seal a record's secret fields. Sealed records pass through unchanged.
+   */
+  async encryptRecord(record) {
+    const { encryptionKey } = this.requireKeys();
+    if (record.sealed) return record;
+
+    const sealed = { ...record };
+    const secret = {};
+    VAULT_SECRET_FIELDS.forEach((field) => {
+      if (record[field] !== undefined) {
+        secret[field] = record[field];
+        delete sealed[field];
+      }
+    });
+    if (typeof record.normalizedUrl === "string") {
+      sealed.normalizedUrl = await this.blind(record.normalizedUrl);
+    }
+    if (typeof record.domain === "string") {
+      sealed.domain = await this.blind(record.domain);
+    }
+    sealed.sealed = await VaultCrypto.encryptJson(encryptionKey, secret, record.id);
+    return sealed;
+  }
+
+  /**
+   * Open a sealed record. Records that aren't sealed pass through.
+   */
+  async decryptRecord(record) {
+    const { encryptionKey } = this.requireKeys();
+    if (!record.sealed) return record;
+
+    const { sealed, ...rest } = record;
+    return { ...rest, ...(await VaultCrypto.decryptJson(encryptionKey, sealed, record.id)) };
+  }
+
+  /**
+   * Encrypt an export so it opens with the vault's passphrase
+   */
+  encryptExport(payload) {
+    return VaultCrypto.encryptExport(payload, this.requireKeys().encryptionKey, this.meta.kdf);
+  }
+}
+
+/**
+ * A highlight store that encrypts records on the way in and decrypts them
+ * on the way out while the vault is on, and otherwise passes straight
+ * through. Visitors and appliers always see decrypted records; the prepare
+ * callbacks of moveToTrash and restoreFromTrash see stored ones, so they
+ * should only add or remove metadata.
+ */
+class VaultHighlightStore {
+  /**
+   * @param {Object} store - the underlying store, see highlight-store.js
+   * @param {HighlightVault} vault
+   */
+  constructor(store, vault) {
+    this.store = store;
+    this.vault = vault;
+  }
+
+  get backend() {
+    return this.store.backend;
+  }
+
+  get maxHighlights() {
+    return this.store.maxHighlights;
+  }
+
+  encryptAll(records) {
+    return Promise.all(records.map((r) => this.vault.encryptRecord(r)));
+  }
+
+  decryptAll(records) {
+    return Promise.all(records.map((r) => this.vault.decryptRecord(r)));
+  }
+
+  close() {
+    this.store.close();
+  }
+
+  async getAll() {
+    const records = await this.store.getAll();
+    return this.vault.enabled ? this.decryptAll(records) : records;
+  }
+
+  async get(id) {
+    const record = await this.store.get(id);
+    return this.vault.enabled && record ? this.vault.decryptRecord(record) : record;
+  }
+
+  getIds() {
+    return this.store.getIds();
+  }
+
+  /**
+   * Looks up both the plain and the hashed keys, so records stored before
+   * the vault was turned on are still found
+   */
+  async getForPage({ normalizedUrls = [], domains = [] }) {
+    if (!this.vault.enabled) {
+      return this.store.getForPage({ normalizedUrls, domains });
+    }
+    const blindAll = (values) => Promise.all(values.map((v) => this.vault.blind(v)));
+    const records = await this.store.getForPage({
+      normalizedUrls: [...normalizedUrls, ...(await blindAll(normalizedUrls))],
+      domains: [...domains, ...(await blindAll(domains))],
+    });
+    return this.decryptAll(records);
+  }
+
+  count() {
+    return this.store.count();
+  }
+
+  async putMany(highlights) {
+    return this.store.putMany(this.vault.enabled ? await this.encryptAll(highlights) : highlights);
+  }
+
+  put(highlight) {
+    return this.putMany([highlight]);
+  }
+
+  async replaceAll(highlights) {
+    return this.store.replaceAll(this.vault.enabled ? await this.encryptAll(highlights) : highlights);
+  }
+
+  /**
+   * Encrypted records can't be changed inside a store transaction, since
+   * WebCrypto is async; callers hold the storage lock, so reading and
+   * writing back separately is safe
+   */
+  async updateRecords(records, visit) {
+    const changed = [];
+    for (const highlight of await this.decryptAll(records)) {
+      if (visit(highlight)) changed.push(highlight);
+    }
+    await this.putMany(changed);
+    return changed.length;
+  }
+
+  async updateAll(visit) {
+    if (!this.vault.enabled) return this.store.updateAll(visit);
+    return this.updateRecords(await this.store.getAll(), visit);
+  }
+
+  async updateMany(ids, visit) {
+    if (!this.vault.enabled) return this.store.updateMany(ids, visit);
+    const records = await Promise.all(ids.map((id) => this.store.get(id)));
+    return this.updateRecords(records.filter(Boolean), visit);
+  }
+
+  async update(id, apply) {
+    if (!this.vault.enabled) return this.store.update(id, apply);
+    const highlight = await this.get(id);
+    if (!highlight) return null;
+    apply(highlight);
+    await this.put(highlight);
+    return highlight;
+  }
+
+  delete(id) {
+    return this.store.delete(id);
+  }
+
+  clear() {
+    return this.store.clear();
+  }
+
+  archiveOldest(count) {
+    return this.store.archiveOldest(count);
+  }
+
+  getArchives() {
+    return this.store.getArchives();
+  }
+
+  async readArchive(id) {
+    const highlights = await this.store.readArchive(id);
+    return this.vault.enabled && highlights ? this.decryptAll(highlights) : highlights;
+  }
+
+  /**
+   * Migration backups hold a copy of every highlight, so they're sealed too
+   */
+  async saveBackup(backup) {
+    if (!this.vault.enabled) return this.store.saveBackup(backup);
+    const highlights = await this.encryptAll(backup.data.highlights);
+    return this.store.saveBackup({ ...backup, data: { ...backup.data, highlights } });
+  }
+
+  async loadBackup() {
+    const backup = await this.store.loadBackup();
+    if (!backup || !this.vault.enabled) return backup;
+    const highlights = await this.decryptAll(backup.data.highlights);
+    return { ...backup, data: { ...backup.data, highlights } };
+  }
+
+  clearBackup() {
+    return this.store.clearBackup();
+  }
+
+  async moveToTrash(ids, prepare) {
+    const moved = await this.store.moveToTrash(ids, prepare);
+    return this.vault.enabled ? this.decryptAll(moved) : moved;
+  }
+
+  async restoreFromTrash(ids, prepare) {
+    const restored = await this.store.restoreFromTrash(ids, prepare);
+    return this.vault.enabled ? this.decryptAll(restored) : restored;
+  }
+
+  async getTrash() {
+    const records = await this.store.getTrash();
+    return this.vault.enabled ? this.decryptAll(records) : records;
+  }
+
+  deleteFromTrash(ids) {
+    return this.store.deleteFromTrash(ids);
+  }
+
+  emptyTrash() {
+    return this.store.emptyTrash();
+  }
+
+  purgeTrash(before) {
+    return this.store.purgeTrash(before);
+  }
+
+  /**
+   * Run every stored record, in the library, trash and archive, through
+   * transform. Callers hold the storage lock.
+   */
+  async rewriteEverything(transform) {
+    const records = await this.store.getAll();
+    const rewritten = await Promise.all(records.map(transform));
+    await this.store.putMany(rewritten.filter((r, i) => r !== records[i]));
+    await this.store.rewriteTrash(transform);
+    await this.store.rewriteArchives(transform);
+  }
+
+  /**
+   * Encrypt whatever isn't yet. Safe to repeat, e.g. after an interrupted run.
+   */
+  encryptEverything() {
+    return this.rewriteEverything((r) => this.vault.encryptRecord(r));
+  }
+
+  decryptEverything() {
+    return this.rewriteEverything((r) => this.vault.decryptRecord(r));
+  }
+}
@@ -0,0 +1,117 @@
+// Versioned schema migrations for stored data
+// Imported by background.js via importScripts. Each migration upgrades the
+// data from the previous schema version to its own and must be idempotent,
+// since an interrupted run is rolled back and repeated from the start.
+//
+// Migrations get a snapshot { highlights, collections, settings } and a
+// context { urlUtils }, and return the transformed snapshot (or mutate it
+// in place and return nothing).
+
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: "Store a normalized URL next to each raw URL",
+    migrate(data, { urlUtils }) {
+      data.highlights.forEach((h) => {
+        if (typeof h.normalizedUrl !== "string" && typeof h.url === "string") {
+          h.normalizedUrl = urlUtils.normalize(h.url);
+        }
+      });
+    },
+  },
+  {
+    version: 2,
+    description: "Give older highlights the note, tags, color and anchor fields",
+    migrate(data) {
+      data.highlights.forEach((h) => {
+        if (typeof h.note !== "string") h.note = "";
+        if (!Array.isArray(h.tags)) h.tags = [];
+        if (h.color === undefined) h.color = null;
+        if (h.anchor === undefined) h.anchor = null;
+      });
+    },
+  },
+];
+
+class SchemaMigrator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - highlight store, see highlight-store.js
+   * @param {Object} options.context - passed to every migration
+   * @param {Array} options.migrations - defaults to SCHEMA_MIGRATIONS
+   */
+  constructor({ store, context = {}, migrations = SCHEMA_MIGRATIONS }) {
+    this.store = store;
+    this.context = context;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+  }
+
+  async getVersion() {
+    const result = await chrome.storage.local.get(["schemaVersion"]);
+    return typeof result.schemaVersion === "number" ? result.schemaVersion : 0;
+  }
+
+  async readData() {
+    const result = await chrome.storage.local.get(["collections", "settings"]);
+    return {
+      highlights: await this.store.getAll(),
+      collections: result.collections || [],
+      settings: result.settings,
+    };
+  }
+
+  async writeData(data, schemaVersion) {
+    await this.store.replaceAll(data.highlights);
+    const updates = { collections: data.collections, schemaVersion };
+    if (data.settings !== undefined) {
+      updates.settings = data.settings;
+    } else {
+      await chrome.storage.local.remove("settings");
+    }
+    await chrome.storage.local.set(updates);
+  }
+
+  /**
+   * Run the pending migrations in order. Callers hold the storage lock.
+   * The data is backed up first; if any migration or the final write
+   * fails, the backup is restored and the error rethrown.
+   * Resolves with { from, to, applied } listing the applied versions.
+   */
+  async run() {
+    // A backup left behind means a run was cut short, e.g. the service
+    // worker was stopped mid-write; put the data back before retrying
+    const leftover = await this.store.loadBackup();
+    if (leftover) {
+      await this.rollback(leftover);
+    }
+
+    const from = await this.getVersion();
+    const pending = this.migrations.filter((m) => m.version > from);
+    if (pending.length === 0) {
+      return { from, to: from, applied: [] };
+    }
+
+    const snapshot = await this.readData();
+    const backup = { schemaVersion: from, createdAt: Date.now(), data: snapshot };
+    await this.store.saveBackup(backup);
+
+    try {
+      let data = JSON.parse(JSON.stringify(snapshot));
+      for (const migration of pending) {
+        data = (await migration.migrate(data, this.context)) || data;
+      }
+      await this.writeData(data, pending[pending.length - 1].version);
+    } catch (error) {
+      await this.rollback(backup);
+      throw new Error(`Schema migration from version ${from} failed: ${error.message}`);
+    }
+
+    await this.store.clearBackup();
+    return { from, to: pending[pending.length - 1].version, applied: pending.map((m) => m.version) };
+  }
+
+  async rollback(backup) {
+    await this.writeData(backup.data, backup.schemaVersion);
+    await this.store.clearBackup();
+  }
+}
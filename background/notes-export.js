@@ -0,0 +1,186 @@
+// Export for note-taking apps: one Markdown file per page
+// Imported by background.js via importScripts. Each file has YAML front
+// matter, one block per highlight with an id derived from the highlight's
+// id, and tags as [[wikilinks]]. Files hold nothing that changes between
+// exports (no export date), so exporting again overwrites them with the
+// same content plus whatever is new.
+//
+// Flavors: "obsidian" writes paragraphs with ^block-ids into Highlights/,
+// "logseq" writes outline blocks with id:: properties into pages/.
+
+const NOTES_FLAVORS = ["obsidian", "logseq"];
+const NOTES_MAX_NAME_LENGTH = 100;
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+class NotesExport {
+  /**
+   * A file name for a page: its title without the characters Obsidian and
+   * Logseq don't allow in note names
+   */
+  static fileName(title) {
+    const name = String(title || "")
+      .replace(/[\\/:*?"<>|#^[\]]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .substring(0, NOTES_MAX_NAME_LENGTH)
+      .trim();
+    return name.replace(/^\.+/, "") || "Untitled";
+  }
+
+  /**
+   * Short hash, to tell apart pages with the same title
+   */
+  static shortHash(value) {
+    return HashUtils.hash(value).slice(-6);
+  }
+
+  /**
+   * Obsidian block ids allow only letters, digits and dashes
+   */
+  static blockId(highlightId) {
+    const uuid = String(highlightId).match(UUID_PATTERN);
+    const base = uuid ? uuid[0] : String(highlightId);
+    return `hl-${base.toLowerCase().replace(/[^a-z0-9-]+/g, "-").replace(/^-+|-+$/g, "")}`;
+  }
+
+  /**
+   * Logseq block ids must be UUIDs: the one inside the highlight id when
+   * there is one, otherwise one hashed from the id
+   */
+  static async blockUuid(highlightId) {
+    const uuid = String(highlightId).match(UUID_PATTERN);
+    if (uuid) return uuid[0].toLowerCase();
+
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(String(highlightId)));
+    const bytes = new Uint8Array(digest).slice(0, 16);
+    // Version 8 (custom) and the RFC 4122 variant
+    bytes[6] = (bytes[6] & 0x0f) | 0x80;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  static tagName(tag) {
+    return tag.replace(/[[\]|#^]/g, "").trim();
+  }
+
+  static wikilinks(tags) {
+    return tags
+      .map((tag) => this.tagName(tag))
+      .filter(Boolean)
+      .map((tag) => `[[${tag}]]`)
+      .join(" ");
+  }
+
+  /**
+   * YAML front matter. Strings are written as JSON, which is valid YAML.
+   */
+  static frontMatter(page) {
+    const tags = page.tags.map((tag) => this.tagName(tag).replace(/\s+/g, "-")).filter(Boolean);
+    return [
+      "---",
+      `title: ${JSON.stringify(page.title)}`,
+      `url: ${JSON.stringify(page.url)}`,
+      `domain: ${JSON.stringify(page.domain)}`,
+      ...(tags.length ? ["tags:", ...tags.map((tag) => `  - ${JSON.stringify(tag)}`)] : ["tags: []"]),
+      `created: ${new Date(page.created).toISOString().split("T")[0]}`,
+      "---",
+      "",
+    ].join("\n");
+  }
+
+  static quote(text) {
+    return text
+      .split("\n")
+      .map((line) => (line ? `> ${line}` : ">"))
+      .join("\n");
+  }
+
+  static obsidianBlock(h) {
+    const lines = [this.quote(h.text), "", `^${this.blockId(h.id)}`, ""];
+    if (h.note) lines.push(h.note, "");
+    if (h.summary) lines.push(`**Summary:** ${h.summary}`, "");
+    if (h.tags.length) lines.push(this.wikilinks(h.tags), "");
+    return lines.join("\n");
+  }
+
+  /**
+   * Logseq continues a block on lines indented to its bullet's text
+   */
+  static async logseqBlock(h) {
+    const indent = (text, prefix) => text.split("\n").join(`\n${prefix}`);
+    const lines = [`- ${indent(this.quote(h.text), "  ")}`, `  id:: ${await this.blockUuid(h.id)}`];
+    if (h.note) lines.push(`\t- ${indent(h.note, "\t  ")}`);
+    if (h.summary) lines.push(`\t- **Summary:** ${indent(h.summary, "\t  ")}`);
+    if (h.tags.length) lines.push(`\t- ${this.wikilinks(h.tags)}`);
+    return lines.join("\n");
+  }
+
+  /**
+   * Group highlights by page, each page's highlights in the order they
+   * were saved
+   */
+  static groupPages(highlights) {
+    const pages = new Map();
+    [...highlights]
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0) || String(a.id).localeCompare(String(b.id)))
+      .forEach((h) => {
+        const key = h.normalizedUrl || h.url;
+        if (!pages.has(key)) {
+          pages.set(key, {
+            key,
+            url: h.url,
+            domain: h.domain || "",
+            title: h.title || h.domain || h.url,
+            created: h.timestamp || 0,
+            modified: 0,
+            tags: new Set(),
+            highlights: [],
+          });
+        }
+        const page = pages.get(key);
+        const tags = Array.isArray(h.tags) ? h.tags : [];
+        tags.forEach((tag) => page.tags.add(tag));
+        page.modified = Math.max(page.modified, h.timestamp || 0);
+        page.highlights.push({ id: h.id, text: h.text || "", note: h.note || "", summary: h.summary || "", tags });
+      });
+    return [...pages.values()].map((page) => ({ ...page, tags: [...page.tags].sort() }));
+  }
+
+  /**
+   * Render highlights as [{ path, content, modified }], sorted by path.
+   * Each name ends in a short hash of the page's URL, so it depends on
+   * nothing but the page: pages sharing a title get distinct names, and
+   * a page keeps its name when another with its title is highlighted.
+   */
+  static async toFiles(highlights, { flavor = "obsidian" } = {}) {
+    if (!NOTES_FLAVORS.includes(flavor)) {
+      throw new Error(`Unsupported notes format: ${flavor}`);
+    }
+    const folder = flavor === "logseq" ? "pages" : "Highlights";
+    const pages = this.groupPages(highlights);
+
+    const files = [];
+    for (const page of pages) {
+      const name = `${this.fileName(page.title)} (${this.shortHash(page.key)})`;
+
+      let body;
+      if (flavor === "logseq") {
+        const blocks = [];
+        for (const h of page.highlights) blocks.push(await this.logseqBlock(h));
+        body = `${blocks.join("\n")}\n`;
+      } else {
+        body = [`# ${page.title}`, "", `Source: <${page.url}>`, "", ...page.highlights.map((h) => this.obsidianBlock(h))]
+          .join("\n")
+          .replace(/\n+$/, "\n");
+      }
+
+      files.push({
+        path: `${folder}/${name}.md`,
+        content: `${this.frontMatter(page)}\n${body}`,
+        modified: page.modified,
+      });
+    }
+    return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  }
+}
@@ -0,0 +1,97 @@
+// Undo/redo journal for highlight mutations
+// Imported by background.js via importScripts. Each entry pairs the steps
+// that revert an operation with the steps that repeat it. Steps are plain
+// data ({ op: "trash" | "restore" | "update" | "put", ... }) carried out by
+// BackgroundService.applyJournalSteps, so the journal can live in
+// chrome.storage.session and survive service worker restarts.
+
+const MAX_JOURNAL_ENTRIES = 50;
+
+class OperationJournal {
+  /**
+   * @param {Object} options
+   * @param {Object} options.area - storage area; kept in memory when missing
+   * @param {number} options.maxEntries - oldest entries are dropped past it
+   */
+  constructor({ area = chrome.storage.session, maxEntries = MAX_JOURNAL_ENTRIES } = {}) {
+    this.area = area || null;
+    this.maxEntries = maxEntries;
+    this.memory = { done: [], undone: [] };
+  }
+
+  static generateId() {
+    return `op_${crypto.randomUUID()}`;
+  }
+
+  async read() {
+    if (!this.area) return this.memory;
+    const result = await this.area.get(["operationJournal"]);
+    return result.operationJournal || { done: [], undone: [] };
+  }
+
+  async write(state) {
+    state.done.splice(0, Math.max(state.done.length - this.maxEntries, 0));
+    state.undone.splice(0, Math.max(state.undone.length - this.maxEntries, 0));
+    if (!this.area) {
+      this.memory = state;
+      return;
+    }
+    await this.area.set({ operationJournal: state });
+  }
+
+  /**
+   * Add an operation to the undo stack. A new operation makes the redo
+   * stack meaningless, so it's cleared. Journaling is best effort: a failed
+   * write leaves the operation itself in place and only loses its undo.
+   */
+  async record({ id = OperationJournal.generateId(), type, label, undo, redo }) {
+    try {
+      const state = await this.read();
+      state.done.push({ id, type, label, timestamp: Date.now(), undo, redo });
+      state.undone = [];
+      await this.write(state);
+    } catch (error) {
+      console.error("Failed to record operation for undo:", error);
+    }
+    return id;
+  }
+
+  /**
+   * Pop the latest entry off the "done" (undo) or "undone" (redo) stack.
+   * With an id, only that entry is taken, so a stale Undo button can't
+   * revert someone else's later change.
+   */
+  async take(stack, id = null) {
+    const state = await this.read();
+    const entries = state[stack];
+    const entry = entries[entries.length - 1];
+    if (!entry) {
+      throw new Error(stack === "done" ? "Nothing to undo" : "Nothing to redo");
+    }
+    if (id && entry.id !== id) {
+      throw new Error("This change can no longer be undone");
+    }
+
+    entries.pop();
+    await this.write(state);
+    return entry;
+  }
+
+  async push(stack, entry) {
+    const state = await this.read();
+    state[stack].push(entry);
+    await this.write(state);
+  }
+
+  /**
+   * What undo and redo would do next, for UI labels
+   */
+  async getStatus() {
+    const { done, undone } = await this.read();
+    const describe = (entry) => (entry ? { id: entry.id, type: entry.type, label: entry.label } : null);
+    return {
+      undo: describe(done[done.length - 1]),
+      redo: describe(undone[undone.length - 1]),
+    };
+  }
+}
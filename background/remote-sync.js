@@ -0,0 +1,401 @@
+// Sync with a self-hosted server over WebDAV or a JSON REST API
+// Imported by background.js via importScripts, after highlight-sync.js
+// (for hashRecord, toSyncedRecord and withLocalFields). Each adapter speaks one protocol behind the same
+// interface:
+//
+//   pull(since) -> { highlights, deleted: [{ id, deletedAt }], cursor }
+//     highlights changed and deleted after `since`, an updatedAt time
+//   push({ upserts, deletes }) -> resolves once the server has them
+//
+// Servers keep the record with the later updatedAt (or deletedAt), and
+// RemoteSync does the same with what it pulls. Local changes wait in an
+// outbox in chrome.storage.local until a push succeeds, so they survive
+// being offline and service worker restarts; failed attempts back off.
+// Queued changes are stamped with the time they're pushed, not queued:
+// other devices' cursors may already be past a change made offline.
+
+const REMOTE_SYNC_TYPES = ["rest", "webdav"];
+const REMOTE_SYNC_TIMEOUT = 15000;
+const REMOTE_SYNC_BACKOFF = { base: 5000, max: 60 * 60 * 1000 };
+const WEBDAV_FILE_NAME = "highlight-saver.json";
+
+/**
+ * fetch with a timeout, turning network failures into readable errors
+ */
+async function remoteFetch(fetchFn, url, options = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REMOTE_SYNC_TIMEOUT);
+  try {
+    return await fetchFn(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    throw new Error(
+      error.name === "AbortError"
+        ? "Sync server did not respond in time"
+        : `Sync server unreachable: ${error.message}`
+    );
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function httpError(response, action) {
+  const error = new Error(`${action} failed: HTTP ${response.status}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * The latest change time in a pull, so the next one starts after it
+ */
+function pullCursor(since, highlights, deleted) {
+  return Math.max(
+    since,
+    ...highlights.map((h) => h.updatedAt || 0),
+    ...deleted.map((d) => d.deletedAt || 0)
+  );
+}
+
+/**
+ * Generic JSON API:
+ *   GET  {url}/highlights?since=<ms> -> { highlights, deleted, cursor? }
+ *   POST {url}/highlights  { upserts, deletes }
+ * A token is sent as a Bearer Authorization header.
+ */
+class RestSyncAdapter {
+  constructor({ url, token = "", fetch: fetchFn = (...args) => fetch(...args) }) {
+    this.url = url.replace(/\/+$/, "");
+    this.token = token;
+    this.fetch = fetchFn;
+  }
+
+  headers() {
+    return {
+      "Content-Type": "application/json",
+      ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+    };
+  }
+
+  async pull(since) {
+    const response = await remoteFetch(
+      this.fetch,
+      `${this.url}/highlights?since=${encodeURIComponent(since)}`,
+      { headers: this.headers() }
+    );
+    if (!response.ok) {
+      throw httpError(response, "Pull");
+    }
+
+    const body = await response.json();
+    const highlights = Array.isArray(body.highlights) ? body.highlights : [];
+    const deleted = Array.isArray(body.deleted) ? body.deleted : [];
+    const cursor = typeof body.cursor === "number" ? body.cursor : pullCursor(since, highlights, deleted);
+    return { highlights, deleted, cursor };
+  }
+
+  async push(changes) {
+    const response = await remoteFetch(this.fetch, `${this.url}/highlights`, {
+      method: "POST",
+      headers: this.headers(),
+      body: JSON.stringify(changes),
+    });
+    if (!response.ok) {
+      throw httpError(response, "Push");
+    }
+  }
+}
+
+/**
+ * Keeps every highlight in one JSON file in a WebDAV folder. Writes are
+ * conditional on the file's ETag, so concurrent pushes from two devices
+ * merge instead of overwriting each other.
+ */
+class WebDavSyncAdapter {
+  constructor({ url, username = "", password = "", fetch: fetchFn = (...args) => fetch(...args) }) {
+    this.fileUrl = `${url.replace(/\/+$/, "")}/${WEBDAV_FILE_NAME}`;
+    this.username = username;
+    this.password = password;
+    this.fetch = fetchFn;
+  }
+
+  headers(extra = {}) {
+    const auth = this.username
+      ? { Authorization: `Basic ${btoa(`${this.username}:${this.password}`)}` }
+      : {};
+    return { ...auth, ...extra };
+  }
+
+  async readFile() {
+    const response = await remoteFetch(this.fetch, this.fileUrl, { headers: this.headers() });
+    if (response.status === 404) {
+      return { data: { highlights: {}, deleted: {} }, exists: false, etag: null };
+    }
+    if (!response.ok) {
+      throw httpError(response, "Pull");
+    }
+
+    const data = await response.json();
+    return {
+      data: { highlights: data.highlights || {}, deleted: data.deleted || {} },
+      exists: true,
+      etag: response.headers.get("ETag"),
+    };
+  }
+
+  async pull(since) {
+    const { data } = await this.readFile();
+    const highlights = Object.values(data.highlights).filter((h) => (h.updatedAt || 0) > since);
+    const deleted = Object.entries(data.deleted)
+      .filter(([, deletedAt]) => deletedAt > since)
+      .map(([id, deletedAt]) => ({ id, deletedAt }));
+    return { highlights, deleted, cursor: pullCursor(since, highlights, deleted) };
+  }
+
+  async push({ upserts, deletes }) {
+    // A 412 means another device wrote in between; merge into its version
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { data, exists, etag } = await this.readFile();
+      upserts.forEach((h) => {
+        const current = data.highlights[h.id];
+        if ((current ? current.updatedAt || 0 : data.deleted[h.id] || 0) <= h.updatedAt) {
+          data.highlights[h.id] = h;
+          delete data.deleted[h.id];
+        }
+      });
+      deletes.forEach(({ id, deletedAt }) => {
+        const current = data.highlights[id];
+        if (!current || (current.updatedAt || 0) <= deletedAt) {
+          delete data.highlights[id];
+          data.deleted[id] = deletedAt;
+        }
+      });
+
+      const response = await remoteFetch(this.fetch, this.fileUrl, {
+        method: "PUT",
+        headers: this.headers({
+          "Content-Type": "application/json",
+          ...(etag ? { "If-Match": etag } : exists ? {} : { "If-None-Match": "*" }),
+        }),
+        body: JSON.stringify(data),
+      });
+      if (response.status === 412) continue;
+      if (!response.ok) {
+        throw httpError(response, "Push");
+      }
+      return;
+    }
+    throw new Error("Push failed: the sync file kept changing on the server");
+  }
+}
+
+function createRemoteSyncAdapter(config) {
+  switch (config.type) {
+    case "rest":
+      return new RestSyncAdapter(config);
+    case "webdav":
+      return new WebDavSyncAdapter(config);
+    default:
+      throw new Error(`Unknown sync server type: ${config.type}`);
+  }
+}
+
+class RemoteSync {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getStore - resolves with the highlight store
+   * @param {Function} options.getConfig - resolves with the server config
+   * @param {Function} options.runLocked - runs a step under the storage lock
+   * @param {Function} options.trash - (store, ids) moves highlights deleted
+   *   on the server to the trash
+   * @param {Object} options.stateArea - keeps the cursor and outbox
+   * @param {Function} options.createAdapter - config -> adapter
+   */
+  constructor({
+    getStore,
+    getConfig,
+    runLocked = (fn) => fn(),
+    trash = (store, ids) => store.moveToTrash(ids, (h) => ({ ...h, deletedAt: Date.now() })),
+    stateArea = chrome.storage.local,
+    createAdapter = createRemoteSyncAdapter,
+  }) {
+    this.getStore = getStore;
+    this.getConfig = getConfig;
+    this.runLocked = runLocked;
+    this.trash = trash;
+    this.stateArea = stateArea;
+    this.createAdapter = createAdapter;
+  }
+
+  static backoff(attempts) {
+    return Math.min(REMOTE_SYNC_BACKOFF.base * 2 ** (attempts - 1), REMOTE_SYNC_BACKOFF.max);
+  }
+
+  async loadState() {
+    const result = await this.stateArea.get(["remoteSyncState"]);
+    return (
+      result.remoteSyncState || {
+        cursor: 0,
+        known: {},
+        outbox: {},
+        attempts: 0,
+        nextAttemptAt: 0,
+        status: { state: "idle", lastSyncAt: null, pending: 0, error: null },
+      }
+    );
+  }
+
+  /**
+   * Read-modify-write the sync state under the storage lock
+   */
+  async updateState(mutate) {
+    return this.runLocked(async () => {
+      const state = await this.loadState();
+      await mutate(state);
+      state.status.pending = Object.keys(state.outbox).length;
+      await this.stateArea.set({ remoteSyncState: state });
+      return state;
+    });
+  }
+
+  async getStatus() {
+    return (await this.loadState()).status;
+  }
+
+  /**
+   * Forget what was synced, e.g. for a different server, so the next run
+   * pulls everything and pushes every highlight
+   */
+  async reset() {
+    await this.runLocked(() => this.stateArea.remove("remoteSyncState"));
+  }
+
+  /**
+   * Queue highlights changed or removed since they were last synced.
+   * Outbox entries are keyed by highlight id, so only the latest change
+   * to each highlight is sent.
+   */
+  async collectChanges(store, state, now) {
+    const seen = new Set();
+    (await store.getAll()).forEach((h) => {
+      seen.add(h.id);
+      const s = hashRecord(h);
+      if (state.known[h.id] === s) return;
+      state.known[h.id] = s;
+      state.outbox[h.id] = { op: "upsert", record: { ...toSyncedRecord(h), updatedAt: now } };
+    });
+
+    Object.keys(state.known).forEach((id) => {
+      if (seen.has(id)) return;
+      delete state.known[id];
+      state.outbox[id] = { op: "delete", deletedAt: now };
+    });
+  }
+
+  /**
+   * Apply pulled changes that are newer than anything queued locally,
+   * leaving out copies of records this device already holds
+   */
+  async applyPulled(store, state, { highlights, deleted }) {
+    const changedAt = (entry) => (entry.op === "upsert" ? entry.record.updatedAt : entry.deletedAt);
+    const isNewer = (id, time) => !state.outbox[id] || changedAt(state.outbox[id]) <= time;
+
+    const puts = highlights.filter(
+      (h) => h && typeof h.id === "string" && typeof h.text === "string" && typeof h.url === "string" &&
+        isNewer(h.id, h.updatedAt || 0) && state.known[h.id] !== hashRecord(h)
+    );
+    const removed = deleted.filter((d) => d && typeof d.id === "string" && isNewer(d.id, d.deletedAt || 0));
+
+    const trashIds = removed.map((d) => d.id).filter((id) => state.known[id]);
+    if (trashIds.length > 0) {
+      await this.trash(store, trashIds);
+    }
+    if (puts.length > 0) {
+      const locals = await Promise.all(puts.map((h) => store.get(h.id)));
+      await store.deleteFromTrash(puts.map((h) => h.id));
+      await store.putMany(puts.map((h, i) => withLocalFields(toSyncedRecord(h), locals[i])));
+    }
+
+    removed.forEach(({ id }) => {
+      delete state.known[id];
+      delete state.outbox[id];
+    });
+    puts.forEach((h) => {
+      state.known[h.id] = hashRecord(h);
+      delete state.outbox[h.id];
+    });
+    return puts.length + trashIds.length;
+  }
+
+  /**
+   * Queue local changes, pull from the server, then push the outbox.
+   * Network calls run outside the storage lock. Until a failed run's
+   * backoff has passed, only forced runs reach the server. Resolves with
+   * the status plus the number of changes applied locally.
+   */
+  async run({ force = false } = {}) {
+    const config = await this.getConfig();
+    if (!config || !config.enabled) {
+      throw new Error("Remote sync is turned off");
+    }
+    const adapter = this.createAdapter(config);
+    const store = await this.getStore();
+
+    let state = await this.updateState((s) => this.collectChanges(store, s, Date.now()));
+    if (!force && Date.now() < state.nextAttemptAt) {
+      return { ...state.status, applied: 0 };
+    }
+
+    try {
+      const pulled = await adapter.pull(state.cursor);
+      let applied = 0;
+      state = await this.updateState(async (s) => {
+        applied = await this.applyPulled(store, s, pulled);
+        s.cursor = Math.max(s.cursor, pulled.cursor);
+      });
+
+      // The pull above dropped queued changes older than the server's copy.
+      // What's left is stamped with the push time, so devices whose cursor
+      // already passed the time of an offline edit still pull it.
+      const entries = Object.entries(state.outbox);
+      const pushedAt = Date.now();
+      if (entries.length > 0) {
+        await adapter.push({
+          upserts: entries
+            .filter(([, e]) => e.op === "upsert")
+            .map(([, e]) => ({ ...e.record, updatedAt: pushedAt })),
+          deletes: entries.filter(([, e]) => e.op === "delete").map(([id]) => ({ id, deletedAt: pushedAt })),
+        });
+      }
+
+      state = await this.updateState(async (s) => {
+        // Keep anything queued again while the push was in flight
+        const done = entries.filter(([id, entry]) => JSON.stringify(s.outbox[id]) === JSON.stringify(entry));
+        done.forEach(([id]) => delete s.outbox[id]);
+
+        // Give local records the stamp they were pushed with, unless edited
+        // since, so the next pull sees them as already held
+        const upserted = done.filter(([, e]) => e.op === "upsert").map(([id]) => id);
+        const locals = await Promise.all(upserted.map((id) => store.get(id)));
+        const stamped = locals
+          .filter((h) => h && s.known[h.id] === hashRecord(h))
+          .map((h) => ({ ...h, updatedAt: pushedAt }));
+        if (stamped.length > 0) {
+          await store.putMany(stamped);
+          stamped.forEach((h) => (s.known[h.id] = hashRecord(h)));
+        }
+
+        s.attempts = 0;
+        s.nextAttemptAt = 0;
+        s.status = { state: "synced", lastSyncAt: Date.now(), pending: Object.keys(s.outbox).length, error: null };
+      });
+      return { ...state.status, applied };
+    } catch (error) {
+      state = await this.updateState((s) => {
+        s.attempts += 1;
+        s.nextAttemptAt = Date.now() + RemoteSync.backoff(s.attempts);
+        s.status = { ...s.status, state: "error", error: error.message, retryAt: s.nextAttemptAt };
+      });
+      error.retryIn = state.nextAttemptAt - Date.now();
+      throw error;
+    }
+  }
+}
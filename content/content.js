@@ -8,13 +8,24 @@ class HighlightSaver {
     this.cacheManager = new ns.CacheManager();
     this.domUtils = new ns.DOMUtils();
     this.rangeUtils = new ns.RangeUtils();
+    this.anchorUtils = new ns.AnchorUtils();
     this.eventUtils = new ns.EventUtils();
     this.uiUtils = new ns.UIUtils();
-    this.storageUtils = new ns.StorageUtils();
+    this.urlUtils = new ns.UrlUtils();
+    this.textFragmentUtils = new ns.TextFragmentUtils();
+    this.storageUtils = new ns.StorageUtils(this.urlUtils);
     this.aiUtils = new ns.AIUtils(this.cacheManager, this.storageUtils);
 
     // State management
     this.savedHighlights = new Map();
+    this.anchorResults = new Map();
+    this.markPassId = 0;
+    this.pendingAnchors = new Map();
+    // How many page changes each pending highlight has been retried on
+    this.anchorRetries = new Map();
+    this.offeredTextFragments = new Set();
+    this.colorPalette = [];
+    this.selectedColor = null;
     this.pendingHighlight = null;
     this.savedHighlightsData = [];
     this.isSummarizing = false;
@@ -28,8 +39,10 @@ class HighlightSaver {
 
       // Check if we're in a valid context for Chrome extension
       if (this.storageUtils.isChromeExtensionContext()) {
+        await this.loadSettings();
         await this.loadSavedHighlights();
         this.markExistingHighlights();
+        this.handleTextFragment();
       } else {
         console.warn(
           "Chrome extension APIs not available, running in limited mode"
@@ -55,6 +68,9 @@ class HighlightSaver {
       }),
       onUrlFragment: () => this.handleUrlFragment(),
       onCleanup: () => this.cleanup(),
+      onUrlChange: () => this.handleUrlChange(),
+      onDomMutation: () => this.handleDomMutation(),
+      onPageRestore: () => this.refreshHighlights(),
       onMessage: this.eventUtils.createMessageHandler({
         cleanup: () => this.cleanup(),
         highlightsUpdated: () => this.refreshHighlights(),
@@ -74,6 +90,10 @@ class HighlightSaver {
         // Don't recreate the popup while summarization is in progress
         if (this.isSummarizing) return;
 
+        // Clicks and typing inside the popup (swatches, note field) are
+        // not a new selection
+        if (event && this.uiUtils.isInsidePopup(event.target)) return;
+
         // Remove existing popup
         this.uiUtils.removePopup();
 
@@ -95,12 +115,14 @@ class HighlightSaver {
     const pageInfo = this.storageUtils.getPageInfo();
     const selectionData = this.rangeUtils.storeSelectionData(
       selection,
-      selectedText
+      selectedText,
+      this.anchorUtils
     );
 
     this.pendingHighlight = {
       ...selectionData,
       pageInfo: pageInfo,
+      color: this.selectedColor,
     };
   }
 
@@ -109,13 +131,56 @@ class HighlightSaver {
       save: () => this.handleSaveClick(),
       cancel: () => this.handleCancelClick(),
       summarize: () => this.handleSummarizeClick(),
+      tags: () => this.handleTagsClick(),
+      collection: () => this.handleCollectionClick(),
+      colors: this.getColorPickerOptions(),
     };
 
     this.uiUtils.showSavePopup(selectedText, event, handlers);
   }
 
+  getColorPickerOptions() {
+    return {
+      palette: this.colorPalette,
+      selected: this.pendingHighlight?.color || this.selectedColor,
+      onSelect: (colorId) => this.handleColorSelect(colorId),
+    };
+  }
+
+  /**
+   * The chosen color applies to the pending highlight and is remembered
+   * for the next one
+   */
+  handleColorSelect(colorId) {
+    this.selectedColor = colorId;
+    if (this.pendingHighlight) {
+      this.pendingHighlight.color = colorId;
+    }
+  }
+
+  async handleTagsClick() {
+    const tags = await this.storageUtils.loadTags();
+    this.uiUtils.showTagEditor(tags.map((tag) => tag.name));
+  }
+
+  async handleCollectionClick() {
+    const collections = await this.storageUtils.loadCollections();
+    this.uiUtils.showCollectionPicker(collections);
+  }
+
+  /**
+   * Copy the collection, note and tags fields of the save popup onto the
+   * pending highlight
+   */
+  readPopupFields() {
+    this.pendingHighlight.collectionId = this.uiUtils.getCollectionValue();
+    this.pendingHighlight.note = this.uiUtils.getNoteValue();
+    this.pendingHighlight.tags = this.uiUtils.getTagsValue();
+  }
+
   handleSaveClick() {
     if (this.pendingHighlight) {
+      this.readPopupFields();
       this.saveHighlightFromPending();
     } else {
       console.error("No pending highlight data to save");
@@ -135,18 +200,27 @@ class HighlightSaver {
   }
 
   async handleSummarizeClick() {
+    // The summary popup replaces the save popup, so keep what was typed in it
+    if (this.pendingHighlight) {
+      this.readPopupFields();
+    }
     this.isSummarizing = true;
     try {
       await this.aiUtils.handleSummarizeRequest(
         this.pendingHighlight,
-        this.uiUtils
+        this.uiUtils,
+        () => this.saveHighlightFromPending()
       );
     } finally {
       this.isSummarizing = false;
     }
   }
 
-  async saveHighlightFromPending() {
+  /**
+   * Save the pending highlight. overflow overrides the overflow policy,
+   * once the user agreed to archive old highlights to make room.
+   */
+  async saveHighlightFromPending(overflow = null) {
     if (!this.pendingHighlight) {
       console.error("No pending highlight data");
       this.uiUtils.showErrorFeedback("No highlight data found");
@@ -160,11 +234,27 @@ class HighlightSaver {
       );
 
       // Save to storage
-      const result = await this.storageUtils.saveHighlight(highlight);
+      const result = await this.storageUtils.saveHighlight(
+        highlight,
+        this.pendingHighlight.collectionId,
+        overflow
+      );
+
+      // At the highlight limit, the overflow policy may ask before archiving
+      if (result && result.code === "HIGHLIGHT_LIMIT_CONFIRM") {
+        this.uiUtils.showConfirmPrompt(result.error, {
+          confirmLabel: "Archive and save",
+          onConfirm: () => this.saveHighlightFromPending("archive"),
+          onCancel: () => this.handleCancelClick(),
+        });
+        return;
+      }
 
       if (result && result.success) {
         // Mark text as saved using stored range data
-        this.markTextAsSavedFromPending(highlight.id);
+        this.eventUtils.withoutObservingMutations(() => {
+          this.markTextAsSavedFromPending(highlight);
+        });
 
         // Clear pending data and selection
         this.pendingHighlight = null;
@@ -173,9 +263,12 @@ class HighlightSaver {
           selection.removeAllRanges();
         }
 
-        // Remove popup and show success
+        // Remove popup and show success, with a way to take the save back
         this.uiUtils.removePopup();
-        this.uiUtils.showSuccessFeedback();
+        const { operationId } = result;
+        this.uiUtils.showSuccessFeedback(
+          operationId ? () => this.undoSave(operationId) : null
+        );
       } else {
         throw new Error(result?.error || "Unknown storage error");
       }
@@ -185,7 +278,24 @@ class HighlightSaver {
     }
   }
 
-  markTextAsSavedFromPending(highlightId) {
+  /**
+   * Undo a save from the feedback toast. The background then tells every
+   * tab to refresh, which unmarks the text.
+   */
+  async undoSave(operationId) {
+    try {
+      const response = await this.storageUtils.undoOperation(operationId);
+      if (!response.success) {
+        throw new Error(response.error || "Background script returned error");
+      }
+      this.uiUtils.showFeedback("Highlight removed", "#6b7280");
+    } catch (error) {
+      console.error("Failed to undo save:", error);
+      this.uiUtils.showErrorFeedback("Failed to undo: " + error.message);
+    }
+  }
+
+  markTextAsSavedFromPending(highlight) {
     if (!this.pendingHighlight || !this.pendingHighlight.range) {
       console.error("No pending range data to mark");
       return;
@@ -199,27 +309,27 @@ class HighlightSaver {
 
       if (!range) {
         // Fallback to text-based marking
-        this.markTextByContent(this.pendingHighlight.text, highlightId);
+        this.markTextByContent(this.pendingHighlight.text, highlight);
         return;
       }
 
       // Mark the range with a span
       const span = this.rangeUtils.markRangeWithSpan(
         range,
-        highlightId,
+        { id: highlight.id, color: highlight.color },
         this.domUtils
       );
       if (span) {
-        this.savedHighlights.set(highlightId, span);
+        this.savedHighlights.set(highlight.id, span);
       }
     } catch (error) {
       console.error("Error marking text as saved:", error);
       // Fallback: try text-based marking
-      this.markTextByContent(this.pendingHighlight.text, highlightId);
+      this.markTextByContent(this.pendingHighlight.text, highlight);
     }
   }
 
-  markTextByContent(text, highlightId) {
+  markTextByContent(text, highlight) {
     // Use CacheManager to avoid full DOM walks on repeated lookups
     const cacheKey = `${text}_${window.location.href}`;
     let textNodes = this.cacheManager.getCachedTextNodes(cacheKey);
@@ -246,16 +356,28 @@ class HighlightSaver {
 
       if (index !== -1) {
         const span = this.domUtils.markTextInNode(bestNode, text, index, {
-          id: highlightId,
+          id: highlight.id,
           text: text,
+          color: highlight.color,
         });
         if (span) {
-          this.savedHighlights.set(highlightId, span);
+          this.savedHighlights.set(highlight.id, span);
         }
       }
     }
   }
 
+  async loadSettings() {
+    const settings = await this.storageUtils.loadSettings();
+    this.urlUtils.setRules(settings.urlRules);
+
+    this.colorPalette = settings.colorPalette || [];
+    this.domUtils.setColorPalette(this.colorPalette);
+    if (!this.colorPalette.some((entry) => entry.id === this.selectedColor)) {
+      this.selectedColor = this.colorPalette.length > 0 ? this.colorPalette[0].id : null;
+    }
+  }
+
   async loadSavedHighlights() {
     try {
       this.savedHighlightsData = await this.storageUtils.loadHighlights();
@@ -270,6 +392,7 @@ class HighlightSaver {
    * Called when the background script notifies about storage changes.
    */
   async refreshHighlights() {
+    await this.loadSettings();
     await this.loadSavedHighlights();
     this.markExistingHighlights();
   }
@@ -278,65 +401,226 @@ class HighlightSaver {
     try {
       // Update DOM cache and remove existing highlights
       this.cacheManager.updateDomCache();
-      this.domUtils.removeExistingHighlightsBatch();
+      this.eventUtils.withoutObservingMutations(() => {
+        this.domUtils.removeExistingHighlightsBatch();
+      });
       this.savedHighlights.clear();
+      this.anchorResults.clear();
+      this.pendingAnchors.clear();
+      this.anchorRetries.clear();
 
-      // Mark highlights for current page
+      // Mark highlights for current page, matched by normalized URL so tracking
+      // parameters, fragments and canonical links don't hide them
       const currentUrl = window.location.href;
+      const pageUrlKeys = this.storageUtils.getPageUrlKeys();
       const pageHighlights = this.savedHighlightsData.filter(
-        (h) => h.url === currentUrl
+        (h) =>
+          pageUrlKeys.has(h.normalizedUrl) ||
+          pageUrlKeys.has(this.urlUtils.normalize(h.url))
       );
 
+      // A newer pass supersedes this one; only the latest keeps marking and reports
+      const passId = ++this.markPassId;
+      const results = [];
+
       // Process highlights in chunks using EventUtils
-      this.eventUtils.processInChunks(pageHighlights, (highlight) => {
-        this.findAndMarkTextOptimized(highlight);
-      });
+      this.eventUtils.processInChunks(
+        pageHighlights,
+        (highlight) => {
+          if (passId !== this.markPassId) return;
+
+          const anchored = this.eventUtils.withoutObservingMutations(() =>
+            this.findAndMarkTextOptimized(highlight)
+          );
+          if (!anchored) {
+            // Retried when the page adds content (lazy loading, client-side rendering)
+            this.pendingAnchors.set(highlight.id, highlight);
+          }
+          results.push({
+            id: highlight.id,
+            status: anchored ? "anchored" : "orphaned",
+            confidence: anchored ? anchored.confidence : 0,
+          });
+        },
+        CONSTANTS.HIGHLIGHT_CHUNK_SIZE,
+        () => {
+          if (passId === this.markPassId && results.length > 0) {
+            this.storageUtils.reportAnchorStatus(currentUrl, results);
+          }
+        }
+      );
     } catch (error) {
       console.error("Error marking existing highlights:", error);
     }
   }
 
+  /**
+   * Re-check the page after it changed on its own (lazy loading, infinite
+   * feeds, client-side rendering). Highlights whose spans the page removed
+   * become pending again, and pending highlights are anchored once their
+   * text shows up. Each is retried on at most ANCHOR_RETRY_LIMIT page
+   * changes, so a busy page doesn't keep re-running the fuzzy search for
+   * highlights whose text is gone.
+   */
+  handleDomMutation() {
+    this.cacheManager.clearTextNodeCache();
+
+    this.savedHighlights.forEach((span, id) => {
+      if (document.contains(span)) return;
+
+      this.savedHighlights.delete(id);
+      this.anchorResults.delete(id);
+      this.eventUtils.withoutObservingMutations(() => {
+        this.domUtils.removeHighlightById(id);
+      });
+      const highlight = this.savedHighlightsData.find((h) => h.id === id);
+      if (highlight) {
+        this.pendingAnchors.set(id, highlight);
+        this.anchorRetries.delete(id);
+      }
+    });
+
+    if (this.pendingAnchors.size === 0) return;
+
+    const passId = this.markPassId;
+    const currentUrl = window.location.href;
+    const results = [];
+
+    this.eventUtils.processInChunks(
+      [...this.pendingAnchors.values()],
+      (highlight) => {
+        if (passId !== this.markPassId || !this.pendingAnchors.has(highlight.id)) return;
+
+        const anchored = this.eventUtils.withoutObservingMutations(() =>
+          this.findAndMarkTextOptimized(highlight)
+        );
+        const retries = (this.anchorRetries.get(highlight.id) || 0) + 1;
+        if (anchored || retries >= CONSTANTS.ANCHOR_RETRY_LIMIT) {
+          this.pendingAnchors.delete(highlight.id);
+          this.anchorRetries.delete(highlight.id);
+        } else {
+          this.anchorRetries.set(highlight.id, retries);
+        }
+        if (anchored) {
+          results.push({ id: highlight.id, status: "anchored", confidence: anchored.confidence });
+        }
+      },
+      CONSTANTS.HIGHLIGHT_CHUNK_SIZE,
+      () => {
+        if (passId === this.markPassId && results.length > 0) {
+          this.storageUtils.reportAnchorStatus(currentUrl, results);
+        }
+      }
+    );
+  }
+
+  /**
+   * Client-side navigation changed the URL without a page load:
+   * drop state tied to the old page and mark the new page's highlights
+   */
+  handleUrlChange() {
+    this.pendingHighlight = null;
+    this.uiUtils.removePopup();
+    this.markExistingHighlights();
+    this.handleUrlFragment();
+    this.handleTextFragment();
+  }
+
+  /**
+   * Anchor a saved highlight on the page. Selectors are tried in a fixed
+   * order: TextPosition (verified against the quote), TextQuote with
+   * prefix/suffix context, the legacy text search disambiguated by
+   * surrounding text and pixel position, and finally an approximate match
+   * for pages whose text changed since the highlight was saved.
+   * Returns { method, confidence } for an anchored highlight, or null.
+   */
   findAndMarkTextOptimized(highlight) {
+    if (highlight.anchor) {
+      const match = this.anchorUtils.resolve(highlight.anchor);
+      if (match && this.markAnchoredRange(match.range, highlight)) {
+        return this.recordAnchorResult(highlight.id, match.method, 1);
+      }
+    }
+
     const text = highlight.text;
 
     // Check cache first
     const cacheKey = `${text}_${window.location.href}`;
-    const cachedNodes = this.cacheManager.getCachedTextNodes(cacheKey);
+    let textNodes = this.cacheManager.getCachedTextNodes(cacheKey);
 
-    if (cachedNodes) {
-      this.markTextInNodes(cachedNodes, highlight);
-      return;
+    if (!textNodes) {
+      // Find text nodes using DOMUtils and cache the results
+      textNodes = this.domUtils.findTextNodesOptimized(text);
+      this.cacheManager.cacheTextNodes(cacheKey, textNodes);
+    }
+
+    if (this.markTextInNodes(textNodes, highlight)) {
+      return this.recordAnchorResult(highlight.id, "text", 1);
     }
 
-    // Find text nodes using DOMUtils
-    const textNodes = this.domUtils.findTextNodesOptimized(text);
+    // Text spanning several elements, e.g. across <em>, <a> or paragraphs
+    const crossRange = this.domUtils.findTextRangeAcrossElements(
+      text,
+      document.body,
+      highlight.textPosition
+    );
+    if (crossRange && this.markAnchoredRange(crossRange, highlight)) {
+      return this.recordAnchorResult(highlight.id, "text", 1);
+    }
 
-    // Cache the results
-    this.cacheManager.cacheTextNodes(cacheKey, textNodes);
+    // Approximate match, bounded by the stored context when there is one
+    const fuzzy = this.anchorUtils.resolveFuzzy(
+      highlight.anchor || { quote: { exact: text } }
+    );
+    if (fuzzy && this.markAnchoredRange(fuzzy.range, highlight, fuzzy.confidence)) {
+      return this.recordAnchorResult(highlight.id, fuzzy.method, fuzzy.confidence);
+    }
 
-    // Mark text in found nodes
-    this.markTextInNodes(textNodes, highlight);
+    return null;
+  }
+
+  recordAnchorResult(highlightId, method, confidence) {
+    const result = { method, confidence };
+    this.anchorResults.set(highlightId, result);
+    return result;
+  }
+
+  /**
+   * Mark a resolved range, wrapping each text-node segment when it spans
+   * several elements. Returns false when nothing could be marked.
+   */
+  markAnchoredRange(range, highlight, confidence = 1) {
+    const spans = this.domUtils.markRangeSegments(range, highlight);
+    if (spans.length === 0) return false;
+
+    if (confidence < 1) {
+      spans.forEach((span) => this.domUtils.setAnchorConfidence(span, confidence));
+    }
+    this.savedHighlights.set(highlight.id, spans[0]);
+    return true;
   }
 
   markTextInNodes(textNodes, highlight) {
     const text = highlight.text;
 
-    textNodes.forEach((textNode) => {
-      const content = textNode.textContent;
-      const index = content.indexOf(text);
+    // Mark only the occurrence that best matches the saved context,
+    // not every node that happens to contain the text
+    const bestNode = this.rangeUtils.findBestTextNode(
+      textNodes,
+      text,
+      highlight.pageText,
+      highlight.textPosition
+    );
+    if (!bestNode || !this.domUtils.isValidNode(bestNode)) return false;
 
-      if (index !== -1) {
-        const span = this.domUtils.markTextInNode(
-          textNode,
-          text,
-          index,
-          highlight
-        );
-        if (span) {
-          this.savedHighlights.set(highlight.id, span);
-        }
-      }
-    });
+    const index = bestNode.textContent.indexOf(text);
+    if (index === -1) return false;
+
+    const span = this.domUtils.markTextInNode(bestNode, text, index, highlight);
+    if (!span) return false;
+
+    this.savedHighlights.set(highlight.id, span);
+    return true;
   }
 
   handleUrlFragment() {
@@ -347,6 +631,56 @@ class HighlightSaver {
     );
   }
 
+  /**
+   * The page was opened from a text-fragment link (#:~:text=...): once the
+   * targeted passage is on the page, offer to save it as a highlight
+   */
+  handleTextFragment() {
+    const url = this.eventUtils.getTextFragmentUrl();
+    if (!url || this.offeredTextFragments.has(url)) return;
+
+    const [directive] = this.textFragmentUtils.parse(url);
+    if (!directive) return;
+    this.offeredTextFragments.add(url);
+
+    let attempts = 0;
+    const tryResolve = () => {
+      attempts++;
+      const range = this.anchorUtils.resolveTextFragment(directive);
+      if (range) {
+        this.offerToSaveRange(range);
+      } else if (attempts < CONSTANTS.FRAGMENT_MAX_ATTEMPTS) {
+        setTimeout(tryResolve, CONSTANTS.FRAGMENT_RETRY_DELAY);
+      }
+    };
+
+    setTimeout(tryResolve, CONSTANTS.FRAGMENT_RETRY_DELAY);
+  }
+
+  offerToSaveRange(range) {
+    const text = range.toString().trim();
+    if (!text || text.length >= CONSTANTS.MAX_TEXT_LENGTH) return;
+
+    // Nothing to offer if the passage is already saved
+    const normalized = this.textFragmentUtils.normalizeWhitespace(text);
+    const alreadySaved = this.savedHighlightsData.some(
+      (h) => this.textFragmentUtils.normalizeWhitespace(h.text) === normalized
+    );
+    if (alreadySaved) return;
+
+    this.pendingHighlight = {
+      ...this.rangeUtils.storeRangeData(range, text, this.anchorUtils),
+      pageInfo: this.storageUtils.getPageInfo(),
+      color: this.selectedColor,
+    };
+
+    this.uiUtils.showTextFragmentPrompt(text, {
+      save: () => this.handleSaveClick(),
+      cancel: () => this.handleCancelClick(),
+      colors: this.getColorPickerOptions(),
+    });
+  }
+
   scrollToAndHighlightText(text, positionData, highlightId) {
     try {
       // 1. Try to find the already-rendered saved highlight span by ID
@@ -355,14 +689,21 @@ class HighlightSaver {
           ? CSS.escape(highlightId)
           : highlightId.replace(/([^\w-])/g, "\\$1"))
         : null;
-      const savedSpan = escapedId
-        ? document.querySelector(`.highlight-saver-saved[data-highlight-id="${escapedId}"]`)
-        : null;
-
-      if (savedSpan) {
-        savedSpan.scrollIntoView({ behavior: "smooth", block: "center" });
-        this.uiUtils.temporarilyBorderSavedHighlight(savedSpan);
-        this.uiUtils.showFeedback("Scrolled to saved highlight", "#f59e0b");
+      const savedSpans = escapedId
+        ? document.querySelectorAll(`.highlight-saver-saved[data-highlight-id="${escapedId}"]`)
+        : [];
+
+      if (savedSpans.length > 0) {
+        savedSpans[0].scrollIntoView({ behavior: "smooth", block: "center" });
+        // A highlight spanning several elements is rendered as one span per segment
+        savedSpans.forEach((span) => this.uiUtils.temporarilyBorderSavedHighlight(span));
+        const anchorResult = this.anchorResults.get(highlightId);
+        this.uiUtils.showFeedback(
+          anchorResult && anchorResult.confidence < 1
+            ? `Scrolled to highlight (re-anchored with ${Math.round(anchorResult.confidence * 100)}% confidence)`
+            : "Scrolled to saved highlight",
+          "#f59e0b"
+        );
         return;
       }
 
@@ -441,6 +782,9 @@ class HighlightSaver {
 
     // Clear saved highlights map
     this.savedHighlights.clear();
+    this.anchorResults.clear();
+    this.pendingAnchors.clear();
+    this.anchorRetries.clear();
   }
 }
 
@@ -68,9 +68,10 @@ class AIUtils {
   }
 
   /**
-   * Handle summarize button click with UI updates
+   * Handle summarize button click with UI updates. The summary is kept on
+   * the pending highlight, and onSave saves the highlight along with it.
    */
-  async handleSummarizeRequest(pendingHighlight, uiUtils) {
+  async handleSummarizeRequest(pendingHighlight, uiUtils, onSave = null) {
     if (!pendingHighlight) {
       console.error("No pending highlight data to summarize");
       uiUtils.showErrorFeedback("No highlight data found");
@@ -93,7 +94,8 @@ class AIUtils {
       const summary = await this.summarizeHighlight(highlight);
 
       // Show summary in popup
-      uiUtils.showSummaryPopup(summary);
+      pendingHighlight.summary = summary;
+      uiUtils.showSummaryPopup(summary, onSave);
     } catch (error) {
       console.error("Failed to summarize highlight:", error);
       uiUtils.showErrorFeedback("Failed to summarize: " + error.message);
@@ -0,0 +1,421 @@
+// Anchoring utilities
+// Describes ranges with W3C-style TextQuote/TextPosition selectors and
+// resolves stored selectors back to DOM ranges
+
+// Text inside these elements is never part of the page's anchorable text
+const ANCHOR_EXCLUDED_SELECTOR =
+  "script, style, noscript, template, .highlight-saver-popup, .highlight-feedback";
+
+class AnchorUtils {
+  /**
+   * Build an index of the document's text: every text node with its
+   * character offset into the concatenated text of the root.
+   */
+  buildTextIndex(root = document.body) {
+    const nodes = [];
+    let text = "";
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (parent && parent.closest(ANCHOR_EXCLUDED_SELECTOR)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      nodes.push({ node, start: text.length });
+      text += node.textContent;
+    }
+
+    return { nodes, text };
+  }
+
+  /**
+   * Convert a DOM boundary point (container + offset) into a character
+   * offset within the text index.
+   */
+  getTextOffset(index, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+      const entry = index.nodes.find((e) => e.node === container);
+      if (entry) {
+        return entry.start + Math.min(offset, container.textContent.length);
+      }
+    }
+
+    // Element boundary (or excluded text node): the offset is the start of
+    // the first indexed text node at or after the boundary point
+    const point = document.createRange();
+    point.setStart(container, offset);
+    point.collapse(true);
+
+    for (const entry of index.nodes) {
+      if (point.comparePoint(entry.node, 0) >= 0) {
+        return entry.start;
+      }
+    }
+    return index.text.length;
+  }
+
+  /**
+   * Describe a range with TextQuote and TextPosition selectors
+   */
+  describeRange(range, root = document.body) {
+    try {
+      const index = this.buildTextIndex(root);
+      const start = this.getTextOffset(index, range.startContainer, range.startOffset);
+      const end = this.getTextOffset(index, range.endContainer, range.endOffset);
+
+      if (end <= start) {
+        return null;
+      }
+
+      return {
+        quote: {
+          exact: index.text.slice(start, end),
+          prefix: index.text.slice(Math.max(0, start - CONSTANTS.CONTEXT_CHARS), start),
+          suffix: index.text.slice(end, end + CONSTANTS.CONTEXT_CHARS),
+        },
+        position: { start, end },
+      };
+    } catch (error) {
+      console.warn("Failed to describe range:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve stored selectors to a DOM range. Preference order:
+   * 1. TextPosition, accepted only if the text there still equals the quote
+   * 2. TextQuote, disambiguated by prefix/suffix and then by distance
+   *    from the stored position
+   * Returns { range, method } or null when neither selector matches.
+   */
+  resolve(anchor, root = document.body) {
+    if (!anchor || !anchor.quote || !anchor.quote.exact) {
+      return null;
+    }
+
+    const index = this.buildTextIndex(root);
+    const { exact } = anchor.quote;
+    const position = anchor.position;
+
+    if (
+      position &&
+      typeof position.start === "number" &&
+      index.text.slice(position.start, position.start + exact.length) === exact
+    ) {
+      const range = this.rangeFromOffsets(index, position.start, position.start + exact.length);
+      if (range) return { range, method: "position" };
+    }
+
+    const start = this.findBestQuoteMatch(index.text, anchor.quote, position);
+    if (start !== -1) {
+      const range = this.rangeFromOffsets(index, start, start + exact.length);
+      if (range) return { range, method: "quote" };
+    }
+
+    return null;
+  }
+
+  /**
+   * Approximate-match pass for pages whose text was edited after saving.
+   * Searches only windows bounded by the stored position and by exact hits
+   * of the stored prefix/suffix, so the edit-distance scan stays cheap.
+   * Returns { range, method: "fuzzy", confidence } or null.
+   */
+  resolveFuzzy(anchor, root = document.body) {
+    if (!anchor || !anchor.quote || !anchor.quote.exact) {
+      return null;
+    }
+
+    const index = this.buildTextIndex(root);
+    const { exact, prefix = "", suffix = "" } = anchor.quote;
+    const maxErrors = Math.floor(exact.length * CONSTANTS.FUZZY_MAX_ERROR_RATIO);
+
+    let best = null;
+    for (const searchWindow of this.getFuzzySearchWindows(index.text, anchor, maxErrors)) {
+      const match = this.approximateSearch(
+        index.text,
+        exact,
+        searchWindow.start,
+        searchWindow.end,
+        maxErrors
+      );
+      if (!match) continue;
+
+      const quoteScore = 1 - match.errors / exact.length;
+      const contextLength = prefix.length + suffix.length;
+      const confidence =
+        contextLength > 0
+          ? 0.8 * quoteScore +
+            0.2 * (this.scoreContext(index.text, match.start, match.end, prefix, suffix) / contextLength)
+          : quoteScore;
+
+      if (!best || confidence > best.confidence) {
+        best = { ...match, confidence: Math.round(confidence * 100) / 100 };
+      }
+    }
+
+    if (!best || best.confidence < CONSTANTS.FUZZY_MIN_CONFIDENCE) {
+      return null;
+    }
+
+    const range = this.rangeFromOffsets(index, best.start, best.end);
+    return range ? { range, method: "fuzzy", confidence: best.confidence } : null;
+  }
+
+  /**
+   * Text windows worth scanning for an approximate match: around the stored
+   * position, and between exact hits of the stored prefix and suffix.
+   * Falls back to the whole text only when that scan fits the budget.
+   */
+  getFuzzySearchWindows(text, anchor, maxErrors) {
+    const { exact, prefix = "", suffix = "" } = anchor.quote;
+    const padding = exact.length + maxErrors;
+    const windows = [];
+
+    const addWindow = (start, end) => {
+      windows.push({ start: Math.max(0, start), end: Math.min(text.length, end) });
+    };
+
+    const position = anchor.position;
+    if (position && typeof position.start === "number") {
+      addWindow(
+        position.start - CONSTANTS.FUZZY_SEARCH_RADIUS,
+        position.start + CONSTANTS.FUZZY_SEARCH_RADIUS + padding
+      );
+    }
+
+    // Use the tail of the prefix and the head of the suffix: the parts
+    // closest to the highlight are the most likely to have survived edits
+    const prefixTail = prefix.slice(-CONSTANTS.FUZZY_CONTEXT_PROBE_CHARS);
+    const suffixHead = suffix.slice(0, CONSTANTS.FUZZY_CONTEXT_PROBE_CHARS);
+
+    // Each probe adds at most FUZZY_MAX_WINDOWS windows
+    const probe = (needle, toWindow) => {
+      if (needle.trim().length === 0) return;
+      let at = text.indexOf(needle);
+      for (let found = 0; at !== -1 && found < CONSTANTS.FUZZY_MAX_WINDOWS; found++) {
+        toWindow(at);
+        at = text.indexOf(needle, at + 1);
+      }
+    };
+
+    probe(prefixTail, (at) => addWindow(at + prefixTail.length, at + prefixTail.length + padding));
+    probe(suffixHead, (at) => addWindow(at - padding, at));
+
+    if (windows.length === 0 && text.length * exact.length <= CONSTANTS.FUZZY_MAX_SEARCH_CELLS) {
+      addWindow(0, text.length);
+    }
+
+    return windows;
+  }
+
+  /**
+   * Find the substring of text[from, to) with the smallest edit distance to
+   * the pattern (Sellers' algorithm), tracking where each match starts.
+   * Returns { start, end, errors } or null when no match is within maxErrors.
+   */
+  approximateSearch(text, pattern, from, to, maxErrors) {
+    const m = pattern.length;
+    let prevCost = new Array(m + 1);
+    let prevStart = new Array(m + 1);
+    let cost = new Array(m + 1);
+    let start = new Array(m + 1);
+
+    for (let i = 0; i <= m; i++) {
+      prevCost[i] = i;
+      prevStart[i] = from;
+    }
+
+    let best = null;
+    for (let j = from; j < to; j++) {
+      const ch = text[j];
+      cost[0] = 0;
+      start[0] = j + 1;
+
+      for (let i = 1; i <= m; i++) {
+        // Substitution (or match), extra text char, missing pattern char
+        let value = prevCost[i - 1] + (pattern[i - 1] === ch ? 0 : 1);
+        let origin = prevStart[i - 1];
+        if (prevCost[i] + 1 < value) {
+          value = prevCost[i] + 1;
+          origin = prevStart[i];
+        }
+        if (cost[i - 1] + 1 < value) {
+          value = cost[i - 1] + 1;
+          origin = start[i - 1];
+        }
+        cost[i] = value;
+        start[i] = origin;
+      }
+
+      if (cost[m] <= maxErrors && (!best || cost[m] < best.errors)) {
+        best = { start: start[m], end: j + 1, errors: cost[m] };
+        if (best.errors === 0) break;
+      }
+
+      [prevCost, cost] = [cost, prevCost];
+      [prevStart, start] = [start, prevStart];
+    }
+
+    return best;
+  }
+
+  /**
+   * Find the occurrence of the quote whose surroundings best match the
+   * stored prefix and suffix. Returns the start offset or -1.
+   */
+  findBestQuoteMatch(text, quote, position) {
+    const { exact, prefix = "", suffix = "" } = quote;
+    let bestStart = -1;
+    let bestScore = -1;
+    let bestDistance = Infinity;
+
+    let from = 0;
+    while (from <= text.length) {
+      const start = text.indexOf(exact, from);
+      if (start === -1) break;
+
+      const score = this.scoreContext(text, start, start + exact.length, prefix, suffix);
+      const distance = position ? Math.abs(start - position.start) : start;
+
+      if (score > bestScore || (score === bestScore && distance < bestDistance)) {
+        bestStart = start;
+        bestScore = score;
+        bestDistance = distance;
+      }
+      from = start + 1;
+    }
+
+    return bestStart;
+  }
+
+  /**
+   * Count how many characters of the prefix and suffix match the text
+   * immediately around [start, end)
+   */
+  scoreContext(text, start, end, prefix, suffix) {
+    let score = 0;
+
+    for (let i = 1; i <= prefix.length && start - i >= 0; i++) {
+      if (text[start - i] !== prefix[prefix.length - i]) break;
+      score++;
+    }
+
+    for (let i = 0; i < suffix.length && end + i < text.length; i++) {
+      if (text[end + i] !== suffix[i]) break;
+      score++;
+    }
+
+    return score;
+  }
+
+  /**
+   * Resolve a parsed text directive ({ prefix, textStart, textEnd, suffix })
+   * to a DOM range. Like the browser, matching is case-insensitive and
+   * ignores differences in whitespace. Returns the first match or null.
+   */
+  resolveTextFragment(directive, root = document.body) {
+    if (!directive || !directive.textStart) return null;
+
+    const index = this.buildTextIndex(root);
+    const { text, offsets } = this.collapseWhitespace(index.text);
+    const term = (value) => this.collapseWhitespace(value || "").text.trim();
+    const textStart = term(directive.textStart);
+    const textEnd = term(directive.textEnd);
+    const prefix = term(directive.prefix);
+    const suffix = term(directive.suffix);
+
+    let from = 0;
+    while (from <= text.length) {
+      const start = text.indexOf(textStart, from);
+      if (start === -1) return null;
+      from = start + 1;
+
+      if (prefix) {
+        const before = text[start - 1] === " " ? start - 1 : start;
+        if (!text.slice(0, before).endsWith(prefix)) continue;
+      }
+
+      let end = start + textStart.length;
+      if (textEnd) {
+        const endStart = text.indexOf(textEnd, end);
+        if (endStart === -1) return null;
+        end = endStart + textEnd.length;
+      }
+
+      if (suffix) {
+        const after = text[end] === " " ? end + 1 : end;
+        if (!text.startsWith(suffix, after)) continue;
+      }
+
+      const last = offsets[end - 1];
+      const lastLength = String.fromCodePoint(index.text.codePointAt(last)).length;
+      return this.rangeFromOffsets(index, offsets[start], last + lastLength);
+    }
+
+    return null;
+  }
+
+  /**
+   * Lower-case the text and collapse whitespace runs to a single space,
+   * keeping the original offset of every remaining character. Characters
+   * are lower-cased one at a time, so one whose lower case is longer
+   * ("İ" becomes "i̇") maps every resulting character back to itself.
+   */
+  collapseWhitespace(text) {
+    let collapsed = "";
+    const offsets = [];
+
+    let i = 0;
+    for (const char of text) {
+      const isSpace = /\s/.test(char);
+      if (!isSpace || !collapsed.endsWith(" ")) {
+        const folded = isSpace ? " " : char.toLowerCase();
+        collapsed += folded;
+        for (let k = 0; k < folded.length; k++) offsets.push(i);
+      }
+      i += char.length;
+    }
+
+    return { text: collapsed, offsets };
+  }
+
+  /**
+   * Map character offsets in the text index back to a DOM range
+   */
+  rangeFromOffsets(index, start, end) {
+    let startNode, startOffset, endNode, endOffset;
+
+    for (const { node, start: nodeStart } of index.nodes) {
+      const nodeEnd = nodeStart + node.textContent.length;
+      if (!startNode && start < nodeEnd) {
+        startNode = node;
+        startOffset = start - nodeStart;
+      }
+      if (startNode && end <= nodeEnd) {
+        endNode = node;
+        endOffset = end - nodeStart;
+        break;
+      }
+    }
+
+    if (!startNode || !endNode) return null;
+    try {
+      const range = document.createRange();
+      range.setStart(startNode, startOffset);
+      range.setEnd(endNode, endOffset);
+      return range;
+    } catch {
+      return null;
+    }
+  }
+}
+
+window.__highlightSaver = window.__highlightSaver || {};
+window.__highlightSaver.AnchorUtils = AnchorUtils;
@@ -215,6 +215,13 @@ class CacheManager {
     });
   }
 
+  /**
+   * Drop all cached text nodes, e.g. after the page changed its content
+   */
+  clearTextNodeCache() {
+    this.textNodeCache.clear();
+  }
+
   /**
    * Get cached summary
    */
@@ -21,6 +21,7 @@ const CONSTANTS = {
   POPUP_AUTO_DISMISS: 10000,
   SUMMARY_AUTO_DISMISS: 60000,
   FEEDBACK_DISMISS: 3000,
+  UNDO_DISMISS: 6000, // feedback with an Undo button stays longer
   TEMPORARY_HIGHLIGHT_DURATION: 4000,
   FALLBACK_HIGHLIGHT_DURATION: 4000,
   SCROLL_SETTLE_DELAY: 500,
@@ -38,6 +39,12 @@ const CONSTANTS = {
   SELECTION_DEBOUNCE: 150,
   SELECTION_THROTTLE: 100,
 
+  // SPA navigation and dynamic content
+  DOM_MUTATION_DEBOUNCE: 500,
+  // Page changes a highlight that didn't anchor is retried on
+  ANCHOR_RETRY_LIMIT: 10,
+  URL_POLL_INTERVAL: 1000,
+
   // URL fragment retry
   FRAGMENT_MAX_ATTEMPTS: 5,
   FRAGMENT_RETRY_DELAY: 500,
@@ -61,8 +68,13 @@ const CONSTANTS = {
   SHORT_TEXT_MAX_MATCHES: 10,
   LONG_TEXT_MAX_MATCHES: 5,
 
-  // Cleanup
-  CLEANUP_RETENTION_DAYS: 365,
+  // Fuzzy anchoring
+  FUZZY_MAX_ERROR_RATIO: 0.25,
+  FUZZY_MIN_CONFIDENCE: 0.75,
+  FUZZY_SEARCH_RADIUS: 1000,
+  FUZZY_CONTEXT_PROBE_CHARS: 20,
+  FUZZY_MAX_WINDOWS: 5,
+  FUZZY_MAX_SEARCH_CELLS: 5000000,
 
   // Rate limiting
   RATE_LIMIT_MAX_REQUESTS: 5,
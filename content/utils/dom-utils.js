@@ -4,6 +4,12 @@
 class DOMUtils {
   constructor() {
     // Text node cache removed — use CacheManager as single source of truth
+    // Palette color id -> CSS color, from the user's settings
+    this.colorPalette = new Map();
+  }
+
+  setColorPalette(palette) {
+    this.colorPalette = new Map((palette || []).map((entry) => [entry.id, entry.color]));
   }
 
   /**
@@ -102,11 +108,30 @@ class DOMUtils {
     }
 
     span.title = "Saved highlight - Click to view in extension";
-    // Styling handled entirely by .highlight-saver-saved CSS class (no conflicting inline styles)
+    // Styling handled by the .highlight-saver-saved CSS class; the palette
+    // color only sets the custom property that class reads
+    if (highlight.color) {
+      span.dataset.color = highlight.color;
+      const color = this.colorPalette.get(highlight.color);
+      if (color) {
+        span.style.setProperty("--highlight-saver-color", color);
+      }
+    }
 
     return span;
   }
 
+  /**
+   * Flag a highlight span as approximately re-anchored so the user can see
+   * how confident the match is
+   */
+  setAnchorConfidence(span, confidence) {
+    const percent = Math.round(confidence * 100);
+    span.dataset.anchorConfidence = String(confidence);
+    span.classList.add("highlight-saver-fuzzy");
+    span.title = `Saved highlight - re-anchored with ${percent}% confidence`;
+  }
+
   /**
    * Mark text in a specific node with highlighting
    */
@@ -135,39 +160,112 @@ class DOMUtils {
   }
 
   /**
-   * Remove existing highlights in batches for performance
+   * Wrap every text-node segment of a range in its own highlight span.
+   * All segments share the highlight's data-highlight-id, so a selection
+   * crossing <em>, <a> or paragraph boundaries is rendered without moving
+   * or splitting any page element. Returns the created spans in order.
    */
-  removeExistingHighlightsBatch() {
-    const existingHighlights = document.querySelectorAll(
-      ".highlight-saver-saved"
-    );
-    const textNodes = [];
+  markRangeSegments(range, highlight) {
+    const segments = this.getRangeTextSegments(range);
+    const spans = [];
+
+    segments.forEach(({ node, start, end }, index) => {
+      // Split off the text after and before the segment
+      let target = node;
+      if (end < target.length) target.splitText(end);
+      if (start > 0) target = target.splitText(start);
+
+      const span = this.createHighlightSpan({ ...highlight, text: "" });
+      span.dataset.highlightSegment = String(index);
+      target.parentNode.insertBefore(span, target);
+      span.appendChild(target);
+      spans.push(span);
+    });
 
-    // Collect all text nodes to be created
-    existingHighlights.forEach((el) => {
-      if (el && el.parentNode) {
-        const textNode = document.createTextNode(el.textContent);
-        textNodes.push({ element: el, textNode: textNode });
+    return spans;
+  }
+
+  /**
+   * List the text nodes covered by a range with the covered offsets.
+   * Whitespace-only segments (e.g. between block elements) are skipped.
+   */
+  getRangeTextSegments(range) {
+    const root = range.commonAncestorContainer;
+    if (root.nodeType === Node.TEXT_NODE) {
+      return range.startOffset < range.endOffset
+        ? [{ node: root, start: range.startOffset, end: range.endOffset }]
+        : [];
+    }
+
+    const segments = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (!range.intersectsNode(node)) continue;
+
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.length;
+      if (start >= end || node.data.substring(start, end).trim() === "") continue;
+
+      segments.push({ node, start, end });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Remove a highlight span, restoring the original DOM: its children are
+   * moved back in place and the text nodes split while marking are merged
+   */
+  unwrapHighlightSpan(span) {
+    const parent = span.parentNode;
+    if (!parent) return;
+
+    const first = span.firstChild;
+    const last = span.lastChild;
+    while (span.firstChild) {
+      parent.insertBefore(span.firstChild, span);
+    }
+    parent.removeChild(span);
+
+    if (last && last.nodeType === Node.TEXT_NODE) {
+      const next = last.nextSibling;
+      if (next && next.nodeType === Node.TEXT_NODE) {
+        last.appendData(next.data);
+        parent.removeChild(next);
       }
-    });
+    }
 
-    // Batch replace elements with text nodes
-    textNodes.forEach(({ element, textNode }) => {
-      if (element.parentNode) {
-        element.parentNode.replaceChild(textNode, element);
+    if (first && first.nodeType === Node.TEXT_NODE) {
+      const previous = first.previousSibling;
+      if (previous && previous.nodeType === Node.TEXT_NODE) {
+        previous.appendData(first.data);
+        parent.removeChild(first);
       }
-    });
+    }
+  }
 
-    // Normalize parent nodes in batches
-    const parentsToNormalize = new Set();
-    textNodes.forEach(({ element }) => {
-      if (element.parentNode) {
-        parentsToNormalize.add(element.parentNode);
+  /**
+   * Remove every rendered segment of one highlight
+   */
+  removeHighlightById(highlightId) {
+    document.querySelectorAll(".highlight-saver-saved").forEach((el) => {
+      if (el.dataset.highlightId === highlightId) {
+        this.unwrapHighlightSpan(el);
       }
     });
+  }
 
-    parentsToNormalize.forEach((parent) => {
-      parent.normalize();
+  /**
+   * Remove existing highlights in batches for performance
+   */
+  removeExistingHighlightsBatch() {
+    const existingHighlights = document.querySelectorAll(
+      ".highlight-saver-saved"
+    );
+
+    existingHighlights.forEach((el) => {
+      this.unwrapHighlightSpan(el);
     });
   }
 
@@ -8,6 +8,13 @@ class EventUtils {
     this.debounceDelay = CONSTANTS.SELECTION_DEBOUNCE;
     this.minSelectionInterval = CONSTANTS.SELECTION_THROTTLE;
     this._initialized = false; // Guard against double-init
+
+    // SPA navigation and DOM mutation tracking
+    this.domObserver = null;
+    this.mutationTimeout = null;
+    this.onDomMutation = null;
+    this.urlPollInterval = null;
+    this.lastUrl = null;
   }
 
   /**
@@ -91,6 +98,9 @@ class EventUtils {
       onUrlFragment,
       onCleanup,
       onMessage,
+      onUrlChange,
+      onDomMutation,
+      onPageRestore,
     } = handlers;
 
     // Text selection events with debouncing (includes touchend for tablet support)
@@ -123,12 +133,140 @@ class EventUtils {
       window.addEventListener("pagehide", cleanupHandler);
     }
 
+    // A page restored from the back/forward cache lost its observers to
+    // the pagehide cleanup above
+    window.addEventListener("pageshow", (event) => {
+      if (!event.persisted) return;
+      this.resumeObservers();
+      if (onPageRestore) onPageRestore();
+    });
+
+    // Client-side navigation (history.pushState) and dynamically loaded content
+    if (onUrlChange) {
+      this.observeUrlChanges(onUrlChange);
+    }
+    if (onDomMutation) {
+      this.observeDomMutations(onDomMutation);
+    }
+
     // Chrome extension message listener
     if (onMessage && typeof chrome !== "undefined" && chrome.runtime) {
       chrome.runtime.onMessage.addListener(onMessage);
     }
   }
 
+  /**
+   * Detect URL changes that happen without a full page load.
+   * Content scripts run in an isolated world and cannot wrap the page's own
+   * history.pushState, so navigation events are combined with a cheap poll.
+   */
+  observeUrlChanges(callback) {
+    this.lastUrl = window.location.href;
+
+    const check = () => {
+      const currentUrl = window.location.href;
+      if (currentUrl !== this.lastUrl) {
+        const previousUrl = this.lastUrl;
+        this.lastUrl = currentUrl;
+        callback(currentUrl, previousUrl);
+      }
+    };
+
+    window.addEventListener("popstate", check);
+    if (window.navigation && typeof window.navigation.addEventListener === "function") {
+      window.navigation.addEventListener("navigatesuccess", check);
+    }
+    this.checkUrl = check;
+    this.urlPollInterval = setInterval(check, CONSTANTS.URL_POLL_INTERVAL);
+  }
+
+  /**
+   * Restart the URL poll and the DOM observer after cleanup stopped them,
+   * e.g. when the page comes back from the back/forward cache
+   */
+  resumeObservers() {
+    if (this.checkUrl && !this.urlPollInterval) {
+      this.urlPollInterval = setInterval(this.checkUrl, CONSTANTS.URL_POLL_INTERVAL);
+      this.checkUrl();
+    }
+    if (this.onDomMutation && !this.domObserver) {
+      this.observeDomMutations(this.onDomMutation);
+    }
+  }
+
+  /**
+   * Watch the page for added or changed content and call back, debounced,
+   * once it settles. Mutations made by the extension itself are ignored.
+   */
+  observeDomMutations(callback) {
+    if (typeof MutationObserver === "undefined" || !document.body) return;
+
+    this.onDomMutation = callback;
+    this.domObserver = new MutationObserver((records) => {
+      this.handleMutations(records);
+    });
+    this.domObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
+  }
+
+  /**
+   * Schedule the mutation callback if any record came from the page
+   */
+  handleMutations(records) {
+    if (!this.onDomMutation || !records.some((r) => !this.isOwnMutation(r))) {
+      return;
+    }
+
+    if (this.mutationTimeout) {
+      clearTimeout(this.mutationTimeout);
+    }
+    this.mutationTimeout = setTimeout(() => {
+      this.mutationTimeout = null;
+      this.onDomMutation();
+    }, CONSTANTS.DOM_MUTATION_DEBOUNCE);
+  }
+
+  /**
+   * Check whether a mutation record only touches extension UI
+   * (popups, feedback toasts, highlight spans)
+   */
+  isOwnMutation(record) {
+    const isOwnNode = (node) => {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return !!(
+        element &&
+        element.closest('[class*="highlight-saver"], .highlight-feedback')
+      );
+    };
+
+    if (record.type === "characterData") {
+      return isOwnNode(record.target);
+    }
+
+    const changed = [...record.addedNodes, ...record.removedNodes];
+    return changed.length > 0 && changed.every(isOwnNode);
+  }
+
+  /**
+   * Run a DOM change made by the extension itself without the mutation
+   * observer reacting to it. Records the page queued beforehand are still
+   * handled; the page cannot run script in the middle of this synchronous
+   * block, so everything queued during it is ours and is discarded.
+   */
+  withoutObservingMutations(fn) {
+    if (!this.domObserver) return fn();
+
+    this.handleMutations(this.domObserver.takeRecords());
+    try {
+      return fn();
+    } finally {
+      this.domObserver.takeRecords();
+    }
+  }
+
   /**
    * Handle text selection with validation
    */
@@ -156,10 +294,14 @@ class EventUtils {
   }
 
   /**
-   * Process highlights in chunks to avoid blocking UI
+   * Process highlights in chunks to avoid blocking UI.
+   * onComplete runs once after the last chunk has been processed.
    */
-  processInChunks(items, processor, chunkSize = 5) {
-    if (items.length === 0) return;
+  processInChunks(items, processor, chunkSize = 5, onComplete = null) {
+    if (items.length === 0) {
+      if (onComplete) onComplete();
+      return;
+    }
 
     let currentIndex = 0;
 
@@ -179,6 +321,8 @@ class EventUtils {
         } else {
           setTimeout(processChunk, 10);
         }
+      } else if (onComplete) {
+        onComplete();
       }
     };
 
@@ -285,6 +429,28 @@ class EventUtils {
     setTimeout(tryScroll, 500);
   }
 
+  /**
+   * The URL this page was opened with, if it carried a text fragment
+   * directive (#:~:text=). Chrome strips the directive from location, but
+   * the navigation timing entry still records the URL as requested.
+   */
+  getTextFragmentUrl() {
+    if (window.location.href.includes(":~:")) {
+      return window.location.href;
+    }
+
+    const [entry] =
+      typeof performance !== "undefined" && performance.getEntriesByType
+        ? performance.getEntriesByType("navigation")
+        : [];
+    if (!entry || !entry.name.includes(":~:")) return null;
+
+    // Only while the page is still at the URL it was loaded with; after
+    // client-side navigation the directive belongs to a previous page
+    const loadedUrl = entry.name.substring(0, entry.name.indexOf(":~:")).replace(/#$/, "");
+    return loadedUrl === window.location.href.replace(/#$/, "") ? entry.name : null;
+  }
+
   /**
    * Create Chrome extension message handler
    */
@@ -309,6 +475,19 @@ class EventUtils {
   cleanup() {
     this.clearSelectionTimeout();
 
+    if (this.domObserver) {
+      this.domObserver.disconnect();
+      this.domObserver = null;
+    }
+    if (this.mutationTimeout) {
+      clearTimeout(this.mutationTimeout);
+      this.mutationTimeout = null;
+    }
+    if (this.urlPollInterval) {
+      clearInterval(this.urlPollInterval);
+      this.urlPollInterval = null;
+    }
+
     // Note: We don't remove event listeners here because they're bound
     // to the document/window and will be cleaned up when the page unloads
     // Individual handlers should clean up their own specific listeners
@@ -94,7 +94,7 @@ class RangeUtils {
   /**
    * Mark range with span element
    */
-  markRangeWithSpan(range, highlightId, domUtils) {
+  markRangeWithSpan(range, highlight, domUtils) {
     try {
       if (!this.isValidRangeForMarking(range)) {
         throw new Error("Invalid range for marking");
@@ -102,12 +102,12 @@ class RangeUtils {
 
       // Check if range can be safely surrounded
       if (!this.canSurroundRange(range)) {
-        return this.markRangeWithFallback(range, highlightId, domUtils);
+        return this.markRangeWithFallback(range, highlight, domUtils);
       }
 
       // Create span without text content to avoid duplication
       const span = domUtils.createHighlightSpan({
-        id: highlightId,
+        ...highlight,
         text: "", // Empty text to prevent duplication
       });
 
@@ -119,7 +119,7 @@ class RangeUtils {
 
       return span;
     } catch {
-      return this.markRangeWithFallback(range, highlightId, domUtils);
+      return this.markRangeWithFallback(range, highlight, domUtils);
     }
   }
 
@@ -161,34 +161,21 @@ class RangeUtils {
   }
 
   /**
-   * Fallback method for marking ranges
+   * Fallback for ranges that cannot be surrounded by a single span:
+   * wrap each text-node segment separately so no page element is split
    */
-  markRangeWithFallback(range, highlightId, domUtils) {
+  markRangeWithFallback(range, highlight, domUtils) {
     try {
       if (!this.isValidRangeForMarking(range)) {
         throw new Error("Range invalid for fallback marking");
       }
 
-      // Capture text before extracting (extractContents collapses the range)
-      const textContent = range.toString();
-      const contents = range.extractContents();
-
-      // Create the span wrapper
-      const span = domUtils.createHighlightSpan({
-        id: highlightId,
-        text: textContent,
-      });
-
-      // Put the extracted content into the span
-      span.appendChild(contents);
-
-      // Insert the span at the start of the range
-      range.insertNode(span);
+      const spans = domUtils.markRangeSegments(range, highlight);
 
       // Collapse the range to remove the selection
       range.collapse(true);
 
-      return span;
+      return spans[0] || null;
     } catch (fallbackError) {
       console.error("Fallback marking also failed:", fallbackError);
       return null;
@@ -210,11 +197,17 @@ class RangeUtils {
   }
 
   /**
-   * Store selection data for later use
+   * Store selection data for later use. When anchorUtils is provided the
+   * selection is also described with TextQuote/TextPosition selectors.
    */
-  storeSelectionData(selection, selectedText) {
-    const range = selection.getRangeAt(0);
+  storeSelectionData(selection, selectedText, anchorUtils) {
+    return this.storeRangeData(selection.getRangeAt(0), selectedText, anchorUtils);
+  }
 
+  /**
+   * Capture the data needed to save a range as a highlight
+   */
+  storeRangeData(range, selectedText, anchorUtils) {
     // Get text position for scroll-to functionality
     const rect = range.getBoundingClientRect();
     const textPosition = {
@@ -235,6 +228,7 @@ class RangeUtils {
       },
       surroundingText: this.getSurroundingTextFromRange(range),
       textPosition: textPosition,
+      anchor: anchorUtils ? anchorUtils.describeRange(range) : null,
       timestamp: Date.now(),
     };
   }
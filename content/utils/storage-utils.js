@@ -2,8 +2,9 @@
 // Used by content script for Chrome storage communication
 
 class StorageUtils {
-  constructor() {
+  constructor(urlUtils) {
     this.requestTimeout = 5000; // 5 second default timeout
+    this.urlUtils = urlUtils;
   }
 
   /**
@@ -35,9 +36,10 @@ class StorageUtils {
   }
 
   /**
-   * Save highlight to storage
+   * Save highlight to storage, optionally adding it to a collection.
+   * Pass overflow "archive" to retry a save the overflow policy asked about.
    */
-  async saveHighlight(highlight) {
+  async saveHighlight(highlight, collectionId = null, overflow = null) {
     // Check if Chrome APIs are available
     if (typeof chrome === "undefined" || !chrome.runtime) {
       console.error("Chrome runtime not available");
@@ -55,6 +57,8 @@ class StorageUtils {
           {
             action: "saveHighlight",
             highlight: highlight,
+            collectionId: collectionId,
+            overflow: overflow,
           },
           (response) => {
             clearTimeout(timeoutId);
@@ -76,7 +80,7 @@ class StorageUtils {
   }
 
   /**
-   * Load saved highlights from storage
+   * Load the saved highlights that may belong to this page
    */
   async loadHighlights() {
     try {
@@ -91,6 +95,7 @@ class StorageUtils {
           chrome.runtime.sendMessage(
             {
               action: "getHighlights",
+              page: this.getPageQuery(),
             },
             (response) => {
               if (chrome.runtime.lastError) {
@@ -112,17 +117,124 @@ class StorageUtils {
     }
   }
 
+  /**
+   * Undo a journaled operation by the operationId the background returned
+   * for it. Resolves with the background's response.
+   */
+  async undoOperation(operationId) {
+    return this.sendMessageToBackground(
+      { action: "undo", operationId },
+      CONSTANTS.MESSAGE_TIMEOUT
+    );
+  }
+
+  /**
+   * Report which highlights for a page could be re-anchored. The background
+   * records only highlights saved on this tab's page.
+   * Failures are logged only — anchoring status is informational.
+   */
+  async reportAnchorStatus(url, results) {
+    try {
+      const response = await this.sendMessageToBackground(
+        { action: "reportAnchorStatus", url, canonicalUrl: this.getPageInfo().canonicalUrl, results },
+        CONSTANTS.MESSAGE_TIMEOUT
+      );
+      if (!response.success) {
+        throw new Error(response.error || "Background script returned error");
+      }
+    } catch (error) {
+      console.warn("Failed to report anchor status:", error);
+    }
+  }
+
+  /**
+   * Load user settings, falling back to an empty object on failure
+   */
+  async loadSettings() {
+    try {
+      const response = await this.sendMessageToBackground(
+        { action: "getSettings" },
+        CONSTANTS.MESSAGE_TIMEOUT
+      );
+      return (response.success && response.settings) || {};
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Load existing tags (most used first) for autocomplete
+   */
+  async loadTags() {
+    try {
+      const response = await this.sendMessageToBackground(
+        { action: "getTags" },
+        CONSTANTS.MESSAGE_TIMEOUT
+      );
+      return (response.success && response.tags) || [];
+    } catch (error) {
+      console.error("Failed to load tags:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Load the user's collections for the "Add to collection" picker
+   */
+  async loadCollections() {
+    try {
+      const response = await this.sendMessageToBackground(
+        { action: "getCollections" },
+        CONSTANTS.MESSAGE_TIMEOUT
+      );
+      return (response.success && response.collections) || [];
+    } catch (error) {
+      console.error("Failed to load collections:", error);
+      return [];
+    }
+  }
+
   /**
    * Get page information for storing with highlights
    */
   getPageInfo() {
+    const canonicalLink = document.querySelector('link[rel="canonical"][href]');
     return {
       url: window.location.href,
       title: document.title,
       domain: window.location.hostname,
+      canonicalUrl: canonicalLink ? canonicalLink.href : null,
     };
   }
 
+  /**
+   * Normalized URL keys the current page is known by: its own URL and its
+   * canonical URL. Highlights match the page if their key is in this set.
+   */
+  getPageUrlKeys() {
+    const pageInfo = this.getPageInfo();
+    return new Set([
+      this.urlUtils.normalize(pageInfo.url),
+      this.urlUtils.normalize(pageInfo.url, { canonical: pageInfo.canonicalUrl }),
+    ]);
+  }
+
+  /**
+   * What the background looks highlights up by: the page's URL keys and the
+   * hostnames of its own and canonical URLs
+   */
+  getPageQuery() {
+    const pageInfo = this.getPageInfo();
+    const domains = [pageInfo.domain];
+    try {
+      if (pageInfo.canonicalUrl) domains.push(new URL(pageInfo.canonicalUrl).hostname);
+    } catch {
+      // Malformed canonical links are ignored, as in URL normalization
+    }
+    return { normalizedUrls: [...this.getPageUrlKeys()], domains };
+  }
+
   /**
    * Generate a UUIDv4 string, using crypto.randomUUID when available
    * and falling back to crypto.getRandomValues for older Chrome versions.
@@ -183,11 +295,19 @@ class StorageUtils {
       id: this.generateId(),
       text: pendingHighlight.text,
       url: pageInfo.url,
+      normalizedUrl: this.urlUtils.normalize(pageInfo.url, {
+        canonical: pageInfo.canonicalUrl,
+      }),
       title: pageInfo.title,
       domain: pageInfo.domain,
       timestamp: pendingHighlight.timestamp || Date.now(),
       pageText: pendingHighlight.surroundingText,
       textPosition: pendingHighlight.textPosition,
+      anchor: pendingHighlight.anchor || null,
+      color: pendingHighlight.color || null,
+      note: pendingHighlight.note || "",
+      tags: pendingHighlight.tags || [],
+      ...(pendingHighlight.summary ? { summary: pendingHighlight.summary } : {}),
     };
   }
 
@@ -4,6 +4,8 @@
 class UIUtils {
   constructor() {
     this.currentPopup = null;
+    this.autoDismissTimeout = null;
+    this.tagInput = null;
   }
 
   /**
@@ -24,7 +26,65 @@ class UIUtils {
     document.body.appendChild(popup);
     this.currentPopup = popup;
 
-    // Auto-remove as failsafe
+    // Auto-remove as failsafe (cancelled once the user starts a note)
+    this.autoDismissTimeout = setTimeout(() => {
+      if (this.currentPopup === popup) {
+        this.removePopup();
+      }
+    }, CONSTANTS.POPUP_AUTO_DISMISS);
+  }
+
+  /**
+   * Offer to save the passage targeted by an incoming text-fragment link.
+   * Reuses the save popup's button ids so removePopup cleans it up.
+   */
+  showTextFragmentPrompt(text, handlers) {
+    this.removePopup();
+
+    const popup = document.createElement("div");
+    popup.id = "highlight-saver-popup-unique";
+    popup.className = "highlight-saver-popup highlight-fragment-prompt";
+    Object.assign(popup.style, {
+      position: "fixed",
+      top: "20px",
+      right: "20px",
+      zIndex: String(CONSTANTS.Z_INDEX_MAX),
+      maxWidth: "300px",
+    });
+
+    const label = document.createElement("div");
+    label.className = "highlight-fragment-label";
+    label.textContent = "Save the linked passage as a highlight?";
+
+    const quote = document.createElement("div");
+    quote.className = "highlight-fragment-quote";
+    quote.textContent = text.length > 120 ? `${text.substring(0, 120)}…` : text;
+
+    popup.appendChild(label);
+    popup.appendChild(quote);
+    if (handlers.colors && handlers.colors.palette.length > 0) {
+      popup.appendChild(this.createColorPicker(handlers.colors));
+    }
+    popup.appendChild(
+      this.createButton({
+        id: "highlight-save-btn-unique",
+        text: "Save",
+        className: "highlight-save-btn",
+        handler: handlers.save,
+      })
+    );
+    popup.appendChild(
+      this.createButton({
+        id: "highlight-cancel-btn-unique",
+        text: "Dismiss",
+        className: "highlight-cancel-btn",
+        handler: handlers.cancel,
+      })
+    );
+
+    document.body.appendChild(popup);
+    this.currentPopup = popup;
+
     setTimeout(() => {
       if (this.currentPopup === popup) {
         this.removePopup();
@@ -32,6 +92,52 @@ class UIUtils {
     }, CONSTANTS.POPUP_AUTO_DISMISS);
   }
 
+  /**
+   * Ask the user to confirm something, in place of the save popup, e.g.
+   * archiving old highlights to make room. Reuses the save popup's button
+   * ids so removePopup cleans it up; it isn't dismissed on a timer, since
+   * nothing happens until the user answers.
+   */
+  showConfirmPrompt(message, { confirmLabel, onConfirm, onCancel }) {
+    this.removePopup();
+
+    const popup = document.createElement("div");
+    popup.id = "highlight-saver-popup-unique";
+    popup.className = "highlight-saver-popup highlight-confirm-prompt";
+    Object.assign(popup.style, {
+      position: "fixed",
+      top: "20px",
+      right: "20px",
+      zIndex: String(CONSTANTS.Z_INDEX_MAX),
+      maxWidth: "300px",
+    });
+
+    const label = document.createElement("div");
+    label.className = "highlight-confirm-label";
+    label.textContent = message;
+
+    popup.appendChild(label);
+    popup.appendChild(
+      this.createButton({
+        id: "highlight-save-btn-unique",
+        text: confirmLabel,
+        className: "highlight-save-btn",
+        handler: onConfirm,
+      })
+    );
+    popup.appendChild(
+      this.createButton({
+        id: "highlight-cancel-btn-unique",
+        text: "Cancel",
+        className: "highlight-cancel-btn",
+        handler: onCancel,
+      })
+    );
+
+    document.body.appendChild(popup);
+    this.currentPopup = popup;
+  }
+
   /**
    * Position popup relative to text selection
    */
@@ -71,6 +177,10 @@ class UIUtils {
    * Add buttons to popup with event handlers
    */
   addPopupButtons(popup, handlers) {
+    if (handlers.colors && handlers.colors.palette.length > 0) {
+      popup.appendChild(this.createColorPicker(handlers.colors));
+    }
+
     // Create save button
     const saveButton = this.createButton({
       id: "highlight-save-btn-unique",
@@ -95,12 +205,188 @@ class UIUtils {
       handler: handlers.summarize,
     });
 
-    // Assemble popup with 3 buttons
+    // Create note button
+    const noteButton = this.createButton({
+      id: "highlight-note-btn-unique",
+      text: "Note",
+      className: "highlight-note-btn",
+      handler: () => this.toggleNoteEditor(popup),
+    });
+
+    // Create tags button
+    const tagsButton = this.createButton({
+      id: "highlight-tags-btn-unique",
+      text: "Tags",
+      className: "highlight-note-btn",
+      handler: handlers.tags,
+    });
+
+    // Create collection button
+    const collectionButton = this.createButton({
+      id: "highlight-collection-btn-unique",
+      text: "Collection",
+      className: "highlight-note-btn",
+      handler: handlers.collection,
+    });
+
+    // Assemble popup with 6 buttons
     popup.appendChild(summarizeButton);
+    popup.appendChild(noteButton);
+    popup.appendChild(tagsButton);
+    popup.appendChild(collectionButton);
     popup.appendChild(saveButton);
     popup.appendChild(cancelButton);
   }
 
+  /**
+   * Show or hide the note field of the save popup. The note is Markdown
+   * source and is read back with getNoteValue when the highlight is saved.
+   */
+  toggleNoteEditor(popup) {
+    const existing = popup.querySelector(".highlight-note-input");
+    if (existing) {
+      existing.focus();
+      return;
+    }
+
+    this.expandPopup(popup);
+
+    const textarea = document.createElement("textarea");
+    textarea.className = "highlight-note-input";
+    textarea.placeholder = "Add a note (Markdown supported)";
+    textarea.rows = 3;
+    popup.appendChild(textarea);
+    textarea.focus();
+  }
+
+  getNoteValue() {
+    const textarea = this.currentPopup?.querySelector(".highlight-note-input");
+    return textarea ? textarea.value.trim() : "";
+  }
+
+  /**
+   * Show the tag field of the current popup, autocompleting from the
+   * user's existing tags
+   */
+  showTagEditor(suggestions) {
+    const popup = this.currentPopup;
+    if (!popup) return;
+    if (this.tagInput && popup.contains(this.tagInput.element)) {
+      this.tagInput.setSuggestions(suggestions);
+      this.tagInput.focus();
+      return;
+    }
+
+    this.expandPopup(popup);
+
+    this.tagInput = new window.__highlightSaver.TagInput({
+      suggestions,
+      placeholder: "Add tags (Enter to add)",
+    });
+    this.tagInput.element.classList.add("highlight-tags-input");
+    popup.appendChild(this.tagInput.element);
+    this.tagInput.focus();
+  }
+
+  getTagsValue() {
+    if (!this.tagInput || !this.currentPopup?.contains(this.tagInput.element)) {
+      return [];
+    }
+    return this.tagInput.getTags();
+  }
+
+  /**
+   * Show a picker for adding the highlight to one of the user's collections
+   */
+  showCollectionPicker(collections) {
+    const popup = this.currentPopup;
+    if (!popup) return;
+
+    let select = popup.querySelector(".highlight-collection-select");
+    if (!select) {
+      this.expandPopup(popup);
+      select = document.createElement("select");
+      select.className = "highlight-collection-select";
+      popup.appendChild(select);
+    }
+
+    const current = select.value;
+    select.innerHTML = "";
+
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = collections.length > 0 ? "No collection" : "No collections yet";
+    select.appendChild(none);
+
+    collections.forEach((collection) => {
+      const option = document.createElement("option");
+      option.value = collection.id;
+      option.textContent = collection.name;
+      select.appendChild(option);
+    });
+
+    select.value = collections.some((c) => c.id === current) ? current : "";
+    select.focus();
+  }
+
+  getCollectionValue() {
+    const select = this.currentPopup?.querySelector(".highlight-collection-select");
+    return select && select.value ? select.value : null;
+  }
+
+  /**
+   * Make room for extra fields below the buttons. Typing can take longer
+   * than the auto-dismiss failsafe, so it is cancelled.
+   */
+  expandPopup(popup) {
+    if (this.autoDismissTimeout) {
+      clearTimeout(this.autoDismissTimeout);
+      this.autoDismissTimeout = null;
+    }
+    popup.classList.add("highlight-saver-popup-expanded");
+  }
+
+  /**
+   * Create a row of color swatches from the user's palette
+   */
+  createColorPicker({ palette, selected, onSelect }) {
+    const picker = document.createElement("div");
+    picker.className = "highlight-color-picker";
+
+    palette.forEach((entry) => {
+      const swatch = document.createElement("button");
+      swatch.type = "button";
+      swatch.className = "highlight-color-swatch";
+      swatch.dataset.color = entry.id;
+      swatch.title = entry.name;
+      swatch.setAttribute("aria-label", `Color: ${entry.name}`);
+      swatch.style.setProperty("--highlight-saver-color", entry.color);
+
+      const isSelected = entry.id === selected;
+      swatch.classList.toggle("selected", isSelected);
+      swatch.setAttribute("aria-pressed", String(isSelected));
+
+      swatch.addEventListener(
+        "click",
+        (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          picker.querySelectorAll(".highlight-color-swatch").forEach((other) => {
+            const active = other === swatch;
+            other.classList.toggle("selected", active);
+            other.setAttribute("aria-pressed", String(active));
+          });
+          onSelect(entry.id);
+        },
+        true
+      );
+
+      picker.appendChild(swatch);
+    });
+
+    return picker;
+  }
+
   /**
    * Create button with event handlers
    */
@@ -127,9 +413,10 @@ class UIUtils {
   }
 
   /**
-   * Show summary popup
+   * Show summary popup, with a button to save the highlight and summary
+   * when onSave is given
    */
-  showSummaryPopup(summary) {
+  showSummaryPopup(summary, onSave = null) {
     this.removePopup();
 
     const summaryPopup = document.createElement("div");
@@ -173,6 +460,17 @@ class UIUtils {
 
     // Assemble summary popup
     summaryPopup.appendChild(summaryContent);
+    if (onSave) {
+      const saveButton = this.createButton({
+        id: "highlight-save-btn-unique",
+        text: "Save with summary",
+        className: "highlight-save-btn",
+        handler: onSave,
+      });
+      saveButton.style.marginTop = "8px";
+      saveButton.style.marginRight = "8px";
+      summaryPopup.appendChild(saveButton);
+    }
     summaryPopup.appendChild(closeButton);
 
     document.body.appendChild(summaryPopup);
@@ -234,6 +532,9 @@ class UIUtils {
         this.currentPopup.querySelector("#highlight-save-btn-unique"),
         this.currentPopup.querySelector("#highlight-cancel-btn-unique"),
         this.currentPopup.querySelector("#highlight-summarize-btn-unique"),
+        this.currentPopup.querySelector("#highlight-note-btn-unique"),
+        this.currentPopup.querySelector("#highlight-tags-btn-unique"),
+        this.currentPopup.querySelector("#highlight-collection-btn-unique"),
       ];
 
       buttons.forEach((btn) => {
@@ -249,6 +550,11 @@ class UIUtils {
       this.currentPopup.remove();
       this.currentPopup = null;
     }
+    if (this.autoDismissTimeout) {
+      clearTimeout(this.autoDismissTimeout);
+      this.autoDismissTimeout = null;
+    }
+    this.tagInput = null;
 
     // Fallback: also try to remove by ID in case reference is lost
     const popupElement = document.getElementById(
@@ -260,9 +566,10 @@ class UIUtils {
   }
 
   /**
-   * Show feedback message
+   * Show feedback message. An action ({ label, onClick }) adds a button,
+   * e.g. Undo, and keeps the message up longer.
    */
-  showFeedback(message, backgroundColor) {
+  showFeedback(message, backgroundColor, action = null) {
     // Remove any existing feedback
     const existing = document.querySelector(".highlight-feedback");
     if (existing) {
@@ -288,21 +595,50 @@ class UIUtils {
     });
     feedback.textContent = message;
 
+    if (action) {
+      const button = document.createElement("button");
+      button.className = "highlight-feedback-action";
+      Object.assign(button.style, {
+        marginLeft: "10px",
+        padding: "2px 8px",
+        background: "transparent",
+        color: "white",
+        border: "1px solid rgba(255,255,255,0.7)",
+        borderRadius: "4px",
+        font: "inherit",
+        cursor: "pointer",
+      });
+      button.textContent = action.label;
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        feedback.remove();
+        action.onClick();
+      });
+      feedback.appendChild(button);
+    }
+
     document.body.appendChild(feedback);
 
     // Auto-remove after timeout
-    setTimeout(() => {
-      if (feedback.parentNode) {
-        feedback.remove();
-      }
-    }, CONSTANTS.FEEDBACK_DISMISS);
+    setTimeout(
+      () => {
+        if (feedback.parentNode) {
+          feedback.remove();
+        }
+      },
+      action ? CONSTANTS.UNDO_DISMISS : CONSTANTS.FEEDBACK_DISMISS
+    );
   }
 
   /**
-   * Show success feedback
+   * Show success feedback, with an Undo button when onUndo is given
    */
-  showSuccessFeedback() {
-    this.showFeedback("Highlight saved!", "#10b981");
+  showSuccessFeedback(onUndo = null) {
+    this.showFeedback(
+      "Highlight saved!",
+      "#10b981",
+      onUndo ? { label: "Undo", onClick: onUndo } : null
+    );
   }
 
   /**
@@ -448,6 +784,13 @@ class UIUtils {
     return this.currentPopup && !this.currentPopup.contains(event.target);
   }
 
+  /**
+   * Check if an event target belongs to the current popup
+   */
+  isInsidePopup(target) {
+    return Boolean(this.currentPopup && target instanceof Node && this.currentPopup.contains(target));
+  }
+
   /**
    * Get current popup reference
    */
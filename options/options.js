@@ -0,0 +1,268 @@
+// Settings page — reads and writes settings through the background script
+class OptionsPage {
+  constructor() {
+    this.form = document.getElementById("remoteSyncForm");
+    this.enabled = document.getElementById("remoteEnabled");
+    this.type = document.getElementById("remoteType");
+    this.url = document.getElementById("remoteUrl");
+    this.token = document.getElementById("remoteToken");
+    this.username = document.getElementById("remoteUsername");
+    this.password = document.getElementById("remotePassword");
+    this.restFields = document.getElementById("restFields");
+    this.webdavFields = document.getElementById("webdavFields");
+    this.syncNowBtn = document.getElementById("remoteSyncNowBtn");
+    this.status = document.getElementById("remoteStatus");
+    this.vaultForm = document.getElementById("vaultForm");
+    this.vaultState = document.getElementById("vaultState");
+    this.vaultPassphrase = document.getElementById("vaultPassphrase");
+    this.vaultConfirm = document.getElementById("vaultConfirm");
+    this.vaultConfirmField = document.getElementById("vaultConfirmField");
+    this.vaultSubmitBtn = document.getElementById("vaultSubmitBtn");
+    this.vaultStatus = document.getElementById("vaultStatus");
+    this.vaultEnabled = false;
+    this.templateForm = document.getElementById("templateForm");
+    this.template = document.getElementById("markdownTemplate");
+    this.templatePreviewBtn = document.getElementById("templatePreviewBtn");
+    this.templateResetBtn = document.getElementById("templateResetBtn");
+    this.templateStatus = document.getElementById("templateStatus");
+    this.templatePreview = document.getElementById("templatePreview");
+
+    this.form.addEventListener("submit", (e) => this.handleSave(e));
+    this.type.addEventListener("change", () => this.updateTypeFields());
+    this.syncNowBtn.addEventListener("click", () => this.handleSyncNow());
+    this.vaultForm.addEventListener("submit", (e) => this.handleVaultSubmit(e));
+    this.templateForm.addEventListener("submit", (e) => this.handleTemplateSave(e));
+    this.templatePreviewBtn.addEventListener("click", () => this.handleTemplatePreview());
+    this.templateResetBtn.addEventListener("click", () => this.handleTemplateReset());
+
+    this.loadVault();
+    this.loadTemplate();
+    this.load();
+  }
+
+  sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response?.error || "Request failed"));
+        }
+      });
+    });
+  }
+
+  async load() {
+    try {
+      const { config } = await this.sendMessage({ action: "getRemoteSyncConfig" });
+      this.enabled.checked = config.enabled;
+      this.type.value = config.type;
+      this.url.value = config.url;
+      this.token.value = config.token;
+      this.username.value = config.username;
+      this.password.value = config.password;
+      this.updateTypeFields();
+
+      const { status } = await this.sendMessage({ action: "getRemoteSyncStatus" });
+      this.renderStatus(status);
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+      this.showStatus(error.message, "error");
+    }
+  }
+
+  async loadVault() {
+    try {
+      const { status } = await this.sendMessage({ action: "getVaultStatus" });
+      this.renderVault(status);
+    } catch (error) {
+      console.error("Failed to load encryption status:", error);
+      this.vaultStatus.textContent = error.message;
+      this.vaultStatus.dataset.state = "error";
+    }
+  }
+
+  renderVault(status) {
+    this.vaultEnabled = status.enabled;
+    this.vaultState.textContent = status.enabled
+      ? `Encryption is on${status.locked ? " (locked)" : ""}.`
+      : "Encryption is off.";
+    this.vaultConfirmField.hidden = status.enabled;
+    this.vaultSubmitBtn.textContent = status.enabled ? "Turn off encryption" : "Turn on encryption";
+    this.vaultSubmitBtn.className = status.enabled ? "btn" : "btn btn-primary";
+    this.vaultPassphrase.autocomplete = status.enabled ? "current-password" : "new-password";
+  }
+
+  /**
+   * Turning encryption on or off rewrites every stored highlight, so it
+   * can take a moment on large libraries
+   */
+  async handleVaultSubmit(event) {
+    event.preventDefault();
+    const passphrase = this.vaultPassphrase.value;
+    const showError = (message) => {
+      this.vaultStatus.textContent = message;
+      this.vaultStatus.dataset.state = "error";
+    };
+
+    if (!this.vaultEnabled && passphrase !== this.vaultConfirm.value) {
+      showError("The passphrases don't match");
+      return;
+    }
+    if (this.vaultEnabled && !confirm("Decrypt all highlights and turn encryption off?")) {
+      return;
+    }
+
+    this.vaultSubmitBtn.disabled = true;
+    this.vaultStatus.textContent = this.vaultEnabled ? "Decrypting..." : "Encrypting...";
+    this.vaultStatus.dataset.state = "";
+    try {
+      const { status } = await this.sendMessage({
+        action: this.vaultEnabled ? "disableVault" : "enableVault",
+        passphrase,
+      });
+      this.vaultPassphrase.value = "";
+      this.vaultConfirm.value = "";
+      this.renderVault(status);
+      this.vaultStatus.textContent = status.enabled ? "Highlights encrypted" : "Highlights decrypted";
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      this.vaultSubmitBtn.disabled = false;
+    }
+  }
+
+  async loadTemplate() {
+    try {
+      const { settings } = await this.sendMessage({ action: "getSettings" });
+      this.template.value = settings.markdownTemplate || DEFAULT_MARKDOWN_TEMPLATE;
+    } catch (error) {
+      console.error("Failed to load the Markdown template:", error);
+      this.showTemplateStatus(error.message, "error");
+    }
+  }
+
+  /**
+   * The default template is stored as null, so later changes to the
+   * default reach users who never edited it
+   */
+  async handleTemplateSave(event) {
+    event.preventDefault();
+    const value = this.template.value.trim() === DEFAULT_MARKDOWN_TEMPLATE.trim() ? null : this.template.value;
+    try {
+      await this.sendMessage({ action: "saveSettings", settings: { markdownTemplate: value } });
+      this.showTemplateStatus("Saved");
+    } catch (error) {
+      this.showTemplateStatus(error.message, "error");
+    }
+  }
+
+  handleTemplateReset() {
+    this.template.value = DEFAULT_MARKDOWN_TEMPLATE;
+    this.showTemplateStatus("Save to use the default template");
+  }
+
+  /**
+   * Render the template being edited with a couple of sample highlights
+   */
+  handleTemplatePreview() {
+    const now = Date.now();
+    const sample = [
+      {
+        id: "sample-1",
+        text: "The best way to get a good idea is to get a lot of ideas.",
+        note: "Quantity first, then filter.",
+        tags: ["creativity"],
+        url: "https://example.com/ideas",
+        normalizedUrl: "example.com/ideas",
+        title: "On getting ideas",
+        domain: "example.com",
+        timestamp: now - 60000,
+      },
+      {
+        id: "sample-2",
+        text: "Write drunk, edit sober is bad advice; write rested, edit rested.",
+        summary: "Both drafting and editing go better when you're fresh.",
+        tags: [],
+        url: "https://example.com/ideas",
+        normalizedUrl: "example.com/ideas",
+        title: "On getting ideas",
+        domain: "example.com",
+        timestamp: now,
+      },
+    ];
+    try {
+      this.templatePreview.textContent = MarkdownExport.render(sample, { template: this.template.value, now });
+      this.templatePreview.hidden = false;
+      this.showTemplateStatus("");
+    } catch (error) {
+      this.templatePreview.hidden = true;
+      this.showTemplateStatus(error.message, "error");
+    }
+  }
+
+  showTemplateStatus(text, state = "") {
+    this.templateStatus.textContent = text;
+    this.templateStatus.dataset.state = state;
+  }
+
+  updateTypeFields() {
+    const webdav = this.type.value === "webdav";
+    this.restFields.hidden = webdav;
+    this.webdavFields.hidden = !webdav;
+  }
+
+  async handleSave(event) {
+    event.preventDefault();
+    try {
+      const { config } = await this.sendMessage({
+        action: "saveRemoteSyncConfig",
+        config: {
+          enabled: this.enabled.checked,
+          type: this.type.value,
+          url: this.url.value,
+          token: this.token.value,
+          username: this.username.value,
+          password: this.password.value,
+        },
+      });
+      this.url.value = config.url;
+      this.showStatus("Saved");
+    } catch (error) {
+      this.showStatus(error.message, "error");
+    }
+  }
+
+  async handleSyncNow() {
+    this.showStatus("Syncing...");
+    try {
+      const { status } = await this.sendMessage({ action: "remoteSyncNow" });
+      this.renderStatus(status);
+    } catch (error) {
+      this.showStatus(`Sync failed: ${error.message}`, "error");
+    }
+  }
+
+  renderStatus(status) {
+    if (status.state === "error") {
+      const retry = status.retryAt ? `, retrying at ${new Date(status.retryAt).toLocaleTimeString()}` : "";
+      this.showStatus(`Sync error: ${status.error}${retry}`, "error");
+    } else if (status.lastSyncAt) {
+      const pending = status.pending ? `, ${status.pending} changes waiting` : "";
+      this.showStatus(`Synced ${new Date(status.lastSyncAt).toLocaleTimeString()}${pending}`);
+    } else {
+      this.showStatus(status.pending ? `${status.pending} changes waiting to sync` : "");
+    }
+  }
+
+  showStatus(text, state = "") {
+    this.status.textContent = text;
+    this.status.dataset.state = state;
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  new OptionsPage();
+});
@@ -14,6 +14,9 @@ class HighlightStorage {
     });
   }
 
+  /**
+   * Mutations resolve with the background's operationId, see undo
+   */
   static async delete(id) {
     return new Promise((resolve, reject) => {
       chrome.runtime.sendMessage(
@@ -22,7 +25,7 @@ class HighlightStorage {
           if (chrome.runtime.lastError) {
             reject(chrome.runtime.lastError);
           } else if (response && response.success) {
-            resolve();
+            resolve(response.operationId);
           } else {
             reject(new Error(response?.error || "Failed to delete highlight"));
           }
@@ -31,6 +34,104 @@ class HighlightStorage {
     });
   }
 
+  static async update(id, updates) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(
+        { action: "updateHighlight", id, updates },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            reject(chrome.runtime.lastError);
+          } else if (response && response.success) {
+            resolve(response.highlight);
+          } else {
+            reject(new Error(response?.error || "Failed to update highlight"));
+          }
+        }
+      );
+    });
+  }
+
+  static async renameTag(from, to) {
+    return this.sendTagAction({ action: "renameTag", from, to });
+  }
+
+  static async mergeTags(sources, target) {
+    return this.sendTagAction({ action: "mergeTags", sources, target });
+  }
+
+  static async deleteTag(tag) {
+    return this.sendTagAction({ action: "deleteTag", tag });
+  }
+
+  /**
+   * Resolves with { updated, operationId }; operationId is only set when
+   * a highlight changed
+   */
+  static async sendTagAction(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve({
+            updated: response.updated,
+            operationId: response.updated > 0 ? response.operationId : null,
+          });
+        } else {
+          reject(new Error(response?.error || "Failed to update tags"));
+        }
+      });
+    });
+  }
+
+  static async getCollections() {
+    return this.sendCollectionAction({ action: "getCollections" }, "collections");
+  }
+
+  static async createCollection(name) {
+    return this.sendCollectionAction({ action: "createCollection", name }, "collection");
+  }
+
+  static async renameCollection(id, name) {
+    return this.sendCollectionAction({ action: "renameCollection", id, name }, "collection");
+  }
+
+  static async reorderCollection(id, highlightIds) {
+    return this.sendCollectionAction(
+      { action: "reorderCollection", id, highlightIds },
+      "collection"
+    );
+  }
+
+  static async addToCollection(id, highlightIds) {
+    return this.sendCollectionAction({ action: "addToCollection", id, highlightIds }, "collection");
+  }
+
+  static async removeFromCollection(id, highlightIds) {
+    return this.sendCollectionAction(
+      { action: "removeFromCollection", id, highlightIds },
+      "collection"
+    );
+  }
+
+  static async deleteCollection(id) {
+    return this.sendCollectionAction({ action: "deleteCollection", id }, "success");
+  }
+
+  static async sendCollectionAction(message, resultKey) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve(response[resultKey]);
+        } else {
+          reject(new Error(response?.error || "Collection update failed"));
+        }
+      });
+    });
+  }
+
   static async clearAll() {
     return new Promise((resolve, reject) => {
       chrome.runtime.sendMessage(
@@ -39,7 +140,7 @@ class HighlightStorage {
           if (chrome.runtime.lastError) {
             reject(chrome.runtime.lastError);
           } else if (response && response.success) {
-            resolve();
+            resolve(response.operationId);
           } else {
             reject(new Error(response?.error || "Failed to clear highlights"));
           }
@@ -48,15 +149,233 @@ class HighlightStorage {
     });
   }
 
-  static async export() {
-    const highlights = await this.getAll();
-    const dataStr = JSON.stringify(highlights, null, 2);
-    const dataBlob = new Blob([dataStr], { type: "application/json" });
+  /**
+   * Revert an operation by its operationId. Resolves with the operation's
+   * { id, type, label }; fails if a later change was made since.
+   */
+  static async undo(operationId) {
+    return this.sendJournalAction({ action: "undo", operationId });
+  }
+
+  static async redo(operationId) {
+    return this.sendJournalAction({ action: "redo", operationId });
+  }
+
+  static async sendJournalAction(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve(response.operation);
+        } else {
+          reject(new Error(response?.error || "Undo failed"));
+        }
+      });
+    });
+  }
+
+  static async getTrash() {
+    return this.sendTrashAction({ action: "getTrash" }, "highlights");
+  }
+
+  /**
+   * Restore trashed highlights. overflow overrides the overflow policy,
+   * for retrying once the user agreed to archive old highlights.
+   */
+  static async restore(ids, overflow = null) {
+    return this.sendTrashAction({ action: "restoreHighlights", ids, overflow }, "restored");
+  }
+
+  static async deleteForever(ids) {
+    return this.sendTrashAction({ action: "deleteHighlightsForever", ids }, "success");
+  }
+
+  static async emptyTrash() {
+    return this.sendTrashAction({ action: "emptyTrash" }, "success");
+  }
+
+  static async sendTrashAction(message, resultKey) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve(response[resultKey]);
+        } else {
+          const error = new Error(response?.error || "Trash update failed");
+          error.code = response?.code;
+          reject(error);
+        }
+      });
+    });
+  }
+
+  static async saveSettings(settings) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: "saveSettings", settings }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve(response.settings);
+        } else {
+          reject(new Error(response?.error || "Failed to save settings"));
+        }
+      });
+    });
+  }
+
+  static async getSyncStatus() {
+    return this.sendSyncAction({ action: "getSyncStatus" });
+  }
+
+  static async syncNow() {
+    return this.sendSyncAction({ action: "syncNow" });
+  }
+
+  static async sendSyncAction(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve(response.status);
+        } else {
+          reject(new Error(response?.error || "Sync failed"));
+        }
+      });
+    });
+  }
+
+  static async getVaultStatus() {
+    return this.sendVaultAction({ action: "getVaultStatus" });
+  }
+
+  static async unlockVault(passphrase) {
+    return this.sendVaultAction({ action: "unlockVault", passphrase });
+  }
+
+  static async lockVault() {
+    return this.sendVaultAction({ action: "lockVault" });
+  }
+
+  static async sendVaultAction(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve(response.status);
+        } else {
+          reject(new Error(response?.error || "Vault request failed"));
+        }
+      });
+    });
+  }
+
+  static async getSettings() {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: "getSettings" }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve(response.settings || {});
+        } else {
+          reject(new Error(response?.error || "Failed to get settings"));
+        }
+      });
+    });
+  }
+
+  /**
+   * Ask the background for an export, see BackgroundService.exportHighlights
+   */
+  static requestExport({
+    collectionId = null,
+    format = "json",
+    ids = null,
+    columns = null,
+    preset = null,
+    flavor = null,
+  } = {}) {
+    return new Promise((resolve, reject) => {
+      const message = { action: "exportHighlights", collectionId, format, ids, columns, preset, flavor };
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.success) {
+          resolve(response.data);
+        } else {
+          reject(new Error(response?.error || "Failed to export highlights"));
+        }
+      });
+    });
+  }
+
+  /**
+   * Download all highlights, a single collection when collection is given,
+   * or the highlights in ids. format is "json" for a backup that can be
+   * imported again, "markdown", "csv" with the given columns, "readwise"
+   * for CSV in Readwise's layout, "obsidian" or "logseq" for a ZIP of
+   * notes, or "annotations" for W3C Web Annotations. name goes into the
+   * file name.
+   */
+  static async export(collection = null, { format = "json", ids = null, columns = null, name = "" } = {}) {
+    const variants = {
+      readwise: { format: "csv", preset: "readwise" },
+      obsidian: { format: "notes", flavor: "obsidian" },
+      logseq: { format: "notes", flavor: "logseq" },
+    };
+    // The background export carries the color palette alongside the highlights
+    const exportData = await this.requestExport({
+      collectionId: collection ? collection.id : null,
+      format,
+      ...variants[format],
+      ids,
+      columns,
+    });
+
+    // CSV arrives in chunks, which the Blob joins without building one
+    // large string. The byte order mark tells spreadsheets it's UTF-8.
+    let parts;
+    let type;
+    let extension;
+    if (exportData.format === "csv") {
+      parts = exportData.preset ? exportData.chunks : ["\uFEFF", ...exportData.chunks];
+      type = "text/csv";
+      extension = "csv";
+    } else if (exportData.format === "notes") {
+      parts = [window.__highlightSaver.ZipWriter.build(exportData.files)];
+      type = "application/zip";
+      extension = "zip";
+    } else if (exportData.format === "markdown") {
+      parts = [exportData.content];
+      type = "text/markdown";
+      extension = "md";
+    } else if (format === "annotations") {
+      parts = [JSON.stringify(exportData, null, 2)];
+      type = "application/ld+json";
+      extension = "jsonld";
+    } else {
+      parts = [JSON.stringify(exportData, null, 2)];
+      type = "application/json";
+      extension = "json";
+    }
+    const dataBlob = new Blob(parts, { type });
 
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement("a");
     link.href = url;
-    link.download = `highlights-${new Date().toISOString().split("T")[0]}.json`;
+    const label = collection ? collection.name : name;
+    let slug = label ? `-${label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}` : "";
+    if (variants[format]) {
+      slug += `-${format}`;
+    }
+    // With the vault on, the background hands back an encrypted envelope
+    if (window.__highlightSaver.VaultCrypto.isEncryptedExport(exportData)) {
+      slug += "-encrypted";
+    }
+    link.download = `highlights${slug}-${new Date().toISOString().split("T")[0]}.${extension}`;
     link.click();
     URL.revokeObjectURL(url);
   }
@@ -65,6 +384,7 @@ class HighlightStorage {
    * Validate a single highlight object has required fields and correct types
    */
   static validateHighlight(h) {
+    const { CONSTANTS } = window.__highlightSaver;
     return (
       h &&
       typeof h === "object" &&
@@ -72,34 +392,75 @@ class HighlightStorage {
       h.id.length > 0 &&
       typeof h.text === "string" &&
       h.text.length > 0 &&
-      h.text.length <= 10000 &&
+      h.text.length <= CONSTANTS.MAX_TEXT_LENGTH &&
       typeof h.url === "string" &&
       h.url.length > 0 &&
-      h.url.length <= 2048 &&
+      h.url.length <= CONSTANTS.MAX_URL_LENGTH &&
       typeof h.timestamp === "number" &&
       h.timestamp > 0
     );
   }
 
-  static async import(file, merge = false) {
+  /**
+   * Import a JSON export, a W3C Web Annotation file, or an export from
+   * another app (see HighlightImporters). overflow overrides the overflow
+   * policy, for retrying once the user agreed to archive old highlights.
+   * Encrypted exports are decrypted here with passphrase; without one the
+   * error's code is PASSPHRASE_REQUIRED. Files from other apps resolve, or
+   * reject, with a report of what was found in them.
+   */
+  static async import(file, merge = false, overflow = null, passphrase = null) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       reader.onload = async (e) => {
         try {
+          const { HighlightImporters } = window.__highlightSaver;
           let parsed;
+          let imported = null;
           try {
             parsed = JSON.parse(e.target.result);
           } catch {
-            reject(new Error("Invalid JSON file"));
-            return;
+            imported = HighlightImporters.fromText(e.target.result);
+            if (!imported) {
+              reject(new Error("Unrecognized file: expected a JSON export or an export from a supported app"));
+              return;
+            }
+            parsed = {};
+          }
+
+          const { VaultCrypto } = window.__highlightSaver;
+          if (VaultCrypto.isEncryptedExport(parsed)) {
+            if (!passphrase) {
+              const error = new Error("This file is encrypted");
+              error.code = "PASSPHRASE_REQUIRED";
+              reject(error);
+              return;
+            }
+            parsed = await VaultCrypto.decryptExport(parsed, passphrase);
+          }
+
+          // W3C Web Annotations, e.g. from another annotation tool
+          const { WebAnnotation } = window.__highlightSaver;
+          if (!imported && WebAnnotation.isAnnotationDocument(parsed)) {
+            imported = HighlightImporters.fromWebAnnotations(parsed);
           }
 
-          // Accept either raw array or { highlights: [...] } format
+          imported = imported || HighlightImporters.fromJson(parsed);
+          const report = imported ? imported.report : null;
+
+          // Accept either raw array or { highlights: [...] } format, keeping
+          // the palette and, for single-collection exports, the collection
           let highlights;
-          if (Array.isArray(parsed)) {
+          let collection = null;
+          let colorPalette = null;
+          if (imported) {
+            highlights = imported.highlights;
+          } else if (Array.isArray(parsed)) {
             highlights = parsed;
           } else if (parsed && Array.isArray(parsed.highlights)) {
             highlights = parsed.highlights;
+            collection = parsed.collection && typeof parsed.collection === "object" ? parsed.collection : null;
+            colorPalette = Array.isArray(parsed.colorPalette) ? parsed.colorPalette : null;
           } else {
             reject(new Error("Invalid file format: expected array of highlights"));
             return;
@@ -110,20 +471,37 @@ class HighlightStorage {
           const invalid = highlights.length - valid.length;
 
           if (valid.length === 0) {
-            reject(new Error("No valid highlights found in file"));
+            const error = new Error("No valid highlights found in file");
+            error.report = report;
+            reject(error);
             return;
           }
 
           // Route through background for atomic operation
           chrome.runtime.sendMessage(
-            { action: "importHighlights", highlights: valid, merge },
+            {
+              action: "importHighlights",
+              highlights: valid,
+              collection,
+              colorPalette,
+              merge,
+              overflow,
+            },
             (response) => {
               if (chrome.runtime.lastError) {
                 reject(chrome.runtime.lastError);
               } else if (response && response.success) {
-                resolve({ imported: response.imported, skippedInvalid: invalid });
+                resolve({
+                  imported: response.imported,
+                  skippedInvalid: invalid + (response.skippedInvalid || 0),
+                  archived: response.archived || 0,
+                  report,
+                  operationId: response.imported > 0 || !merge ? response.operationId : null,
+                });
               } else {
-                reject(new Error(response?.error || "Import failed"));
+                const error = new Error(response?.error || "Import failed");
+                error.code = response?.code;
+                reject(error);
               }
             }
           );
@@ -138,6 +516,28 @@ class HighlightStorage {
 
 // Popup pagination constant
 const PAGE_SIZE = 50;
+// How long the Undo button stays up after a destructive action (ms)
+const UNDO_TOAST_DURATION = 6000;
+
+// Apps HighlightImporters reads, with what each calls the pages it holds
+const IMPORT_SOURCES = {
+  kindle: { label: "Kindle clippings", page: "book" },
+  hypothesis: { label: "Hypothesis", page: "page" },
+  pocket: { label: "Pocket", page: "article" },
+  instapaper: { label: "Instapaper", page: "article" },
+  webAnnotation: { label: "Web Annotations", page: "page" },
+};
+
+// Why entries of another app's export were left out
+const IMPORT_SKIP_REASONS = {
+  bookmark: "bookmarks",
+  unrecognized: "unrecognized clippings",
+  reply: "replies",
+  pageNote: "page notes with no quoted text",
+  noHighlights: "saved articles without highlights",
+  noQuote: "annotations with no quoted text",
+  invalidUrl: "entries without a web address",
+};
 
 // UI management
 class PopupUI {
@@ -145,175 +545,1149 @@ class PopupUI {
     this.highlightsList = document.getElementById("highlightsList");
     this.emptyState = document.getElementById("emptyState");
     this.searchInput = document.getElementById("searchInput");
+    this.statusFilter = document.getElementById("statusFilter");
+    this.colorFilter = document.getElementById("colorFilter");
+    this.tagFilter = document.getElementById("tagFilter");
+    this.collectionSelect = document.getElementById("collectionSelect");
+    this.newCollectionBtn = document.getElementById("newCollectionBtn");
+    this.collectionActions = document.getElementById("collectionActions");
+    this.renameCollectionBtn = document.getElementById("renameCollectionBtn");
+    this.exportCollectionBtn = document.getElementById("exportCollectionBtn");
+    this.deleteCollectionBtn = document.getElementById("deleteCollectionBtn");
+    this.tagActions = document.getElementById("tagActions");
+    this.renameTagBtn = document.getElementById("renameTagBtn");
+    this.deleteTagBtn = document.getElementById("deleteTagBtn");
     this.highlightCount = document.getElementById("highlightCount");
     this.exportBtn = document.getElementById("exportBtn");
+    this.exportBar = document.getElementById("exportBar");
+    this.exportFormat = document.getElementById("exportFormat");
+    this.exportScope = document.getElementById("exportScope");
+    this.exportDownloadBtn = document.getElementById("exportDownloadBtn");
+    this.exportCopyBtn = document.getElementById("exportCopyBtn");
+    this.exportColumns = document.getElementById("exportColumns");
     this.importBtn = document.getElementById("importBtn");
+    this.settingsBtn = document.getElementById("settingsBtn");
+    this.lockBtn = document.getElementById("lockBtn");
+    this.container = document.querySelector(".container");
+    this.vaultPanel = document.getElementById("vaultPanel");
+    this.vaultMessage = document.getElementById("vaultMessage");
+    this.vaultForm = document.getElementById("vaultForm");
+    this.vaultPassphrase = document.getElementById("vaultPassphrase");
+    this.vaultSubmitBtn = document.getElementById("vaultSubmitBtn");
+    this.vaultCancelBtn = document.getElementById("vaultCancelBtn");
+    this.vaultError = document.getElementById("vaultError");
+    this.vaultHandlers = null;
     this.fileInput = document.getElementById("fileInput");
     this.clearAllBtn = document.getElementById("clearAllBtn");
+    this.trashBtn = document.getElementById("trashBtn");
+    this.trashBar = document.getElementById("trashBar");
+    this.trashBackBtn = document.getElementById("trashBackBtn");
+    this.trashRetention = document.getElementById("trashRetention");
+    this.emptyTrashBtn = document.getElementById("emptyTrashBtn");
+    this.collectionBar = document.querySelector(".collection-bar");
+    this.filterBar = document.querySelector(".filter-bar");
+    this.emptyStateTitle = this.emptyState.querySelector("h3");
+    this.emptyStateText = this.emptyState.querySelector("p");
+    this.syncToggle = document.getElementById("syncToggle");
+    this.syncStatus = document.getElementById("syncStatus");
+    this.undoToast = document.getElementById("undoToast");
+    this.undoMessage = document.getElementById("undoMessage");
+    this.undoBtn = document.getElementById("undoBtn");
+    this.undoTimer = null;
+    this.undoAction = null;
+
+    this.highlights = [];
+    this.trash = [];
+    this.viewingTrash = false;
+    this.filteredHighlights = [];
+    this.displayedCount = 0;
+    this.colorPalette = [];
+    this.tags = [];
+    this.collections = [];
+    this.urlUtils = new window.__highlightSaver.UrlUtils();
+    this.textFragmentUtils = new window.__highlightSaver.TextFragmentUtils();
+
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    await this.loadSettings();
+    if (await this.loadVaultStatus()) {
+      await this.loadHighlights();
+    }
+    await this.loadSyncStatus();
+  }
+
+  /**
+   * Ask for the passphrase while the vault is locked. Resolves false in
+   * that case, since highlights can't be read until it's unlocked.
+   */
+  async loadVaultStatus() {
+    let status;
+    try {
+      status = await HighlightStorage.getVaultStatus();
+    } catch (error) {
+      console.error("Failed to load vault status:", error);
+      return true;
+    }
+
+    this.lockBtn.hidden = !status.enabled || status.locked;
+    if (!status.locked) return true;
+
+    this.openVaultPanel({
+      message: "Your highlights are encrypted. Enter your passphrase to unlock them.",
+      submitLabel: "Unlock",
+      onSubmit: async (passphrase) => {
+        await HighlightStorage.unlockVault(passphrase);
+        this.lockBtn.hidden = false;
+        await this.loadHighlights();
+      },
+    });
+    return false;
+  }
+
+  async handleLock() {
+    try {
+      await HighlightStorage.lockVault();
+      // Don't leave decrypted highlights on screen
+      this.highlights = [];
+      this.trash = [];
+      this.filterHighlights();
+      await this.loadVaultStatus();
+    } catch (error) {
+      console.error("Failed to lock highlights:", error);
+      alert("Failed to lock highlights: " + error.message);
+    }
+  }
+
+  /**
+   * Show the passphrase form in place of the highlight list. onSubmit gets
+   * the passphrase; if it throws, its message is shown and the form stays.
+   * Without onCancel there's no way to dismiss it.
+   */
+  openVaultPanel({ message, submitLabel, onSubmit, onCancel = null }) {
+    this.vaultHandlers = { onSubmit, onCancel };
+    this.vaultMessage.textContent = message;
+    this.vaultSubmitBtn.textContent = submitLabel;
+    this.vaultCancelBtn.hidden = !onCancel;
+    this.vaultError.textContent = "";
+    this.vaultPassphrase.value = "";
+    this.vaultPanel.hidden = false;
+    this.container.classList.add("vault-open");
+    this.vaultPassphrase.focus();
+  }
+
+  closeVaultPanel() {
+    this.vaultHandlers = null;
+    this.vaultPassphrase.value = "";
+    this.vaultPanel.hidden = true;
+    this.container.classList.remove("vault-open");
+  }
+
+  async handleVaultSubmit(event) {
+    event.preventDefault();
+    const passphrase = this.vaultPassphrase.value;
+    if (!passphrase || !this.vaultHandlers) return;
+
+    this.vaultSubmitBtn.disabled = true;
+    try {
+      await this.vaultHandlers.onSubmit(passphrase);
+      this.closeVaultPanel();
+    } catch (error) {
+      this.vaultError.textContent = error.message;
+      this.vaultPassphrase.select();
+    } finally {
+      this.vaultSubmitBtn.disabled = false;
+    }
+  }
+
+  handleVaultCancel() {
+    const onCancel = this.vaultHandlers && this.vaultHandlers.onCancel;
+    this.closeVaultPanel();
+    if (onCancel) onCancel();
+  }
+
+  /**
+   * Resolves with the passphrase the user entered, or null if they cancelled
+   */
+  askPassphrase(message) {
+    return new Promise((resolve) => {
+      this.openVaultPanel({
+        message,
+        submitLabel: "Import",
+        onSubmit: async (passphrase) => resolve(passphrase),
+        onCancel: () => resolve(null),
+      });
+    });
+  }
+
+  async loadSettings() {
+    try {
+      const settings = await HighlightStorage.getSettings();
+      this.urlUtils.setRules(settings.urlRules);
+      this.colorPalette = settings.colorPalette || [];
+      this.renderColorFilter();
+      this.renderRetention(settings.trashRetentionDays);
+      this.renderCsvColumns(settings.csvColumns);
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+    }
+  }
+
+  renderColorFilter() {
+    const current = this.colorFilter.value;
+    this.colorFilter.innerHTML = "";
+
+    const all = document.createElement("option");
+    all.value = "all";
+    all.textContent = "All colors";
+    this.colorFilter.appendChild(all);
+
+    this.colorPalette.forEach((entry) => {
+      const option = document.createElement("option");
+      option.value = entry.id;
+      option.textContent = entry.name;
+      this.colorFilter.appendChild(option);
+    });
+
+    this.colorFilter.value = this.colorPalette.some((e) => e.id === current) ? current : "all";
+  }
+
+  renderRetention(days) {
+    if (!days) return;
+    const value = String(days);
+    if (![...this.trashRetention.options].some((o) => o.value === value)) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = `${days} days`;
+      this.trashRetention.appendChild(option);
+    }
+    this.trashRetention.value = value;
+  }
+
+  bindEvents() {
+    this.searchInput.addEventListener("input", () => this.filterHighlights());
+    this.statusFilter.addEventListener("change", () => this.filterHighlights());
+    this.colorFilter.addEventListener("change", () => this.filterHighlights());
+    this.tagFilter.addEventListener("change", () => this.filterHighlights());
+    this.renameTagBtn.addEventListener("click", () => this.handleRenameTag());
+    this.deleteTagBtn.addEventListener("click", () => this.handleDeleteTag());
+    this.collectionSelect.addEventListener("change", () => this.filterHighlights());
+    this.newCollectionBtn.addEventListener("click", () => this.handleCreateCollection());
+    this.renameCollectionBtn.addEventListener("click", () => this.handleRenameCollection());
+    this.exportCollectionBtn.addEventListener("click", () => this.handleExportCollection());
+    this.deleteCollectionBtn.addEventListener("click", () => this.handleDeleteCollection());
+    this.exportBtn.addEventListener("click", () => this.toggleExportBar());
+    this.exportFormat.addEventListener("change", () => this.updateExportFields());
+    this.exportColumns.addEventListener("change", () => this.handleCsvColumnsChange());
+    this.exportDownloadBtn.addEventListener("click", () => this.handleExport());
+    this.exportCopyBtn.addEventListener("click", () => this.handleCopyExport());
+    this.importBtn.addEventListener("click", () => this.handleImport());
+    this.settingsBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+    this.lockBtn.addEventListener("click", () => this.handleLock());
+    this.vaultForm.addEventListener("submit", (e) => this.handleVaultSubmit(e));
+    this.vaultCancelBtn.addEventListener("click", () => this.handleVaultCancel());
+    this.fileInput.addEventListener("change", (e) => this.handleFileSelect(e));
+    this.clearAllBtn.addEventListener("click", () => this.handleClearAll());
+    this.trashBtn.addEventListener("click", () => this.showTrash(true));
+    this.trashBackBtn.addEventListener("click", () => this.showTrash(false));
+    this.trashRetention.addEventListener("change", () => this.handleRetentionChange());
+    this.emptyTrashBtn.addEventListener("click", () => this.handleEmptyTrash());
+    this.undoBtn.addEventListener("click", () => this.handleUndoToast());
+    this.syncToggle.addEventListener("change", () => this.handleSyncToggle());
+  }
+
+  async loadSyncStatus() {
+    try {
+      this.renderSyncStatus(await HighlightStorage.getSyncStatus());
+    } catch (error) {
+      console.error("Failed to load sync status:", error);
+    }
+  }
+
+  renderSyncStatus(status) {
+    this.syncToggle.checked = status.enabled;
+    let text;
+    let title = "";
+    if (!status.enabled) {
+      text = "Off";
+    } else if (status.state === "error") {
+      text = "Sync error";
+      title = status.error || "";
+    } else if (!status.lastSyncAt) {
+      text = "Waiting to sync";
+    } else {
+      text = `Synced ${new Date(status.lastSyncAt).toLocaleTimeString()}`;
+      if (status.state === "partial") {
+        text += ` (${status.skipped} not synced)`;
+        title = "Sync storage is full, so only the most recently changed highlights are synced";
+      }
+    }
+    this.syncStatus.textContent = text;
+    this.syncStatus.title = title;
+    this.syncStatus.dataset.state = status.enabled ? status.state : "off";
+  }
+
+  async handleSyncToggle() {
+    const enabled = this.syncToggle.checked;
+    try {
+      await HighlightStorage.saveSettings({ syncEnabled: enabled });
+      if (enabled) {
+        this.syncStatus.textContent = "Syncing...";
+        this.renderSyncStatus(await HighlightStorage.syncNow());
+        await this.loadHighlights();
+      } else {
+        await this.loadSyncStatus();
+      }
+    } catch (error) {
+      console.error("Sync failed:", error);
+      await this.loadSyncStatus();
+    }
+  }
+
+  /**
+   * Show a message with an Undo (or Redo) button for a few seconds.
+   * Without an operationId, e.g. when nothing changed, nothing is shown.
+   */
+  showUndoToast(message, operationId, redo = false) {
+    if (!operationId) return;
+
+    clearTimeout(this.undoTimer);
+    this.undoMessage.textContent = message;
+    this.undoBtn.textContent = redo ? "Redo" : "Undo";
+    this.undoAction = { operationId, redo };
+    this.undoToast.hidden = false;
+    this.undoTimer = setTimeout(() => this.hideUndoToast(), UNDO_TOAST_DURATION);
+  }
+
+  hideUndoToast() {
+    clearTimeout(this.undoTimer);
+    this.undoToast.hidden = true;
+    this.undoAction = null;
+  }
+
+  async handleUndoToast() {
+    if (!this.undoAction) return;
+    const { operationId, redo } = this.undoAction;
+    this.hideUndoToast();
+
+    try {
+      const operation = redo
+        ? await HighlightStorage.redo(operationId)
+        : await HighlightStorage.undo(operationId);
+      await this.loadHighlights();
+      // Undoing offers to redo, and the other way round
+      this.showUndoToast(`${operation.label}: ${redo ? "redone" : "undone"}`, operation.id, !redo);
+    } catch (error) {
+      console.error("Undo failed:", error);
+      alert((redo ? "Failed to redo: " : "Failed to undo: ") + error.message);
+    }
+  }
+
+  async loadHighlights() {
+    [this.highlights, this.collections, this.trash] = await Promise.all([
+      HighlightStorage.getAll(),
+      HighlightStorage.getCollections(),
+      HighlightStorage.getTrash(),
+    ]);
+    this.trashBtn.textContent = this.trash.length > 0 ? `Trash (${this.trash.length})` : "Trash";
+    this.updateTagList();
+    this.updateCollectionList();
+    this.filterHighlights();
+  }
+
+  updateCollectionList() {
+    const current = this.collectionSelect.value;
+    this.collectionSelect.innerHTML = "";
+
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = "All highlights";
+    this.collectionSelect.appendChild(all);
+
+    this.collections.forEach((collection) => {
+      const option = document.createElement("option");
+      option.value = collection.id;
+      option.textContent = `${collection.name} (${collection.highlightIds.length})`;
+      this.collectionSelect.appendChild(option);
+    });
+
+    this.collectionSelect.value = this.collections.some((c) => c.id === current) ? current : "";
+  }
+
+  getActiveCollection() {
+    return this.collections.find((c) => c.id === this.collectionSelect.value) || null;
+  }
+
+  /**
+   * The highlights being browsed: everything, or one collection in its order
+   */
+  getBaseHighlights() {
+    const collection = this.getActiveCollection();
+    if (!collection) return this.highlights;
+
+    const byId = new Map(this.highlights.map((h) => [h.id, h]));
+    return collection.highlightIds.map((id) => byId.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Recount tags from the loaded highlights and refresh the tag filter
+   */
+  updateTagList() {
+    this.tags = window.__highlightSaver.TagUtils.countTags(this.highlights);
+
+    const current = this.tagFilter.value;
+    this.tagFilter.innerHTML = "";
+
+    const all = document.createElement("option");
+    all.value = "all";
+    all.textContent = "All tags";
+    this.tagFilter.appendChild(all);
+
+    this.tags.forEach((tag) => {
+      const option = document.createElement("option");
+      option.value = tag.name;
+      option.textContent = `${tag.name} (${tag.count})`;
+      this.tagFilter.appendChild(option);
+    });
+
+    this.tagFilter.value = this.tags.some((t) => t.name === current) ? current : "all";
+    this.tagActions.hidden = this.tagFilter.value === "all";
+  }
+
+  /**
+   * Switch between the library and the Trash view
+   */
+  showTrash(show) {
+    this.viewingTrash = show;
+    // Exports cover the library, not the trash
+    this.exportBar.hidden = true;
+    this.exportBtn.hidden = show;
+    this.trashBar.hidden = !show;
+    this.collectionBar.hidden = show;
+    this.filterBar.hidden = show;
+    this.trashBtn.hidden = show;
+    this.clearAllBtn.hidden = show;
+    this.emptyStateTitle.textContent = show ? "Trash is empty" : "No highlights yet";
+    this.emptyStateText.textContent = show
+      ? "Deleted highlights wait here until they're purged"
+      : "Select text on any webpage to save highlights";
+    this.filterHighlights();
+  }
+
+  filterHighlights() {
+    const query = this.searchInput.value.toLowerCase().trim();
+    if (this.viewingTrash) {
+      this.tagActions.hidden = true;
+      this.collectionActions.hidden = true;
+      this.filteredHighlights = this.trash.filter((h) => this.matchesQuery(h, query));
+      this.displayedCount = 0;
+      this.render();
+      return;
+    }
+
+    const status = this.statusFilter.value;
+    const color = this.colorFilter.value;
+    const tag = this.tagFilter.value;
+    this.tagActions.hidden = tag === "all";
+    this.collectionActions.hidden = !this.getActiveCollection();
+
+    this.filteredHighlights = this.getBaseHighlights().filter(
+      (highlight) =>
+        this.matchesQuery(highlight, query) &&
+        this.matchesStatus(highlight, status) &&
+        this.matchesColor(highlight, color) &&
+        this.matchesTag(highlight, tag)
+    );
+
+    this.displayedCount = 0;
+    this.render();
+  }
+
+  matchesQuery(highlight, query) {
+    if (!query) return true;
+    return (
+      highlight.text.toLowerCase().includes(query) ||
+      (highlight.title && highlight.title.toLowerCase().includes(query)) ||
+      (highlight.note && highlight.note.toLowerCase().includes(query)) ||
+      (highlight.tags || []).some((tag) => tag.toLowerCase().includes(query)) ||
+      (highlight.domain && highlight.domain.toLowerCase().includes(query))
+    );
+  }
+
+  matchesStatus(highlight, status) {
+    if (status === "detached") {
+      return highlight.anchorStatus === "orphaned";
+    }
+    return true;
+  }
+
+  matchesTag(highlight, tag) {
+    if (tag === "all") return true;
+    const TagUtils = window.__highlightSaver.TagUtils;
+    return (highlight.tags || []).some((t) => TagUtils.isSameTag(t, tag));
+  }
+
+  matchesColor(highlight, color) {
+    if (color === "all") return true;
+    return this.getColorId(highlight) === color;
+  }
+
+  /**
+   * Highlights saved before colors existed use the first palette color
+   */
+  getColorId(highlight) {
+    if (highlight.color) return highlight.color;
+    return this.colorPalette.length > 0 ? this.colorPalette[0].id : null;
+  }
+
+  render() {
+    this.updateCount();
+    this.toggleEmptyState();
+    this.renderHighlights();
+  }
+
+  updateCount() {
+    const count = this.filteredHighlights.length;
+    this.highlightCount.textContent = `${count} highlight${
+      count !== 1 ? "s" : ""
+    }${this.viewingTrash ? " in trash" : ""}`;
+  }
+
+  toggleEmptyState() {
+    const hasHighlights = this.filteredHighlights.length > 0;
+    this.highlightsList.style.display = hasHighlights ? "block" : "none";
+    this.emptyState.style.display = hasHighlights ? "none" : "flex";
+  }
+
+  renderHighlights() {
+    this.highlightsList.innerHTML = "";
+    this.displayedCount = 0;
+    this.renderNextPage();
+  }
+
+  renderNextPage() {
+    const start = this.displayedCount;
+    const end = Math.min(start + PAGE_SIZE, this.filteredHighlights.length);
+    const page = this.filteredHighlights.slice(start, end);
+
+    page.forEach((highlight) => {
+      const element = this.viewingTrash
+        ? this.createTrashElement(highlight)
+        : this.createHighlightElement(highlight);
+      this.highlightsList.appendChild(element);
+    });
+
+    this.displayedCount = end;
+
+    // Remove existing load-more button if present
+    const existingBtn = this.highlightsList.querySelector(".load-more-btn");
+    if (existingBtn) {
+      existingBtn.remove();
+    }
+
+    // Add "Load More" button if there are more items
+    if (this.displayedCount < this.filteredHighlights.length) {
+      const loadMoreBtn = document.createElement("button");
+      loadMoreBtn.className = "btn load-more-btn";
+      loadMoreBtn.textContent = `Load more (${this.filteredHighlights.length - this.displayedCount} remaining)`;
+      Object.assign(loadMoreBtn.style, {
+        display: "block",
+        width: "calc(100% - 40px)",
+        margin: "12px 20px",
+        padding: "10px",
+        textAlign: "center",
+        background: "#f3f4f6",
+        border: "1px solid #d1d5db",
+        borderRadius: "6px",
+        cursor: "pointer",
+        fontSize: "13px",
+        color: "#374151",
+      });
+      loadMoreBtn.addEventListener("click", () => {
+        loadMoreBtn.remove();
+        this.renderNextPage();
+      });
+      this.highlightsList.appendChild(loadMoreBtn);
+    }
+  }
+
+  createHighlightElement(highlight) {
+    const div = document.createElement("div");
+    div.className = "highlight-item";
+    div.dataset.id = highlight.id;
+
+    const colorEntry = this.colorPalette.find((e) => e.id === this.getColorId(highlight));
+    if (colorEntry) {
+      div.style.setProperty("--highlight-color", colorEntry.color);
+    }
+
+    const text = document.createElement("div");
+    text.className = "highlight-text";
+    text.textContent = highlight.text;
+
+    // Notes are Markdown source, shown as typed
+    const note = document.createElement("div");
+    note.className = "highlight-note";
+    note.textContent = highlight.note || "";
+    note.hidden = !highlight.note;
+
+    const tags = this.createTagChips(highlight);
+
+    const meta = document.createElement("div");
+    meta.className = "highlight-meta";
+
+    // Highlights imported from books (kindle://) have no page to open
+    const onWeb = this.isWebPage(highlight);
+
+    const domain = document.createElement("a");
+    domain.className = "highlight-domain";
+    if (onWeb) {
+      domain.href = highlight.url;
+      domain.target = "_blank";
+    }
+    domain.textContent = highlight.domain || this.hostnameOf(highlight.url);
+
+    const date = document.createElement("span");
+    date.className = "highlight-date";
+    date.textContent = this.formatDate(highlight.timestamp);
+
+    const source = document.createElement("span");
+    source.appendChild(domain);
+
+    const anchorBadge = this.createAnchorBadge(highlight);
+    if (anchorBadge) {
+      source.appendChild(anchorBadge);
+    }
+
+    meta.appendChild(source);
+    meta.appendChild(date);
+
+    const actions = document.createElement("div");
+    actions.className = "highlight-actions";
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "btn btn-danger";
+    deleteBtn.textContent = "Delete";
+    deleteBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.handleDelete(highlight.id);
+    });
+
+    const shareBtn = document.createElement("button");
+    shareBtn.className = "btn btn-secondary";
+    shareBtn.textContent = "Copy share link";
+    shareBtn.title = "Copy a link that opens the page scrolled to this passage";
+    shareBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.handleCopyShareLink(highlight, shareBtn);
+    });
+
+    const noteBtn = document.createElement("button");
+    noteBtn.className = "btn btn-secondary";
+    noteBtn.textContent = highlight.note ? "Edit note" : "Add note";
+    noteBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.openNoteEditor(div, highlight);
+    });
+
+    const tagsBtn = document.createElement("button");
+    tagsBtn.className = "btn btn-secondary";
+    tagsBtn.textContent = "Tags";
+    tagsBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.openTagEditor(div, highlight);
+    });
+
+    actions.appendChild(noteBtn);
+    actions.appendChild(tagsBtn);
+
+    const collection = this.getActiveCollection();
+    if (collection) {
+      this.appendCollectionControls(actions, collection, highlight);
+    } else {
+      const collectBtn = document.createElement("button");
+      collectBtn.className = "btn btn-secondary";
+      collectBtn.textContent = "Add to collection";
+      collectBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.openCollectionPicker(div, highlight);
+      });
+      actions.appendChild(collectBtn);
+    }
+
+    if (onWeb) {
+      actions.appendChild(shareBtn);
+    }
+    actions.appendChild(deleteBtn);
+
+    div.appendChild(text);
+    div.appendChild(note);
+    if (tags) {
+      div.appendChild(tags);
+    }
+    div.appendChild(meta);
+    div.appendChild(actions);
+
+    // Click to navigate to the highlight on the page
+    div.addEventListener("click", (e) => {
+      if (e.target.closest(".highlight-actions, .highlight-tags, .inline-editor")) return;
+      this.navigateToHighlight(highlight);
+    });
+
+    return div;
+  }
+
+  /**
+   * A trashed highlight: read-only, with restore and permanent delete
+   */
+  createTrashElement(highlight) {
+    const div = document.createElement("div");
+    div.className = "highlight-item trashed";
+    div.dataset.id = highlight.id;
+
+    const text = document.createElement("div");
+    text.className = "highlight-text";
+    text.textContent = highlight.text;
+
+    const meta = document.createElement("div");
+    meta.className = "highlight-meta";
+
+    const domain = document.createElement("span");
+    domain.className = "highlight-domain";
+    domain.textContent = highlight.domain || this.hostnameOf(highlight.url);
+
+    const date = document.createElement("span");
+    date.className = "highlight-date";
+    date.textContent = `Deleted ${this.formatDate(highlight.deletedAt).toLowerCase()}`;
+
+    meta.appendChild(domain);
+    meta.appendChild(date);
+
+    const actions = document.createElement("div");
+    actions.className = "highlight-actions";
+
+    const restoreBtn = document.createElement("button");
+    restoreBtn.className = "btn btn-secondary";
+    restoreBtn.textContent = "Restore";
+    restoreBtn.addEventListener("click", () => this.handleRestore(highlight.id));
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "btn btn-danger";
+    deleteBtn.textContent = "Delete forever";
+    deleteBtn.addEventListener("click", () => this.handleDeleteForever(highlight.id));
+
+    actions.appendChild(restoreBtn);
+    actions.appendChild(deleteBtn);
+
+    div.appendChild(text);
+    div.appendChild(meta);
+    div.appendChild(actions);
+    return div;
+  }
+
+  async handleRestore(id) {
+    try {
+      try {
+        await HighlightStorage.restore([id]);
+      } catch (error) {
+        // The overflow policy asks before archiving old highlights
+        if (error.code !== "HIGHLIGHT_LIMIT_CONFIRM") throw error;
+        if (!confirm(error.message)) return;
+        await HighlightStorage.restore([id], "archive");
+      }
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to restore highlight:", error);
+      alert(error.message);
+    }
+  }
+
+  async handleDeleteForever(id) {
+    if (!confirm("Permanently delete this highlight? This cannot be undone.")) return;
+    try {
+      await HighlightStorage.deleteForever([id]);
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to delete highlight:", error);
+      alert(error.message);
+    }
+  }
+
+  async handleEmptyTrash() {
+    if (this.trash.length === 0) return;
+    if (!confirm(`Permanently delete all ${this.trash.length} highlights in the trash? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await HighlightStorage.emptyTrash();
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to empty trash:", error);
+      alert(error.message);
+    }
+  }
+
+  async handleRetentionChange() {
+    try {
+      const settings = await HighlightStorage.saveSettings({
+        trashRetentionDays: Number(this.trashRetention.value),
+      });
+      this.renderRetention(settings.trashRetentionDays);
+      // A shorter period may have purged some of the trash
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to save trash retention:", error);
+      alert(error.message);
+    }
+  }
+
+  /**
+   * Tag chips for a highlight; clicking one filters the list by that tag
+   */
+  createTagChips(highlight) {
+    if (!highlight.tags || highlight.tags.length === 0) return null;
+
+    const container = document.createElement("div");
+    container.className = "highlight-tags";
+
+    highlight.tags.forEach((tag) => {
+      const chip = document.createElement("button");
+      chip.className = "tag-chip";
+      chip.textContent = tag;
+      chip.title = `Show highlights tagged "${tag}"`;
+      chip.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const entry = this.tags.find((t) => window.__highlightSaver.TagUtils.isSameTag(t.name, tag));
+        this.tagFilter.value = entry ? entry.name : "all";
+        this.filterHighlights();
+      });
+      container.appendChild(chip);
+    });
+
+    return container;
+  }
+
+  /**
+   * Rename the filtered tag everywhere. Using the name of another existing
+   * tag merges the two.
+   */
+  async handleRenameTag() {
+    const from = this.tagFilter.value;
+    if (from === "all") return;
+
+    const input = prompt(
+      `Rename tag "${from}" to:\n(Use the name of another tag to merge them)`,
+      from
+    );
+    const TagUtils = window.__highlightSaver.TagUtils;
+    const to = TagUtils.normalize(input || "");
+    if (!to || to === from) return;
+
+    try {
+      const existing = this.tags.find((t) => t.name !== from && TagUtils.isSameTag(t.name, to));
+      const { operationId } = existing
+        ? await HighlightStorage.mergeTags([from], existing.name)
+        : await HighlightStorage.renameTag(from, to);
+      await this.loadHighlights();
+      this.tagFilter.value = existing ? existing.name : to;
+      this.filterHighlights();
+      this.showUndoToast(existing ? "Tags merged" : "Tag renamed", operationId);
+    } catch (error) {
+      console.error("Failed to rename tag:", error);
+      alert("Failed to rename tag: " + error.message);
+    }
+  }
 
-    this.highlights = [];
-    this.filteredHighlights = [];
-    this.displayedCount = 0;
+  async handleDeleteTag() {
+    const tag = this.tagFilter.value;
+    if (tag === "all") return;
+    if (!confirm(`Remove the tag "${tag}" from all highlights? The highlights are kept.`)) return;
 
-    this.init();
+    try {
+      const { operationId } = await HighlightStorage.deleteTag(tag);
+      this.tagFilter.value = "all";
+      await this.loadHighlights();
+      this.showUndoToast("Tag deleted", operationId);
+    } catch (error) {
+      console.error("Failed to delete tag:", error);
+      alert("Failed to delete tag: " + error.message);
+    }
   }
 
-  async init() {
-    this.bindEvents();
-    await this.loadHighlights();
-  }
+  /**
+   * Move up/down and remove buttons for items shown in a collection view
+   */
+  appendCollectionControls(actions, collection, highlight) {
+    const index = collection.highlightIds.indexOf(highlight.id);
+    const controls = [
+      {
+        text: "↑",
+        title: "Move up",
+        disabled: index <= 0,
+        run: () => this.handleMoveInCollection(highlight.id, -1),
+      },
+      {
+        text: "↓",
+        title: "Move down",
+        disabled: index === collection.highlightIds.length - 1,
+        run: () => this.handleMoveInCollection(highlight.id, 1),
+      },
+      {
+        text: "Remove from collection",
+        title: "Keep the highlight, remove it from this collection",
+        run: () => this.handleRemoveFromCollection(highlight.id),
+      },
+    ];
 
-  bindEvents() {
-    this.searchInput.addEventListener("input", () => this.filterHighlights());
-    this.exportBtn.addEventListener("click", () => this.handleExport());
-    this.importBtn.addEventListener("click", () => this.handleImport());
-    this.fileInput.addEventListener("change", (e) => this.handleFileSelect(e));
-    this.clearAllBtn.addEventListener("click", () => this.handleClearAll());
+    controls.forEach(({ text, title, disabled, run }) => {
+      const btn = document.createElement("button");
+      btn.className = "btn btn-secondary";
+      btn.textContent = text;
+      btn.title = title;
+      btn.disabled = Boolean(disabled);
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        run();
+      });
+      actions.appendChild(btn);
+    });
   }
 
-  async loadHighlights() {
-    this.highlights = await HighlightStorage.getAll();
-    this.filteredHighlights = [...this.highlights];
-    this.displayedCount = 0;
-    this.render();
-  }
+  openCollectionPicker(element, highlight) {
+    const select = document.createElement("select");
+    select.className = "filter-select collection-picker";
 
-  filterHighlights() {
-    const query = this.searchInput.value.toLowerCase().trim();
+    this.collections.forEach((collection) => {
+      const option = document.createElement("option");
+      option.value = collection.id;
+      option.textContent = collection.name;
+      option.disabled = collection.highlightIds.includes(highlight.id);
+      select.appendChild(option);
+    });
 
-    if (!query) {
-      this.filteredHighlights = [...this.highlights];
-    } else {
-      this.filteredHighlights = this.highlights.filter(
-        (highlight) =>
-          highlight.text.toLowerCase().includes(query) ||
-          (highlight.title && highlight.title.toLowerCase().includes(query)) ||
-          (highlight.domain && highlight.domain.toLowerCase().includes(query))
-      );
-    }
+    const create = document.createElement("option");
+    create.value = "__new__";
+    create.textContent = "New collection…";
+    select.appendChild(create);
 
-    this.displayedCount = 0;
-    this.render();
+    const firstAvailable = [...select.options].find((o) => !o.disabled);
+    select.value = firstAvailable ? firstAvailable.value : "__new__";
+
+    this.openInlineEditor(element, select, "Add", () =>
+      this.handleAddToCollection(highlight, select.value)
+    );
+    select.focus();
   }
 
-  render() {
-    this.updateCount();
-    this.toggleEmptyState();
-    this.renderHighlights();
+  async handleAddToCollection(highlight, collectionId) {
+    try {
+      let id = collectionId;
+      if (id === "__new__") {
+        const name = prompt("Name of the new collection:");
+        if (!name || !name.trim()) return;
+        id = (await HighlightStorage.createCollection(name)).id;
+      }
+      await HighlightStorage.addToCollection(id, [highlight.id]);
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to add to collection:", error);
+      alert("Failed to add to collection: " + error.message);
+    }
   }
 
-  updateCount() {
-    const count = this.filteredHighlights.length;
-    this.highlightCount.textContent = `${count} highlight${
-      count !== 1 ? "s" : ""
-    }`;
+  async handleMoveInCollection(highlightId, delta) {
+    const collection = this.getActiveCollection();
+    if (!collection) return;
+
+    const order = [...collection.highlightIds];
+    const from = order.indexOf(highlightId);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= order.length) return;
+    [order[from], order[to]] = [order[to], order[from]];
+
+    try {
+      await HighlightStorage.reorderCollection(collection.id, order);
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to reorder collection:", error);
+      alert("Failed to reorder collection: " + error.message);
+    }
   }
 
-  toggleEmptyState() {
-    const hasHighlights = this.filteredHighlights.length > 0;
-    this.highlightsList.style.display = hasHighlights ? "block" : "none";
-    this.emptyState.style.display = hasHighlights ? "none" : "flex";
+  async handleRemoveFromCollection(highlightId) {
+    const collection = this.getActiveCollection();
+    if (!collection) return;
+
+    try {
+      await HighlightStorage.removeFromCollection(collection.id, [highlightId]);
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to remove from collection:", error);
+      alert("Failed to remove from collection: " + error.message);
+    }
   }
 
-  renderHighlights() {
-    this.highlightsList.innerHTML = "";
-    this.displayedCount = 0;
-    this.renderNextPage();
+  async handleCreateCollection() {
+    const name = prompt("Name of the new collection:");
+    if (!name || !name.trim()) return;
+
+    try {
+      const collection = await HighlightStorage.createCollection(name);
+      await this.loadHighlights();
+      this.collectionSelect.value = collection.id;
+      this.filterHighlights();
+    } catch (error) {
+      console.error("Failed to create collection:", error);
+      alert("Failed to create collection: " + error.message);
+    }
   }
 
-  renderNextPage() {
-    const start = this.displayedCount;
-    const end = Math.min(start + PAGE_SIZE, this.filteredHighlights.length);
-    const page = this.filteredHighlights.slice(start, end);
+  async handleRenameCollection() {
+    const collection = this.getActiveCollection();
+    if (!collection) return;
 
-    page.forEach((highlight) => {
-      const element = this.createHighlightElement(highlight);
-      this.highlightsList.appendChild(element);
-    });
+    const name = prompt("Rename collection to:", collection.name);
+    if (!name || !name.trim() || name.trim() === collection.name) return;
 
-    this.displayedCount = end;
+    try {
+      await HighlightStorage.renameCollection(collection.id, name);
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to rename collection:", error);
+      alert("Failed to rename collection: " + error.message);
+    }
+  }
 
-    // Remove existing load-more button if present
-    const existingBtn = this.highlightsList.querySelector(".load-more-btn");
-    if (existingBtn) {
-      existingBtn.remove();
+  async handleExportCollection() {
+    const collection = this.getActiveCollection();
+    if (!collection) return;
+
+    try {
+      await HighlightStorage.export(collection);
+    } catch (error) {
+      console.error("Export failed:", error);
+      alert("Failed to export collection");
     }
+  }
 
-    // Add "Load More" button if there are more items
-    if (this.displayedCount < this.filteredHighlights.length) {
-      const loadMoreBtn = document.createElement("button");
-      loadMoreBtn.className = "btn load-more-btn";
-      loadMoreBtn.textContent = `Load more (${this.filteredHighlights.length - this.displayedCount} remaining)`;
-      Object.assign(loadMoreBtn.style, {
-        display: "block",
-        width: "calc(100% - 40px)",
-        margin: "12px 20px",
-        padding: "10px",
-        textAlign: "center",
-        background: "#f3f4f6",
-        border: "1px solid #d1d5db",
-        borderRadius: "6px",
-        cursor: "pointer",
-        fontSize: "13px",
-        color: "#374151",
-      });
-      loadMoreBtn.addEventListener("click", () => {
-        loadMoreBtn.remove();
-        this.renderNextPage();
-      });
-      this.highlightsList.appendChild(loadMoreBtn);
+  async handleDeleteCollection() {
+    const collection = this.getActiveCollection();
+    if (!collection) return;
+    if (!confirm(`Delete the collection "${collection.name}"? Its highlights are kept.`)) return;
+
+    try {
+      await HighlightStorage.deleteCollection(collection.id);
+      this.collectionSelect.value = "";
+      await this.loadHighlights();
+    } catch (error) {
+      console.error("Failed to delete collection:", error);
+      alert("Failed to delete collection: " + error.message);
     }
   }
 
-  createHighlightElement(highlight) {
-    const div = document.createElement("div");
-    div.className = "highlight-item";
-    div.dataset.id = highlight.id;
+  /**
+   * Inline editor for a highlight's note, inserted below the quoted text
+   */
+  openNoteEditor(element, highlight) {
+    const textarea = document.createElement("textarea");
+    textarea.className = "note-input";
+    textarea.rows = 4;
+    textarea.placeholder = "Write a note (Markdown supported)";
+    textarea.value = highlight.note || "";
 
-    const text = document.createElement("div");
-    text.className = "highlight-text";
-    text.textContent = highlight.text;
+    this.openInlineEditor(element, textarea, "Save note", () =>
+      this.handleUpdateHighlight(element, highlight, { note: textarea.value.trim() })
+    );
+    textarea.focus();
+  }
 
-    const meta = document.createElement("div");
-    meta.className = "highlight-meta";
+  openTagEditor(element, highlight) {
+    const tagInput = new window.__highlightSaver.TagInput({
+      tags: highlight.tags || [],
+      suggestions: this.tags.map((tag) => tag.name),
+      placeholder: "Add tags (Enter to add)",
+    });
 
-    const domain = document.createElement("a");
-    domain.className = "highlight-domain";
-    domain.href = highlight.url;
-    domain.target = "_blank";
-    domain.textContent = highlight.domain || new URL(highlight.url).hostname;
+    this.openInlineEditor(element, tagInput.element, "Save tags", () =>
+      this.handleUpdateHighlight(element, highlight, { tags: tagInput.getTags() })
+    );
+    tagInput.focus();
+  }
 
-    const date = document.createElement("span");
-    date.className = "highlight-date";
-    date.textContent = this.formatDate(highlight.timestamp);
+  /**
+   * Show an editor below the quoted text with Save/Cancel buttons.
+   * Only one editor is open per item at a time.
+   */
+  openInlineEditor(element, field, saveLabel, onSave) {
+    const existing = element.querySelector(".inline-editor");
+    if (existing) existing.remove();
 
-    meta.appendChild(domain);
-    meta.appendChild(date);
+    const editor = document.createElement("div");
+    editor.className = "inline-editor";
 
-    const actions = document.createElement("div");
-    actions.className = "highlight-actions";
+    const buttons = document.createElement("div");
+    buttons.className = "inline-editor-actions";
 
-    const deleteBtn = document.createElement("button");
-    deleteBtn.className = "btn btn-danger";
-    deleteBtn.textContent = "Delete";
-    deleteBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      this.handleDelete(highlight.id);
-    });
+    const saveBtn = document.createElement("button");
+    saveBtn.className = "btn btn-primary";
+    saveBtn.textContent = saveLabel;
+    saveBtn.addEventListener("click", onSave);
 
-    actions.appendChild(deleteBtn);
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "btn";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", () => editor.remove());
 
-    div.appendChild(text);
-    div.appendChild(meta);
-    div.appendChild(actions);
+    buttons.appendChild(saveBtn);
+    buttons.appendChild(cancelBtn);
+    editor.appendChild(field);
+    editor.appendChild(buttons);
 
-    // Click to navigate to the highlight on the page
-    div.addEventListener("click", (e) => {
-      if (e.target.closest(".highlight-actions")) return;
-      this.navigateToHighlight(highlight);
-    });
+    element.querySelector(".highlight-note").after(editor);
+  }
 
-    return div;
+  async handleUpdateHighlight(element, highlight, updates) {
+    try {
+      const updated = await HighlightStorage.update(highlight.id, updates);
+      Object.assign(highlight, updated);
+      element.replaceWith(this.createHighlightElement(highlight));
+      if ("tags" in updates) {
+        this.updateTagList();
+      }
+    } catch (error) {
+      console.error("Failed to update highlight:", error);
+      alert("Failed to save changes: " + error.message);
+    }
+  }
+
+  /**
+   * Badge describing how the highlight was last anchored on its page:
+   * detached when it could not be found, or the fuzzy-match confidence
+   */
+  createAnchorBadge(highlight) {
+    const badge = document.createElement("span");
+    badge.className = "highlight-badge";
+
+    if (highlight.anchorStatus === "orphaned") {
+      badge.classList.add("highlight-badge-detached");
+      badge.textContent = "Detached";
+      badge.title = highlight.lastAnchoredAt
+        ? `Not found on the page. Last anchored ${this.formatDate(highlight.lastAnchoredAt).toLowerCase()}`
+        : "Not found on the page";
+      return badge;
+    }
+
+    if (highlight.anchorStatus === "anchored" && highlight.anchorConfidence < 1) {
+      const percent = Math.round(highlight.anchorConfidence * 100);
+      badge.classList.add("highlight-badge-fuzzy");
+      badge.textContent = `${percent}% match`;
+      badge.title = `Re-anchored with ${percent}% confidence`;
+      return badge;
+    }
+
+    return null;
   }
 
   formatDate(timestamp) {
@@ -333,17 +1707,43 @@ class PopupUI {
     }
   }
 
+  hostnameOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * Whether a highlight's page can be opened in a tab
+   */
+  isWebPage(highlight) {
+    try {
+      return ["http:", "https:"].includes(new URL(highlight.url).protocol);
+    } catch {
+      return false;
+    }
+  }
+
   navigateToHighlight(highlight) {
-    const highlightUrl = highlight.url.split("#")[0];
+    if (!this.isWebPage(highlight)) return;
+
+    // Compare normalized URLs so tracking parameters, fragments and trailing
+    // slashes don't make the same page look like a different one
+    const highlightUrls = new Set([
+      highlight.normalizedUrl,
+      this.urlUtils.normalize(highlight.url),
+    ]);
 
     // Only check the active tab in the current window — no broad tab scanning.
     // host_permissions grant access to tab.url for matching HTTPS origins,
     // so this works without the "tabs" permission.
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       const activeTab = tabs[0];
-      const activeUrl = (activeTab?.url || "").split("#")[0];
+      const activeUrl = activeTab?.url ? this.urlUtils.normalize(activeTab.url) : null;
 
-      if (activeTab && activeUrl === highlightUrl) {
+      if (activeTab && activeUrl && highlightUrls.has(activeUrl)) {
         // Active tab already has the page — scroll to the highlight in-place
         chrome.tabs.sendMessage(activeTab.id, {
           action: "scrollToHighlight",
@@ -367,19 +1767,136 @@ class PopupUI {
     });
   }
 
+  /**
+   * Copy a standard text-fragment link (#:~:text=...) that works in any
+   * supporting browser, with or without the extension
+   */
+  async handleCopyShareLink(highlight, button) {
+    if (!this.isWebPage(highlight)) return;
+    try {
+      await navigator.clipboard.writeText(this.textFragmentUtils.buildShareUrl(highlight));
+      button.textContent = "Copied!";
+    } catch (error) {
+      console.error("Failed to copy share link:", error);
+      button.textContent = "Copy failed";
+    }
+    setTimeout(() => {
+      button.textContent = "Copy share link";
+    }, 1500);
+  }
+
+  /**
+   * Deleted highlights go to the trash, so no confirmation is needed
+   */
   async handleDelete(id) {
-    if (confirm("Are you sure you want to delete this highlight?")) {
-      await HighlightStorage.delete(id);
-      await this.loadHighlights();
+    const operationId = await HighlightStorage.delete(id);
+    await this.loadHighlights();
+    this.showUndoToast("Highlight moved to the trash", operationId);
+  }
+
+  toggleExportBar() {
+    this.exportBar.hidden = !this.exportBar.hidden;
+    this.updateExportFields();
+  }
+
+  updateExportFields() {
+    const format = this.exportFormat.value;
+    this.exportCopyBtn.hidden = format !== "markdown";
+    this.exportColumns.hidden = this.exportBar.hidden || format !== "csv";
+  }
+
+  /**
+   * Show a checkbox per CSV column, ticking the ones last used
+   */
+  renderCsvColumns(selected) {
+    this.exportColumns.innerHTML = "";
+    window.__highlightSaver.CsvExport.columns.forEach(({ id, header }) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = id;
+      checkbox.checked = selected.includes(id);
+      label.append(checkbox, header);
+      this.exportColumns.appendChild(label);
+    });
+  }
+
+  getCsvColumns() {
+    return [...this.exportColumns.querySelectorAll("input:checked")].map((input) => input.value);
+  }
+
+  /**
+   * Remember the picked columns for the next CSV export
+   */
+  async handleCsvColumnsChange() {
+    const columns = this.getCsvColumns();
+    if (columns.length === 0) return;
+    try {
+      await HighlightStorage.saveSettings({ csvColumns: columns });
+    } catch (error) {
+      console.error("Failed to save CSV columns:", error);
+    }
+  }
+
+  /**
+   * The export options picked in the export bar
+   */
+  async getExportOptions() {
+    const format = this.exportFormat.value;
+    const scope = await this.getExportScope();
+    if (format !== "csv") {
+      return { format, ...scope };
+    }
+    const columns = this.getCsvColumns();
+    if (columns.length === 0) {
+      throw new Error("Choose at least one CSV column");
+    }
+    return { format, columns, ...scope };
+  }
+
+  /**
+   * The highlights to export: "shown" is whatever the list currently shows
+   * after filters, "page" the active tab's page
+   */
+  async getExportScope() {
+    switch (this.exportScope.value) {
+      case "shown":
+        return { ids: this.filteredHighlights.map((h) => h.id), name: "filtered" };
+      case "page": {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const activeUrl = activeTab?.url ? this.urlUtils.normalize(activeTab.url) : null;
+        const ids = this.highlights.filter((h) => activeUrl && h.normalizedUrl === activeUrl).map((h) => h.id);
+        if (ids.length === 0) {
+          throw new Error("There are no highlights on the current page");
+        }
+        return { ids, name: activeTab.title || "page" };
+      }
+      default:
+        return {};
     }
   }
 
   async handleExport() {
     try {
-      await HighlightStorage.export();
+      await HighlightStorage.export(null, await this.getExportOptions());
     } catch (error) {
       console.error("Export failed:", error);
-      alert("Failed to export highlights");
+      alert(`Failed to export highlights: ${error.message}`);
+    }
+  }
+
+  async handleCopyExport() {
+    try {
+      const { format, ids } = await this.getExportOptions();
+      const { content } = await HighlightStorage.requestExport({ format, ids });
+      await navigator.clipboard.writeText(content);
+      this.exportCopyBtn.textContent = "Copied";
+      setTimeout(() => {
+        this.exportCopyBtn.textContent = "Copy";
+      }, 1500);
+    } catch (error) {
+      console.error("Copy failed:", error);
+      alert(`Failed to copy highlights: ${error.message}`);
     }
   }
 
@@ -409,7 +1926,7 @@ class PopupUI {
         } else {
           // Second dialog: confirm the destructive replace, or abort entirely
           const confirmReplace = confirm(
-            `WARNING: This will permanently DELETE all ${existingCount} existing highlights ` +
+            `WARNING: This will move all ${existingCount} existing highlights to the trash ` +
               `and replace them with the imported file.\n\n` +
               `Click OK to REPLACE ALL.\n` +
               `Click Cancel to ABORT the import.`
@@ -422,31 +1939,95 @@ class PopupUI {
         }
       }
 
-      const result = await HighlightStorage.import(file, merge);
+      let result;
+      let overflow = null;
+      let passphrase = null;
+      while (!result) {
+        try {
+          result = await HighlightStorage.import(file, merge, overflow, passphrase);
+        } catch (error) {
+          let retry;
+          if (error.code === "PASSPHRASE_REQUIRED" || error.code === "WRONG_PASSPHRASE") {
+            passphrase = await this.askPassphrase(
+              error.code === "WRONG_PASSPHRASE"
+                ? "Wrong passphrase. Enter the passphrase this file was exported with."
+                : "This file is encrypted. Enter the passphrase it was exported with."
+            );
+            retry = passphrase !== null;
+          } else if (error.code === "HIGHLIGHT_LIMIT_CONFIRM" && !overflow) {
+            // The overflow policy asks before archiving old highlights
+            overflow = "archive";
+            retry = confirm(error.message);
+          } else {
+            throw error;
+          }
+          if (!retry) {
+            event.target.value = "";
+            return;
+          }
+        }
+      }
       await this.loadHighlights();
 
       let message = `Successfully imported ${result.imported} highlights.`;
       if (result.skippedInvalid > 0) {
         message += `\n${result.skippedInvalid} invalid entries were skipped.`;
       }
+      if (result.archived > 0) {
+        message += `\n${result.archived} of the oldest highlights were moved to the archive to stay within the limit.`;
+      }
+      if (result.report) {
+        message += `\n\n${this.describeImportReport(result.report)}`;
+      }
       alert(message);
+      this.showUndoToast(`Imported ${result.imported} highlights`, result.operationId);
     } catch (error) {
       console.error("Import failed:", error);
-      alert("Failed to import highlights: " + error.message);
+      let message = "Failed to import highlights: " + error.message;
+      if (error.report) {
+        message += `\n\n${this.describeImportReport(error.report)}`;
+      }
+      alert(message);
     }
 
     // Reset file input
     event.target.value = "";
   }
 
+  /**
+   * Summarize what an import from another app found in its file
+   */
+  describeImportReport(report) {
+    const source = IMPORT_SOURCES[report.source] || { label: report.source, page: "page" };
+    const plural = (count, word, words = `${word}s`) => `${count} ${count === 1 ? word : words}`;
+    const lines = [`${source.label}: ${plural(report.highlights, "highlight")} from ${plural(report.pages, source.page)}.`];
+    if (report.notes > 0) {
+      const attached = report.notesAttached !== undefined ? `, ${report.notesAttached} attached to their highlights` : "";
+      lines.push(`${plural(report.notes, "note")}${attached}.`);
+    }
+    if (report.duplicates > 0) {
+      lines.push(`${plural(report.duplicates, "repeated entry", "repeated entries")} merged.`);
+    }
+    Object.entries(report.skipped || {}).forEach(([reason, count]) => {
+      if (count > 0) lines.push(`${count} ${IMPORT_SKIP_REASONS[reason] || reason} skipped.`);
+    });
+    if (report.incomplete) {
+      const { found, total } = report.incomplete;
+      const missing = total > found ? ` (${found} of ${total})` : "";
+      lines.push(`Partial import: the file holds only some of its annotations${missing}; the rest are on pages it links to.`);
+    }
+    return lines.join("\n");
+  }
+
   async handleClearAll() {
     if (
       confirm(
-        "Are you sure you want to delete all highlights? This action cannot be undone."
+        `Move all highlights to the trash? They can be restored for ${this.trashRetention.value} days.`
       )
     ) {
-      await HighlightStorage.clearAll();
+      const operationId = await HighlightStorage.clearAll();
       await this.loadHighlights();
+      this.showUndoToast("All highlights moved to the trash", operationId);
     }
   }
 }
@@ -0,0 +1,144 @@
+// CSV export of highlights
+// Shared by the background service worker, which writes exports, and the
+// popup, which lists the columns to pick from. Values are quoted per
+// RFC 4180 and rows end in CRLF. In plain exports, values a spreadsheet
+// would run as a formula are prefixed with an apostrophe. Rows are written in chunks, so a large
+// library neither blocks the service worker nor becomes one huge string.
+
+const CSV_CHUNK_ROWS = 500;
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+// Local time as "YYYY-MM-DD HH:MM:SS", which spreadsheets and Readwise
+// both read as a date
+const csvDateTime = (timestamp) => {
+  if (!timestamp) return "";
+  const d = new Date(timestamp);
+  const pad2 = (n) => String(n).padStart(2, "0");
+  return (
+    `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ` +
+    `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`
+  );
+};
+
+// Columns of a plain CSV export, in the order they're offered
+const CSV_COLUMNS = {
+  text: { header: "Text", value: (h) => h.text },
+  note: { header: "Note", value: (h) => h.note },
+  tags: { header: "Tags", value: (h) => (h.tags || []).join(", ") },
+  summary: { header: "Summary", value: (h) => h.summary },
+  color: { header: "Color", value: (h, colorNames) => colorNames.get(h.color) || "" },
+  title: { header: "Title", value: (h) => h.title },
+  url: { header: "URL", value: (h) => h.url },
+  domain: { header: "Domain", value: (h) => h.domain },
+  date: { header: "Date", value: (h) => csvDateTime(h.timestamp) },
+  id: { header: "ID", value: (h) => h.id },
+};
+
+const CSV_DEFAULT_COLUMNS = ["text", "note", "tags", "title", "url", "date"];
+
+// Readwise's CSV import layout. Readwise reads ".tag" words at the start
+// of a note as tags, and sorts a document's highlights by Location: the
+// Kindle location for imported clippings, otherwise the highlight's
+// position down the page.
+const READWISE_COLUMNS = [
+  { header: "Highlight", value: (h) => h.text },
+  { header: "Title", value: (h) => h.title || h.domain || h.url },
+  { header: "Author", value: (h) => h.author },
+  { header: "URL", value: (h) => h.url },
+  {
+    header: "Note",
+    value: (h) => {
+      const tags = (h.tags || []).map((tag) => `.${tag.replace(/\s+/g, "_")}`).join(" ");
+      return [tags, h.note].filter(Boolean).join(" ");
+    },
+  },
+  {
+    header: "Location",
+    value: (h) => {
+      if (h.location && Number.isFinite(h.location.start)) return h.location.start;
+      return h.textPosition && Number.isFinite(h.textPosition.top) ? Math.round(h.textPosition.top) : "";
+    },
+  },
+  { header: "Date", value: (h) => csvDateTime(h.timestamp) },
+];
+
+class CsvExport {
+  static get columns() {
+    return Object.entries(CSV_COLUMNS).map(([id, column]) => ({ id, header: column.header }));
+  }
+
+  /**
+   * Quote a value when it holds a comma, quote or line break, doubling
+   * any quotes inside
+   */
+  static escape(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Prefix text starting like a formula (=, +, -, @) with an apostrophe,
+   * so a highlight quoting "=HYPERLINK(...)" opens as text in a
+   * spreadsheet instead of running
+   */
+  static defuseFormula(value) {
+    return typeof value === "string" && CSV_FORMULA_START.test(value) ? `'${value}` : value;
+  }
+
+  static row(values) {
+    return `${values.map((v) => this.escape(v)).join(",")}\r\n`;
+  }
+
+  /**
+   * The columns for an export: the Readwise layout for preset "readwise",
+   * otherwise the given column ids with formulas defused. Readwise reads
+   * the file itself rather than running it, so its values stay as they are.
+   * Throws on unknown ids.
+   */
+  static resolveColumns({ preset = null, columns = CSV_DEFAULT_COLUMNS } = {}) {
+    if (preset === "readwise") return READWISE_COLUMNS;
+    if (preset !== null) {
+      throw new Error(`Unknown CSV preset: ${preset}`);
+    }
+    if (!Array.isArray(columns) || columns.length === 0) {
+      throw new Error("Choose at least one CSV column");
+    }
+    return columns.map((id) => {
+      if (!Object.prototype.hasOwnProperty.call(CSV_COLUMNS, id)) {
+        throw new Error(`Unknown CSV column: ${id}`);
+      }
+      const column = CSV_COLUMNS[id];
+      return { header: column.header, value: (h, colorNames) => this.defuseFormula(column.value(h, colorNames)) };
+    });
+  }
+
+  /**
+   * Write highlights as CSV, returning it as a list of chunks of at most
+   * chunkRows rows each, the first starting with the header. Yields to
+   * the event loop between chunks.
+   */
+  static async toChunks(highlights, { preset = null, columns, palette = [], chunkRows = CSV_CHUNK_ROWS } = {}) {
+    const resolved = this.resolveColumns({ preset, columns });
+    const colorNames = new Map(palette.map((entry) => [entry.id, entry.name]));
+    const chunks = [];
+    let chunk = this.row(resolved.map((c) => c.header));
+
+    for (let i = 0; i < highlights.length; i++) {
+      chunk += this.row(resolved.map((c) => c.value(highlights[i], colorNames)));
+      if ((i + 1) % chunkRows === 0) {
+        chunks.push(chunk);
+        chunk = "";
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+    if (chunk) chunks.push(chunk);
+    return chunks;
+  }
+}
+
+// Namespaced for the popup; the service worker uses the class directly
+// after importScripts
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.CsvExport = CsvExport;
+}
@@ -0,0 +1,30 @@
+// String hashing
+// Shared by the popup's importers, which derive stable ids from what they
+// import, so importing the same file twice doesn't duplicate anything, and
+// by the service worker for export file names and sync change detection.
+// Not for anything security related.
+
+class HashUtils {
+  /**
+   * 53-bit string hash (cyrb53), as hex
+   */
+  static hash(value) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < value.length; i++) {
+      const ch = value.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
+}
+
+// Namespaced for the popup; the service worker uses the class directly
+// after importScripts
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.HashUtils = HashUtils;
+}
@@ -0,0 +1,398 @@
+// Importers for other highlighting and read-later apps
+// Used by the popup to turn another app's export into highlights:
+//   Hypothesis   annotations from its API ({ rows }) or its JSON export ({ annotations })
+//   Pocket       the HTML or CSV export, with each article's highlights as
+//                blockquotes or a "highlights" column, and the annotations JSON
+//   Instapaper   the CSV export, whose Selection column holds the highlight
+//   Kindle       My Clippings.txt, see kindle-clippings.js
+//   Web Annotations  any W3C annotation document, see web-annotation.js
+// Each importer returns { highlights, report }. The report says what the
+// file held: { source, pages, highlights, notes, duplicates, skipped },
+// where skipped counts entries left out by reason. A report with
+// incomplete: { found, total } comes from a file holding only part of
+// what it lists.
+
+const HYPOTHESIS_ANNOTATION_URL = "https://hypothes.is/a/";
+
+class HighlightImporters {
+  /**
+   * Import a file that isn't JSON, or null when it's from no known app
+   */
+  static fromText(text, { now = Date.now() } = {}) {
+    const { KindleClippings } = window.__highlightSaver;
+    if (KindleClippings.isClippings(text)) {
+      return KindleClippings.toHighlights(text, { now });
+    }
+
+    const content = text.replace(/^\uFEFF/, "");
+    if (/^\s*</.test(content)) {
+      return this.fromPocketHtml(content, { now });
+    }
+    const rows = this.parseCsv(content);
+    const header = (rows[0] || []).map((name) => name.trim().toLowerCase());
+    if (["url", "title", "selection"].every((name) => header.includes(name))) {
+      return this.fromInstapaperCsv(rows, { now });
+    }
+    if (["url", "time_added"].every((name) => header.includes(name))) {
+      return this.fromPocketCsv(rows, { now });
+    }
+    return null;
+  }
+
+  /**
+   * Import parsed JSON from another app, or null when it's from no known
+   * app (or is our own export)
+   */
+  static fromJson(data, { now = Date.now() } = {}) {
+    const list = Array.isArray(data) ? data : data && (data.rows || data.annotations);
+    if (!Array.isArray(list) || list.length === 0) return null;
+
+    const isObject = (item) => item && typeof item === "object";
+    if (list.every((item) => isObject(item) && typeof item.uri === "string" && "target" in item)) {
+      return this.fromHypothesis(list, { now });
+    }
+    if (list.every((item) => isObject(item) && typeof item.url === "string" && Array.isArray(item.highlights))) {
+      return this.fromPocketAnnotations(list, { now });
+    }
+    return null;
+  }
+
+  /**
+   * What an importer builds up: its highlights, its report, and the ids
+   * and pages seen so far
+   */
+  static createImport(source) {
+    return {
+      highlights: [],
+      report: { source, pages: 0, highlights: 0, notes: 0, duplicates: 0, skipped: {} },
+      ids: new Set(),
+      urls: new Set(),
+    };
+  }
+
+  static finish(result) {
+    return { highlights: result.highlights, report: result.report };
+  }
+
+  static skip(result, reason) {
+    result.report.skipped[reason] = (result.report.skipped[reason] || 0) + 1;
+  }
+
+  /**
+   * Unix seconds, milliseconds or a date string as milliseconds, or null
+   */
+  static toTimestamp(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+      return number > 0 ? (number < 1e12 ? number * 1000 : number) : null;
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  static domainOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * Whether a URL is an absolute http(s) address, the only kind a
+   * highlight from another app can be opened at
+   */
+  static isWebUrl(url) {
+    try {
+      return ["http:", "https:"].includes(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * A highlight with an id made from the app, page and text, so importing
+   * the same file again doesn't duplicate anything
+   */
+  static makeHighlight(source, { url, text, title = "", timestamp, note = "", tags = [] }, now) {
+    const { HashUtils } = window.__highlightSaver;
+    const highlight = {
+      id: `${source}_${HashUtils.hash(`${url}\n${text}`)}`,
+      text,
+      url,
+      title,
+      domain: this.domainOf(url),
+      timestamp: timestamp || now,
+      tags,
+    };
+    if (note) highlight.note = note;
+    return highlight;
+  }
+
+  /**
+   * Add highlights to an import, counting pages and leaving out repeats of
+   * the same highlight and ones whose page isn't an http(s) address
+   */
+  static add(result, highlights) {
+    highlights.forEach((h) => {
+      if (!this.isWebUrl(h.url)) {
+        this.skip(result, "invalidUrl");
+        return;
+      }
+      if (result.ids.has(h.id)) {
+        result.report.duplicates++;
+        return;
+      }
+      result.ids.add(h.id);
+      result.highlights.push(h);
+      result.report.highlights++;
+      if (h.note) result.report.notes++;
+      if (!result.urls.has(h.url)) {
+        result.urls.add(h.url);
+        result.report.pages++;
+      }
+    });
+  }
+
+  /**
+   * Hypothesis annotations. Each keeps its Hypothesis link as id, the same
+   * one Hypothesis gives it in Web Annotation exports, so importing it both
+   * ways doesn't duplicate it. Replies and page notes quote no text and are
+   * skipped.
+   */
+  static fromHypothesis(rows, { now = Date.now() } = {}) {
+    const { WebAnnotation } = window.__highlightSaver;
+    const result = this.createImport("hypothesis");
+
+    rows.forEach((row) => {
+      if (Array.isArray(row.references) && row.references.length > 0) {
+        this.skip(result, "reply");
+        return;
+      }
+      const highlight = WebAnnotation.fromAnnotation({
+        id: `${HYPOTHESIS_ANNOTATION_URL}${row.id}`,
+        created: row.created,
+        modified: row.updated,
+        body: [
+          ...(row.text ? [{ value: row.text, purpose: "commenting" }] : []),
+          ...(Array.isArray(row.tags) ? row.tags : []).map((tag) => ({ value: tag, purpose: "tagging" })),
+        ],
+        target: [].concat(row.target || []).map((target) => ({ source: row.uri, ...target })),
+      });
+      if (!highlight) {
+        this.skip(result, "pageNote");
+        return;
+      }
+      if (!Date.parse(row.created)) highlight.timestamp = now;
+      const title = row.document && [].concat(row.document.title || [])[0];
+      highlight.title = typeof title === "string" ? title : "";
+      if (!highlight.tags) highlight.tags = [];
+      this.add(result, [highlight]);
+    });
+
+    return this.finish(result);
+  }
+
+  /**
+   * A W3C Web Annotation document. Collections split into pages that the
+   * file only links to are imported as far as the file goes, and the
+   * report says how much is missing.
+   */
+  static fromWebAnnotations(data) {
+    const { WebAnnotation } = window.__highlightSaver;
+    const result = this.createImport("webAnnotation");
+    const { annotations, total, complete } = WebAnnotation.readAnnotations(data);
+
+    annotations.forEach((annotation) => {
+      const highlight = WebAnnotation.fromAnnotation(annotation);
+      if (highlight) {
+        this.add(result, [highlight]);
+      } else {
+        this.skip(result, "noQuote");
+      }
+    });
+    if (!complete) {
+      result.report.incomplete = { found: annotations.length, total };
+    }
+    return this.finish(result);
+  }
+
+  /**
+   * Pocket's annotations export: [{ url, title, highlights: [{ quote, created_at }] }]
+   */
+  static fromPocketAnnotations(items, { now = Date.now() } = {}) {
+    const result = this.createImport("pocket");
+    items.forEach((item) => {
+      const tags = Array.isArray(item.tags) ? item.tags.filter((tag) => typeof tag === "string") : [];
+      const quotes = item.highlights.filter((h) => h && typeof h.quote === "string" && h.quote.trim());
+      if (quotes.length === 0) this.skip(result, "noHighlights");
+      this.add(
+        result,
+        quotes.map((h) =>
+          this.makeHighlight(
+            "pocket",
+            {
+              url: item.url,
+              text: h.quote.trim(),
+              title: item.title || "",
+              timestamp: this.toTimestamp(h.created_at) || this.toTimestamp(item.time_added),
+              tags,
+            },
+            now
+          )
+        )
+      );
+    });
+    return this.finish(result);
+  }
+
+  /**
+   * Pocket's HTML export: a list of <a href time_added tags> links, with any
+   * highlights quoted beside the link
+   */
+  static fromPocketHtml(html, { now = Date.now() } = {}) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    const links = [...doc.querySelectorAll("a[href][time_added]")];
+    if (links.length === 0) return null;
+
+    const result = this.createImport("pocket");
+    links.forEach((link) => {
+      const item = link.closest("li") || link.parentElement;
+      const quotes = [...item.querySelectorAll("blockquote")].map((q) => q.textContent.trim()).filter(Boolean);
+      if (quotes.length === 0) {
+        this.skip(result, "noHighlights");
+        return;
+      }
+      const fields = {
+        url: link.getAttribute("href"),
+        title: link.textContent.trim(),
+        timestamp: this.toTimestamp(link.getAttribute("time_added")),
+        tags: (link.getAttribute("tags") || "").split(",").map((tag) => tag.trim()).filter(Boolean),
+      };
+      this.add(result, quotes.map((text) => this.makeHighlight("pocket", { ...fields, text }, now)));
+    });
+    return this.finish(result);
+  }
+
+  /**
+   * Pocket's CSV export (title, url, time_added, tags, status), with one
+   * highlight per line of a "highlights" column. Tags are separated by "|".
+   */
+  static fromPocketCsv(rows, { now = Date.now() } = {}) {
+    const result = this.createImport("pocket");
+    this.readCsvRecords(rows).forEach((record) => {
+      const quotes = (record.highlights || "").split("\n").map((line) => line.trim()).filter(Boolean);
+      if (quotes.length === 0 || !record.url) {
+        this.skip(result, "noHighlights");
+        return;
+      }
+      const fields = {
+        url: record.url,
+        title: record.title || "",
+        timestamp: this.toTimestamp(record.time_added),
+        tags: (record.tags || "").split("|").map((tag) => tag.trim()).filter(Boolean),
+      };
+      this.add(result, quotes.map((text) => this.makeHighlight("pocket", { ...fields, text }, now)));
+    });
+    return this.finish(result);
+  }
+
+  /**
+   * Instapaper's CSV export (URL, Title, Selection, Folder, Timestamp and,
+   * in newer exports, Tags). Folders other than the built-in ones become
+   * tags.
+   */
+  static fromInstapaperCsv(rows, { now = Date.now() } = {}) {
+    const result = this.createImport("instapaper");
+    this.readCsvRecords(rows).forEach((record) => {
+      const text = (record.selection || "").trim();
+      if (!text || !record.url) {
+        this.skip(result, "noHighlights");
+        return;
+      }
+      const tags = this.readTagList(record.tags);
+      const folder = (record.folder || "").trim();
+      if (folder && !["unread", "archive", "starred"].includes(folder.toLowerCase())) {
+        tags.push(folder);
+      }
+      const highlight = this.makeHighlight(
+        "instapaper",
+        { url: record.url, text, title: record.title || "", timestamp: this.toTimestamp(record.timestamp), tags },
+        now
+      );
+      this.add(result, [highlight]);
+    });
+    return this.finish(result);
+  }
+
+  /**
+   * Tags written as a JSON list or separated by commas
+   */
+  static readTagList(value) {
+    if (!value || !value.trim()) return [];
+    if (value.trim().startsWith("[")) {
+      try {
+        const list = JSON.parse(value);
+        if (Array.isArray(list)) return list.filter((tag) => typeof tag === "string" && tag.trim());
+      } catch {
+        // Fall back to commas
+      }
+    }
+    return value.split(",").map((tag) => tag.trim()).filter(Boolean);
+  }
+
+  /**
+   * Rows after the header as objects keyed by lowercased column name
+   */
+  static readCsvRecords(rows) {
+    const header = rows[0].map((name) => name.trim().toLowerCase());
+    return rows.slice(1).map((row) => Object.fromEntries(header.map((name, i) => [name, row[i] || ""])));
+  }
+
+  /**
+   * Split CSV (RFC 4180) into rows of values, leaving out blank lines
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          value += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        row.push(value);
+        value = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(value);
+        if (row.length > 1 || row[0] !== "") rows.push(row);
+        row = [];
+        value = "";
+      } else {
+        value += ch;
+      }
+    }
+    row.push(value);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    return rows;
+  }
+}
+
+// Namespaced for the popup
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.HighlightImporters = HighlightImporters;
+}
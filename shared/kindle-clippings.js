@@ -0,0 +1,309 @@
+// Parser for Kindle's "My Clippings.txt"
+// Used by the popup to import a Kindle's highlights. The file is a list of
+// clippings separated by "==========" lines. Each clipping is a title line,
+// "Title (Author)", then a metadata line saying what it is, where it is in
+// the book and when it was added, then a blank line and its text:
+//   - Your Highlight on page 12 | Location 170-172 | Added on Monday, March 4, 2024 10:30:15 PM
+// Kindles write the metadata line in the device's language, so it's read
+// by matching the words in the tables below rather than as English.
+
+const KINDLE_SEPARATOR = /^={10}[ \t]*$/m;
+const KINDLE_MAX_URL_LENGTH = 500;
+
+// What a clipping is, by the words its metadata line uses for it in each
+// language; the first type with a matching word wins
+const KINDLE_TYPE_WORDS = [
+  ["bookmark", ["bookmark", "lesezeichen", "signet", "marcador", "segnalibro", "bladwijzer", "закладка", "ブックマーク", "书签"]],
+  ["note", ["note", "notiz", "nota", "notitie", "заметка", "メモ", "笔记"]],
+  [
+    "highlight",
+    ["highlight", "markierung", "surlignement", "subrayado", "evidenziazione", "destaque", "markering", "выделение", "ハイライト", "标注"],
+  ],
+];
+
+const KINDLE_LOCATION_PATTERN =
+  /(?:location|loc\.|position|emplacement|posición|posizione|posição|locatie|местоположение|位置)\s*(?:no\.|#)?\s*(\d+)(?:\s*-\s*(\d+))?/i;
+const KINDLE_PAGE_PATTERNS = [
+  /(?:page|seite|página|pagina|bladzijde|страниц[аеы])\s*(\d+(?:-\d+)?|[ivxlcdm]+\b)/i,
+  /(\d+(?:-\d+)?)\s*ページ/,
+  /第\s*(\d+(?:-\d+)?)\s*页/,
+];
+
+// Month names as Kindles write them in dates, in English, German, French,
+// Spanish, Italian, Portuguese, Dutch and Russian
+const KINDLE_MONTHS = [
+  ["january", "januar", "janvier", "enero", "gennaio", "janeiro", "januari", "января"],
+  ["february", "februar", "février", "febrero", "febbraio", "fevereiro", "februari", "февраля"],
+  ["march", "märz", "mars", "marzo", "março", "maart", "марта"],
+  ["april", "avril", "abril", "aprile", "апреля"],
+  ["may", "mai", "mayo", "maggio", "maio", "mei", "мая"],
+  ["june", "juni", "juin", "junio", "giugno", "junho", "июня"],
+  ["july", "juli", "juillet", "julio", "luglio", "julho", "июля"],
+  ["august", "août", "agosto", "augustus", "августа"],
+  ["september", "septembre", "septiembre", "setiembre", "settembre", "setembro", "сентября"],
+  ["october", "oktober", "octobre", "octubre", "ottobre", "outubro", "октября"],
+  ["november", "novembre", "noviembre", "novembro", "ноября"],
+  ["december", "dezember", "décembre", "diciembre", "dicembre", "dezembro", "декабря"],
+];
+
+class KindleClippings {
+  /**
+   * True when text looks like a clippings file
+   */
+  static isClippings(text) {
+    if (typeof text !== "string" || !KINDLE_SEPARATOR.test(text)) return false;
+    return this.parseEntry(text.replace(/\r\n?/g, "\n").split(KINDLE_SEPARATOR)[0]) !== null;
+  }
+
+  /**
+   * Split a clippings file into entries of
+   * { title, author, type, location, page, timestamp, text }, where type is
+   * "highlight", "note", "bookmark" or null when it can't be told.
+   * Clippings that aren't laid out as expected are left out.
+   */
+  static parse(text) {
+    return String(text)
+      .replace(/\r\n?/g, "\n")
+      .split(KINDLE_SEPARATOR)
+      .map((block) => this.parseEntry(block))
+      .filter(Boolean);
+  }
+
+  static parseEntry(block) {
+    // Kindles start every clipping, not just the file, with a byte order mark
+    const lines = block.replace(/\uFEFF/g, "").replace(/^\s*\n/, "").split("\n");
+    if (lines.length < 2 || !lines[1].trim().startsWith("-")) return null;
+
+    const { title, author } = this.parseTitle(lines[0]);
+    if (!title) return null;
+    const meta = lines[1].trim();
+    const segments = meta.split("|");
+
+    return {
+      title,
+      author,
+      type: this.parseType(meta),
+      location: this.parseLocation(meta),
+      page: this.parsePage(meta),
+      timestamp: segments.length > 1 ? this.parseDate(segments[segments.length - 1]) : null,
+      text: lines.slice(2).join("\n").trim(),
+    };
+  }
+
+  /**
+   * "Title (Author)"; the author is the last parenthesized part
+   */
+  static parseTitle(line) {
+    const trimmed = line.trim();
+    const match = trimmed.match(/^(.*\S)\s*\(([^()]*)\)$/);
+    if (!match) return { title: trimmed, author: "" };
+    return { title: match[1], author: match[2].trim() };
+  }
+
+  static parseType(meta) {
+    const lower = meta.toLowerCase();
+    const found = KINDLE_TYPE_WORDS.find(([, words]) => words.some((word) => lower.includes(word)));
+    return found ? found[0] : null;
+  }
+
+  /**
+   * { start, end }, expanding the shortened ends older Kindles write, as in
+   * "Loc. 1234-36"
+   */
+  static parseLocation(meta) {
+    const match = meta.match(KINDLE_LOCATION_PATTERN);
+    if (!match) return null;
+    const start = Number(match[1]);
+    let end = match[2] ? Number(match[2]) : start;
+    if (match[2] && end < start && match[2].length < match[1].length) {
+      end = Number(match[1].slice(0, match[1].length - match[2].length) + match[2]);
+    }
+    return { start, end: Math.max(start, end) };
+  }
+
+  static parsePage(meta) {
+    for (const pattern of KINDLE_PAGE_PATTERNS) {
+      const match = meta.match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  /**
+   * Read the "Added on ..." part as local time, or null. Handles month
+   * names from KINDLE_MONTHS, year-month-day dates in Chinese and Japanese,
+   * and 12-hour clocks.
+   */
+  static parseDate(value) {
+    const text = value.toLowerCase();
+    const timeMatch = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?\s*m\b\.?)?/);
+    const rest = timeMatch ? text.replace(timeMatch[0], " ") : text;
+
+    let year;
+    let month;
+    let day;
+    const cjk = rest.match(/(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+    const iso = rest.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (cjk || iso) {
+      [year, month, day] = (cjk || iso).slice(1, 4).map(Number);
+      month -= 1;
+    } else {
+      const words = rest.match(/\p{L}+/gu) || [];
+      month = words.map((word) => KINDLE_MONTHS.findIndex((names) => names.includes(word))).find((i) => i !== -1);
+      const yearMatch = rest.match(/(?<!\d)(\d{4})(?!\d)/);
+      const dayMatch = rest.replace(yearMatch ? yearMatch[0] : "", " ").match(/(?<!\d)(\d{1,2})(?!\d)/);
+      year = yearMatch && Number(yearMatch[1]);
+      day = dayMatch && Number(dayMatch[1]);
+    }
+    if (!year || month === undefined || !day) return null;
+
+    let hours = 0;
+    let minutes = 0;
+    let seconds = 0;
+    if (timeMatch) {
+      hours = Number(timeMatch[1]);
+      minutes = Number(timeMatch[2]);
+      seconds = Number(timeMatch[3] || 0);
+      const meridiem = timeMatch[4] || (/下午|午後/.test(text) ? "p" : /上午|午前/.test(text) ? "a" : null);
+      if (meridiem === "p" && hours < 12) hours += 12;
+      if (meridiem === "a" && hours === 12) hours = 0;
+    }
+    const date = new Date(year, month, day, hours, minutes, seconds);
+    return Number.isNaN(date.getTime()) ? null : date.getTime();
+  }
+
+  /**
+   * Whether two clippings of a book cover the same passage: their
+   * locations (or pages, for books without locations) overlap and one
+   * text holds the other. Kindles add a clipping each time a highlight is
+   * changed, keeping the old one.
+   */
+  static isRepeat(a, b) {
+    const samePlace =
+      a.location && b.location
+        ? a.location.start <= b.location.end && b.location.start <= a.location.end
+        : a.page === b.page;
+    return samePlace && (a.text.includes(b.text) || b.text.includes(a.text));
+  }
+
+  /**
+   * The highlight a note belongs to: Kindles place a note at the last
+   * location of its highlight, so prefer one ending there, then one
+   * spanning it, latest first
+   */
+  static findNoteHighlight(note, highlights) {
+    const candidates = highlights.filter((h) =>
+      note.location && h.location
+        ? h.location.start <= note.location.start && note.location.start <= h.location.end
+        : !note.location && !h.location && note.page !== null && h.page === note.page
+    );
+    return (
+      [...candidates].reverse().find((h) => note.location && h.location.end === note.location.start) ||
+      candidates[candidates.length - 1] ||
+      null
+    );
+  }
+
+  static bookUrl(title, author) {
+    const url = `kindle://book/${encodeURIComponent(title)}${author ? `?author=${encodeURIComponent(author)}` : ""}`;
+    const { HashUtils } = window.__highlightSaver;
+    return url.length <= KINDLE_MAX_URL_LENGTH ? url : `kindle://book/${HashUtils.hash(`${title}\n${author}`)}`;
+  }
+
+  /**
+   * Turn a clippings file into highlights, one per passage, with notes
+   * attached to the highlights they were written on. Notes with no
+   * highlight become highlights of their own; bookmarks hold no text and
+   * are skipped. Returns { highlights, report } where report counts what
+   * was found, each book being one page.
+   */
+  static toHighlights(text, { now = Date.now() } = {}) {
+    const entries = this.parse(text);
+    const report = {
+      source: "kindle",
+      pages: 0,
+      highlights: 0,
+      notes: 0,
+      notesAttached: 0,
+      duplicates: 0,
+      skipped: { bookmark: 0, unrecognized: 0 },
+    };
+    const books = new Map();
+
+    entries.forEach((entry) => {
+      const key = `${entry.title}\n${entry.author}`;
+      if (!books.has(key)) books.set(key, { highlights: [], notes: [] });
+      const book = books.get(key);
+
+      if (entry.type === "bookmark") {
+        report.skipped.bookmark++;
+      } else if (!entry.text || !entry.type) {
+        report.skipped.unrecognized++;
+      } else if (entry.type === "note") {
+        book.notes.push(entry);
+      } else {
+        // Keep the latest version of a passage, in place of older ones
+        const index = book.highlights.findIndex((h) => this.isRepeat(h, entry));
+        if (index === -1) {
+          book.highlights.push({ ...entry, notes: [] });
+        } else {
+          book.highlights[index] = { ...entry, notes: book.highlights[index].notes };
+          report.duplicates++;
+        }
+      }
+    });
+
+    const { HashUtils } = window.__highlightSaver;
+    const highlights = [];
+    books.forEach((book) => {
+      const standalone = [];
+      book.notes.forEach((note) => {
+        const highlight = this.findNoteHighlight(note, book.highlights);
+        const notes = highlight ? highlight.notes : standalone.map((n) => n.text);
+        // An edited note is added again, holding the old text
+        const index = notes.findIndex((text) => note.text.includes(text));
+        if (index !== -1) {
+          notes[index] = note.text;
+          if (!highlight) standalone[index] = note;
+          report.duplicates++;
+          return;
+        }
+        report.notes++;
+        if (highlight) {
+          report.notesAttached++;
+          highlight.notes.push(note.text);
+        } else {
+          standalone.push(note);
+        }
+      });
+
+      const items = [...book.highlights, ...standalone.map((n) => ({ ...n, notes: [] }))];
+      if (items.length > 0) report.pages++;
+      items.forEach((item) => {
+        const highlight = {
+          id: `kindle_${HashUtils.hash([item.title, item.author, item.location ? item.location.start : item.page, item.text].join("\n"))}`,
+          text: item.text,
+          url: this.bookUrl(item.title, item.author),
+          title: item.title,
+          domain: "kindle",
+          timestamp: item.timestamp || now,
+          tags: [],
+        };
+        if (item.author) highlight.author = item.author;
+        if (item.location) highlight.location = item.location;
+        if (item.page) highlight.page = item.page;
+        if (item.notes.length) highlight.note = item.notes.join("\n\n");
+        highlights.push(highlight);
+      });
+      report.highlights += book.highlights.length;
+    });
+
+    return { highlights, report };
+  }
+}
+
+// Namespaced for the popup
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.KindleClippings = KindleClippings;
+}
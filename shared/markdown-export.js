@@ -0,0 +1,305 @@
+// Markdown export of highlights, grouped by page
+// Shared by the background service worker, which renders exports, and the
+// settings page, which previews the user's template. Templates use a small
+// Handlebars-like syntax:
+//   {{title}} {{page.url}}             values, looked up through enclosing blocks
+//   {{#each pages}}...{{/each}}        loops; {{this}} is the item, {{@index}} its position
+//   {{#if note}}...{{else}}...{{/if}}  conditionals, also {{#unless}}
+//   {{quote text}} {{date timestamp}}  helpers, see MARKDOWN_HELPERS
+//   {{! a comment }}
+// A line holding nothing but a block tag is dropped entirely, so blocks can
+// sit on their own lines without leaving blank lines behind.
+
+const MAX_MARKDOWN_TEMPLATE_LENGTH = 20000;
+
+const DEFAULT_MARKDOWN_TEMPLATE = `# Highlights
+
+{{#each pages}}
+## {{title}}
+
+<{{url}}> · {{date}}
+
+{{#each highlights}}
+{{quote text}}
+{{#if note}}
+
+{{note}}
+{{/if}}
+{{#if summary}}
+
+**Summary:** {{summary}}
+{{/if}}
+{{#if hashtags}}
+
+{{hashtags}}
+{{/if}}
+
+{{/each}}
+{{/each}}
+`;
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+const MARKDOWN_HELPERS = {
+  // Blockquote every line, keeping blank lines inside the quote
+  quote: (value) =>
+    toTemplateString(value)
+      .split("\n")
+      .map((line) => (line ? `> ${line}` : ">"))
+      .join("\n"),
+  date: (timestamp) => {
+    if (!timestamp) return "";
+    const d = new Date(timestamp);
+    return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  },
+  datetime: (timestamp) => {
+    if (!timestamp) return "";
+    const d = new Date(timestamp);
+    return `${MARKDOWN_HELPERS.date(timestamp)} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+  },
+  join: (list, separator = ", ") => (Array.isArray(list) ? list.map(toTemplateString).join(separator) : ""),
+};
+
+function toTemplateString(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(toTemplateString).join(", ");
+  return String(value);
+}
+
+class MarkdownExport {
+  /**
+   * Parse a template into a tree of text, value and block nodes. Throws
+   * "Template error: ..." for unbalanced blocks or unknown helpers.
+   */
+  static compile(template) {
+    if (typeof template !== "string") {
+      throw new Error("Template error: template must be text");
+    }
+
+    const root = { type: "root", children: [] };
+    const stack = [root];
+    let current = root.children;
+    let cursor = 0;
+    const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+    let match;
+
+    while ((match = tagPattern.exec(template)) !== null) {
+      const body = match[1].trim();
+      const start = match.index;
+      const end = start + match[0].length;
+      let cutStart = start;
+      let cutEnd = end;
+
+      if (/^[#/!]|^else$/.test(body)) {
+        const lineStart = template.lastIndexOf("\n", start - 1) + 1;
+        const newline = template.indexOf("\n", end);
+        const lineEnd = newline === -1 ? template.length : newline + 1;
+        const before = template.slice(lineStart, start);
+        const after = template.slice(end, newline === -1 ? template.length : newline);
+        if (lineStart >= cursor && !before.trim() && !after.trim()) {
+          cutStart = lineStart;
+          cutEnd = lineEnd;
+        }
+      }
+
+      if (cutStart > cursor) {
+        current.push({ type: "text", value: template.slice(cursor, cutStart) });
+      }
+      cursor = cutEnd;
+
+      const block = stack[stack.length - 1];
+      if (body.startsWith("!")) {
+        continue;
+      } else if (body.startsWith("#")) {
+        const [name, ...rest] = body.substring(1).trim().split(/\s+/);
+        if (!["each", "if", "unless"].includes(name) || rest.length !== 1) {
+          throw new Error(`Template error: unknown block {{${body}}}`);
+        }
+        const node = { type: name, expr: this.parseExpression(rest[0]), children: [], inverse: [] };
+        current.push(node);
+        stack.push(node);
+        current = node.children;
+      } else if (body === "else") {
+        if (block === root) {
+          throw new Error("Template error: {{else}} outside a block");
+        }
+        block.inElse = true;
+        current = block.inverse;
+      } else if (body.startsWith("/")) {
+        const name = body.substring(1).trim();
+        if (block.type !== name) {
+          throw new Error(`Template error: {{/${name}}} doesn't close {{#${block.type}}}`);
+        }
+        stack.pop();
+        current = this.openBranch(stack[stack.length - 1], root);
+      } else {
+        current.push({ type: "value", expr: this.parseExpression(body) });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Template error: {{#${stack[stack.length - 1].type}}} is never closed`);
+    }
+    if (cursor < template.length) {
+      current.push({ type: "text", value: template.slice(cursor) });
+    }
+    return root;
+  }
+
+  /**
+   * Where nodes after a closed block go: the enclosing block's else
+   * branch once that has started
+   */
+  static openBranch(block, root) {
+    if (block === root) return root.children;
+    return block.inElse ? block.inverse : block.children;
+  }
+
+  /**
+   * "path" or "helper arg ..." where args are paths or quoted strings
+   */
+  static parseExpression(body) {
+    const parts = body.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+    const arg = (part) =>
+      /^["']/.test(part) ? { literal: part.slice(1, -1) } : { path: part };
+    if (parts.length === 1) {
+      return { path: parts[0] };
+    }
+    if (!MARKDOWN_HELPERS[parts[0]]) {
+      throw new Error(`Template error: unknown helper "${parts[0]}"`);
+    }
+    return { helper: parts[0], args: parts.slice(1).map(arg) };
+  }
+
+  /**
+   * Find a path in the innermost scope that has its first segment
+   */
+  static lookup(path, scopes) {
+    const { value: scope, data } = scopes[scopes.length - 1];
+    if (path.startsWith("@")) return data[path.substring(1)];
+    if (path === "this" || path === ".") return scope;
+
+    const segments = path.replace(/^this\./, "").split(".");
+    const owner = path.startsWith("this.")
+      ? scope
+      : [...scopes]
+          .reverse()
+          .map((s) => s.value)
+          .find((value) => value !== null && typeof value === "object" && segments[0] in value);
+    return segments.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), owner);
+  }
+
+  static evaluate(expr, scopes) {
+    if (!expr.helper) return this.lookup(expr.path, scopes);
+    const args = expr.args.map((a) => ("literal" in a ? a.literal : this.lookup(a.path, scopes)));
+    return MARKDOWN_HELPERS[expr.helper](...args);
+  }
+
+  static isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+
+  static renderNodes(nodes, scopes) {
+    return nodes
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return node.value;
+          case "value":
+            return toTemplateString(this.evaluate(node.expr, scopes));
+          case "if":
+          case "unless": {
+            const truthy = this.isTruthy(this.evaluate(node.expr, scopes));
+            const branch = truthy === (node.type === "if") ? node.children : node.inverse;
+            return this.renderNodes(branch, scopes);
+          }
+          case "each": {
+            const list = this.evaluate(node.expr, scopes);
+            if (!Array.isArray(list) || list.length === 0) {
+              return this.renderNodes(node.inverse, scopes);
+            }
+            return list
+              .map((value, index) =>
+                this.renderNodes(node.children, [
+                  ...scopes,
+                  { value, data: { index, first: index === 0, last: index === list.length - 1 } },
+                ])
+              )
+              .join("");
+          }
+          default:
+            return "";
+        }
+      })
+      .join("");
+  }
+
+  static renderTemplate(template, context) {
+    return this.renderNodes(this.compile(template).children, [{ value: context, data: {} }]);
+  }
+
+  /**
+   * Group highlights by page, pages with the newest highlights first and
+   * each page's highlights in the order they were saved
+   */
+  static buildContext(highlights, { palette = [], now = Date.now() } = {}) {
+    const colorNames = new Map(palette.map((entry) => [entry.id, entry.name]));
+    const pages = new Map();
+
+    [...highlights]
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+      .forEach((h) => {
+        const key = h.normalizedUrl || h.url;
+        if (!pages.has(key)) {
+          pages.set(key, { url: h.url, domain: h.domain || "", title: h.title || "", highlights: [] });
+        }
+        const tags = Array.isArray(h.tags) ? h.tags : [];
+        pages.get(key).highlights.push({
+          id: h.id,
+          text: h.text || "",
+          note: h.note || "",
+          summary: h.summary || "",
+          tags,
+          hashtags: tags.map((tag) => `#${tag.replace(/\s+/g, "-")}`).join(" "),
+          color: colorNames.get(h.color) || "",
+          url: h.url,
+          timestamp: h.timestamp,
+          date: MARKDOWN_HELPERS.date(h.timestamp),
+        });
+      });
+
+    const pageList = [...pages.values()]
+      .map((page) => ({
+        ...page,
+        title: page.title || page.domain || page.url,
+        date: page.highlights[0].date,
+        count: page.highlights.length,
+        latest: page.highlights[page.highlights.length - 1].timestamp || 0,
+      }))
+      .sort((a, b) => b.latest - a.latest);
+
+    return {
+      exportDate: MARKDOWN_HELPERS.date(now),
+      count: highlights.length,
+      pageCount: pageList.length,
+      pages: pageList,
+    };
+  }
+
+  /**
+   * Render highlights with template (DEFAULT_MARKDOWN_TEMPLATE when empty),
+   * collapsing runs of blank lines the template may leave behind
+   */
+  static render(highlights, { template = null, palette = [], now = Date.now() } = {}) {
+    const context = this.buildContext(highlights, { palette, now });
+    const markdown = this.renderTemplate(template || DEFAULT_MARKDOWN_TEMPLATE, context);
+    return `${markdown.replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim()}\n`;
+  }
+}
+
+// Namespaced for the settings page; the service worker uses the class
+// directly after importScripts
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.MarkdownExport = MarkdownExport;
+}
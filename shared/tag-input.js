@@ -0,0 +1,135 @@
+// Tag entry widget
+// Chips for the chosen tags plus a text field that autocompletes from
+// existing tags. Used by the content-script save popup and the popup list.
+
+let tagInputCount = 0;
+
+class TagInput {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.tags - initially selected tags
+   * @param {string[]} options.suggestions - existing tags offered for autocomplete
+   * @param {string} options.placeholder
+   */
+  constructor({ tags = [], suggestions = [], placeholder = "Add tags" } = {}) {
+    const TagUtils = window.__highlightSaver.TagUtils;
+    this.tagUtils = TagUtils;
+    this.tags = TagUtils.normalizeList(tags);
+    this.suggestions = suggestions;
+
+    this.element = document.createElement("div");
+    this.element.className = "tag-input";
+
+    this.chips = document.createElement("span");
+    this.chips.className = "tag-input-chips";
+
+    this.datalist = document.createElement("datalist");
+    this.datalist.id = `highlight-saver-tag-suggestions-${++tagInputCount}`;
+
+    this.input = document.createElement("input");
+    this.input.type = "text";
+    this.input.className = "tag-input-field";
+    this.input.placeholder = placeholder;
+    this.input.setAttribute("list", this.datalist.id);
+    this.input.setAttribute("autocomplete", "off");
+
+    this.element.appendChild(this.chips);
+    this.element.appendChild(this.input);
+    this.element.appendChild(this.datalist);
+
+    this.input.addEventListener("keydown", (e) => this.handleKeydown(e));
+    this.input.addEventListener("input", (e) => {
+      // Picking an entry from the datalist replaces the whole value
+      if (e.inputType === "insertReplacementText" || e.inputType === undefined) {
+        if (this.suggestions.some((s) => this.tagUtils.isSameTag(s, this.input.value))) {
+          this.commitInput();
+        }
+      }
+    });
+    this.element.addEventListener("click", (e) => {
+      if (e.target === this.element) this.input.focus();
+    });
+
+    this.render();
+  }
+
+  handleKeydown(event) {
+    if (event.key === "Enter" || event.key === ",") {
+      event.preventDefault();
+      this.commitInput();
+    } else if (event.key === "Backspace" && this.input.value === "" && this.tags.length > 0) {
+      this.removeTag(this.tags[this.tags.length - 1]);
+    }
+  }
+
+  commitInput() {
+    const value = this.input.value;
+    this.input.value = "";
+    this.addTag(value);
+  }
+
+  addTag(tag) {
+    const next = this.tagUtils.normalizeList([...this.tags, tag]);
+    if (next.length === this.tags.length) return;
+    this.tags = next;
+    this.render();
+  }
+
+  removeTag(tag) {
+    this.tags = this.tags.filter((t) => t !== tag);
+    this.render();
+  }
+
+  setSuggestions(suggestions) {
+    this.suggestions = suggestions;
+    this.render();
+  }
+
+  /**
+   * The chosen tags, including text typed but not yet committed
+   */
+  getTags() {
+    return this.tagUtils.normalizeList([...this.tags, this.input.value]);
+  }
+
+  focus() {
+    this.input.focus();
+  }
+
+  render() {
+    this.chips.innerHTML = "";
+    this.tags.forEach((tag) => {
+      const chip = document.createElement("span");
+      chip.className = "tag-chip";
+      chip.textContent = tag;
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "tag-chip-remove";
+      remove.textContent = "×";
+      remove.setAttribute("aria-label", `Remove tag ${tag}`);
+      remove.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.removeTag(tag);
+        this.input.focus();
+      });
+
+      chip.appendChild(remove);
+      this.chips.appendChild(chip);
+    });
+
+    // Only offer tags that aren't already chosen
+    this.datalist.innerHTML = "";
+    this.suggestions
+      .filter((s) => !this.tags.some((t) => this.tagUtils.isSameTag(t, s)))
+      .forEach((s) => {
+        const option = document.createElement("option");
+        option.value = s;
+        this.datalist.appendChild(option);
+      });
+  }
+}
+
+window.__highlightSaver = window.__highlightSaver || {};
+window.__highlightSaver.TagInput = TagInput;
@@ -0,0 +1,73 @@
+// Tag normalization utilities
+// Shared by the content script, popup and background service worker so tags
+// are cleaned up the same way wherever they are entered or imported
+
+const MAX_TAGS_PER_HIGHLIGHT = 20;
+const MAX_TAG_LENGTH = 40;
+
+class TagUtils {
+  /**
+   * Clean up a single tag: trim, collapse whitespace, drop a leading "#"
+   * and characters used as separators. Returns "" for unusable input.
+   */
+  static normalize(tag) {
+    if (typeof tag !== "string") return "";
+    return tag
+      .replace(/[,\n\r\t]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .replace(/^#+/, "")
+      .trim()
+      .substring(0, MAX_TAG_LENGTH);
+  }
+
+  /**
+   * Normalize a list of tags, dropping empties and case-insensitive
+   * duplicates (the first spelling wins)
+   */
+  static normalizeList(tags) {
+    if (!Array.isArray(tags)) return [];
+
+    const seen = new Set();
+    const result = [];
+    for (const tag of tags) {
+      const normalized = TagUtils.normalize(tag);
+      const key = normalized.toLowerCase();
+      if (!normalized || seen.has(key)) continue;
+      seen.add(key);
+      result.push(normalized);
+      if (result.length >= MAX_TAGS_PER_HIGHLIGHT) break;
+    }
+    return result;
+  }
+
+  static isSameTag(a, b) {
+    return TagUtils.normalize(a).toLowerCase() === TagUtils.normalize(b).toLowerCase();
+  }
+
+  /**
+   * Count how many highlights use each tag, most used first
+   */
+  static countTags(highlights) {
+    const counts = new Map();
+    highlights.forEach((h) => {
+      (h.tags || []).forEach((tag) => {
+        const key = tag.toLowerCase();
+        const entry = counts.get(key) || { name: tag, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+    });
+
+    return [...counts.values()].sort(
+      (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+    );
+  }
+}
+
+// Namespaced for the content script and popup; the service worker uses the
+// class directly after importScripts
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.TagUtils = TagUtils;
+}
@@ -0,0 +1,147 @@
+// Text fragment utilities
+// Builds and parses standard text-fragment URLs (#:~:text=...) so highlights
+// can be shared with people who don't have the extension installed
+// https://wicg.github.io/scroll-to-text-fragment/
+
+const FRAGMENT_DIRECTIVE_DELIMITER = ":~:";
+
+// Quotes longer than this are shared as a textStart,textEnd range
+const TEXT_FRAGMENT_RANGE_THRESHOLD = 80;
+// Words kept at each end of a ranged quote and in the prefix/suffix
+const TEXT_FRAGMENT_RANGE_WORDS = 4;
+const TEXT_FRAGMENT_CONTEXT_WORDS = 3;
+
+class TextFragmentUtils {
+  /**
+   * Percent-encode a directive term. Besides the usual URI escaping the
+   * spec reserves "-", "," and "&" as syntax characters.
+   */
+  encodeTerm(text) {
+    return encodeURIComponent(text).replace(/-/g, "%2D");
+  }
+
+  decodeTerm(term) {
+    try {
+      return decodeURIComponent(term);
+    } catch {
+      return term;
+    }
+  }
+
+  /**
+   * Collapse runs of whitespace, since rendered text matching ignores them
+   */
+  normalizeWhitespace(text) {
+    return (text || "").replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Build the directive for a highlight from its stored anchor:
+   * text=[prefix-,]textStart[,textEnd][,-suffix]
+   * Legacy highlights without an anchor are shared by their text alone.
+   */
+  buildDirective(highlight) {
+    const quote = (highlight.anchor && highlight.anchor.quote) || {
+      exact: highlight.text,
+    };
+    const exact = this.normalizeWhitespace(quote.exact);
+    if (!exact) return null;
+
+    const terms = [];
+
+    // The stored prefix/suffix are cut at a fixed length, so the outermost
+    // word may be partial; keep only whole words next to the quote
+    const prefixWords = this.normalizeWhitespace(quote.prefix).split(" ").filter(Boolean);
+    if (prefixWords.length > 1) {
+      const prefix = prefixWords.slice(1).slice(-TEXT_FRAGMENT_CONTEXT_WORDS).join(" ");
+      terms.push(`${this.encodeTerm(prefix)}-`);
+    }
+
+    const words = exact.split(" ");
+    if (exact.length > TEXT_FRAGMENT_RANGE_THRESHOLD && words.length > TEXT_FRAGMENT_RANGE_WORDS * 2) {
+      terms.push(this.encodeTerm(words.slice(0, TEXT_FRAGMENT_RANGE_WORDS).join(" ")));
+      terms.push(this.encodeTerm(words.slice(-TEXT_FRAGMENT_RANGE_WORDS).join(" ")));
+    } else {
+      terms.push(this.encodeTerm(exact));
+    }
+
+    const suffixWords = this.normalizeWhitespace(quote.suffix).split(" ").filter(Boolean);
+    if (suffixWords.length > 1) {
+      const suffix = suffixWords.slice(0, -1).slice(0, TEXT_FRAGMENT_CONTEXT_WORDS).join(" ");
+      terms.push(`-${this.encodeTerm(suffix)}`);
+    }
+
+    return `text=${terms.join(",")}`;
+  }
+
+  /**
+   * Build a shareable URL for a highlight. Any fragment directive or
+   * extension-specific #highlight= parameters already on the URL are dropped;
+   * an ordinary fragment (e.g. #section-2) is kept.
+   */
+  buildShareUrl(highlight) {
+    const directive = this.buildDirective(highlight);
+    let url = this.stripFragmentDirective(highlight.url);
+
+    const hashIndex = url.indexOf("#");
+    if (hashIndex !== -1 && url.substring(hashIndex + 1).startsWith("highlight=")) {
+      url = url.substring(0, hashIndex);
+    }
+    if (!directive) return url;
+
+    return `${url}${url.includes("#") ? "" : "#"}${FRAGMENT_DIRECTIVE_DELIMITER}${directive}`;
+  }
+
+  stripFragmentDirective(url) {
+    const index = url.indexOf(FRAGMENT_DIRECTIVE_DELIMITER);
+    if (index === -1) return url;
+
+    const stripped = url.substring(0, index);
+    return stripped.endsWith("#") ? stripped.slice(0, -1) : stripped;
+  }
+
+  /**
+   * Parse the text directives of a URL.
+   * Returns [{ prefix, textStart, textEnd, suffix }], empty when there are none.
+   */
+  parse(url) {
+    const index = (url || "").indexOf(FRAGMENT_DIRECTIVE_DELIMITER);
+    if (index === -1) return [];
+
+    return url
+      .substring(index + FRAGMENT_DIRECTIVE_DELIMITER.length)
+      .split("&")
+      .filter((directive) => directive.startsWith("text="))
+      .map((directive) => this.parseDirective(directive.substring(5)))
+      .filter(Boolean);
+  }
+
+  parseDirective(value) {
+    const terms = value.split(",");
+    let prefix = "";
+    let suffix = "";
+
+    if (terms.length > 1 && terms[0].endsWith("-")) {
+      prefix = this.decodeTerm(terms.shift().slice(0, -1));
+    }
+    if (terms.length > 1 && terms[terms.length - 1].startsWith("-")) {
+      suffix = this.decodeTerm(terms.pop().substring(1));
+    }
+    if (terms.length === 0 || terms.length > 2 || !terms[0]) {
+      return null;
+    }
+
+    return {
+      prefix,
+      textStart: this.decodeTerm(terms[0]),
+      textEnd: terms.length === 2 ? this.decodeTerm(terms[1]) : "",
+      suffix,
+    };
+  }
+}
+
+// Namespaced for the content script and popup
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.TextFragmentUtils = TextFragmentUtils;
+}
@@ -0,0 +1,120 @@
+// URL normalization utilities
+// Shared by the content script, popup and background service worker so the
+// same page is recognised everywhere regardless of tracking parameters,
+// fragments, trailing slashes or canonical links
+
+// Query parameters that only track the visit and never change the content
+const TRACKING_PARAM_PATTERNS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid)$/i,
+  /^(mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|oly_anon_id|oly_enc_id)$/i,
+  /^(ref_src|ref_url|_ga|_gl|spm|vero_id|wickedid)$/i,
+];
+
+class UrlUtils {
+  /**
+   * @param {Object} rules - per-domain rules keyed by hostname. A rule for
+   *   "example.com" also applies to its subdomains. Supported keys:
+   *   keepParams (string[]), removeParams (string[]), keepHash (boolean),
+   *   ignoreCanonical (boolean)
+   */
+  constructor(rules = {}) {
+    this.rules = rules || {};
+  }
+
+  setRules(rules) {
+    this.rules = rules || {};
+  }
+
+  /**
+   * Find the most specific rule for a hostname
+   */
+  getRule(hostname) {
+    let host = hostname.toLowerCase();
+    while (host) {
+      if (this.rules[host]) return this.rules[host];
+      const dot = host.indexOf(".");
+      if (dot === -1) break;
+      host = host.substring(dot + 1);
+    }
+    return {};
+  }
+
+  /**
+   * Normalize a URL into the key used to match highlights to pages.
+   * The canonical URL replaces the page URL when it points to the same site.
+   * Unparseable input is returned unchanged.
+   */
+  normalize(url, { canonical = null } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url;
+    }
+
+    let rule = this.getRule(parsed.hostname);
+    if (canonical && !rule.ignoreCanonical) {
+      try {
+        const canonicalUrl = new URL(canonical, parsed.href);
+        if (this.isSameSite(parsed, canonicalUrl)) {
+          parsed = canonicalUrl;
+          rule = this.getRule(parsed.hostname);
+        }
+      } catch {
+        // Ignore malformed canonical links
+      }
+    }
+
+    // Only http(s) pages have query strings and fragments worth normalizing
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return parsed.href;
+    }
+
+    const keepParams = new Set((rule.keepParams || []).map((p) => p.toLowerCase()));
+    const removeParams = new Set((rule.removeParams || []).map((p) => p.toLowerCase()));
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => {
+        const name = key.toLowerCase();
+        if (keepParams.has(name)) return true;
+        if (removeParams.has(name)) return false;
+        return !TRACKING_PARAM_PATTERNS.some((pattern) => pattern.test(name));
+      })
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const search = params.length > 0 ? "?" + new URLSearchParams(params).toString() : "";
+
+    // Hash-routed apps ("#/page", "#!/page") keep their fragment
+    const isRoute = parsed.hash.startsWith("#/") || parsed.hash.startsWith("#!");
+    const hash = rule.keepHash || isRoute ? parsed.hash : "";
+
+    let pathname = parsed.pathname;
+    if (pathname.length > 1 && pathname.endsWith("/")) {
+      pathname = pathname.replace(/\/+$/, "");
+    }
+
+    const host = this.stripWww(parsed.host);
+    return `${parsed.protocol}//${host}${pathname}${search}${hash}`;
+  }
+
+  /**
+   * Check whether two URLs point to the same page after normalization
+   */
+  isSamePage(a, b) {
+    return this.normalize(a) === this.normalize(b);
+  }
+
+  isSameSite(a, b) {
+    return this.stripWww(a.hostname) === this.stripWww(b.hostname);
+  }
+
+  stripWww(host) {
+    return host.toLowerCase().replace(/^www\./, "");
+  }
+}
+
+// Namespaced for the content script and popup; the service worker uses the
+// class directly after importScripts
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.UrlUtils = UrlUtils;
+}
@@ -0,0 +1,140 @@
+// Passphrase encryption for the highlight vault and encrypted exports
+// Shared by the background service worker, which encrypts stored highlights,
+// and the popup, which decrypts export files before importing them.
+// Keys come from PBKDF2 over the passphrase; data is sealed with AES-GCM.
+
+const VAULT_PBKDF2_ITERATIONS = 600000;
+// Upper bound for iteration counts read from files, so a crafted export
+// can't hang the popup
+const VAULT_MAX_PBKDF2_ITERATIONS = 10000000;
+const ENCRYPTED_EXPORT_FORMAT = "highlight-saver-encrypted";
+
+class VaultCrypto {
+  static randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+  }
+
+  static toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(base64) {
+    return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  }
+
+  /**
+   * Derive 512 bits from the passphrase: the first half is the AES-GCM
+   * key, the second an HMAC key for blind indexes. raw is kept so an
+   * unlocked vault can survive a service worker restart.
+   */
+  static async deriveKeys(passphrase, salt, iterations = VAULT_PBKDF2_ITERATIONS) {
+    const base = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveBits"]
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      base,
+      512
+    );
+    const raw = new Uint8Array(bits);
+    return { ...(await this.importKeys(raw)), raw };
+  }
+
+  static async importKeys(raw) {
+    const [encryptionKey, indexKey] = await Promise.all([
+      crypto.subtle.importKey("raw", raw.slice(0, 32), "AES-GCM", false, ["encrypt", "decrypt"]),
+      crypto.subtle.importKey("raw", raw.slice(32), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]),
+    ]);
+    return { encryptionKey, indexKey };
+  }
+
+  /**
+   * Encrypt a JSON value. context is authenticated but not stored, so a
+   * sealed value only opens where it was sealed (e.g. under the same id).
+   */
+  static async encryptJson(key, value, context = "") {
+    const iv = this.randomBytes(12);
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv, additionalData: new TextEncoder().encode(context) },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+  }
+
+  static async decryptJson(key, { iv, data }, context = "") {
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: this.fromBase64(iv), additionalData: new TextEncoder().encode(context) },
+      key,
+      this.fromBase64(data)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  /**
+   * Keyed hash of a value, so encrypted records can still be looked up
+   * by URL without storing the URL
+   */
+  static async blind(indexKey, value) {
+    const mac = await crypto.subtle.sign("HMAC", indexKey, new TextEncoder().encode(value));
+    return this.toBase64(new Uint8Array(mac));
+  }
+
+  static isEncryptedExport(data) {
+    return Boolean(data && typeof data === "object" && data.format === ENCRYPTED_EXPORT_FORMAT);
+  }
+
+  /**
+   * Wrap an export in an envelope that opens with the passphrase the key
+   * was derived from, given the salt and iteration count in kdf
+   */
+  static async encryptExport(payload, encryptionKey, kdf) {
+    return {
+      format: ENCRYPTED_EXPORT_FORMAT,
+      version: 1,
+      kdf,
+      cipher: "AES-GCM",
+      ...(await this.encryptJson(encryptionKey, payload, ENCRYPTED_EXPORT_FORMAT)),
+    };
+  }
+
+  static async decryptExport(envelope, passphrase) {
+    const { kdf } = envelope;
+    if (
+      !kdf ||
+      kdf.name !== "PBKDF2" ||
+      typeof kdf.salt !== "string" ||
+      !Number.isInteger(kdf.iterations) ||
+      kdf.iterations < 1 ||
+      kdf.iterations > VAULT_MAX_PBKDF2_ITERATIONS ||
+      typeof envelope.iv !== "string" ||
+      typeof envelope.data !== "string"
+    ) {
+      throw new Error("Unsupported encrypted file");
+    }
+
+    const { encryptionKey } = await this.deriveKeys(passphrase, this.fromBase64(kdf.salt), kdf.iterations);
+    try {
+      return await this.decryptJson(encryptionKey, envelope, ENCRYPTED_EXPORT_FORMAT);
+    } catch {
+      const error = new Error("Wrong passphrase");
+      error.code = "WRONG_PASSPHRASE";
+      throw error;
+    }
+  }
+}
+
+// Namespaced for the popup; the service worker uses the class directly
+// after importScripts
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.VaultCrypto = VaultCrypto;
+}
@@ -0,0 +1,269 @@
+// Conversion between highlights and the W3C Web Annotation Data Model
+// Shared by the background service worker, which exports annotations, and
+// the popup, which turns imported annotation files into highlights.
+// https://www.w3.org/TR/annotation-model/
+//
+// A highlight becomes an Annotation whose target is its page (source) with
+// TextQuoteSelector and TextPositionSelector, and whose bodies are its note
+// (commenting), tags (tagging) and AI summary (describing). Fields the model
+// has no place for, like title and color, go into a "highlightSaver"
+// property, so exporting and importing again loses nothing.
+
+const WEB_ANNOTATION_CONTEXT = "http://www.w3.org/ns/anno.jsonld";
+const WEB_ANNOTATION_EXTENSION = "highlightSaver";
+const WEB_ANNOTATION_ID_PREFIX = "urn:x-highlight-saver:";
+
+// Highlight fields carried by standard annotation properties
+const WEB_ANNOTATION_MAPPED_FIELDS = ["id", "text", "url", "timestamp", "updatedAt", "note", "tags", "summary", "anchor"];
+// Highlight fields read back from the "highlightSaver" property. Anything
+// else in it is ignored, so a file can't set fields the extension doesn't
+// know or replace the ones the annotation itself carries.
+const WEB_ANNOTATION_EXTENSION_FIELDS = [
+  "normalizedUrl",
+  "title",
+  "domain",
+  "pageText",
+  "textPosition",
+  "anchorStatus",
+  "lastAnchoredAt",
+  "anchorConfidence",
+  "color",
+  "author",
+  "location",
+  "page",
+];
+
+class WebAnnotation {
+  /**
+   * True for an Annotation, AnnotationPage or AnnotationCollection, or a
+   * list of annotations
+   */
+  static isAnnotationDocument(data) {
+    if (Array.isArray(data)) {
+      return data.length > 0 && data.every((item) => this.hasType(item, "Annotation"));
+    }
+    return ["Annotation", "AnnotationPage", "AnnotationCollection"].some((type) => this.hasType(data, type));
+  }
+
+  /**
+   * type may be a string or a list, and may carry the oa: prefix
+   */
+  static hasType(value, type) {
+    if (!value || typeof value !== "object") return false;
+    const types = [].concat(value.type || value["@type"] || []);
+    return types.some((t) => t === type || t === `oa:${type}`);
+  }
+
+  static toAnnotation(h) {
+    const extension = {};
+    Object.keys(h).forEach((key) => {
+      if (!WEB_ANNOTATION_MAPPED_FIELDS.includes(key) && h[key] !== undefined) {
+        extension[key] = h[key];
+      }
+    });
+
+    const selector = [];
+    if (h.anchor && h.anchor.quote) {
+      selector.push({ type: "TextQuoteSelector", ...h.anchor.quote });
+      if (h.anchor.position) {
+        selector.push({ type: "TextPositionSelector", start: h.anchor.position.start, end: h.anchor.position.end });
+      }
+      // The selected text can differ from the page text in whitespace
+      if (h.text !== h.anchor.quote.exact) extension.text = h.text;
+    } else {
+      selector.push({ type: "TextQuoteSelector", exact: h.text });
+      if (h.anchor === null) extension.anchor = null;
+    }
+
+    const body = [];
+    if (h.note) {
+      body.push({ type: "TextualBody", value: h.note, format: "text/markdown", purpose: "commenting" });
+    }
+    (h.tags || []).forEach((tag) => body.push({ type: "TextualBody", value: tag, purpose: "tagging" }));
+    if (h.summary) {
+      body.push({ type: "TextualBody", value: h.summary, format: "text/markdown", purpose: "describing" });
+    }
+
+    return {
+      id: `${WEB_ANNOTATION_ID_PREFIX}${encodeURIComponent(h.id)}`,
+      type: "Annotation",
+      motivation: "highlighting",
+      created: new Date(h.timestamp).toISOString(),
+      ...(h.updatedAt ? { modified: new Date(h.updatedAt).toISOString() } : {}),
+      ...(body.length ? { body } : {}),
+      target: { source: h.url, selector },
+      ...(Object.keys(extension).length ? { [WEB_ANNOTATION_EXTENSION]: extension } : {}),
+    };
+  }
+
+  /**
+   * An AnnotationCollection holding every highlight in one page
+   */
+  static toCollection(highlights, { label = "Highlights", now = Date.now() } = {}) {
+    return {
+      "@context": [WEB_ANNOTATION_CONTEXT, { [WEB_ANNOTATION_EXTENSION]: `${WEB_ANNOTATION_ID_PREFIX}terms#` }],
+      type: "AnnotationCollection",
+      label,
+      total: highlights.length,
+      generated: new Date(now).toISOString(),
+      first: {
+        type: "AnnotationPage",
+        startIndex: 0,
+        items: highlights.map((h) => this.toAnnotation(h)),
+      },
+    };
+  }
+
+  /**
+   * The annotations in a document, however it's wrapped, as
+   * { annotations, total, complete }. Pages are followed through "next"
+   * while they're included in the file; pages only linked by IRI aren't
+   * fetched, and leave the document incomplete.
+   */
+  static readAnnotations(data) {
+    if (Array.isArray(data)) return { annotations: data, total: data.length, complete: true };
+    if (this.hasType(data, "Annotation")) return { annotations: [data], total: 1, complete: true };
+
+    let page;
+    if (this.hasType(data, "AnnotationPage")) {
+      page = data;
+    } else if (this.hasType(data, "AnnotationCollection")) {
+      page = data.first;
+    } else {
+      throw new Error("Not a Web Annotation document");
+    }
+
+    const annotations = [];
+    const seen = new Set();
+    while (page && typeof page === "object" && !seen.has(page)) {
+      seen.add(page);
+      annotations.push(...[].concat(page.items || []));
+      page = page.next;
+    }
+    const total = Number.isInteger(data.total) && data.total > annotations.length ? data.total : annotations.length;
+    return { annotations, total, complete: typeof page !== "string" && total === annotations.length };
+  }
+
+  /**
+   * The first target that points into a page's text; strings and lists
+   * are both allowed by the model
+   */
+  static findTarget(annotation) {
+    const targets = [].concat(annotation.target || []).filter((t) => t && typeof t === "object");
+    return targets.find((t) => typeof t.source === "string" && this.findSelector(t, "TextQuoteSelector")) || null;
+  }
+
+  static findSelector(target, type) {
+    const selectors = [].concat(target.selector || []);
+    return selectors.find((s) => this.hasType(s, type)) || null;
+  }
+
+  /**
+   * Bodies may be a string, an object or a list; plain values count as
+   * comments
+   */
+  static readBodies(annotation) {
+    const bodies = [].concat(annotation.body || []);
+    if (typeof annotation.bodyValue === "string") bodies.push(annotation.bodyValue);
+    return bodies
+      .map((b) => (typeof b === "string" ? { value: b } : b))
+      .filter((b) => b && typeof b.value === "string" && b.value.trim());
+  }
+
+  /**
+   * Turn an annotation back into a highlight, or null when it doesn't
+   * quote any page text. Annotations from other tools get their IRI as id,
+   * so importing them twice doesn't duplicate them.
+   */
+  static fromAnnotation(annotation) {
+    if (!annotation || typeof annotation !== "object") return null;
+    const target = this.findTarget(annotation);
+    if (!target) return null;
+
+    const quote = this.findSelector(target, "TextQuoteSelector");
+    if (typeof quote.exact !== "string" || !quote.exact) return null;
+    const position = this.findSelector(target, "TextPositionSelector");
+    const stored = annotation[WEB_ANNOTATION_EXTENSION];
+    const extension = stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {};
+
+    const iri = String(annotation.id || annotation["@id"] || "");
+    // Our own exports say exactly which fields the highlight had
+    const own = iri.startsWith(WEB_ANNOTATION_ID_PREFIX);
+    // Annotations without an IRI get an id from what they quote, so they
+    // don't duplicate either
+    const { HashUtils } = window.__highlightSaver;
+    let id = iri || `annotation_${HashUtils.hash(`${target.source}\n${quote.exact}`)}`;
+    if (own) {
+      const suffix = iri.slice(WEB_ANNOTATION_ID_PREFIX.length);
+      try {
+        id = decodeURIComponent(suffix);
+      } catch {
+        // A malformed escape can't have come from our own export; keep it as is
+        id = suffix;
+      }
+    }
+
+    const highlight = {
+      id,
+      text: quote.exact,
+      url: target.source,
+    };
+
+    const created = Date.parse(annotation.created);
+    highlight.timestamp = Number.isNaN(created) ? Date.now() : created;
+    const modified = Date.parse(annotation.modified);
+    if (!Number.isNaN(modified)) highlight.updatedAt = modified;
+
+    const quoteOnly = !("prefix" in quote) && !("suffix" in quote) && !position;
+    if (extension.anchor === null || (extension.anchor && typeof extension.anchor === "object")) {
+      highlight.anchor = extension.anchor;
+    } else if (!(own && quoteOnly)) {
+      highlight.anchor = {
+        quote: { exact: quote.exact, prefix: quote.prefix || "", suffix: quote.suffix || "" },
+        ...(position && Number.isInteger(position.start) && Number.isInteger(position.end)
+          ? { position: { start: position.start, end: position.end } }
+          : {}),
+      };
+    }
+
+    const bodies = this.readBodies(annotation);
+    const purposes = (b) => [].concat(b.purpose || []);
+    const tags = bodies.filter((b) => purposes(b).includes("tagging")).map((b) => b.value);
+    const summaries = bodies.filter((b) => purposes(b).includes("describing"));
+    const notes = bodies.filter((b) => !purposes(b).includes("tagging") && !purposes(b).includes("describing"));
+    if (notes.length) highlight.note = notes.map((b) => b.value).join("\n\n");
+    if (tags.length) highlight.tags = tags;
+    if (summaries.length) highlight.summary = summaries.map((b) => b.value).join("\n\n");
+
+    // The selected text, when it differs from the quoted page text
+    if (typeof extension.text === "string" && extension.text) highlight.text = extension.text;
+    WEB_ANNOTATION_EXTENSION_FIELDS.forEach((field) => {
+      if (field in extension) highlight[field] = extension[field];
+    });
+    if (!own && !highlight.domain) {
+      try {
+        highlight.domain = new URL(highlight.url).hostname;
+      } catch {
+        // Leave it out; the highlight still imports
+      }
+    }
+    return highlight;
+  }
+
+  /**
+   * Highlights from the annotations included in a document, skipping
+   * annotations that don't quote page text
+   */
+  static toHighlights(data) {
+    return this.readAnnotations(data)
+      .annotations.map((annotation) => this.fromAnnotation(annotation))
+      .filter(Boolean);
+  }
+}
+
+// Namespaced for the popup; the service worker uses the class directly
+// after importScripts
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.WebAnnotation = WebAnnotation;
+}
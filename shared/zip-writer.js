@@ -0,0 +1,114 @@
+// Minimal ZIP writer for exports
+// Used by the popup to package note exports. Files are stored without
+// compression, which keeps the writer small; Markdown is small anyway.
+// Output depends only on the files given, so the same input always
+// produces the same archive.
+
+const ZIP_UTF8_FLAG = 0x0800;
+
+class ZipWriter {
+  static crc32(bytes) {
+    if (!this._crcTable) {
+      const crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+      this._crcTable = crcTable;
+    }
+    const crcTable = this._crcTable;
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * MS-DOS date and time fields, read as UTC so archives don't depend on
+   * the time zone they were made in
+   */
+  static dosDateTime(timestamp) {
+    const d = new Date(timestamp || 0);
+    const year = Math.min(Math.max(d.getUTCFullYear(), 1980), 2107);
+    return {
+      time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2),
+      date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate(),
+    };
+  }
+
+  /**
+   * Build an archive from [{ path, content, modified }], where content is
+   * a string or bytes and modified a timestamp
+   */
+  static build(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ path, content, modified }) => {
+      const name = encoder.encode(path);
+      const data = typeof content === "string" ? encoder.encode(content) : content;
+      const crc = this.crc32(data);
+      const { time, date } = this.dosDateTime(modified);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, ZIP_UTF8_FLAG, true);
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true); // version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, ZIP_UTF8_FLAG, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+
+      parts.push(new Uint8Array(local.buffer), name, data);
+      central.push(new Uint8Array(entry.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const all = [...parts, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    all.forEach((part) => {
+      zip.set(part, position);
+      position += part.length;
+    });
+    return zip;
+  }
+}
+
+// Namespaced for the popup
+if (typeof window !== "undefined") {
+  window.__highlightSaver = window.__highlightSaver || {};
+  window.__highlightSaver.ZipWriter = ZipWriter;
+}
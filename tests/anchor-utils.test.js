@@ -0,0 +1,226 @@
+// Load the source files
+require("../content/utils/constants.js");
+require("../content/utils/anchor-utils.js");
+
+const AnchorUtils = window.__highlightSaver.AnchorUtils;
+
+describe("AnchorUtils", () => {
+  let anchorUtils;
+
+  beforeEach(() => {
+    anchorUtils = new AnchorUtils();
+    document.body.innerHTML = `
+      <p id="first">Read the API docs before calling the API.</p>
+      <p id="second">The <em>API</em> returns JSON.</p>
+    `;
+  });
+
+  const rangeOver = (node, start, end) => {
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    return range;
+  };
+
+  describe("describeRange", () => {
+    test("captures exact quote, context and text offsets", () => {
+      const textNode = document.getElementById("first").firstChild;
+      const start = textNode.textContent.lastIndexOf("API");
+      const anchor = anchorUtils.describeRange(rangeOver(textNode, start, start + 3));
+
+      expect(anchor.quote.exact).toBe("API");
+      expect(anchor.quote.prefix.endsWith("before calling the ")).toBe(true);
+      expect(anchor.quote.suffix.startsWith(".")).toBe(true);
+
+      const { text } = anchorUtils.buildTextIndex();
+      expect(text.slice(anchor.position.start, anchor.position.end)).toBe("API");
+    });
+
+    test("handles ranges bounded by element offsets", () => {
+      const em = document.querySelector("em");
+      const range = document.createRange();
+      range.setStart(em, 0);
+      range.setEnd(em, 1);
+
+      const anchor = anchorUtils.describeRange(range);
+      expect(anchor.quote.exact).toBe("API");
+    });
+
+    test("ignores text inside extension UI", () => {
+      const popup = document.createElement("div");
+      popup.className = "highlight-saver-popup";
+      popup.textContent = "Save Cancel";
+      document.body.insertBefore(popup, document.body.firstChild);
+
+      expect(anchorUtils.buildTextIndex().text).not.toContain("Save Cancel");
+    });
+  });
+
+  describe("resolve", () => {
+    test("prefers the stored position when the quote still matches", () => {
+      const textNode = document.getElementById("first").firstChild;
+      const start = textNode.textContent.lastIndexOf("API");
+      const anchor = anchorUtils.describeRange(rangeOver(textNode, start, start + 3));
+
+      const match = anchorUtils.resolve(anchor);
+      expect(match.method).toBe("position");
+      expect(match.range.startContainer).toBe(textNode);
+      expect(match.range.startOffset).toBe(start);
+    });
+
+    test("falls back to quote context when content shifts the position", () => {
+      const textNode = document.getElementById("first").firstChild;
+      const start = textNode.textContent.lastIndexOf("API");
+      const anchor = anchorUtils.describeRange(rangeOver(textNode, start, start + 3));
+
+      // Insert text before the highlight so the stored offset is stale
+      const banner = document.createElement("p");
+      banner.textContent = "New banner text. ";
+      document.body.insertBefore(banner, document.body.firstChild);
+
+      const match = anchorUtils.resolve(anchor);
+      expect(match.method).toBe("quote");
+      expect(match.range.startContainer).toBe(textNode);
+      expect(match.range.startOffset).toBe(start);
+    });
+
+    test("picks the occurrence whose prefix and suffix match", () => {
+      const anchor = {
+        quote: { exact: "API", prefix: "The ", suffix: " returns JSON." },
+        position: { start: 0, end: 3 },
+      };
+
+      const match = anchorUtils.resolve(anchor);
+      expect(match.range.startContainer.parentNode.tagName).toBe("EM");
+    });
+
+    test("returns null when the quote is gone", () => {
+      const anchor = { quote: { exact: "GraphQL", prefix: "", suffix: "" } };
+      expect(anchorUtils.resolve(anchor)).toBeNull();
+    });
+  });
+
+  describe("resolveFuzzy", () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <p>Intro paragraph that stays the same across revisions.</p>
+        <p id="target">The quick brown fox jumps over the lazy dog near the river bank.</p>
+        <p>Closing remarks that also stay the same.</p>
+      `;
+    });
+
+    const describeTarget = () => {
+      const textNode = document.getElementById("target").firstChild;
+      const range = document.createRange();
+      range.setStart(textNode, 0);
+      range.setEnd(textNode, textNode.textContent.length);
+      return anchorUtils.describeRange(range);
+    };
+
+    test("re-anchors edited text with a confidence score", () => {
+      const anchor = describeTarget();
+      document.getElementById("target").textContent =
+        "The quick brown fox leaps over the lazy dog near the river bank.";
+
+      expect(anchorUtils.resolve(anchor)).toBeNull();
+
+      const match = anchorUtils.resolveFuzzy(anchor);
+      expect(match.method).toBe("fuzzy");
+      expect(match.confidence).toBeGreaterThan(0.75);
+      expect(match.confidence).toBeLessThan(1);
+      expect(match.range.toString()).toContain("leaps over the lazy dog");
+    });
+
+    test("rejects matches below the confidence threshold", () => {
+      const anchor = describeTarget();
+      document.getElementById("target").textContent =
+        "Entirely different sentence about cats sleeping in the sun all day.";
+
+      expect(anchorUtils.resolveFuzzy(anchor)).toBeNull();
+    });
+
+    test("works for legacy highlights without stored context", () => {
+      const match = anchorUtils.resolveFuzzy({
+        quote: { exact: "quick brown fax jumps" },
+      });
+      expect(match.range.toString()).toBe("quick brown fox jumps");
+    });
+  });
+
+  describe("getFuzzySearchWindows", () => {
+    test("caps the windows from the prefix and from the suffix alike", () => {
+      const text = "before x after ".repeat(20);
+      const anchor = { quote: { exact: "x", prefix: "before ", suffix: " after" } };
+      const windows = anchorUtils.getFuzzySearchWindows(text, anchor, 0);
+      expect(windows).toHaveLength(CONSTANTS.FUZZY_MAX_WINDOWS * 2);
+
+      const suffixOnly = anchorUtils.getFuzzySearchWindows(text, { quote: { exact: "x", suffix: " after" } }, 0);
+      expect(suffixOnly).toHaveLength(CONSTANTS.FUZZY_MAX_WINDOWS);
+    });
+  });
+
+  describe("resolveTextFragment", () => {
+    test("matches case-insensitively across elements and whitespace", () => {
+      const range = anchorUtils.resolveTextFragment({
+        prefix: "",
+        textStart: "the   api returns",
+        textEnd: "",
+        suffix: "",
+      });
+      expect(range.toString()).toBe("The API returns");
+    });
+
+    test("keeps offsets right after characters whose lower case is longer", () => {
+      document.body.innerHTML = "<p>İstanbul and İzmir are cities.</p>";
+      const after = anchorUtils.resolveTextFragment({ prefix: "", textStart: "are cities", textEnd: "", suffix: "" });
+      expect(after.toString()).toBe("are cities");
+
+      const over = anchorUtils.resolveTextFragment({ prefix: "and", textStart: "İzmir", textEnd: "", suffix: "are" });
+      expect(over.toString()).toBe("İzmir");
+    });
+
+    test("uses prefix and suffix to pick the occurrence", () => {
+      const range = anchorUtils.resolveTextFragment({
+        prefix: "calling the",
+        textStart: "API",
+        textEnd: "",
+        suffix: "",
+      });
+      const textNode = document.getElementById("first").firstChild;
+      expect(range.startContainer).toBe(textNode);
+      expect(range.startOffset).toBe(textNode.textContent.lastIndexOf("API"));
+    });
+
+    test("resolves textStart,textEnd ranges", () => {
+      const range = anchorUtils.resolveTextFragment({
+        prefix: "",
+        textStart: "before calling",
+        textEnd: "returns",
+        suffix: "JSON",
+      });
+      expect(range.toString().replace(/\s+/g, " ")).toBe(
+        "before calling the API. The API returns"
+      );
+    });
+
+    test("returns null when the passage is missing", () => {
+      expect(
+        anchorUtils.resolveTextFragment({ prefix: "", textStart: "GraphQL", textEnd: "", suffix: "" })
+      ).toBeNull();
+    });
+  });
+
+  describe("approximateSearch", () => {
+    test("returns the span with the fewest edits", () => {
+      const text = "abc hello wrld xyz";
+      const match = anchorUtils.approximateSearch(text, "hello world", 0, text.length, 2);
+      expect(match.errors).toBe(1);
+      expect(text.slice(match.start, match.end)).toBe("hello wrld");
+    });
+
+    test("returns null when no span is within the error budget", () => {
+      const text = "nothing similar here";
+      expect(anchorUtils.approximateSearch(text, "hello world", 0, text.length, 2)).toBeNull();
+    });
+  });
+});
@@ -2,19 +2,76 @@
 const fs = require("fs");
 const path = require("path");
 
+// Shared scripts that background.js pulls in with importScripts
+require("../shared/url-utils.js");
+require("../shared/tag-utils.js");
+globalThis.UrlUtils = window.__highlightSaver.UrlUtils;
+globalThis.TagUtils = window.__highlightSaver.TagUtils;
+
+const { IDBFactory } = require("fake-indexeddb");
+
 // Load background.js, strip the auto-instantiation, and evaluate
 const bgCode = fs.readFileSync(
   path.join(__dirname, "../background/background.js"),
   "utf-8"
 );
+const storeCode = fs.readFileSync(
+  path.join(__dirname, "../background/highlight-store.js"),
+  "utf-8"
+);
+const migrationsCode = fs.readFileSync(
+  path.join(__dirname, "../background/migrations.js"),
+  "utf-8"
+);
+const journalCode = fs.readFileSync(
+  path.join(__dirname, "../background/operation-journal.js"),
+  "utf-8"
+);
+const syncCode = fs.readFileSync(
+  path.join(__dirname, "../background/highlight-sync.js"),
+  "utf-8"
+);
+const remoteSyncCode = fs.readFileSync(
+  path.join(__dirname, "../background/remote-sync.js"),
+  "utf-8"
+);
+const vaultCode = fs.readFileSync(
+  path.join(__dirname, "../background/highlight-vault.js"),
+  "utf-8"
+);
+const vaultCryptoCode = fs.readFileSync(
+  path.join(__dirname, "../shared/vault-crypto.js"),
+  "utf-8"
+);
+const markdownCode = fs.readFileSync(
+  path.join(__dirname, "../shared/markdown-export.js"),
+  "utf-8"
+);
+const csvCode = fs.readFileSync(
+  path.join(__dirname, "../shared/csv-export.js"),
+  "utf-8"
+);
+const hashCode = fs.readFileSync(
+  path.join(__dirname, "../shared/hash-utils.js"),
+  "utf-8"
+);
+const notesCode = fs.readFileSync(
+  path.join(__dirname, "../background/notes-export.js"),
+  "utf-8"
+);
+const annotationCode = fs.readFileSync(
+  path.join(__dirname, "../shared/web-annotation.js"),
+  "utf-8"
+);
 
 const classOnly = bgCode.replace(
   /\/\/ Initialize background service\nnew BackgroundService\(\);/,
   "globalThis.BackgroundService = BackgroundService;"
 );
 
-// Use Function constructor to get class into global scope
-new Function(classOnly)();
+// Use Function constructor to get class into global scope, together with
+// the scripts that importScripts would have loaded
+new Function(`${hashCode}\n${storeCode}\n${vaultCryptoCode}\n${markdownCode}\n${csvCode}\n${notesCode}\n${annotationCode}\n${vaultCode}\n${migrationsCode}\n${journalCode}\n${syncCode}\n${remoteSyncCode}\n${classOnly}\nglobalThis.VaultCrypto = VaultCrypto;\nglobalThis.WebAnnotation = WebAnnotation;`)();
 const BackgroundServiceClass = globalThis.BackgroundService;
 
 describe("BackgroundService", () => {
@@ -51,7 +108,7 @@ describe("BackgroundService", () => {
       );
     });
 
-    test("enforces max highlights limit", async () => {
+    test("asks before going past the highlight limit by default", async () => {
       // Pre-populate storage with 1000 highlights
       const existing = Array.from({ length: 1000 }, (_, i) => ({
         id: `h${i}`,
@@ -68,11 +125,19 @@ describe("BackgroundService", () => {
         timestamp: 9999,
       };
 
-      await service.saveHighlight(newHighlight);
+      const response = await new Promise((resolve) => {
+        service.handleMessage({ action: "saveHighlight", highlight: { ...newHighlight } }, {}, resolve);
+      });
+      expect(response).toMatchObject({ success: false, code: "HIGHLIGHT_LIMIT_CONFIRM", excess: 1 });
+      expect((await chrome.storage.local.get(["highlights"])).highlights).toHaveLength(1000);
 
-      const stored = await chrome.storage.local.get(["highlights"]);
+      // Once the user agrees, the oldest highlight is archived instead of lost
+      await service.saveHighlight(newHighlight, { overflow: "archive" });
+
+      const stored = await chrome.storage.local.get(["highlights", "highlightArchive"]);
       expect(stored.highlights).toHaveLength(1000);
       expect(stored.highlights[0].id).toBe("new");
+      expect(stored.highlightArchive[0].highlightIds).toEqual(["h0"]);
     });
   });
 
@@ -99,6 +164,225 @@ describe("BackgroundService", () => {
     });
   });
 
+  describe("trash", () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    beforeEach(async () => {
+      await chrome.storage.local.set({
+        highlights: [
+          { id: "h1", text: "a", url: "u", timestamp: 1 },
+          { id: "h2", text: "b", url: "u", timestamp: 2 },
+          { id: "h3", text: "c", url: "u", timestamp: 3 },
+        ],
+        collections: [{ id: "c1", name: "Reading", highlightIds: ["h1", "h2", "h3"] }],
+      });
+    });
+
+    test("deleting moves a highlight to the trash", async () => {
+      await service.deleteHighlight("h2");
+
+      const [trashed] = await service.getTrash();
+      expect(trashed).toMatchObject({ id: "h2", text: "b" });
+      expect(typeof trashed.deletedAt).toBe("number");
+      expect((await service.getCollections())[0].highlightIds).toEqual(["h1", "h3"]);
+    });
+
+    test("restoring puts a highlight back where it was", async () => {
+      await service.deleteHighlight("h2");
+      expect(await service.restoreHighlights(["h2"])).toBe(1);
+
+      const restored = (await service.getHighlights()).find((h) => h.id === "h2");
+      expect(restored).toEqual({ id: "h2", text: "b", url: "u", timestamp: 2 });
+      expect((await service.getCollections())[0].highlightIds).toEqual(["h1", "h2", "h3"]);
+      expect(await service.getTrash()).toEqual([]);
+    });
+
+    test("clearing all moves everything to the trash", async () => {
+      await service.clearAllHighlights();
+
+      expect(await service.getHighlights()).toEqual([]);
+      expect(await service.getTrash()).toHaveLength(3);
+      expect((await service.getCollections())[0].highlightIds).toEqual([]);
+
+      await service.restoreHighlights(["h1", "h3"]);
+      expect((await service.getCollections())[0].highlightIds).toEqual(["h1", "h3"]);
+    });
+
+    test("counts only highlights in the trash toward the limit when restoring", async () => {
+      const library = Array.from({ length: 999 }, (_, i) => ({ id: `k${i}`, text: "t", url: "u", timestamp: 10 + i }));
+      await chrome.storage.local.set({
+        highlights: library,
+        trash: [{ id: "h4", text: "d", url: "u", timestamp: 4, deletedAt: Date.now() }],
+      });
+
+      expect(await service.restoreHighlights(["h4", "missing", "h4"])).toBe(1);
+      expect((await service.getHighlights()).length).toBe(1000);
+    });
+
+    test("purges trash older than the retention period", async () => {
+      const now = Date.now();
+      await chrome.storage.local.set({
+        trash: [
+          { id: "old", text: "old", url: "u", timestamp: 1, deletedAt: now - 31 * day },
+          { id: "recent", text: "recent", url: "u", timestamp: 1, deletedAt: now - 29 * day },
+        ],
+      });
+
+      expect((await service.getSettings()).trashRetentionDays).toBe(30);
+      expect(await service.purgeTrash()).toBe(1);
+      expect((await service.getTrash()).map((h) => h.id)).toEqual(["recent"]);
+
+      await service.saveSettings({ trashRetentionDays: 7 });
+      expect(await service.getTrash()).toEqual([]);
+    });
+
+    test("deletes forever and empties the trash", async () => {
+      await service.clearAllHighlights();
+      await service.deleteHighlightsForever(["h1"]);
+      expect((await service.getTrash()).map((h) => h.id).sort()).toEqual(["h2", "h3"]);
+
+      await service.emptyTrash();
+      expect(await service.getTrash()).toEqual([]);
+    });
+
+    test("validates the retention period", async () => {
+      await expect(service.saveSettings({ trashRetentionDays: 0 })).rejects.toThrow(
+        "Trash retention must be"
+      );
+      await expect(service.saveSettings({ trashRetentionDays: 1.5 })).rejects.toThrow(
+        "Trash retention must be"
+      );
+    });
+  });
+
+  describe("undo and redo", () => {
+    const ids = async () => (await service.getHighlights()).map((h) => h.id).sort();
+
+    beforeEach(async () => {
+      await chrome.storage.local.set({
+        highlights: [
+          { id: "h1", text: "a", url: "u", timestamp: 1, note: "first", tags: ["Work"] },
+          { id: "h2", text: "b", url: "u", timestamp: 2, tags: ["work", "Later"] },
+        ],
+        collections: [{ id: "c1", name: "Reading", highlightIds: ["h2", "h1"] }],
+      });
+    });
+
+    test("undoes and redoes a save", async () => {
+      await service.saveHighlight({ id: "h3", text: "c", url: "https://c.com" }, { operationId: "op1" });
+
+      expect(await service.undo("op1")).toEqual({ id: "op1", type: "save", label: "Save highlight" });
+      expect(await ids()).toEqual(["h1", "h2"]);
+
+      await service.redo("op1");
+      expect(await ids()).toEqual(["h1", "h2", "h3"]);
+    });
+
+    test("undoes a delete back into its collection", async () => {
+      await service.deleteHighlight("h2");
+      await service.undo();
+
+      expect(await ids()).toEqual(["h1", "h2"]);
+      expect((await service.getCollections())[0].highlightIds).toEqual(["h2", "h1"]);
+      expect(await service.getTrash()).toEqual([]);
+    });
+
+    test("undoes clearing all highlights", async () => {
+      await service.clearAllHighlights();
+      expect((await service.journal.getStatus()).undo.type).toBe("clear");
+
+      await service.undo();
+      expect(await ids()).toEqual(["h1", "h2"]);
+
+      await service.redo();
+      expect(await ids()).toEqual([]);
+    });
+
+    test("undoes and redoes an edit field by field", async () => {
+      await service.updateHighlight("h2", { note: "added" });
+      await service.undo();
+
+      const [h2] = (await service.getHighlights()).filter((h) => h.id === "h2");
+      expect(h2).toEqual({ id: "h2", text: "b", url: "u", timestamp: 2, tags: ["work", "Later"] });
+
+      await service.redo();
+      expect((await service.getHighlights()).find((h) => h.id === "h2").note).toBe("added");
+    });
+
+    test("undoes a tag rename across highlights", async () => {
+      expect(await service.renameTag("work", "Job")).toBe(2);
+      await service.undo();
+
+      const byId = Object.fromEntries((await service.getHighlights()).map((h) => [h.id, h.tags]));
+      expect(byId).toEqual({ h1: ["Work"], h2: ["work", "Later"] });
+    });
+
+    test("undoes a replace import", async () => {
+      await service.importHighlights(
+        [
+          { id: "h1", text: "replaced", url: "u", timestamp: 1 },
+          { id: "h9", text: "new", url: "u", timestamp: 9 },
+        ],
+        false
+      );
+      expect(await ids()).toEqual(["h1", "h9"]);
+
+      await service.undo();
+      const highlights = await service.getHighlights();
+      expect(highlights.map((h) => h.id).sort()).toEqual(["h1", "h2"]);
+      expect(highlights.find((h) => h.id === "h1").text).toBe("a");
+      expect((await service.getCollections())[0].highlightIds).toEqual(["h2", "h1"]);
+
+      await service.redo();
+      expect(await ids()).toEqual(["h1", "h9"]);
+    });
+
+    test("refuses to undo anything but the latest operation", async () => {
+      await service.deleteHighlight("h1", { operationId: "first" });
+      await service.deleteHighlight("h2", { operationId: "second" });
+
+      await expect(service.undo("first")).rejects.toThrow("can no longer be undone");
+      await service.undo("second");
+      await service.undo("first");
+      await expect(service.undo()).rejects.toThrow("Nothing to undo");
+    });
+
+    test("a new operation clears the redo history", async () => {
+      await service.deleteHighlight("h1");
+      await service.undo();
+      await service.deleteHighlight("h2");
+
+      await expect(service.redo()).rejects.toThrow("Nothing to redo");
+    });
+
+    test("keeps a bounded journal in session storage", async () => {
+      service.journal.maxEntries = 2;
+      await service.updateHighlight("h1", { note: "1" });
+      await service.updateHighlight("h1", { note: "2" });
+      await service.updateHighlight("h1", { note: "3" });
+
+      const { operationJournal } = await chrome.storage.session.get(["operationJournal"]);
+      expect(operationJournal.done).toHaveLength(2);
+      await service.undo();
+      await service.undo();
+      await expect(service.undo()).rejects.toThrow("Nothing to undo");
+      expect((await service.getHighlights()).find((h) => h.id === "h1").note).toBe("1");
+    });
+
+    test("returns operation ids in message responses", async () => {
+      const sendResponse = jest.fn();
+      await service.handleMessage({ action: "deleteHighlight", id: "h1" }, {}, sendResponse);
+      const { operationId } = sendResponse.mock.calls[0][0];
+      expect(operationId).toMatch(/^op_[0-9a-f-]{36}$/);
+
+      await service.handleMessage({ action: "undo", operationId }, {}, sendResponse);
+      expect(sendResponse).toHaveBeenLastCalledWith({
+        success: true,
+        operation: { id: operationId, type: "delete", label: "Delete highlight" },
+      });
+    });
+  });
+
   describe("importHighlights", () => {
     const validHighlights = [
       { id: "h1", text: "text1", url: "https://a.com", timestamp: 100 },
@@ -148,6 +432,421 @@ describe("BackgroundService", () => {
       const h1 = stored.highlights.find((h) => h.id === "h1");
       expect(h1.text).toBe("original");
     });
+
+    test("applies the overflow policy and reports archived highlights", async () => {
+      service.store.maxHighlights = 2;
+      await chrome.storage.local.set({
+        highlights: [{ id: "h0", text: "oldest", url: "https://c.com", timestamp: 50 }],
+      });
+
+      await service.saveSettings({ overflowPolicy: "reject" });
+      await expect(service.importHighlights(validHighlights, true)).rejects.toMatchObject({
+        code: "HIGHLIGHT_LIMIT",
+        excess: 1,
+      });
+
+      await service.saveSettings({ overflowPolicy: "archive" });
+      const result = await service.importHighlights(validHighlights, true);
+      expect(result).toMatchObject({ imported: 2, archived: 1 });
+
+      const stored = await chrome.storage.local.get(["highlights", "highlightArchive"]);
+      expect(stored.highlights.map((h) => h.id)).toEqual(["h2", "h1"]);
+      expect(stored.highlightArchive[0].highlightIds).toEqual(["h0"]);
+    });
+
+    test("rejects unknown overflow policies", async () => {
+      await expect(service.saveSettings({ overflowPolicy: "drop" })).rejects.toThrow(
+        "Overflow policy must be one of"
+      );
+    });
+  });
+
+  describe("updateAnchorStatus", () => {
+    const page = { url: "https://example.com/post?utm_source=feed" };
+
+    beforeEach(async () => {
+      await chrome.storage.local.set({
+        highlights: [
+          { id: "h1", text: "a", url: "https://example.com/post", timestamp: 1 },
+          { id: "h2", text: "b", url: "https://example.com/post", timestamp: 2 },
+          { id: "h3", text: "c", url: "https://example.com/other", timestamp: 3 },
+        ],
+      });
+    });
+
+    test("records anchored and orphaned highlights", async () => {
+      const updated = await service.updateAnchorStatus(
+        [
+          { id: "h1", status: "anchored", confidence: 0.87 },
+          { id: "h2", status: "orphaned" },
+        ],
+        page
+      );
+      expect(updated).toBe(2);
+
+      const stored = await chrome.storage.local.get(["highlights"]);
+      const [h1, h2, h3] = stored.highlights;
+      expect(h1.anchorStatus).toBe("anchored");
+      expect(h1.anchorConfidence).toBe(0.87);
+      expect(typeof h1.lastAnchoredAt).toBe("number");
+      expect(h2.anchorStatus).toBe("orphaned");
+      expect(h2.lastAnchoredAt).toBeUndefined();
+      expect(h3.anchorStatus).toBeUndefined();
+    });
+
+    test("updates only highlights saved on the reporting tab's page", async () => {
+      const send = (request, sender) => new Promise((resolve) => service.handleMessage(request, sender, resolve));
+      const results = [{ id: "h3", status: "orphaned" }];
+
+      expect(await send({ action: "reportAnchorStatus", results }, { tab: { url: page.url } })).toEqual({
+        success: true,
+        updated: 0,
+      });
+      expect(await send({ action: "reportAnchorStatus", results }, {})).toMatchObject({ success: false });
+      expect(
+        await send({ action: "reportAnchorStatus", results }, { tab: { url: "https://example.com/other#top" } })
+      ).toEqual({ success: true, updated: 1 });
+    });
+
+    test("skips writes when nothing changed", async () => {
+      const report = [{ id: "h1", status: "anchored", confidence: 1 }];
+      expect(await service.updateAnchorStatus(report, page)).toBe(1);
+      chrome.storage.local.set.mockClear();
+
+      expect(await service.updateAnchorStatus(report, page)).toBe(0);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test("ignores malformed reports", async () => {
+      chrome.storage.local.set.mockClear();
+      const updated = await service.updateAnchorStatus([{ id: "h1", status: "bogus" }, null], page);
+      expect(updated).toBe(0);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("URL normalization", () => {
+    test("stores a normalized URL alongside the raw URL", async () => {
+      const saved = await service.saveHighlight({
+        id: "h1",
+        text: "a",
+        url: "https://www.example.com/post/?utm_source=feed#comments",
+        timestamp: 1,
+      });
+
+      expect(saved.url).toBe("https://www.example.com/post/?utm_source=feed#comments");
+      expect(saved.normalizedUrl).toBe("https://example.com/post");
+    });
+
+    test("applies per-domain rules from settings", async () => {
+      await service.saveSettings({
+        urlRules: { "example.com": { removeParams: ["session"] } },
+      });
+
+      const saved = await service.saveHighlight({
+        id: "h1",
+        text: "a",
+        url: "https://docs.example.com/page?session=abc&id=7",
+        timestamp: 1,
+      });
+      expect(saved.normalizedUrl).toBe("https://docs.example.com/page?id=7");
+    });
+
+    test("migrates existing records to store both URLs", async () => {
+      await chrome.storage.local.set({
+        highlights: [
+          { id: "h1", text: "a", url: "https://a.com/x?fbclid=1", timestamp: 1 },
+          { id: "h2", text: "b", url: "https://b.com/", timestamp: 2, normalizedUrl: "keep" },
+        ],
+      });
+
+      const result = await service.performMigrationIfNeeded();
+      expect(result.applied).toContain(1);
+
+      const stored = await chrome.storage.local.get(["highlights"]);
+      expect(stored.highlights[0].url).toBe("https://a.com/x?fbclid=1");
+      expect(stored.highlights[0].normalizedUrl).toBe("https://a.com/x");
+      expect(stored.highlights[1].normalizedUrl).toBe("keep");
+
+      // Running again changes nothing
+      expect((await service.performMigrationIfNeeded()).applied).toEqual([]);
+    });
+
+    test("rejects malformed URL rules", async () => {
+      await expect(service.saveSettings({ urlRules: ["nope"] })).rejects.toThrow(
+        "URL rules must be an object"
+      );
+    });
+  });
+
+  describe("updateHighlight", () => {
+    beforeEach(async () => {
+      await chrome.storage.local.set({
+        highlights: [{ id: "h1", text: "a", url: "https://a.com", timestamp: 1 }],
+      });
+    });
+
+    test("stores a note and records when it changed", async () => {
+      const updated = await service.updateHighlight("h1", {
+        note: "**Important**\n- follow up",
+        text: "ignored",
+      });
+
+      expect(updated.note).toBe("**Important**\n- follow up");
+      expect(updated.text).toBe("a");
+      expect(updated.updatedAt).toBeGreaterThan(0);
+
+      const [stored] = await service.getHighlights();
+      expect(stored.note).toBe("**Important**\n- follow up");
+    });
+
+    test("is reachable through handleMessage", async () => {
+      const sendResponse = jest.fn();
+      await service.handleMessage(
+        { action: "updateHighlight", id: "h1", updates: { note: "n" } },
+        {},
+        sendResponse
+      );
+      expect(sendResponse).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, highlight: expect.objectContaining({ note: "n" }) })
+      );
+    });
+
+    test("rejects unknown highlights and unsupported updates", async () => {
+      await expect(service.updateHighlight("missing", { note: "x" })).rejects.toThrow(
+        "Highlight not found"
+      );
+      await expect(service.updateHighlight("h1", { text: "x" })).rejects.toThrow(
+        "No supported fields to update"
+      );
+      await expect(service.updateHighlight("h1", { note: 42 })).rejects.toThrow(
+        "Note must be a string"
+      );
+    });
+
+    test("notes are kept by export and import", async () => {
+      await service.updateHighlight("h1", { note: "keep me" });
+      const exported = JSON.parse(JSON.stringify(await service.exportHighlights()));
+
+      await service.clearAllHighlights();
+      await service.importHighlights(exported);
+
+      const [restored] = await service.getHighlights();
+      expect(restored.note).toBe("keep me");
+    });
+  });
+
+  describe("tags", () => {
+    beforeEach(async () => {
+      await chrome.storage.local.set({
+        highlights: [
+          { id: "h1", text: "a", url: "https://a.com", timestamp: 1, tags: ["thesis", "ml"] },
+          { id: "h2", text: "b", url: "https://a.com", timestamp: 2, tags: ["ML", "reading"] },
+          { id: "h3", text: "c", url: "https://a.com", timestamp: 3 },
+        ],
+      });
+    });
+
+    const tagsById = async () => {
+      const highlights = await service.getHighlights();
+      return Object.fromEntries(highlights.map((h) => [h.id, h.tags]));
+    };
+
+    test("normalizes tags on save", async () => {
+      const saved = await service.saveHighlight({
+        id: "h4",
+        text: "d",
+        url: "https://a.com",
+        tags: [" #Project  X ", "project x", "", 7],
+      });
+      expect(saved.tags).toEqual(["Project X"]);
+    });
+
+    test("renames a tag on every highlight, case-insensitively", async () => {
+      const updated = await service.renameTag("ml", "machine learning");
+
+      expect(updated).toBe(2);
+      expect(await tagsById()).toEqual({
+        h1: ["thesis", "machine learning"],
+        h2: ["machine learning", "reading"],
+        h3: undefined,
+      });
+    });
+
+    test("merges tags without leaving duplicates", async () => {
+      await service.mergeTags(["thesis", "reading"], "ml");
+
+      expect(await tagsById()).toEqual({ h1: ["ml"], h2: ["ML"], h3: undefined });
+    });
+
+    test("deletes a tag but keeps the highlights", async () => {
+      const updated = await service.deleteTag("ML");
+
+      expect(updated).toBe(2);
+      expect(await tagsById()).toEqual({ h1: ["thesis"], h2: ["reading"], h3: undefined });
+    });
+
+    test("reports tag counts", async () => {
+      const sendResponse = jest.fn();
+      await service.handleMessage({ action: "getTags" }, {}, sendResponse);
+      expect(sendResponse).toHaveBeenCalledWith({
+        success: true,
+        tags: [
+          { name: "ml", count: 2 },
+          { name: "reading", count: 1 },
+          { name: "thesis", count: 1 },
+        ],
+      });
+    });
+
+    test("runs tag rewrites one at a time", async () => {
+      await Promise.all([service.renameTag("ml", "ai"), service.renameTag("ai", "llm")]);
+      expect(await tagsById()).toEqual({
+        h1: ["thesis", "llm"],
+        h2: ["llm", "reading"],
+        h3: undefined,
+      });
+    });
+  });
+
+  describe("collections", () => {
+    beforeEach(async () => {
+      await chrome.storage.local.set({
+        highlights: [
+          { id: "h1", text: "a", url: "https://a.com", timestamp: 1 },
+          { id: "h2", text: "b", url: "https://b.org", timestamp: 2 },
+          { id: "h3", text: "c", url: "https://c.net", timestamp: 3 },
+        ],
+      });
+    });
+
+    test("creates, fills, reorders and renames a collection", async () => {
+      const created = await service.createCollection("  Thesis   ch.2 ");
+      expect(created.name).toBe("Thesis ch.2");
+      expect(created.id).toMatch(/^collection_[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+      await service.addToCollection(created.id, ["h3", "h1", "h3", "missing"]);
+      await service.reorderCollection(created.id, ["h1", "h3"]);
+      await service.renameCollection(created.id, "Thesis chapter 2");
+
+      const [collection] = await service.getCollections();
+      expect(collection.name).toBe("Thesis chapter 2");
+      expect(collection.highlightIds).toEqual(["h1", "h3"]);
+    });
+
+    test("rejects a reorder that adds or drops highlights", async () => {
+      const { id } = await service.createCollection("Research");
+      await service.addToCollection(id, ["h1", "h2"]);
+
+      await expect(service.reorderCollection(id, ["h2"])).rejects.toThrow(
+        "New order must contain exactly the highlights in the collection"
+      );
+      await expect(service.reorderCollection(id, ["h2", "h3"])).rejects.toThrow();
+    });
+
+    test("saves a highlight straight into a collection", async () => {
+      const { id } = await service.createCollection("Inbox");
+      await service.saveHighlight(
+        { id: "h4", text: "d", url: "https://d.com", timestamp: 4 },
+        { collectionId: id }
+      );
+
+      const [collection] = await service.getCollections();
+      expect(collection.highlightIds).toEqual(["h4"]);
+    });
+
+    test("deleting a highlight removes it from collections", async () => {
+      const { id } = await service.createCollection("Research");
+      await service.addToCollection(id, ["h1", "h2"]);
+
+      await service.deleteHighlight("h1");
+
+      const [collection] = await service.getCollections();
+      expect(collection.highlightIds).toEqual(["h2"]);
+    });
+
+    test("deleting a collection keeps its highlights", async () => {
+      const { id } = await service.createCollection("Research");
+      await service.addToCollection(id, ["h1"]);
+
+      await service.deleteCollection(id);
+
+      expect(await service.getCollections()).toEqual([]);
+      expect((await service.getHighlights()).length).toBe(3);
+    });
+
+    test("exports a single collection in order and restores it on import", async () => {
+      const { id } = await service.createCollection("Competitors");
+      await service.addToCollection(id, ["h3", "h1"]);
+
+      const exported = JSON.parse(
+        JSON.stringify(await service.exportHighlights({ collectionId: id }))
+      );
+      expect(exported.highlights.map((h) => h.id)).toEqual(["h3", "h1"]);
+      expect(exported.collection.name).toBe("Competitors");
+
+      await chrome.storage.local.set({ highlights: [], collections: [] });
+      await service.importHighlights(exported);
+
+      const [restored] = await service.getCollections();
+      expect(restored.name).toBe("Competitors");
+      expect(restored.highlightIds).toEqual(["h3", "h1"]);
+    });
+  });
+
+  describe("highlight colors", () => {
+    test("export carries the palette and colors survive a round trip", async () => {
+      await service.saveHighlight({ id: "h1", text: "a", url: "https://a.com", timestamp: 1, color: "red" });
+
+      const exported = JSON.parse(JSON.stringify(await service.exportHighlights()));
+      expect(exported.colorPalette.map((c) => c.id)).toEqual(["yellow", "red", "green", "blue"]);
+
+      await service.clearAllHighlights();
+      await service.importHighlights(exported);
+
+      const [restored] = await service.getHighlights();
+      expect(restored.color).toBe("red");
+    });
+
+    test("import adds palette entries unknown to this install", async () => {
+      await service.importHighlights(
+        [{ id: "h1", text: "a", url: "https://a.com", timestamp: 1, color: "question" }],
+        false,
+        [
+          { id: "red", name: "Renamed elsewhere", color: "#000000" },
+          { id: "question", name: "Question", color: "#A855F7" },
+        ]
+      );
+
+      const { colorPalette } = await service.getSettings();
+      expect(colorPalette.find((c) => c.id === "red").name).toBe("Disagree");
+      expect(colorPalette[colorPalette.length - 1]).toEqual({
+        id: "question",
+        name: "Question",
+        color: "#a855f7",
+      });
+    });
+
+    test("drops malformed color values", async () => {
+      const saved = await service.saveHighlight({
+        id: "h1",
+        text: "a",
+        url: "https://a.com",
+        color: "<script>",
+      });
+      expect(saved.color).toBeUndefined();
+    });
+
+    test("validates palettes saved in settings", async () => {
+      await expect(
+        service.saveSettings({ colorPalette: [{ id: "x", color: "red" }] })
+      ).rejects.toThrow("Color palette needs at least one valid color");
+
+      const settings = await service.saveSettings({
+        colorPalette: [{ id: "todo", name: "To do", color: "#10B981" }],
+      });
+      expect(settings.colorPalette).toEqual([{ id: "todo", name: "To do", color: "#10b981" }]);
+    });
   });
 
   describe("rate limiting", () => {
@@ -165,6 +864,297 @@ describe("BackgroundService", () => {
     });
   });
 
+  describe("sync", () => {
+    afterEach(() => {
+      clearTimeout(service.syncTimer);
+    });
+
+    test("is off by default", async () => {
+      expect(await service.getSyncStatus()).toMatchObject({ enabled: false, state: "idle" });
+      await expect(service.syncNow()).rejects.toThrow("Sync is turned off");
+
+      await service.saveHighlight({ id: "h1", text: "a", url: "https://a.com" });
+      expect(service.syncTimer).toBeNull();
+      expect(await chrome.storage.sync.get(null)).toEqual({});
+    });
+
+    test("pushes highlights once enabled", async () => {
+      await service.saveHighlight({ id: "h1", text: "a", url: "https://a.com", timestamp: 1 });
+      await service.saveSettings({ syncEnabled: true });
+
+      expect(await service.syncNow()).toMatchObject({ enabled: true, state: "synced", synced: 1 });
+      const { hs_0 } = await chrome.storage.sync.get(["hs_0"]);
+      expect(hs_0).toEqual([expect.objectContaining({ i: "h1", r: 1 })]);
+    });
+
+    test("moves highlights deleted on another device to the trash", async () => {
+      await chrome.storage.local.set({
+        highlights: [{ id: "h1", text: "a", url: "u", timestamp: 1 }],
+        collections: [{ id: "c1", name: "Reading", highlightIds: ["h1"] }],
+      });
+      await service.saveSettings({ syncEnabled: true });
+      await service.syncNow();
+
+      await chrome.storage.sync.set({
+        hs_meta: { version: 1, shards: 1, device: "device_other", updatedAt: Date.now() },
+        hs_0: [{ i: "h1", r: 2, u: Date.now(), d: "device_other", x: 1 }],
+      });
+      await service.syncNow();
+
+      expect(await service.getHighlights()).toEqual([]);
+      expect((await service.getTrash())[0].deletedFromCollections).toEqual([{ id: "c1", index: 0 }]);
+    });
+
+    test("schedules a sync when another device writes", async () => {
+      await service.saveSettings({ syncEnabled: true });
+      await service.syncNow();
+      const scheduleSync = jest.spyOn(service, "scheduleSync");
+
+      await chrome.storage.sync.set({ hs_meta: { version: 1, shards: 0, device: "device_other" } });
+      await Promise.resolve();
+      expect(scheduleSync).toHaveBeenCalled();
+    });
+
+    test("validates the setting", async () => {
+      await expect(service.saveSettings({ syncEnabled: "yes" })).rejects.toThrow(
+        "Sync setting must be true or false"
+      );
+    });
+  });
+
+  describe("remote sync", () => {
+    const config = { enabled: true, type: "rest", url: "https://sync.example.com/api", token: "t" };
+
+    afterEach(() => {
+      clearTimeout(service.remoteSyncTimer);
+    });
+
+    test("is off by default", async () => {
+      expect(await service.getRemoteSyncConfig()).toMatchObject({ enabled: false, type: "rest", url: "" });
+      await expect(service.remoteSyncNow()).rejects.toThrow("Remote sync is turned off");
+
+      await service.scheduleRemoteSync();
+      expect(service.remoteSyncTimer).toBeNull();
+    });
+
+    test("validates the server settings", async () => {
+      await expect(service.saveRemoteSyncConfig({ ...config, type: "ftp" })).rejects.toThrow(
+        "Sync server type must be one of"
+      );
+      await expect(
+        service.saveRemoteSyncConfig({ ...config, url: "http://sync.example.com" })
+      ).rejects.toThrow("valid https:// address");
+
+      const saved = await service.saveRemoteSyncConfig({ ...config, url: " https://sync.example.com/api " });
+      expect(saved).toEqual({ ...config, username: "", password: "" });
+      expect(await service.getRemoteSyncConfig()).toEqual(saved);
+    });
+
+    test("keeps changes in the outbox until the server is back", async () => {
+      const adapter = {
+        pull: jest.fn(() => Promise.reject(new Error("Sync server unreachable: offline"))),
+        push: jest.fn(() => Promise.resolve()),
+      };
+      service.remoteSync.createAdapter = () => adapter;
+      await service.saveRemoteSyncConfig(config);
+      await service.saveHighlight({ id: "h1", text: "a", url: "https://a.com", timestamp: 1 });
+
+      const error = await service.remoteSyncNow().catch((e) => e);
+      expect(error.message).toContain("unreachable");
+      expect(await service.remoteSync.getStatus()).toMatchObject({ state: "error", pending: 1 });
+
+      adapter.pull.mockResolvedValue({ highlights: [], deleted: [], cursor: 0 });
+      expect(await service.remoteSyncNow()).toMatchObject({ state: "synced", pending: 0 });
+      expect(adapter.push.mock.calls[0][0].upserts.map((h) => h.id)).toEqual(["h1"]);
+    });
+
+    test("starts over when pointed at another server", async () => {
+      await service.saveRemoteSyncConfig(config);
+      const reset = jest.spyOn(service.remoteSync, "reset");
+
+      await service.saveRemoteSyncConfig({ ...config, token: "new" });
+      expect(reset).not.toHaveBeenCalled();
+      await service.saveRemoteSyncConfig({ ...config, url: "https://other.example.com" });
+      expect(reset).toHaveBeenCalled();
+    });
+  });
+
+  describe("vault", () => {
+    const passphrase = "correct horse battery";
+    const send = (request) => new Promise((resolve) => service.handleMessage(request, {}, resolve));
+
+    beforeEach(async () => {
+      service.vault.iterations = 1000;
+      await chrome.storage.local.set({
+        highlights: [{ id: "h1", text: "private", url: "https://wiki.internal/a", note: "n", timestamp: 1 }],
+      });
+    });
+
+    test("encrypts stored highlights once turned on", async () => {
+      expect(await send({ action: "enableVault", passphrase })).toEqual({
+        success: true,
+        status: { enabled: true, locked: false },
+      });
+
+      const { highlights } = await chrome.storage.local.get(["highlights"]);
+      expect(JSON.stringify(highlights)).not.toMatch(/private|wiki\.internal/);
+      expect((await service.getHighlights())[0]).toMatchObject({ text: "private", note: "n" });
+    });
+
+    test("refuses highlight access while locked", async () => {
+      await service.enableVault(passphrase);
+      await send({ action: "lockVault" });
+
+      expect(await send({ action: "getHighlights" })).toMatchObject({ success: false, code: "VAULT_LOCKED" });
+      expect(await send({ action: "unlockVault", passphrase: "wrong one" })).toMatchObject({
+        success: false,
+        code: "WRONG_PASSPHRASE",
+      });
+
+      await service.unlockVault(passphrase);
+      expect((await service.getHighlights())[0].text).toBe("private");
+    });
+
+    test("exports encrypted files that import with the passphrase", async () => {
+      await service.enableVault(passphrase);
+      const exported = await service.exportHighlights();
+      expect(exported.format).toBe("highlight-saver-encrypted");
+      expect(JSON.stringify(exported)).not.toContain("private");
+
+      await service.clearAllHighlights();
+      const data = await VaultCrypto.decryptExport(exported, passphrase);
+      await service.importHighlights(data, true);
+      expect((await service.getHighlights())[0]).toMatchObject({ id: "h1", text: "private" });
+    });
+
+    test("decrypts everything when turned off with the passphrase", async () => {
+      await service.enableVault(passphrase);
+      await expect(service.disableVault("wrong one")).rejects.toThrow("Wrong passphrase");
+
+      expect(await service.disableVault(passphrase)).toEqual({ enabled: false, locked: false });
+      const { highlights } = await chrome.storage.local.get(["highlights"]);
+      expect(highlights[0]).toMatchObject({ text: "private", url: "https://wiki.internal/a" });
+      expect(highlights[0].sealed).toBeUndefined();
+    });
+
+    test("keeps highlights out of sync while turned on", async () => {
+      await service.enableVault(passphrase);
+      await service.saveSettings({ syncEnabled: true });
+      await service.saveRemoteSyncConfig({ enabled: true, type: "rest", url: "https://sync.example.com/api" });
+      const push = jest.fn(() => Promise.resolve());
+      service.remoteSync.createAdapter = () => ({ pull: jest.fn(), push });
+
+      await service.saveHighlight({ id: "h2", text: "also private", url: "https://wiki.internal/b", timestamp: 2 });
+      await expect(service.syncNow()).rejects.toThrow("Sync is paused while highlights are encrypted");
+      await expect(service.remoteSyncNow()).rejects.toThrow("Sync is paused while highlights are encrypted");
+      expect(service.syncTimer).toBeNull();
+      expect(service.remoteSyncTimer).toBeNull();
+
+      expect(JSON.stringify(await chrome.storage.sync.get(null))).not.toMatch(/private|wiki\.internal/);
+      expect(push).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Markdown export", () => {
+    beforeEach(async () => {
+      await chrome.storage.local.set({
+        highlights: [
+          { id: "a", text: "first", url: "https://a.com/x", normalizedUrl: "a.com/x", title: "A", timestamp: 1, tags: ["x"] },
+          { id: "b", text: "second", url: "https://b.com/", normalizedUrl: "b.com", title: "B", timestamp: 2, summary: "sum" },
+        ],
+      });
+    });
+
+    test("renders the chosen highlights with the default template", async () => {
+      const all = await service.exportHighlights({ format: "markdown" });
+      expect(all).toMatchObject({ format: "markdown", count: 2 });
+      expect(all.content).toContain("## A\n\n<https://a.com/x>");
+      expect(all.content).toContain("> second\n\n**Summary:** sum");
+
+      const one = await service.exportHighlights({ format: "markdown", ids: ["a"] });
+      expect(one.count).toBe(1);
+      expect(one.content).not.toContain("second");
+    });
+
+    test("uses the saved template, and rejects broken ones", async () => {
+      await service.saveSettings({ markdownTemplate: "{{#each pages}}{{title}};{{/each}}" });
+      expect((await service.exportHighlights({ format: "markdown" })).content).toBe("B;A;\n");
+
+      await expect(service.saveSettings({ markdownTemplate: "{{#each pages}}" })).rejects.toThrow(
+        "Template error"
+      );
+      await expect(service.exportHighlights({ format: "pdf" })).rejects.toThrow("Unsupported export format");
+    });
+
+    test("stays readable with the vault on", async () => {
+      service.vault.iterations = 1000;
+      await service.enableVault("correct horse battery");
+      const { content } = await service.exportHighlights({ format: "markdown" });
+      expect(content).toContain("> first");
+    });
+  });
+
+  describe("CSV export", () => {
+    beforeEach(async () => {
+      await chrome.storage.local.set({
+        highlights: [
+          { id: "a", text: "first, quoted", url: "https://a.com/x", title: "A", timestamp: 1, note: "n" },
+          { id: "b", text: "second", url: "https://b.com/", title: "B", timestamp: 2 },
+        ],
+      });
+    });
+
+    test("writes the saved columns, or the ones asked for", async () => {
+      await service.saveSettings({ csvColumns: ["id", "text"] });
+      const saved = await service.exportHighlights({ format: "csv" });
+      expect(saved).toMatchObject({ format: "csv", count: 2 });
+      expect(saved.chunks.join("")).toBe('ID,Text\r\na,"first, quoted"\r\nb,second\r\n');
+
+      const asked = await service.exportHighlights({ format: "csv", columns: ["note"], ids: ["a"] });
+      expect(asked.chunks.join("")).toBe("Note\r\nn\r\n");
+
+      await expect(service.saveSettings({ csvColumns: ["nope"] })).rejects.toThrow("Unknown CSV column");
+    });
+
+    test("uses the Readwise layout for the readwise preset", async () => {
+      const { chunks, preset } = await service.exportHighlights({ format: "csv", preset: "readwise" });
+      expect(preset).toBe("readwise");
+      expect(chunks.join("")).toMatch(/^Highlight,Title,Author,URL,Note,Location,Date\r\n/);
+    });
+  });
+
+  describe("notes export", () => {
+    test("writes one note per page for Obsidian", async () => {
+      await chrome.storage.local.set({
+        highlights: [
+          { id: "a", text: "first", url: "https://a.com/x", title: "A", timestamp: 1 },
+          { id: "b", text: "second", url: "https://b.com/", title: "B", timestamp: 2 },
+        ],
+      });
+      const { files, flavor, count } = await service.exportHighlights({ format: "notes", ids: ["a"] });
+      expect({ flavor, count }).toEqual({ flavor: "obsidian", count: 1 });
+      expect(files.map((f) => f.path)).toEqual([expect.stringMatching(/^Highlights\/A \([0-9a-f]{6}\)\.md$/)]);
+      expect(files[0].content).toContain("^hl-a");
+    });
+  });
+
+  describe("Web Annotation export", () => {
+    test("imports back into the same highlights", async () => {
+      const highlights = [
+        { id: "a", text: "first", url: "https://a.com/x", title: "A", timestamp: 1, note: "n", tags: ["t"], color: "red" },
+      ];
+      await service.importHighlights(highlights, true);
+      const before = await service.getHighlights();
+
+      const exported = JSON.parse(JSON.stringify(await service.exportHighlights({ format: "annotations" })));
+      expect(exported.type).toBe("AnnotationCollection");
+      await service.clearAllHighlights();
+      await service.importHighlights(WebAnnotation.toHighlights(exported), true);
+
+      expect(await service.getHighlights()).toEqual(before);
+    });
+  });
+
   describe("storage locking", () => {
     test("serializes concurrent operations", async () => {
       await chrome.storage.local.set({ highlights: [] });
@@ -183,4 +1173,108 @@ describe("BackgroundService", () => {
       expect(stored.highlights).toHaveLength(2);
     });
   });
+
+  describe("IndexedDB storage", () => {
+    const legacy = [
+      { id: "a", text: "alpha", url: "https://example.com/a", domain: "example.com", timestamp: 2 },
+      { id: "b", text: "beta", url: "https://other.org/b", domain: "other.org", timestamp: 1 },
+    ];
+
+    beforeEach(() => {
+      globalThis.indexedDB = new IDBFactory();
+    });
+
+    afterEach(() => {
+      service.store.close();
+      delete globalThis.indexedDB;
+    });
+
+    test("moves the legacy array into IndexedDB once", async () => {
+      await chrome.storage.local.set({ highlights: legacy });
+      service = new BackgroundServiceClass();
+
+      expect(await service.storeReady).toBe(2);
+      expect((await service.getHighlights()).map((h) => h.id)).toEqual(["a", "b"]);
+      expect((await chrome.storage.local.get(["highlights"])).highlights).toBeUndefined();
+
+      // Later starts find nothing left to move
+      expect(await service.migrateLegacyHighlights()).toBe(0);
+      expect(await service.store.count()).toBe(2);
+    });
+
+    test("keeps the legacy array when the move fails", async () => {
+      await chrome.storage.local.set({ highlights: legacy });
+      service = new BackgroundServiceClass();
+      await service.storeReady;
+      await chrome.storage.local.set({ highlights: legacy });
+      jest.spyOn(service.store, "putMany").mockRejectedValueOnce(new Error("quota"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      expect(await service.migrateLegacyHighlights()).toBe(0);
+      expect((await chrome.storage.local.get(["highlights"])).highlights).toHaveLength(2);
+      console.error.mockRestore();
+    });
+
+    test("saves past the old 1000 highlight cap", async () => {
+      service = new BackgroundServiceClass();
+      const many = Array.from({ length: 1000 }, (_, i) => ({
+        id: `h${i}`,
+        text: `text${i}`,
+        url: "https://example.com",
+        timestamp: i + 1,
+      }));
+      await service.importHighlights(many, true);
+      await service.saveHighlight({ id: "new", text: "new", url: "https://example.com", timestamp: 5000 });
+
+      expect(await service.store.count()).toBe(1001);
+      expect((await service.getHighlights())[0].id).toBe("new");
+    });
+
+    test("looks up a page's highlights by URL key and domain", async () => {
+      service = new BackgroundServiceClass();
+      await service.importHighlights(legacy, false);
+
+      const response = await new Promise((resolve) => {
+        service.handleMessage(
+          {
+            action: "getHighlights",
+            page: { normalizedUrls: ["https://example.com/a"], domains: ["example.com"] },
+          },
+          {},
+          resolve
+        );
+      });
+      expect(response.highlights.map((h) => h.id)).toEqual(["a"]);
+    });
+
+    test("edits, tag rewrites and deletes touch single records", async () => {
+      service = new BackgroundServiceClass();
+      await service.importHighlights(legacy, false);
+
+      await service.updateHighlight("a", { tags: ["Work"] });
+      expect(await service.renameTag("work", "job")).toBe(1);
+      await service.deleteHighlight("b");
+
+      expect(await service.getHighlights()).toEqual([
+        expect.objectContaining({ id: "a", tags: ["job"] }),
+      ]);
+    });
+
+    test("undoes and redoes edits and tag renames", async () => {
+      service = new BackgroundServiceClass();
+      await service.importHighlights(legacy, false);
+      await service.updateHighlight("a", { note: "changed", tags: ["Work"] });
+      await service.renameTag("work", "job");
+
+      await service.undo();
+      expect((await service.store.get("a")).tags).toEqual(["Work"]);
+      await service.undo();
+      const a = await service.store.get("a");
+      expect(a.note).toBeUndefined();
+      expect(a.tags).toBeUndefined();
+
+      await service.redo();
+      expect(await service.store.get("a")).toEqual(expect.objectContaining({ note: "changed", tags: ["Work"] }));
+    });
+  });
 });
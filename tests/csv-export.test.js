@@ -0,0 +1,82 @@
+// Load the source files
+require("../shared/csv-export.js");
+
+const { CsvExport } = window.__highlightSaver;
+
+const makeHighlight = (id, extra = {}) => ({
+  id,
+  text: `text ${id}`,
+  url: "https://example.com/post",
+  title: "A post",
+  domain: "example.com",
+  timestamp: new Date(2024, 2, 5, 10, 30, 15).getTime(),
+  tags: [],
+  ...extra,
+});
+
+const toCsv = async (highlights, options) => (await CsvExport.toChunks(highlights, options)).join("");
+
+describe("CsvExport", () => {
+  test("quotes values with commas, quotes and line breaks per RFC 4180", () => {
+    expect(CsvExport.escape("plain")).toBe("plain");
+    expect(CsvExport.escape("a, b")).toBe('"a, b"');
+    expect(CsvExport.escape('say "hi"')).toBe('"say ""hi"""');
+    expect(CsvExport.escape("one\r\ntwo\nthree")).toBe('"one\r\ntwo\nthree"');
+    expect(CsvExport.escape(null)).toBe("");
+    expect(CsvExport.row(["a", 1, undefined])).toBe("a,1,\r\n");
+  });
+
+  test("writes the chosen columns in order", async () => {
+    const csv = await toCsv(
+      [makeHighlight("a", { note: 'multi\nline "note"', tags: ["x", "y"], color: "red" })],
+      { columns: ["color", "text", "note", "tags", "date"], palette: [{ id: "red", name: "Disagree" }] }
+    );
+    expect(csv).toBe(
+      'Color,Text,Note,Tags,Date\r\nDisagree,text a,"multi\nline ""note""","x, y",2024-03-05 10:30:15\r\n'
+    );
+  });
+
+  test("keeps spreadsheets from running values as formulas", async () => {
+    expect(CsvExport.defuseFormula("=HYPERLINK(\"https://evil.example\")")).toBe("'=HYPERLINK(\"https://evil.example\")");
+    ["+1", "-2", "@SUM(A1)", "\tx"].forEach((value) => expect(CsvExport.defuseFormula(value)).toBe(`'${value}`));
+    expect(CsvExport.defuseFormula("a = b")).toBe("a = b");
+    expect(CsvExport.defuseFormula(-2)).toBe(-2);
+
+    const highlight = makeHighlight("a", { text: "=1+1", note: "@me", tags: ["-x"] });
+    expect(await toCsv([highlight], { columns: ["text", "note", "tags"] })).toBe("Text,Note,Tags\r\n'=1+1,'@me,'-x\r\n");
+    expect(await toCsv([highlight], { preset: "readwise" })).toMatch(/^=1\+1,/m);
+  });
+
+  test("defaults to text, note, tags, title, URL and date", async () => {
+    const csv = await toCsv([]);
+    expect(csv).toBe("Text,Note,Tags,Title,URL,Date\r\n");
+  });
+
+  test("matches Readwise's import layout", async () => {
+    const csv = await toCsv(
+      [
+        makeHighlight("a", { note: "why", tags: ["deep work", "ideas"], textPosition: { top: 812.6 } }),
+        makeHighlight("b", { author: "Cal Newport", location: { start: 170, end: 172 } }),
+      ],
+      { preset: "readwise" }
+    );
+    expect(csv.split("\r\n")).toEqual([
+      "Highlight,Title,Author,URL,Note,Location,Date",
+      "text a,A post,,https://example.com/post,.deep_work .ideas why,813,2024-03-05 10:30:15",
+      "text b,A post,Cal Newport,https://example.com/post,,170,2024-03-05 10:30:15",
+      "",
+    ]);
+  });
+
+  test("splits large exports into chunks of rows", async () => {
+    const highlights = Array.from({ length: 5 }, (_, i) => makeHighlight(String(i)));
+    const chunks = await CsvExport.toChunks(highlights, { columns: ["id"], chunkRows: 2 });
+    expect(chunks).toEqual(["ID\r\n0\r\n1\r\n", "2\r\n3\r\n", "4\r\n"]);
+  });
+
+  test("rejects unknown columns and presets", async () => {
+    await expect(toCsv([], { columns: ["text", "secret"] })).rejects.toThrow("Unknown CSV column: secret");
+    await expect(toCsv([], { columns: [] })).rejects.toThrow("at least one CSV column");
+    await expect(toCsv([], { preset: "notion" })).rejects.toThrow("Unknown CSV preset");
+  });
+});
@@ -0,0 +1,94 @@
+// Load the source files
+require("../content/utils/constants.js");
+require("../content/utils/dom-utils.js");
+
+const DOMUtils = window.__highlightSaver.DOMUtils;
+
+describe("DOMUtils", () => {
+  let domUtils;
+  const originalHtml =
+    '<p id="a">Start of <em>emphasised</em> text and a <a href="#x">link</a>.</p>' +
+    '<p id="b">Second paragraph continues here.</p>';
+
+  beforeEach(() => {
+    domUtils = new DOMUtils();
+    document.body.innerHTML = originalHtml;
+  });
+
+  const crossElementRange = () => {
+    const range = document.createRange();
+    range.setStart(document.getElementById("a").firstChild, 6); // "of ..."
+    range.setEnd(document.getElementById("b").firstChild, 6); // "...Second"
+    return range;
+  };
+
+  describe("markRangeSegments", () => {
+    test("wraps every text segment in spans sharing the highlight id", () => {
+      const spans = domUtils.markRangeSegments(crossElementRange(), { id: "h1" });
+
+      expect(spans.length).toBe(6);
+      spans.forEach((span) => {
+        expect(span.className).toContain("highlight-saver-saved");
+        expect(span.dataset.highlightId).toBe("h1");
+      });
+      expect(spans.map((s) => s.textContent).join("")).toBe(
+        "of emphasised text and a link.Second"
+      );
+
+      // Page elements are kept intact, with spans nested inside them
+      expect(document.querySelector("em").textContent).toBe("emphasised");
+      expect(document.querySelector("a").textContent).toBe("link");
+      expect(document.querySelectorAll("p").length).toBe(2);
+    });
+
+    test("wraps a single-node range in one span", () => {
+      const textNode = document.getElementById("b").firstChild;
+      const range = document.createRange();
+      range.setStart(textNode, 7);
+      range.setEnd(textNode, 16);
+
+      const spans = domUtils.markRangeSegments(range, { id: "h2" });
+      expect(spans.length).toBe(1);
+      expect(spans[0].textContent).toBe("paragraph");
+    });
+  });
+
+  describe("createHighlightSpan", () => {
+    test("applies the palette color through a CSS custom property", () => {
+      domUtils.setColorPalette([{ id: "red", name: "Disagree", color: "#ef4444" }]);
+
+      const span = domUtils.createHighlightSpan({ id: "h1", text: "", color: "red" });
+      expect(span.dataset.color).toBe("red");
+      expect(span.style.getPropertyValue("--highlight-saver-color")).toBe("#ef4444");
+    });
+
+    test("leaves uncolored highlights to the default style", () => {
+      const span = domUtils.createHighlightSpan({ id: "h1", text: "" });
+      expect(span.dataset.color).toBeUndefined();
+      expect(span.getAttribute("style")).toBeNull();
+    });
+  });
+
+  describe("removeExistingHighlightsBatch", () => {
+    test("restores the original DOM exactly", () => {
+      domUtils.markRangeSegments(crossElementRange(), { id: "h1" });
+      expect(document.body.innerHTML).not.toBe(originalHtml);
+
+      domUtils.removeExistingHighlightsBatch();
+
+      expect(document.body.innerHTML).toBe(originalHtml);
+      expect(document.getElementById("a").childNodes.length).toBe(5);
+      expect(document.getElementById("b").childNodes.length).toBe(1);
+    });
+
+    test("restores text split by markTextInNode", () => {
+      const textNode = document.getElementById("b").firstChild;
+      domUtils.markTextInNode(textNode, "paragraph", 7, { id: "h3", text: "paragraph" });
+
+      domUtils.removeExistingHighlightsBatch();
+
+      expect(document.body.innerHTML).toBe(originalHtml);
+      expect(document.getElementById("b").childNodes.length).toBe(1);
+    });
+  });
+});
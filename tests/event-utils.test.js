@@ -0,0 +1,116 @@
+// Load the source files
+require("../content/utils/constants.js");
+require("../content/utils/event-utils.js");
+
+const EventUtils = window.__highlightSaver.EventUtils;
+
+describe("EventUtils", () => {
+  let eventUtils;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    eventUtils = new EventUtils();
+    document.body.innerHTML = '<div id="feed"><p>First post</p></div>';
+  });
+
+  afterEach(() => {
+    eventUtils.cleanup();
+    jest.useRealTimers();
+  });
+
+  // MutationObserver callbacks are delivered as microtasks
+  const flushMutations = () => Promise.resolve();
+
+  describe("observeDomMutations", () => {
+    test("calls back once, debounced, when the page adds content", async () => {
+      const callback = jest.fn();
+      eventUtils.observeDomMutations(callback);
+
+      const feed = document.getElementById("feed");
+      feed.appendChild(document.createElement("p")).textContent = "Second post";
+      feed.appendChild(document.createElement("p")).textContent = "Third post";
+      await flushMutations();
+
+      expect(callback).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(CONSTANTS.DOM_MUTATION_DEBOUNCE);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test("ignores extension UI and highlight spans", async () => {
+      const callback = jest.fn();
+      eventUtils.observeDomMutations(callback);
+
+      const popup = document.createElement("div");
+      popup.className = "highlight-saver-popup";
+      document.body.appendChild(popup);
+      await flushMutations();
+
+      jest.advanceTimersByTime(CONSTANTS.DOM_MUTATION_DEBOUNCE);
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test("ignores changes made inside withoutObservingMutations", async () => {
+      const callback = jest.fn();
+      eventUtils.observeDomMutations(callback);
+
+      eventUtils.withoutObservingMutations(() => {
+        const text = document.querySelector("p").firstChild;
+        text.splitText(5);
+      });
+      await flushMutations();
+
+      jest.advanceTimersByTime(CONSTANTS.DOM_MUTATION_DEBOUNCE);
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test("still handles page changes queued before an extension change", async () => {
+      const callback = jest.fn();
+      eventUtils.observeDomMutations(callback);
+
+      document.getElementById("feed").appendChild(document.createElement("p"));
+      eventUtils.withoutObservingMutations(() => {});
+      await flushMutations();
+
+      jest.advanceTimersByTime(CONSTANTS.DOM_MUTATION_DEBOUNCE);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("back/forward cache", () => {
+    test("observes the page again once it's restored", async () => {
+      const onDomMutation = jest.fn();
+      const onPageRestore = jest.fn();
+      window.__highlightSaverEventsInitialized = false;
+      eventUtils.bindHighlightEvents({ onDomMutation, onPageRestore, onCleanup: () => eventUtils.cleanup() });
+
+      window.dispatchEvent(new Event("pagehide"));
+      expect(eventUtils.domObserver).toBeNull();
+
+      const pageshow = new Event("pageshow");
+      Object.defineProperty(pageshow, "persisted", { value: true });
+      window.dispatchEvent(pageshow);
+      expect(onPageRestore).toHaveBeenCalledTimes(1);
+
+      document.getElementById("feed").appendChild(document.createElement("p")).textContent = "New post";
+      await flushMutations();
+      jest.advanceTimersByTime(CONSTANTS.DOM_MUTATION_DEBOUNCE);
+      expect(onDomMutation).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("observeUrlChanges", () => {
+    test("detects client-side navigation", () => {
+      const callback = jest.fn();
+      eventUtils.observeUrlChanges(callback);
+
+      const previousUrl = window.location.href;
+      history.pushState({}, "", "/articles/2");
+      jest.advanceTimersByTime(CONSTANTS.URL_POLL_INTERVAL);
+
+      expect(callback).toHaveBeenCalledWith(window.location.href, previousUrl);
+
+      jest.advanceTimersByTime(CONSTANTS.URL_POLL_INTERVAL);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,13 @@
+// Load the source files
+require("../shared/hash-utils.js");
+
+const { HashUtils } = window.__highlightSaver;
+
+describe("HashUtils", () => {
+  test("hashes strings to stable hex", () => {
+    // Imported highlights' ids are built from these, so they must not change
+    expect(HashUtils.hash("")).toBe("bdcb81aee8d83");
+    expect(HashUtils.hash("https://a.com/\nquoted")).toBe("104d3bbf636a78");
+    expect(HashUtils.hash("https://a.com/\nquoted!")).not.toBe(HashUtils.hash("https://a.com/\nquoted"));
+  });
+});
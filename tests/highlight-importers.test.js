@@ -0,0 +1,200 @@
+// Load the source files
+require("../shared/hash-utils.js");
+require("../shared/web-annotation.js");
+require("../shared/kindle-clippings.js");
+require("../shared/highlight-importers.js");
+
+const { HighlightImporters } = window.__highlightSaver;
+
+const NOW = Date.UTC(2025, 0, 1);
+
+describe("HighlightImporters.fromJson", () => {
+  const annotation = (id, extra = {}) => ({
+    id,
+    created: "2024-03-05T10:30:00.000Z",
+    updated: "2024-03-06T08:00:00.000Z",
+    user: "acct:reader@hypothes.is",
+    uri: "https://example.com/post",
+    text: "",
+    tags: [],
+    document: { title: ["A post"] },
+    target: [
+      {
+        source: "https://example.com/post",
+        selector: [
+          { type: "TextPositionSelector", start: 10, end: 21 },
+          { type: "TextQuoteSelector", exact: "quoted text", prefix: "some ", suffix: " here" },
+        ],
+      },
+    ],
+    ...extra,
+  });
+
+  test("maps Hypothesis annotations to highlights", () => {
+    const { highlights, report } = HighlightImporters.fromJson({
+      total: 3,
+      rows: [
+        annotation("abc", { text: "my note", tags: ["reading"] }),
+        annotation("reply", { references: ["abc"], target: [{ source: "https://example.com/post" }] }),
+        annotation("pagenote", { target: [{ source: "https://example.com/post" }] }),
+      ],
+    });
+    expect(highlights).toEqual([
+      {
+        id: "https://hypothes.is/a/abc",
+        text: "quoted text",
+        url: "https://example.com/post",
+        title: "A post",
+        domain: "example.com",
+        timestamp: Date.parse("2024-03-05T10:30:00.000Z"),
+        updatedAt: Date.parse("2024-03-06T08:00:00.000Z"),
+        anchor: { quote: { exact: "quoted text", prefix: "some ", suffix: " here" }, position: { start: 10, end: 21 } },
+        note: "my note",
+        tags: ["reading"],
+      },
+    ]);
+    expect(report).toEqual({
+      source: "hypothesis",
+      pages: 1,
+      highlights: 1,
+      notes: 1,
+      duplicates: 0,
+      skipped: { reply: 1, pageNote: 1 },
+    });
+  });
+
+  test("reads Pocket's annotations export", () => {
+    const { highlights, report } = HighlightImporters.fromJson(
+      [
+        {
+          url: "https://example.com/a",
+          title: "A",
+          highlights: [
+            { quote: "first", created_at: 1709634600 },
+            { quote: "first", created_at: 1709634600 },
+          ],
+        },
+        { url: "https://example.com/b", title: "B", highlights: [] },
+      ],
+      { now: NOW }
+    );
+    expect(highlights).toEqual([
+      {
+        id: expect.stringMatching(/^pocket_[0-9a-f]+$/),
+        text: "first",
+        url: "https://example.com/a",
+        title: "A",
+        domain: "example.com",
+        timestamp: 1709634600000,
+        tags: [],
+      },
+    ]);
+    expect(report).toMatchObject({ pages: 1, highlights: 1, duplicates: 1, skipped: { noHighlights: 1 } });
+  });
+
+  test("skips entries without an http(s) address", () => {
+    const { highlights, report } = HighlightImporters.fromJson(
+      [
+        { url: "/read/123", title: "Relative", highlights: [{ quote: "lost", created_at: 1709634600 }] },
+        { url: "not a url", title: "Garbage", highlights: [{ quote: "lost too", created_at: 1709634600 }] },
+        { url: "https://example.com/a", title: "A", highlights: [{ quote: "kept", created_at: 1709634600 }] },
+      ],
+      { now: NOW }
+    );
+    expect(highlights.map((h) => h.text)).toEqual(["kept"]);
+    expect(report).toMatchObject({ pages: 1, highlights: 1, skipped: { invalidUrl: 2 } });
+  });
+
+  test("leaves other JSON alone", () => {
+    expect(HighlightImporters.fromJson({ highlights: [{ id: "a", text: "t", url: "u", timestamp: 1 }] })).toBeNull();
+    expect(HighlightImporters.fromJson([{ id: "a", text: "t", url: "u", timestamp: 1 }])).toBeNull();
+    expect(HighlightImporters.fromJson({ rows: [] })).toBeNull();
+  });
+});
+
+describe("HighlightImporters.fromWebAnnotations", () => {
+  const annotation = (id, exact) => ({
+    id: `https://example.com/anno/${id}`,
+    type: "Annotation",
+    target: { source: "https://example.com/post", selector: { type: "TextQuoteSelector", exact } },
+  });
+
+  test("reports collections whose pages the file only links to", () => {
+    const { highlights, report } = HighlightImporters.fromWebAnnotations({
+      type: "AnnotationCollection",
+      total: 5,
+      first: {
+        type: "AnnotationPage",
+        items: [annotation("1", "one"), annotation("2", "two"), { type: "Annotation", target: "https://example.com/" }],
+        next: "https://example.com/anno?page=2",
+      },
+    });
+    expect(highlights.map((h) => h.text)).toEqual(["one", "two"]);
+    expect(report).toEqual({
+      source: "webAnnotation",
+      pages: 1,
+      highlights: 2,
+      notes: 0,
+      duplicates: 0,
+      skipped: { noQuote: 1 },
+      incomplete: { found: 3, total: 5 },
+    });
+  });
+
+  test("leaves complete documents unflagged", () => {
+    const { report } = HighlightImporters.fromWebAnnotations([annotation("1", "one")]);
+    expect(report).not.toHaveProperty("incomplete");
+  });
+});
+
+describe("HighlightImporters.fromText", () => {
+  test("reads Pocket's HTML export, skipping articles without highlights", () => {
+    const html = `<!DOCTYPE html><html><head><title>Pocket Export</title></head><body>
+      <h1>Unread</h1>
+      <ul>
+        <li><a href="https://example.com/a" time_added="1709634600" tags="ideas,work">Article A</a>
+          <blockquote>Quoted one</blockquote><blockquote>Quoted two</blockquote></li>
+        <li><a href="https://example.com/b" time_added="1709634600" tags="">Article B</a></li>
+      </ul></body></html>`;
+    const { highlights, report } = HighlightImporters.fromText(html, { now: NOW });
+    expect(highlights.map((h) => [h.text, h.title, h.tags, h.timestamp])).toEqual([
+      ["Quoted one", "Article A", ["ideas", "work"], 1709634600000],
+      ["Quoted two", "Article A", ["ideas", "work"], 1709634600000],
+    ]);
+    expect(report).toMatchObject({ source: "pocket", pages: 1, highlights: 2, skipped: { noHighlights: 1 } });
+  });
+
+  test("reads Pocket's CSV export with a highlights column", () => {
+    const csv =
+      "title,url,time_added,tags,status,highlights\r\n" +
+      'Article A,https://example.com/a,1709634600,ideas|work,unread,"One\nTwo, with a comma"\r\n' +
+      "Article B,https://example.com/b,1709634600,,archive,\r\n";
+    const { highlights, report } = HighlightImporters.fromText(csv, { now: NOW });
+    expect(highlights.map((h) => [h.text, h.tags])).toEqual([
+      ["One", ["ideas", "work"]],
+      ["Two, with a comma", ["ideas", "work"]],
+    ]);
+    expect(report).toMatchObject({ source: "pocket", highlights: 2, skipped: { noHighlights: 1 } });
+  });
+
+  test("reads Instapaper's CSV export, turning folders into tags", () => {
+    const csv =
+      "\uFEFFURL,Title,Selection,Folder,Timestamp,Tags\n" +
+      'https://example.com/a,Article A,"He said ""hi""",Research,1709634600,"[""ideas""]"\n' +
+      "https://example.com/b,Article B,Plain,Archive,,\n" +
+      "https://example.com/c,Article C,,Unread,1709634600,\n";
+    const { highlights, report } = HighlightImporters.fromText(csv, { now: NOW });
+    expect(highlights.map((h) => [h.text, h.tags, h.timestamp])).toEqual([
+      ['He said "hi"', ["ideas", "Research"], 1709634600000],
+      ["Plain", [], NOW],
+    ]);
+    expect(report).toMatchObject({ source: "instapaper", pages: 2, highlights: 2, skipped: { noHighlights: 1 } });
+  });
+
+  test("hands Kindle clippings to KindleClippings and rejects unknown files", () => {
+    const clippings = "Book (A)\n- Your Highlight on Location 1-2 | Added on Monday, March 4, 2024 10:00:00 AM\n\nText\n==========\n";
+    expect(HighlightImporters.fromText(clippings).report.source).toBe("kindle");
+    expect(HighlightImporters.fromText("just some notes")).toBeNull();
+    expect(HighlightImporters.fromText("<html><body><a href='x'>x</a></body></html>")).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+// Test the highlight stores behind the background service
+const fs = require("fs");
+const path = require("path");
+const { IDBFactory } = require("fake-indexeddb");
+
+// highlight-store.js is a plain service worker script; evaluate it and
+// lift its classes into the global scope
+const storeCode = fs.readFileSync(
+  path.join(__dirname, "../background/highlight-store.js"),
+  "utf-8"
+);
+new Function(
+  `${storeCode}
+globalThis.IndexedDbHighlightStore = IndexedDbHighlightStore;
+globalThis.ChromeStorageHighlightStore = ChromeStorageHighlightStore;
+globalThis.createHighlightStore = createHighlightStore;`
+)();
+
+const makeHighlight = (id, timestamp, extra = {}) => ({
+  id,
+  text: `text ${id}`,
+  url: `https://example.com/${id}`,
+  normalizedUrl: `https://example.com/${id}`,
+  domain: "example.com",
+  timestamp,
+  ...extra,
+});
+
+const backends = [
+  ["IndexedDbHighlightStore", (options) =>
+    new IndexedDbHighlightStore({ factory: new IDBFactory(), ...options })],
+  ["ChromeStorageHighlightStore", (options) => new ChromeStorageHighlightStore(options)],
+];
+
+describe.each(backends)("%s", (_, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    chrome.storage._reset();
+    store = createStore({ maxHighlights: 3 });
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test("returns highlights newest first", async () => {
+    await store.putMany([makeHighlight("old", 1), makeHighlight("new", 3), makeHighlight("mid", 2)]);
+    expect((await store.getAll()).map((h) => h.id)).toEqual(["new", "mid", "old"]);
+    expect((await store.get("mid")).text).toBe("text mid");
+    expect(await store.get("missing")).toBeNull();
+  });
+
+  test("archives the oldest highlights into a compressed batch", async () => {
+    await store.putMany([makeHighlight("b", 2), makeHighlight("a", 1), makeHighlight("c", 3)]);
+    const archived = await store.archiveOldest(2);
+
+    expect(archived).toEqual(["a", "b"]);
+    expect(await store.getIds()).toEqual(["c"]);
+
+    const [batch] = await store.getArchives();
+    expect(batch).toMatchObject({ count: 2, highlightIds: ["a", "b"], encoding: "gzip" });
+    expect(batch.id).toMatch(/^archive_[0-9a-f-]{36}$/);
+    expect(batch.data).toBeUndefined();
+    expect((await store.readArchive(batch.id)).map((h) => h.text)).toEqual(["text a", "text b"]);
+    expect(await store.readArchive("missing")).toBeNull();
+  });
+
+  test("archives nothing when asked for nothing", async () => {
+    await store.put(makeHighlight("a", 1));
+    expect(await store.archiveOldest(0)).toEqual([]);
+    expect(await store.getArchives()).toEqual([]);
+  });
+
+  test("finds a page's highlights by normalized URL or domain", async () => {
+    await store.putMany([
+      makeHighlight("page", 1),
+      makeHighlight("canonical", 2, { domain: "m.example.com", normalizedUrl: "https://example.com/page" }),
+      makeHighlight("elsewhere", 3, { domain: "other.org", normalizedUrl: "https://other.org/" }),
+    ]);
+
+    const found = await store.getForPage({
+      normalizedUrls: ["https://example.com/page"],
+      domains: ["example.com"],
+    });
+    expect(found.map((h) => h.id)).toEqual(["canonical", "page"]);
+  });
+
+  test("updates records in place", async () => {
+    await store.putMany([makeHighlight("a", 1), makeHighlight("b", 2)]);
+
+    const updated = await store.update("a", (h) => {
+      h.note = "hi";
+    });
+    expect(updated.note).toBe("hi");
+    expect(await store.update("missing", () => {})).toBeNull();
+
+    expect(await store.updateAll((h) => h.id === "b" && (h.tags = ["x"]))).toBe(1);
+    expect(await store.updateMany(["a", "missing"], (h) => (h.anchorStatus = "orphaned"))).toBe(1);
+
+    const byId = Object.fromEntries((await store.getAll()).map((h) => [h.id, h]));
+    expect(byId.a).toMatchObject({ note: "hi", anchorStatus: "orphaned" });
+    expect(byId.b.tags).toEqual(["x"]);
+  });
+
+  test("moves highlights to the trash and back", async () => {
+    await store.putMany([makeHighlight("a", 1), makeHighlight("b", 2)]);
+
+    const trashed = await store.moveToTrash(["a", "missing"], (h) => ({ ...h, deletedAt: 10 }));
+    expect(trashed.map((h) => h.id)).toEqual(["a"]);
+    expect(await store.getIds()).toEqual(["b"]);
+
+    await store.moveToTrash(null, (h) => ({ ...h, deletedAt: 20 }));
+    expect(await store.count()).toBe(0);
+    expect((await store.getTrash()).map((h) => h.id)).toEqual(["b", "a"]);
+
+    const restored = await store.restoreFromTrash(["a"], ({ deletedAt, ...h }) => h);
+    expect(restored).toEqual([expect.objectContaining({ id: "a", deletedAt: 10 })]);
+    expect(await store.get("a")).toEqual(makeHighlight("a", 1));
+    expect((await store.getTrash()).map((h) => h.id)).toEqual(["b"]);
+  });
+
+  test("purges and deletes trash records", async () => {
+    await store.putMany([makeHighlight("a", 1), makeHighlight("b", 2), makeHighlight("c", 3)]);
+    await store.moveToTrash(["a"], (h) => ({ ...h, deletedAt: 10 }));
+    await store.moveToTrash(["b", "c"], (h) => ({ ...h, deletedAt: 30 }));
+
+    expect(await store.purgeTrash(20)).toBe(1);
+    await store.deleteFromTrash(["b"]);
+    expect((await store.getTrash()).map((h) => h.id)).toEqual(["c"]);
+
+    await store.emptyTrash();
+    expect(await store.getTrash()).toEqual([]);
+  });
+
+  test("deletes, replaces and clears", async () => {
+    await store.putMany([makeHighlight("a", 1), makeHighlight("b", 2)]);
+    await store.delete("a");
+    expect(await store.getIds()).toEqual(["b"]);
+
+    await store.replaceAll([makeHighlight("c", 3)]);
+    expect(await store.getIds()).toEqual(["c"]);
+
+    await store.clear();
+    expect(await store.count()).toBe(0);
+  });
+});
+
+describe("createHighlightStore", () => {
+  afterEach(() => {
+    delete globalThis.indexedDB;
+  });
+
+  test("uses IndexedDB when available", () => {
+    globalThis.indexedDB = new IDBFactory();
+    expect(createHighlightStore().backend).toBe("indexeddb");
+  });
+
+  test("falls back to chrome.storage.local", () => {
+    expect(createHighlightStore().backend).toBe("chrome.storage");
+  });
+});
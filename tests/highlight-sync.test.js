@@ -0,0 +1,218 @@
+// Test syncing highlights between devices through chrome.storage.sync
+const fs = require("fs");
+const path = require("path");
+const { IDBFactory } = require("fake-indexeddb");
+
+const read = (file) => fs.readFileSync(path.join(__dirname, "../background", file), "utf-8");
+new Function(
+  `${fs.readFileSync(path.join(__dirname, "../shared/hash-utils.js"), "utf-8")}
+${read("highlight-store.js")}
+${read("highlight-sync.js")}
+globalThis.IndexedDbHighlightStore = IndexedDbHighlightStore;
+globalThis.HighlightSync = HighlightSync;`
+)();
+
+const makeHighlight = (id, timestamp, extra = {}) => ({
+  id,
+  text: `text ${id}`,
+  url: `https://example.com/${id}`,
+  timestamp,
+  ...extra,
+});
+
+/**
+ * A simulated device: its own highlight store and sync state, sharing
+ * the mocked chrome.storage.sync area with the other devices
+ */
+const createDevice = (options = {}) => {
+  const store = new IndexedDbHighlightStore({ factory: new IDBFactory() });
+  const sync = new HighlightSync({
+    getStore: async () => store,
+    stateArea: createStorageArea(),
+    ...options,
+  });
+  return { store, sync };
+};
+
+const texts = async (store) =>
+  Object.fromEntries((await store.getAll()).map((h) => [h.id, h.text]));
+
+describe("HighlightSync", () => {
+  let laptop;
+  let desktop;
+
+  beforeEach(() => {
+    chrome.storage._reset();
+    laptop = createDevice();
+    desktop = createDevice();
+  });
+
+  afterEach(() => {
+    laptop.store.close();
+    desktop.store.close();
+  });
+
+  test("pushes highlights to the sync area and pulls them on another device", async () => {
+    await laptop.store.putMany([makeHighlight("a", 1), makeHighlight("b", 2)]);
+
+    expect(await laptop.sync.run()).toMatchObject({ state: "synced", synced: 2, applied: 0 });
+    const { hs_meta, hs_0 } = await chrome.storage.sync.get(["hs_meta", "hs_0"]);
+    expect(hs_meta).toMatchObject({ version: 1, shards: 1, device: laptop.sync.deviceId });
+    expect(laptop.sync.deviceId).toMatch(/^device_[0-9a-f-]{36}$/);
+    expect(hs_0.map((e) => [e.i, e.r])).toEqual([["b", 1], ["a", 1]]);
+
+    expect(await desktop.sync.run()).toMatchObject({ synced: 2, applied: 2 });
+    expect(await texts(desktop.store)).toEqual({ a: "text a", b: "text b" });
+  });
+
+  test("bumps the revision of locally edited records", async () => {
+    await laptop.store.put(makeHighlight("a", 1));
+    await laptop.sync.run();
+    await desktop.sync.run();
+
+    await desktop.store.update("a", (h) => Object.assign(h, { text: "edited", updatedAt: 5 }));
+    await desktop.sync.run();
+    expect((await chrome.storage.sync.get(["hs_0"])).hs_0[0]).toMatchObject({ i: "a", r: 2, u: 5 });
+
+    expect(await laptop.sync.run()).toMatchObject({ applied: 1 });
+    expect(await texts(laptop.store)).toEqual({ a: "edited" });
+  });
+
+  test("keeps anchoring results on each device", async () => {
+    await laptop.store.put(makeHighlight("a", 1));
+    await laptop.sync.run();
+    await desktop.sync.run();
+
+    // Re-anchoring isn't a change, and its fields aren't synced
+    await laptop.store.update("a", (h) => Object.assign(h, { anchorStatus: "orphaned", lastAnchoredAt: 9 }));
+    await desktop.store.update("a", (h) => Object.assign(h, { anchorStatus: "anchored", anchorConfidence: 0.8 }));
+    await laptop.sync.run();
+    expect((await chrome.storage.sync.get(["hs_0"])).hs_0[0]).toMatchObject({ r: 1, h: makeHighlight("a", 1) });
+    expect((await chrome.storage.sync.get(["hs_0"])).hs_0[0].h).not.toHaveProperty("anchorStatus");
+
+    // A real edit elsewhere keeps this device's anchoring results
+    await laptop.store.update("a", (h) => Object.assign(h, { text: "edited", updatedAt: 5 }));
+    await laptop.sync.run();
+    expect(await desktop.sync.run()).toMatchObject({ applied: 1 });
+    expect(await desktop.store.get("a")).toMatchObject({ text: "edited", anchorStatus: "anchored", anchorConfidence: 0.8 });
+  });
+
+  test("spreads deletes as tombstones that move highlights to the trash", async () => {
+    await laptop.store.putMany([makeHighlight("a", 1), makeHighlight("b", 2)]);
+    await laptop.sync.run();
+    await desktop.sync.run();
+
+    await desktop.store.moveToTrash(["a"], (h) => ({ ...h, deletedAt: Date.now() }));
+    await desktop.sync.run();
+    const tombstone = (await chrome.storage.sync.get(["hs_0"])).hs_0[0];
+    expect(tombstone).toMatchObject({ i: "a", r: 2, x: 1 });
+    expect(tombstone.h).toBeUndefined();
+
+    await laptop.sync.run();
+    expect(await texts(laptop.store)).toEqual({ b: "text b" });
+    expect((await laptop.store.getTrash()).map((h) => h.id)).toEqual(["a"]);
+  });
+
+  test("resolves concurrent edits by last writer, the same way on every device", async () => {
+    await laptop.store.put(makeHighlight("a", 1));
+    await laptop.sync.run();
+    await desktop.sync.run();
+
+    await laptop.store.update("a", (h) => Object.assign(h, { text: "laptop", updatedAt: 20 }));
+    await desktop.store.update("a", (h) => Object.assign(h, { text: "desktop", updatedAt: 10 }));
+
+    await desktop.sync.run();
+    await laptop.sync.run();
+    await desktop.sync.run();
+
+    expect(await texts(laptop.store)).toEqual({ a: "laptop" });
+    expect(await texts(desktop.store)).toEqual({ a: "laptop" });
+  });
+
+  test("prefers the higher revision over a later timestamp", async () => {
+    await laptop.store.put(makeHighlight("a", 1));
+    await laptop.sync.run();
+    await desktop.sync.run();
+
+    // Two edits on the desktop against one on the laptop with a later clock
+    await desktop.store.update("a", (h) => Object.assign(h, { text: "first", updatedAt: 2 }));
+    await desktop.sync.run();
+    await desktop.store.update("a", (h) => Object.assign(h, { text: "second", updatedAt: 3 }));
+    await desktop.sync.run();
+    await laptop.store.update("a", (h) => Object.assign(h, { text: "laptop", updatedAt: 100 }));
+
+    await laptop.sync.run();
+    expect(await texts(laptop.store)).toEqual({ a: "second" });
+  });
+
+  test("a deleted highlight edited again elsewhere comes back", async () => {
+    await laptop.store.put(makeHighlight("a", 1));
+    await laptop.sync.run();
+    await desktop.sync.run();
+
+    await laptop.store.moveToTrash(["a"], (h) => ({ ...h, deletedAt: Date.now() }));
+    await laptop.sync.run();
+    await desktop.sync.run();
+    expect(await desktop.store.count()).toBe(0);
+
+    await desktop.store.restoreFromTrash(["a"], ({ deletedAt, ...h }) => ({ ...h, updatedAt: Date.now() }));
+    await desktop.sync.run();
+    await laptop.sync.run();
+    expect(await texts(laptop.store)).toEqual({ a: "text a" });
+    expect(await laptop.store.getTrash()).toEqual([]);
+  });
+
+  test("shards records within the quota and skips what doesn't fit", async () => {
+    const quota = { bytes: 2000, bytesPerItem: 500, maxItems: 10 };
+    laptop = createDevice({ quota });
+    await laptop.store.putMany(
+      Array.from({ length: 20 }, (_, i) => makeHighlight(`h${i}`, i + 1, { note: "x".repeat(100) }))
+    );
+    await laptop.store.put(makeHighlight("huge", 100, { note: "x".repeat(600) }));
+
+    const status = await laptop.sync.run();
+    expect(status.state).toBe("partial");
+    expect(status.synced + status.skipped).toBe(21);
+
+    const area = await chrome.storage.sync.get(null);
+    const items = Object.entries(area);
+    const size = (key, value) => key.length + JSON.stringify(value).length;
+    expect(items.length).toBeLessThanOrEqual(quota.maxItems);
+    items.forEach(([key, value]) => expect(size(key, value)).toBeLessThanOrEqual(quota.bytesPerItem));
+    expect(items.reduce((sum, [key, value]) => sum + size(key, value), 0)).toBeLessThanOrEqual(quota.bytes);
+
+    // The newest highlights that fit are the ones synced
+    const synced = area.hs_0.map((e) => e.i);
+    expect(synced).not.toContain("huge");
+    expect(synced[0]).toBe("h19");
+  });
+
+  test("leaves the sync area alone when nothing changed", async () => {
+    await laptop.store.put(makeHighlight("a", 1));
+    await laptop.sync.run();
+    chrome.storage.sync.set.mockClear();
+
+    await laptop.sync.run();
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test("tells other devices' changes from its own", async () => {
+    await laptop.sync.run();
+    const own = { hs_meta: { newValue: { device: laptop.sync.deviceId } }, hs_0: {} };
+    const other = { hs_meta: { newValue: { device: "device_other" } }, hs_0: {} };
+
+    expect(laptop.sync.isRemoteChange(own)).toBe(false);
+    expect(laptop.sync.isRemoteChange(other)).toBe(true);
+    expect(laptop.sync.isRemoteChange({ settings: {} })).toBe(false);
+  });
+
+  test("records failures in the status", async () => {
+    laptop = createDevice({
+      area: { ...createStorageArea(), set: jest.fn(() => Promise.reject(new Error("QUOTA_BYTES quota exceeded"))) },
+    });
+    await laptop.store.put(makeHighlight("a", 1));
+
+    await expect(laptop.sync.run()).rejects.toThrow("quota exceeded");
+    expect(await laptop.sync.getStatus()).toMatchObject({ state: "error", error: "QUOTA_BYTES quota exceeded" });
+  });
+});
@@ -0,0 +1,178 @@
+// Test the passphrase vault that encrypts stored highlights
+const fs = require("fs");
+const path = require("path");
+const { IDBFactory } = require("fake-indexeddb");
+
+const read = (file) => fs.readFileSync(path.join(__dirname, "..", file), "utf-8");
+new Function(
+  `${read("background/highlight-store.js")}
+${read("shared/vault-crypto.js")}
+${read("background/highlight-vault.js")}
+globalThis.IndexedDbHighlightStore = IndexedDbHighlightStore;
+globalThis.HighlightVault = HighlightVault;
+globalThis.VaultHighlightStore = VaultHighlightStore;
+globalThis.VaultCrypto = VaultCrypto;`
+)();
+
+const PASSPHRASE = "correct horse battery";
+
+const makeHighlight = (id, extra = {}) => ({
+  id,
+  text: `secret text ${id}`,
+  url: `https://wiki.internal/${id}`,
+  normalizedUrl: `wiki.internal/${id}`,
+  domain: "wiki.internal",
+  title: "Internal wiki",
+  note: `note ${id}`,
+  timestamp: 1,
+  tags: ["ops"],
+  ...extra,
+});
+
+describe("HighlightVault", () => {
+  let raw;
+  let vault;
+  let store;
+  let area;
+  let sessionArea;
+
+  beforeEach(() => {
+    raw = new IndexedDbHighlightStore({ factory: new IDBFactory() });
+    area = createStorageArea();
+    sessionArea = createStorageArea();
+    // Few iterations keep the tests fast; the default is VAULT_PBKDF2_ITERATIONS
+    vault = new HighlightVault({ area, sessionArea, iterations: 1000 });
+    store = new VaultHighlightStore(raw, vault);
+  });
+
+  afterEach(() => {
+    raw.close();
+  });
+
+  test("passes records through while the vault is off", async () => {
+    await store.put(makeHighlight("a"));
+    expect(await raw.get("a")).toEqual(makeHighlight("a"));
+  });
+
+  test("keeps text, notes and URLs encrypted at rest", async () => {
+    await vault.create(PASSPHRASE);
+    await store.put(makeHighlight("a"));
+
+    const stored = await raw.get("a");
+    expect(JSON.stringify(stored)).not.toMatch(/secret text|wiki\.internal|note a|Internal wiki/);
+    expect(stored).toMatchObject({ id: "a", timestamp: 1, tags: ["ops"] });
+    expect(stored.sealed).toEqual({ iv: expect.any(String), data: expect.any(String) });
+
+    expect(await store.get("a")).toEqual(makeHighlight("a"));
+    expect(await store.getAll()).toEqual([makeHighlight("a")]);
+  });
+
+  test("finds a page's highlights through hashed keys", async () => {
+    await vault.create(PASSPHRASE);
+    await store.putMany([makeHighlight("a"), makeHighlight("b", { normalizedUrl: "other.page/b", domain: "other.page" })]);
+
+    const byUrl = await store.getForPage({ normalizedUrls: ["wiki.internal/a"] });
+    expect(byUrl.map((h) => h.id)).toEqual(["a"]);
+    const byDomain = await store.getForPage({ domains: ["other.page"] });
+    expect(byDomain.map((h) => h.id)).toEqual(["b"]);
+  });
+
+  test("locks, and unlocks only with the right passphrase", async () => {
+    await vault.create(PASSPHRASE);
+    await store.put(makeHighlight("a"));
+    await vault.lock();
+
+    expect(vault.getStatus()).toEqual({ enabled: true, locked: true });
+    await expect(store.getAll()).rejects.toMatchObject({ code: "VAULT_LOCKED" });
+    await expect(store.put(makeHighlight("b"))).rejects.toMatchObject({ code: "VAULT_LOCKED" });
+    await expect(vault.unlock("wrong passphrase")).rejects.toMatchObject({ code: "WRONG_PASSPHRASE" });
+
+    await vault.unlock(PASSPHRASE);
+    expect((await store.getAll()).map((h) => h.text)).toEqual(["secret text a"]);
+  });
+
+  test("stays unlocked across a service worker restart, but not a browser restart", async () => {
+    await vault.create(PASSPHRASE);
+    await store.put(makeHighlight("a"));
+
+    const restarted = new HighlightVault({ area, sessionArea });
+    await restarted.load();
+    expect(restarted.locked).toBe(false);
+    expect(await new VaultHighlightStore(raw, restarted).get("a")).toEqual(makeHighlight("a"));
+
+    sessionArea._reset();
+    await restarted.load();
+    expect(restarted.locked).toBe(true);
+  });
+
+  test("binds each record's ciphertext to its id", async () => {
+    await vault.create(PASSPHRASE);
+    await store.putMany([makeHighlight("a"), makeHighlight("b")]);
+
+    const a = await raw.get("a");
+    await raw.put({ ...(await raw.get("b")), sealed: a.sealed });
+    await expect(store.get("b")).rejects.toThrow();
+  });
+
+  test("encrypts and decrypts the trash and archive along with the library", async () => {
+    await raw.putMany([makeHighlight("a", { timestamp: 3 }), makeHighlight("b", { timestamp: 2 })]);
+    await raw.put(makeHighlight("old", { timestamp: 1 }));
+    await raw.archiveOldest(1);
+    await raw.moveToTrash(["b"], (h) => ({ ...h, deletedAt: Date.now() }));
+
+    await vault.create(PASSPHRASE);
+    await store.encryptEverything();
+    const [archive] = await raw.getArchives();
+    expect((await raw.getAll())[0].sealed).toBeDefined();
+    expect((await raw.getTrash())[0].sealed).toBeDefined();
+    expect((await raw.readArchive(archive.id))[0].sealed).toBeDefined();
+    expect((await store.getTrash())[0].text).toBe("secret text b");
+    expect((await store.readArchive(archive.id))[0].text).toBe("secret text old");
+
+    // Restoring keeps the record sealed
+    await store.restoreFromTrash(["b"], ({ deletedAt, ...h }) => h);
+    expect((await raw.get("b")).sealed).toBeDefined();
+
+    await store.decryptEverything();
+    await vault.clear();
+    expect(await raw.getAll()).toEqual([
+      makeHighlight("a", { timestamp: 3 }),
+      makeHighlight("b", { timestamp: 2 }),
+    ]);
+    expect(await raw.readArchive(archive.id)).toEqual([makeHighlight("old", { timestamp: 1 })]);
+  });
+
+  test("applies updates to decrypted records", async () => {
+    await vault.create(PASSPHRASE);
+    await store.putMany([makeHighlight("a"), makeHighlight("b")]);
+
+    await store.update("a", (h) => (h.note = "edited"));
+    expect(await store.updateMany(["a", "b"], (h) => h.text.endsWith("b") && h.tags.push("new"))).toBe(1);
+
+    expect((await store.get("a")).note).toBe("edited");
+    expect((await store.get("b")).tags).toEqual(["ops", "new"]);
+    expect(JSON.stringify(await raw.get("a"))).not.toContain("edited");
+  });
+
+  test("writes exports that open with the passphrase", async () => {
+    await vault.create(PASSPHRASE);
+    const payload = { highlights: [makeHighlight("a")], version: "1.0.0" };
+
+    const envelope = await vault.encryptExport(payload);
+    expect(VaultCrypto.isEncryptedExport(envelope)).toBe(true);
+    expect(JSON.stringify(envelope)).not.toContain("secret text");
+
+    expect(await VaultCrypto.decryptExport(envelope, PASSPHRASE)).toEqual(payload);
+    await expect(VaultCrypto.decryptExport(envelope, "nope nope")).rejects.toMatchObject({
+      code: "WRONG_PASSPHRASE",
+    });
+    await expect(
+      VaultCrypto.decryptExport({ ...envelope, kdf: { ...envelope.kdf, iterations: 1e12 } }, PASSPHRASE)
+    ).rejects.toThrow("Unsupported encrypted file");
+  });
+
+  test("rejects short passphrases", async () => {
+    await expect(vault.create("short")).rejects.toThrow("at least 8 characters");
+    expect(vault.enabled).toBe(false);
+  });
+});
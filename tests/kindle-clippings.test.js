@@ -0,0 +1,122 @@
+// Load the source files
+require("../shared/hash-utils.js");
+require("../shared/kindle-clippings.js");
+
+const { KindleClippings } = window.__highlightSaver;
+
+const clipping = (title, meta, text = "") => `\uFEFF${title}\r\n- ${meta}\r\n\r\n${text}\r\n==========\r\n`;
+
+describe("KindleClippings.parse", () => {
+  test("reads titles, authors, types, locations and pages", () => {
+    const entries = KindleClippings.parse(
+      clipping(
+        "Deep Work (Newport, Cal)",
+        "Your Highlight on page 12 | Location 170-172 | Added on Monday, March 4, 2024 10:30:15 PM",
+        "Focus is a skill."
+      ) + clipping("A Book (Series 2) (Someone)", "Your Bookmark on Location 200 | Added on Tuesday, March 5, 2024 8:00:00 AM")
+    );
+    expect(entries).toEqual([
+      {
+        title: "Deep Work",
+        author: "Newport, Cal",
+        type: "highlight",
+        location: { start: 170, end: 172 },
+        page: "12",
+        timestamp: new Date(2024, 2, 4, 22, 30, 15).getTime(),
+        text: "Focus is a skill.",
+      },
+      {
+        title: "A Book (Series 2)",
+        author: "Someone",
+        type: "bookmark",
+        location: { start: 200, end: 200 },
+        page: null,
+        timestamp: new Date(2024, 2, 5, 8, 0, 0).getTime(),
+        text: "",
+      },
+    ]);
+  });
+
+  test("understands other languages and older Kindles", () => {
+    const lines = [
+      ["Ihre Markierung auf Seite 5 | bei Position 1234-36 | Hinzugefügt am Montag, 4. März 2024 22:30:15", "highlight", 1234, 1236],
+      ["Votre note sur l'emplacement 88 | Ajouté le lundi 4 mars 2024 22:30:15", "note", 88, 88],
+      ["Tu subrayado en la página 3 | posición 40-41 | Añadido el lunes, 4 de marzo de 2024 22:30:15", "highlight", 40, 41],
+      ["Highlight Loc. 1234-36  | Added on Monday, March 4, 2024, 10:30 PM", "highlight", 1234, 1236],
+      ["12ページ|位置No. 170-172のハイライト |作成日: 2024年3月4日月曜日 22:30:15", "highlight", 170, 172],
+      ["您在第 12 页（位置 #170-172）的标注 | 添加于 2024年3月4日星期一 下午10:30:15", "highlight", 170, 172],
+    ];
+    lines.forEach(([meta, type, start, end]) => {
+      const [entry] = KindleClippings.parse(clipping("Book", meta, "text"));
+      expect(entry.type).toBe(type);
+      expect(entry.location).toEqual({ start, end });
+      expect(new Date(entry.timestamp).getDate()).toBe(4);
+      expect(new Date(entry.timestamp).getHours()).toBe(22);
+    });
+  });
+
+  test("recognizes clippings files", () => {
+    expect(KindleClippings.isClippings(clipping("Book (A)", "Your Note on Location 5 | Added on ...", "n"))).toBe(true);
+    expect(KindleClippings.isClippings('{"highlights": []}')).toBe(false);
+    expect(KindleClippings.isClippings("==========\nnot a clipping\n")).toBe(false);
+  });
+});
+
+describe("KindleClippings.toHighlights", () => {
+  const meta = (type, location, day = 4) => `Your ${type} on Location ${location} | Added on Monday, March ${day}, 2024 10:00:00 AM`;
+
+  test("maps clippings to highlights of a kindle:// source", () => {
+    const { highlights } = KindleClippings.toHighlights(clipping("Deep Work (Cal Newport)", meta("Highlight", "170-172"), "Focus."));
+    expect(highlights).toEqual([
+      {
+        id: expect.stringMatching(/^kindle_[0-9a-f]+$/),
+        text: "Focus.",
+        url: "kindle://book/Deep%20Work?author=Cal%20Newport",
+        title: "Deep Work",
+        domain: "kindle",
+        timestamp: new Date(2024, 2, 4, 10).getTime(),
+        tags: [],
+        author: "Cal Newport",
+        location: { start: 170, end: 172 },
+      },
+    ]);
+    // The same file always gives the same ids
+    expect(KindleClippings.toHighlights(clipping("Deep Work (Cal Newport)", meta("Highlight", "170-172"), "Focus.")).highlights[0].id).toBe(
+      highlights[0].id
+    );
+  });
+
+  test("keeps the latest version of repeated and extended highlights", () => {
+    const { highlights, report } = KindleClippings.toHighlights(
+      clipping("Book (A)", meta("Highlight", "10-11"), "Short") +
+        clipping("Book (A)", meta("Highlight", "10-11"), "Short") +
+        clipping("Book (A)", meta("Highlight", "10-12", 5), "Short and longer") +
+        clipping("Book (A)", meta("Highlight", "50-51"), "Short") +
+        clipping("Other (B)", meta("Highlight", "10-11"), "Short")
+    );
+    expect(highlights.map((h) => [h.title, h.text, h.location.start])).toEqual([
+      ["Book", "Short and longer", 10],
+      ["Book", "Short", 50],
+      ["Other", "Short", 10],
+    ]);
+    expect(report).toMatchObject({ pages: 2, highlights: 3, duplicates: 2 });
+  });
+
+  test("attaches notes to their highlights and skips bookmarks", () => {
+    const { highlights, report } = KindleClippings.toHighlights(
+      clipping("Book (A)", meta("Highlight", "10-12"), "First") +
+        clipping("Book (A)", meta("Highlight", "12-14"), "Second") +
+        clipping("Book (A)", meta("Note", "12"), "About the first") +
+        clipping("Book (A)", meta("Note", "12"), "About the first") +
+        clipping("Book (A)", meta("Note", "13"), "About the second") +
+        clipping("Book (A)", meta("Note", "90"), "On its own") +
+        clipping("Book (A)", meta("Bookmark", "95"))
+    );
+    expect(highlights.map((h) => [h.text, h.note])).toEqual([
+      ["First", "About the first"],
+      ["Second", "About the second"],
+      ["On its own", undefined],
+    ]);
+    expect(report).toMatchObject({ highlights: 2, notes: 3, notesAttached: 2, duplicates: 1, skipped: { bookmark: 1 } });
+  });
+});
@@ -0,0 +1,108 @@
+// Load the source files
+require("../shared/markdown-export.js");
+
+const { MarkdownExport } = window.__highlightSaver;
+
+const render = (template, context) => MarkdownExport.renderTemplate(template, context);
+
+const makeHighlight = (id, extra = {}) => ({
+  id,
+  text: `text ${id}`,
+  url: "https://example.com/post",
+  normalizedUrl: "example.com/post",
+  title: "A post",
+  domain: "example.com",
+  timestamp: new Date(2024, 2, 5, 10, 30).getTime(),
+  tags: [],
+  ...extra,
+});
+
+describe("MarkdownExport templates", () => {
+  test("fills in values, dotted paths and values from enclosing blocks", () => {
+    const context = { site: "x", page: { title: "T" }, items: [{ name: "a" }, { name: "b" }] };
+    expect(render("{{page.title}}: {{#each items}}{{name}}@{{site}}{{@index}} {{/each}}", context)).toBe(
+      "T: a@x0 b@x1 "
+    );
+    expect(render("{{#each list}}[{{this}}]{{else}}none{{/each}}", { list: [] })).toBe("none");
+    expect(render("{{missing.deep}}!", {})).toBe("!");
+  });
+
+  test("handles if, else and unless, treating empty lists as false", () => {
+    const template = "{{#if a}}A{{else}}{{#unless b}}not B{{/unless}}{{/if}}";
+    expect(render(template, { a: 1 })).toBe("A");
+    expect(render(template, { a: [], b: false })).toBe("not B");
+    expect(render(template, { a: "", b: true })).toBe("");
+  });
+
+  test("drops lines that hold only a block tag or comment", () => {
+    const template = "start\n  {{#if x}}\nyes\n{{/if}}\n{{! note to self }}\nend";
+    expect(render(template, { x: true })).toBe("start\nyes\nend");
+    expect(render(template, { x: false })).toBe("start\nend");
+  });
+
+  test("quotes every line and formats dates with helpers", () => {
+    const timestamp = new Date(2024, 0, 9, 8, 5).getTime();
+    expect(render("{{quote text}}", { text: "one\n\ntwo" })).toBe("> one\n>\n> two");
+    expect(render("{{date t}} {{datetime t}}", { t: timestamp })).toBe("2024-01-09 2024-01-09 08:05");
+    expect(render('{{join tags " | "}}', { tags: ["a", "b"] })).toBe("a | b");
+  });
+
+  test("reports template mistakes", () => {
+    expect(() => MarkdownExport.compile("{{#each pages}}")).toThrow("Template error: {{#each}} is never closed");
+    expect(() => MarkdownExport.compile("{{#if a}}{{/each}}")).toThrow("doesn't close {{#if}}");
+    expect(() => MarkdownExport.compile("{{shout title}}")).toThrow('unknown helper "shout"');
+    expect(() => MarkdownExport.compile("{{else}}")).toThrow("outside a block");
+  });
+});
+
+describe("MarkdownExport.render", () => {
+  test("groups highlights by page, newest page first and oldest highlight first", () => {
+    const { pages } = MarkdownExport.buildContext([
+      makeHighlight("a", { timestamp: 1 }),
+      makeHighlight("other", { normalizedUrl: "other.com", url: "https://other.com/", title: "", domain: "other.com", timestamp: 3 }),
+      makeHighlight("b", { timestamp: 2 }),
+    ]);
+    expect(pages.map((p) => p.title)).toEqual(["other.com", "A post"]);
+    expect(pages[1].highlights.map((h) => h.id)).toEqual(["a", "b"]);
+    expect(pages[1].count).toBe(2);
+  });
+
+  test("writes quotes with notes, summaries and tags under each page", () => {
+    const markdown = MarkdownExport.render(
+      [
+        makeHighlight("a", { note: "my note", tags: ["deep work", "focus"], color: "red" }),
+        makeHighlight("b", { summary: "short version" }),
+      ],
+      { palette: [{ id: "red", name: "Disagree" }] }
+    );
+    expect(markdown).toBe(
+      [
+        "# Highlights",
+        "",
+        "## A post",
+        "",
+        "<https://example.com/post> · 2024-03-05",
+        "",
+        "> text a",
+        "",
+        "my note",
+        "",
+        "#deep-work #focus",
+        "",
+        "> text b",
+        "",
+        "**Summary:** short version",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("uses a custom template and the palette's color names", () => {
+    const template = "{{#each pages}}{{#each highlights}}- {{text}} ({{color}})\n{{/each}}{{/each}}";
+    const markdown = MarkdownExport.render([makeHighlight("a", { color: "red" })], {
+      template,
+      palette: [{ id: "red", name: "Disagree" }],
+    });
+    expect(markdown).toBe("- text a (Disagree)\n");
+  });
+});
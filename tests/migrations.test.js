@@ -0,0 +1,170 @@
+// Test the schema migration registry and runner
+const fs = require("fs");
+const path = require("path");
+
+require("../shared/url-utils.js");
+const UrlUtils = window.__highlightSaver.UrlUtils;
+
+// Both files are plain service worker scripts; evaluate them together and
+// lift what the tests need into the global scope
+const read = (file) => fs.readFileSync(path.join(__dirname, "../background", file), "utf-8");
+new Function(
+  `${read("highlight-store.js")}
+${read("migrations.js")}
+globalThis.ChromeStorageHighlightStore = ChromeStorageHighlightStore;
+globalThis.SchemaMigrator = SchemaMigrator;
+globalThis.SCHEMA_MIGRATIONS = SCHEMA_MIGRATIONS;`
+)();
+
+const migration = (version) => SCHEMA_MIGRATIONS.find((m) => m.version === version);
+
+describe("schema migrations", () => {
+  const context = { urlUtils: new UrlUtils() };
+
+  test("are registered with unique, increasing versions", () => {
+    const versions = SCHEMA_MIGRATIONS.map((m) => m.version);
+    expect(versions).toEqual([...new Set(versions)].sort((a, b) => a - b));
+    SCHEMA_MIGRATIONS.forEach((m) => expect(typeof m.description).toBe("string"));
+  });
+
+  test("are idempotent", () => {
+    const data = {
+      highlights: [
+        { id: "a", text: "a", url: "https://a.com/x?utm_source=feed", timestamp: 1 },
+        { id: "b", text: "b", url: "https://b.com/", timestamp: 2, note: "kept", tags: ["t"] },
+      ],
+      collections: [],
+    };
+
+    SCHEMA_MIGRATIONS.forEach((m) => {
+      m.migrate(data, context);
+      const once = JSON.stringify(data);
+      m.migrate(data, context);
+      expect(JSON.stringify(data)).toBe(once);
+    });
+  });
+
+  test("1: stores a normalized URL next to the raw URL", () => {
+    const data = {
+      highlights: [
+        { id: "a", url: "https://a.com/x?fbclid=1" },
+        { id: "b", url: "https://b.com/", normalizedUrl: "keep" },
+      ],
+    };
+    migration(1).migrate(data, context);
+    expect(data.highlights.map((h) => h.normalizedUrl)).toEqual(["https://a.com/x", "keep"]);
+  });
+
+  test("2: fills in fields older highlights lack", () => {
+    const data = { highlights: [{ id: "a" }, { id: "b", note: "n", tags: ["x"], color: "red" }] };
+    migration(2).migrate(data, context);
+    expect(data.highlights[0]).toEqual({ id: "a", note: "", tags: [], color: null, anchor: null });
+    expect(data.highlights[1]).toMatchObject({ note: "n", tags: ["x"], color: "red" });
+  });
+});
+
+describe("SchemaMigrator", () => {
+  let store;
+
+  beforeEach(() => {
+    chrome.storage._reset();
+    store = new ChromeStorageHighlightStore();
+  });
+
+  const addField = (version, field) => ({
+    version,
+    description: `add ${field}`,
+    migrate(data) {
+      data.highlights.forEach((h) => {
+        h[field] = version;
+      });
+    },
+  });
+
+  test("runs pending migrations in order and records the version", async () => {
+    await chrome.storage.local.set({ highlights: [{ id: "a" }], schemaVersion: 1 });
+    const order = [];
+    const migrations = [3, 1, 2].map((v) => ({
+      version: v,
+      description: `step ${v}`,
+      migrate: () => {
+        order.push(v);
+      },
+    }));
+
+    const result = await new SchemaMigrator({ store, migrations }).run();
+
+    expect(order).toEqual([2, 3]);
+    expect(result).toEqual({ from: 1, to: 3, applied: [2, 3] });
+    expect((await chrome.storage.local.get(["schemaVersion"])).schemaVersion).toBe(3);
+    expect(await store.loadBackup()).toBeNull();
+  });
+
+  test("rolls back to the backup when a migration fails", async () => {
+    await chrome.storage.local.set({
+      highlights: [{ id: "a", text: "original" }],
+      collections: [{ id: "c", name: "C", highlightIds: ["a"] }],
+    });
+    const migrations = [
+      addField(1, "first"),
+      {
+        version: 2,
+        description: "broken",
+        migrate() {
+          throw new Error("boom");
+        },
+      },
+    ];
+
+    await expect(new SchemaMigrator({ store, migrations }).run()).rejects.toThrow(
+      "Schema migration from version 0 failed: boom"
+    );
+
+    const stored = await chrome.storage.local.get(["highlights", "collections", "schemaVersion"]);
+    expect(stored.highlights).toEqual([{ id: "a", text: "original" }]);
+    expect(stored.collections[0].highlightIds).toEqual(["a"]);
+    expect(stored.schemaVersion).toBe(0);
+    expect(await store.loadBackup()).toBeNull();
+  });
+
+  test("rolls back when writing the migrated data fails", async () => {
+    await chrome.storage.local.set({ highlights: [{ id: "a" }] });
+    jest.spyOn(store, "replaceAll").mockRejectedValueOnce(new Error("quota"));
+
+    await expect(
+      new SchemaMigrator({ store, migrations: [addField(1, "first")] }).run()
+    ).rejects.toThrow("quota");
+    expect((await store.getAll())[0]).toEqual({ id: "a" });
+  });
+
+  test("restores a backup left by an interrupted run before retrying", async () => {
+    // Half-migrated data and the backup taken before the run
+    await chrome.storage.local.set({ highlights: [{ id: "a", first: 1 }], schemaVersion: 0 });
+    await store.saveBackup({
+      schemaVersion: 0,
+      createdAt: 1,
+      data: { highlights: [{ id: "a" }], collections: [] },
+    });
+
+    const result = await new SchemaMigrator({
+      store,
+      migrations: [addField(1, "first"), addField(2, "second")],
+    }).run();
+
+    expect(result.applied).toEqual([1, 2]);
+    expect(await store.getAll()).toEqual([{ id: "a", first: 1, second: 2 }]);
+  });
+
+  test("does nothing when the schema is current", async () => {
+    await chrome.storage.local.set({ highlights: [{ id: "a" }], schemaVersion: 2 });
+    chrome.storage.local.set.mockClear();
+
+    const result = await new SchemaMigrator({
+      store,
+      migrations: [addField(1, "first"), addField(2, "second")],
+    }).run();
+
+    expect(result).toEqual({ from: 2, to: 2, applied: [] });
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+});
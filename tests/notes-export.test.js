@@ -0,0 +1,125 @@
+// Test the one-file-per-page export for Obsidian and Logseq
+const fs = require("fs");
+const path = require("path");
+
+new Function(
+  `${fs.readFileSync(path.join(__dirname, "../shared/hash-utils.js"), "utf-8")}
+${fs.readFileSync(path.join(__dirname, "../background/notes-export.js"), "utf-8")}
+globalThis.NotesExport = NotesExport;`
+)();
+
+const UUID = "0f8fad5b-d9cb-469f-a165-70867728950e";
+
+const makeHighlight = (id, extra = {}) => ({
+  id,
+  text: `text ${id}`,
+  url: "https://example.com/post",
+  normalizedUrl: "example.com/post",
+  title: "A post: part 1",
+  domain: "example.com",
+  timestamp: Date.UTC(2024, 2, 5, 10, 30),
+  tags: [],
+  ...extra,
+});
+
+describe("NotesExport", () => {
+  test("writes one Obsidian note per page with front matter, block ids and tag links", async () => {
+    const files = await NotesExport.toFiles([
+      makeHighlight(`highlight_${UUID}`, { note: "my note", tags: ["deep work"], timestamp: Date.UTC(2024, 2, 6) }),
+      makeHighlight("legacy_1", { text: "first\nsecond", tags: ["ideas"] }),
+    ]);
+
+    expect(files).toHaveLength(1);
+    expect(files[0].path).toBe(`Highlights/A post part 1 (${NotesExport.shortHash("example.com/post")}).md`);
+    expect(files[0].modified).toBe(Date.UTC(2024, 2, 6));
+    expect(files[0].content).toBe(
+      [
+        "---",
+        'title: "A post: part 1"',
+        'url: "https://example.com/post"',
+        'domain: "example.com"',
+        "tags:",
+        '  - "deep-work"',
+        '  - "ideas"',
+        "created: 2024-03-05",
+        "---",
+        "",
+        "# A post: part 1",
+        "",
+        "Source: <https://example.com/post>",
+        "",
+        "> first",
+        "> second",
+        "",
+        "^hl-legacy-1",
+        "",
+        "[[ideas]]",
+        "",
+        "> text highlight_0f8fad5b-d9cb-469f-a165-70867728950e",
+        "",
+        `^hl-${UUID}`,
+        "",
+        "my note",
+        "",
+        "[[deep work]]",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("writes Logseq outline blocks with UUID ids", async () => {
+    const [file] = await NotesExport.toFiles(
+      [makeHighlight(`highlight_${UUID}`, { note: "a\nb", tags: ["x"] }), makeHighlight("legacy_1", { timestamp: 1 })],
+      { flavor: "logseq" }
+    );
+    const body = file.content.split("---\n\n")[1];
+    const [, derived] = body.match(/id:: (\S+)\n/);
+
+    expect(file.path).toBe(`pages/A post part 1 (${NotesExport.shortHash("example.com/post")}).md`);
+    expect(derived).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-8[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(derived).toBe(await NotesExport.blockUuid("legacy_1"));
+    expect(body).toBe(
+      [
+        "- > text legacy_1",
+        `  id:: ${derived}`,
+        `- > text highlight_${UUID}`,
+        `  id:: ${UUID}`,
+        "\t- a",
+        "\t  b",
+        "\t- [[x]]",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("gives pages with the same title distinct, stable names", async () => {
+    const highlights = [
+      makeHighlight("a", { title: "Home", normalizedUrl: "a.com", url: "https://a.com/" }),
+      makeHighlight("b", { title: "Home", normalizedUrl: "b.com", url: "https://b.com/" }),
+      makeHighlight("c", { title: "", domain: "c.com", normalizedUrl: "c.com", url: "https://c.com/" }),
+    ];
+    const paths = (await NotesExport.toFiles(highlights)).map((f) => f.path);
+    expect(paths).toEqual(
+      [
+        `Highlights/Home (${NotesExport.shortHash("a.com")}).md`,
+        `Highlights/Home (${NotesExport.shortHash("b.com")}).md`,
+        `Highlights/c.com (${NotesExport.shortHash("c.com")}).md`,
+      ].sort()
+    );
+    expect(NotesExport.shortHash("a.com")).not.toBe(NotesExport.shortHash("b.com"));
+
+    // A page's name doesn't depend on which other pages are exported
+    const [alone] = await NotesExport.toFiles([highlights[0]]);
+    expect(alone.path).toBe(`Highlights/Home (${NotesExport.shortHash("a.com")}).md`);
+  });
+
+  test("exports the same files again for the same highlights in any order", async () => {
+    const highlights = [makeHighlight("a", { tags: ["t"] }), makeHighlight("b", { tags: ["s"] })];
+    const first = await NotesExport.toFiles(highlights, { flavor: "logseq" });
+    expect(await NotesExport.toFiles([...highlights].reverse(), { flavor: "logseq" })).toEqual(first);
+  });
+
+  test("rejects unknown flavors", async () => {
+    await expect(NotesExport.toFiles([], { flavor: "notion" })).rejects.toThrow("Unsupported notes format");
+  });
+});
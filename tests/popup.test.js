@@ -0,0 +1,126 @@
+// Test the popup's file import and highlight actions
+const fs = require("fs");
+const path = require("path");
+
+require("../content/utils/constants.js");
+require("../shared/url-utils.js");
+require("../shared/text-fragment-utils.js");
+require("../shared/vault-crypto.js");
+require("../shared/hash-utils.js");
+require("../shared/web-annotation.js");
+require("../shared/kindle-clippings.js");
+require("../shared/highlight-importers.js");
+
+new Function(
+  `${fs.readFileSync(path.join(__dirname, "../popup/popup.js"), "utf-8")}
+globalThis.HighlightStorage = HighlightStorage;
+globalThis.PopupUI = PopupUI;`
+)();
+
+const makeHighlight = (id, extra = {}) => ({
+  id,
+  text: `text ${id}`,
+  url: "https://example.com/post",
+  timestamp: Date.UTC(2024, 2, 5),
+  ...extra,
+});
+
+const importFile = (data, ...args) =>
+  HighlightStorage.import(new File([JSON.stringify(data)], "export.json", { type: "application/json" }), ...args);
+
+describe("HighlightStorage.import", () => {
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      sent.push(message);
+      callback({ success: true, imported: message.highlights.length, skippedInvalid: 0, operationId: "op_1" });
+    });
+  });
+
+  test("forwards a single-collection export's collection and palette", async () => {
+    const collection = { id: "collection_1", name: "Reading", highlightIds: ["a"] };
+    const colorPalette = [{ name: "Mint", value: "#aaffcc" }];
+
+    const result = await importFile({ highlights: [makeHighlight("a")], collection, colorPalette }, true);
+
+    expect(sent).toEqual([
+      {
+        action: "importHighlights",
+        highlights: [makeHighlight("a")],
+        collection,
+        colorPalette,
+        merge: true,
+        overflow: null,
+      },
+    ]);
+    expect(result).toMatchObject({ imported: 1, skippedInvalid: 0, operationId: "op_1" });
+  });
+
+  test("counts entries either side rejected against the shared limits", async () => {
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      sent.push(message);
+      callback({ success: true, imported: 1, skippedInvalid: 1, operationId: "op_1" });
+    });
+
+    const result = await importFile([
+      makeHighlight("a"),
+      makeHighlight("b"),
+      makeHighlight("long", { text: "x".repeat(CONSTANTS.MAX_TEXT_LENGTH + 1) }),
+      makeHighlight("far", { url: `https://example.com/${"x".repeat(CONSTANTS.MAX_URL_LENGTH)}` }),
+    ]);
+
+    expect(sent[0].highlights.map((h) => h.id)).toEqual(["a", "b"]);
+    expect(result).toMatchObject({ imported: 1, skippedInvalid: 3 });
+  });
+
+  test("sends no collection or palette for a plain array", async () => {
+    await importFile([makeHighlight("a")]);
+    expect(sent[0]).toMatchObject({ collection: null, colorPalette: null });
+  });
+});
+
+describe("PopupUI highlight actions", () => {
+  const createUI = () =>
+    Object.assign(Object.create(PopupUI.prototype), {
+      colorPalette: [],
+      collections: [],
+      collectionSelect: { value: "" },
+      urlUtils: new window.__highlightSaver.UrlUtils(),
+      textFragmentUtils: new window.__highlightSaver.TextFragmentUtils(),
+    });
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const buttons = (element) => [...element.querySelectorAll(".highlight-actions button")].map((b) => b.textContent);
+
+  test("opens web highlights and offers a share link", () => {
+    const element = createUI().createHighlightElement(makeHighlight("a"));
+    expect(buttons(element)).toContain("Copy share link");
+    expect(element.querySelector(".highlight-domain").getAttribute("href")).toBe("https://example.com/post");
+
+    element.querySelector(".highlight-text").click();
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: "https://example.com/post" });
+  });
+
+  test("neither opens nor shares highlights from books", () => {
+    const ui = createUI();
+    const highlight = makeHighlight("k", { url: "kindle://book/abc123", domain: "Kindle" });
+    const element = ui.createHighlightElement(highlight);
+    expect(buttons(element)).not.toContain("Copy share link");
+    expect(element.querySelector(".highlight-domain").hasAttribute("href")).toBe(false);
+    expect(element.querySelector(".highlight-domain").textContent).toBe("Kindle");
+
+    element.querySelector(".highlight-text").click();
+    ui.navigateToHighlight(highlight);
+    expect(chrome.tabs.query).not.toHaveBeenCalled();
+    expect(chrome.tabs.create).not.toHaveBeenCalled();
+  });
+
+  test("shows an empty domain rather than failing on a bad URL", () => {
+    const element = createUI().createHighlightElement(makeHighlight("bad", { url: "not a url" }));
+    expect(element.querySelector(".highlight-domain").textContent).toBe("");
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * @jest-environment node
+ */
+// Test remote sync adapters against a local mock HTTP server
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { IDBFactory } = require("fake-indexeddb");
+
+const read = (file) => fs.readFileSync(path.join(__dirname, "../background", file), "utf-8");
+new Function(
+  `${fs.readFileSync(path.join(__dirname, "../shared/hash-utils.js"), "utf-8")}
+${read("highlight-store.js")}
+${read("highlight-sync.js")}
+${read("remote-sync.js")}
+globalThis.IndexedDbHighlightStore = IndexedDbHighlightStore;
+globalThis.RemoteSync = RemoteSync;
+globalThis.RestSyncAdapter = RestSyncAdapter;
+globalThis.WebDavSyncAdapter = WebDavSyncAdapter;`
+)();
+
+const makeHighlight = (id, extra = {}) => ({
+  id,
+  text: `text ${id}`,
+  url: `https://example.com/${id}`,
+  timestamp: 1,
+  ...extra,
+});
+
+/**
+ * A REST API under /api and a WebDAV folder under /dav, both keeping the
+ * later version of each record like a real server would
+ */
+const createMockServer = () => {
+  const db = { highlights: {}, deleted: {} };
+  const dav = { body: null, version: 0 };
+  const state = { requests: [], failing: false, onPut: null };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      state.requests.push({ method: req.method, url: req.url, headers: req.headers });
+      const send = (status, json, headers = {}) => {
+        res.writeHead(status, { "Content-Type": "application/json", ...headers });
+        res.end(json === undefined ? "" : JSON.stringify(json));
+      };
+
+      if (state.failing) return send(503, { error: "down" });
+
+      if (url.pathname === "/api/highlights") {
+        if (req.headers.authorization !== "Bearer secret") return send(401, { error: "auth" });
+        if (req.method === "GET") {
+          const since = Number(url.searchParams.get("since"));
+          return send(200, {
+            highlights: Object.values(db.highlights).filter((h) => h.updatedAt > since),
+            deleted: Object.entries(db.deleted)
+              .filter(([, t]) => t > since)
+              .map(([id, deletedAt]) => ({ id, deletedAt })),
+          });
+        }
+        const { upserts, deletes } = JSON.parse(body);
+        upserts.forEach((h) => {
+          if ((db.highlights[h.id]?.updatedAt || 0) <= h.updatedAt) {
+            db.highlights[h.id] = h;
+            delete db.deleted[h.id];
+          }
+        });
+        deletes.forEach(({ id, deletedAt }) => {
+          delete db.highlights[id];
+          db.deleted[id] = deletedAt;
+        });
+        return send(200, { ok: true });
+      }
+
+      if (url.pathname === "/dav/highlight-saver.json") {
+        const expected = `Basic ${Buffer.from("reader:pass").toString("base64")}`;
+        if (req.headers.authorization !== expected) return send(401);
+        const etag = `"v${dav.version}"`;
+        if (req.method === "GET") {
+          return dav.body === null ? send(404) : send(200, JSON.parse(dav.body), { ETag: etag });
+        }
+        if (state.onPut) {
+          const hook = state.onPut;
+          state.onPut = null;
+          hook(dav);
+        }
+        const current = `"v${dav.version}"`;
+        const ifMatch = req.headers["if-match"];
+        if ((ifMatch && ifMatch !== current) || (req.headers["if-none-match"] === "*" && dav.body !== null)) {
+          return send(412);
+        }
+        dav.body = body;
+        dav.version += 1;
+        return send(201);
+      }
+
+      send(404);
+    });
+  });
+
+  return { server, db, dav, state };
+};
+
+describe("remote sync", () => {
+  let mock;
+  let baseUrl;
+  let clock;
+  const devices = [];
+
+  const createDevice = (config) => {
+    const store = new IndexedDbHighlightStore({ factory: new IDBFactory() });
+    const sync = new RemoteSync({
+      getStore: async () => store,
+      getConfig: async () => ({ enabled: true, ...config }),
+      stateArea: createStorageArea(),
+    });
+    devices.push(store);
+    return { store, sync };
+  };
+  const texts = async (store) =>
+    Object.fromEntries((await store.getAll()).map((h) => [h.id, h.text]));
+
+  beforeAll(async () => {
+    mock = createMockServer();
+    await new Promise((resolve) => mock.server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => mock.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    // A steadily advancing clock keeps updatedAt ordering deterministic
+    clock = 1000;
+    jest.spyOn(Date, "now").mockImplementation(() => (clock += 10));
+    Object.assign(mock.db, { highlights: {}, deleted: {} });
+    Object.assign(mock.dav, { body: null, version: 0 });
+    Object.assign(mock.state, { requests: [], failing: false, onPut: null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    devices.splice(0).forEach((store) => store.close());
+  });
+
+  describe("REST", () => {
+    const rest = () => ({ type: "rest", url: `${baseUrl}/api/`, token: "secret" });
+
+    test("pushes and pulls highlights between devices", async () => {
+      const laptop = createDevice(rest());
+      const desktop = createDevice(rest());
+      await laptop.store.putMany([makeHighlight("a"), makeHighlight("b")]);
+
+      expect(await laptop.sync.run()).toMatchObject({ state: "synced", pending: 0 });
+      expect(Object.keys(mock.db.highlights).sort()).toEqual(["a", "b"]);
+
+      expect(await desktop.sync.run()).toMatchObject({ applied: 2 });
+      expect(await texts(desktop.store)).toEqual({ a: "text a", b: "text b" });
+    });
+
+    test("doesn't pull back its own pushes", async () => {
+      const laptop = createDevice(rest());
+      await laptop.store.put(makeHighlight("a"));
+      await laptop.sync.run();
+
+      expect((await laptop.store.get("a")).updatedAt).toBe(mock.db.highlights.a.updatedAt);
+      const putMany = jest.spyOn(laptop.store, "putMany");
+      expect(await laptop.sync.run()).toMatchObject({ state: "synced", pending: 0, applied: 0 });
+      expect(putMany).not.toHaveBeenCalled();
+    });
+
+    test("pulls only changes after the last cursor", async () => {
+      const laptop = createDevice(rest());
+      const desktop = createDevice(rest());
+      await laptop.store.put(makeHighlight("a"));
+      await laptop.sync.run();
+      mock.state.requests = [];
+
+      await desktop.sync.run();
+      await desktop.sync.run();
+      const pulls = mock.state.requests.filter((r) => r.method === "GET").map((r) => r.url);
+      expect(pulls[0]).toBe("/api/highlights?since=0");
+      expect(pulls[1]).toBe(`/api/highlights?since=${mock.db.highlights.a.updatedAt}`);
+    });
+
+    test("spreads edits and deletes", async () => {
+      const laptop = createDevice(rest());
+      const desktop = createDevice(rest());
+      await laptop.store.putMany([makeHighlight("a"), makeHighlight("b")]);
+      await laptop.sync.run();
+      await desktop.sync.run();
+
+      await desktop.store.update("a", (h) => (h.text = "edited"));
+      await desktop.store.moveToTrash(["b"], (h) => ({ ...h, deletedAt: Date.now() }));
+      await desktop.sync.run();
+
+      await laptop.sync.run();
+      expect(await texts(laptop.store)).toEqual({ a: "edited" });
+      expect((await laptop.store.getTrash()).map((h) => h.id)).toEqual(["b"]);
+    });
+
+    test("keeps a newer queued change over an older pulled one", async () => {
+      const laptop = createDevice(rest());
+      const desktop = createDevice(rest());
+      await laptop.store.put(makeHighlight("a"));
+      await laptop.sync.run();
+      await desktop.sync.run();
+
+      await desktop.store.update("a", (h) => (h.text = "desktop"));
+      await desktop.sync.run();
+
+      // The laptop edits later while offline
+      mock.state.failing = true;
+      await laptop.store.update("a", (h) => (h.text = "laptop"));
+      await expect(laptop.sync.run()).rejects.toThrow("HTTP 503");
+      mock.state.failing = false;
+
+      await laptop.sync.run({ force: true });
+      await desktop.sync.run();
+      expect(await texts(laptop.store)).toEqual({ a: "laptop" });
+      expect(await texts(desktop.store)).toEqual({ a: "laptop" });
+    });
+
+    test("queues changes while offline and retries with backoff", async () => {
+      const laptop = createDevice(rest());
+      await laptop.store.put(makeHighlight("a"));
+      mock.state.failing = true;
+
+      const first = await laptop.sync.run().catch((error) => error);
+      expect(first.retryIn).toBeGreaterThan(4000);
+      expect(await laptop.sync.getStatus()).toMatchObject({ state: "error", pending: 1 });
+
+      // Within the backoff only forced runs reach the server
+      const requests = mock.state.requests.length;
+      expect(await laptop.sync.run()).toMatchObject({ state: "error", applied: 0 });
+      expect(mock.state.requests.length).toBe(requests);
+
+      const second = await laptop.sync.run({ force: true }).catch((error) => error);
+      expect(second.retryIn).toBeGreaterThan(first.retryIn);
+
+      mock.state.failing = false;
+      expect(await laptop.sync.run({ force: true })).toMatchObject({ state: "synced", pending: 0 });
+      expect(mock.db.highlights.a.text).toBe("text a");
+    });
+
+    test("delivers changes queued offline to devices that synced meanwhile", async () => {
+      const laptop = createDevice(rest());
+      const desktop = createDevice(rest());
+
+      mock.state.failing = true;
+      await laptop.store.put(makeHighlight("offline"));
+      await expect(laptop.sync.run()).rejects.toThrow("HTTP 503");
+      mock.state.failing = false;
+
+      // The desktop's cursor moves past the time the laptop queued its change
+      await desktop.store.put(makeHighlight("online"));
+      await desktop.sync.run();
+      await desktop.sync.run();
+
+      await laptop.sync.run({ force: true });
+      await desktop.sync.run();
+      expect(await texts(desktop.store)).toEqual({ offline: "text offline", online: "text online" });
+    });
+
+    test("leaves anchoring results out of what it sends", async () => {
+      const laptop = createDevice(rest());
+      const desktop = createDevice(rest());
+      await laptop.store.put(makeHighlight("a"));
+      await laptop.sync.run();
+      await desktop.sync.run();
+      await desktop.store.update("a", (h) => Object.assign(h, { anchorStatus: "anchored", anchorConfidence: 0.8 }));
+      mock.state.requests = [];
+
+      await laptop.store.update("a", (h) => (h.anchorStatus = "orphaned"));
+      await laptop.sync.run();
+      expect(mock.state.requests.filter((r) => r.method === "POST")).toHaveLength(0);
+
+      await laptop.store.update("a", (h) => (h.text = "edited"));
+      await laptop.sync.run();
+      expect(mock.db.highlights.a).not.toHaveProperty("anchorStatus");
+
+      await desktop.sync.run();
+      expect(await desktop.store.get("a")).toMatchObject({ text: "edited", anchorStatus: "anchored", anchorConfidence: 0.8 });
+    });
+
+    test("sends the token and reports rejected credentials", async () => {
+      const device = createDevice({ ...rest(), token: "wrong" });
+      await expect(device.sync.run()).rejects.toThrow("Pull failed: HTTP 401");
+    });
+
+    test("reports an unreachable server", async () => {
+      const adapter = new RestSyncAdapter({ url: "http://127.0.0.1:1" });
+      await expect(adapter.pull(0)).rejects.toThrow("Sync server unreachable");
+    });
+  });
+
+  describe("WebDAV", () => {
+    const webdav = () => ({ type: "webdav", url: `${baseUrl}/dav`, username: "reader", password: "pass" });
+
+    test("keeps every highlight in one file", async () => {
+      const laptop = createDevice(webdav());
+      const desktop = createDevice(webdav());
+      await laptop.store.putMany([makeHighlight("a"), makeHighlight("b")]);
+      await laptop.sync.run();
+
+      expect(Object.keys(JSON.parse(mock.dav.body).highlights).sort()).toEqual(["a", "b"]);
+
+      await desktop.sync.run();
+      await desktop.store.moveToTrash(["a"], (h) => ({ ...h, deletedAt: Date.now() }));
+      await desktop.sync.run();
+      expect(JSON.parse(mock.dav.body).deleted).toHaveProperty("a");
+
+      await laptop.sync.run();
+      expect(await texts(laptop.store)).toEqual({ b: "text b" });
+    });
+
+    test("merges when another device wrote in between", async () => {
+      const adapter = new WebDavSyncAdapter(webdav());
+      await adapter.push({ upserts: [makeHighlight("a", { updatedAt: 5 })], deletes: [] });
+
+      // Someone else saves "b" between our read and our write
+      mock.state.onPut = (dav) => {
+        const data = JSON.parse(dav.body);
+        data.highlights.b = makeHighlight("b", { updatedAt: 6 });
+        dav.body = JSON.stringify(data);
+        dav.version += 1;
+      };
+      await adapter.push({ upserts: [makeHighlight("c", { updatedAt: 7 })], deletes: [] });
+
+      const { highlights } = await adapter.pull(0);
+      expect(highlights.map((h) => h.id).sort()).toEqual(["a", "b", "c"]);
+      expect(mock.state.requests.filter((r) => r.method === "PUT")).toHaveLength(3);
+    });
+  });
+});
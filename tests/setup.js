@@ -1,32 +1,74 @@
 // Chrome API mock for testing
-const storageMock = (() => {
+// Each storage area keeps its own in-memory store. Named areas report
+// their writes to chrome.storage.onChanged listeners, like Chrome does.
+// Values are copied in and out, so editing a value read from storage
+// doesn't change what's stored until it's written back.
+const storageListeners = [];
+
+const createStorageArea = (areaName = null) => {
   let store = {};
+  const notify = (changes) => {
+    if (!areaName || Object.keys(changes).length === 0) return;
+    Promise.resolve().then(() => {
+      storageListeners.forEach((listener) => listener(changes, areaName));
+    });
+  };
   return {
-    local: {
-      get: jest.fn((keys) => {
-        if (keys === null) return Promise.resolve({ ...store });
-        const result = {};
-        const keyList = Array.isArray(keys) ? keys : [keys];
-        keyList.forEach((key) => {
-          if (store[key] !== undefined) result[key] = store[key];
-        });
-        return Promise.resolve(result);
-      }),
-      set: jest.fn((items) => {
-        Object.assign(store, items);
-        return Promise.resolve();
-      }),
-      remove: jest.fn((keys) => {
-        const keyList = Array.isArray(keys) ? keys : [keys];
-        keyList.forEach((key) => delete store[key]);
-        return Promise.resolve();
-      }),
-    },
+    get: jest.fn((keys) => {
+      if (keys === null) return Promise.resolve(structuredClone(store));
+      const result = {};
+      const keyList = Array.isArray(keys) ? keys : [keys];
+      keyList.forEach((key) => {
+        if (store[key] !== undefined) result[key] = structuredClone(store[key]);
+      });
+      return Promise.resolve(result);
+    }),
+    set: jest.fn((items) => {
+      const changes = {};
+      Object.entries(items).forEach(([key, newValue]) => {
+        changes[key] = { oldValue: store[key], newValue };
+      });
+      Object.assign(store, structuredClone(items));
+      notify(changes);
+      return Promise.resolve();
+    }),
+    remove: jest.fn((keys) => {
+      const changes = {};
+      const keyList = Array.isArray(keys) ? keys : [keys];
+      keyList.forEach((key) => {
+        if (store[key] !== undefined) changes[key] = { oldValue: store[key] };
+        delete store[key];
+      });
+      notify(changes);
+      return Promise.resolve();
+    }),
     _reset: () => {
       store = {};
     },
   };
-})();
+};
+
+// Lets tests give a simulated second device its own storage
+global.createStorageArea = createStorageArea;
+
+const storageMock = {
+  local: createStorageArea(),
+  session: createStorageArea(),
+  sync: createStorageArea("sync"),
+  onChanged: {
+    addListener: jest.fn((listener) => storageListeners.push(listener)),
+    removeListener: jest.fn((listener) => {
+      const index = storageListeners.indexOf(listener);
+      if (index !== -1) storageListeners.splice(index, 1);
+    }),
+  },
+  _reset: () => {
+    storageMock.local._reset();
+    storageMock.session._reset();
+    storageMock.sync._reset();
+    storageListeners.length = 0;
+  },
+};
 
 const chromeMock = {
   storage: storageMock,
@@ -54,6 +96,24 @@ global.chrome = chromeMock;
 // Mock Service Worker API used by background.js
 global.importScripts = jest.fn();
 
+// jsdom lacks structuredClone, which fake-indexeddb needs to store records
+if (typeof global.structuredClone !== "function") {
+  const v8 = require("v8");
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
+// Nor the compression streams the highlight archive uses
+if (typeof global.CompressionStream !== "function") {
+  const { CompressionStream, DecompressionStream } = require("stream/web");
+  const { TextEncoder, TextDecoder } = require("util");
+  Object.assign(global, { CompressionStream, DecompressionStream, TextEncoder, TextDecoder });
+}
+
+// Nor WebCrypto's subtle API, which the highlight vault encrypts with
+if (!global.crypto.subtle) {
+  Object.defineProperty(global.crypto, "subtle", { value: require("crypto").webcrypto.subtle });
+}
+
 // Initialize the namespace so require()'d utility files can register into it
 global.window = global.window || globalThis;
 global.window.__highlightSaver = global.window.__highlightSaver || {};
@@ -74,12 +134,16 @@ global.CONSTANTS = {
   POPUP_AUTO_DISMISS: 10000,
   SUMMARY_AUTO_DISMISS: 15000,
   FEEDBACK_DISMISS: 3000,
+  UNDO_DISMISS: 6000,
   TEMPORARY_HIGHLIGHT_DURATION: 4000,
   TEXT_NODE_CACHE_TTL: 30000,
   SUMMARY_CACHE_TTL: 300000,
   MEMORY_CLEANUP_INTERVAL: 120000,
   SELECTION_DEBOUNCE: 150,
   SELECTION_THROTTLE: 100,
+  DOM_MUTATION_DEBOUNCE: 500,
+  ANCHOR_RETRY_LIMIT: 10,
+  URL_POLL_INTERVAL: 1000,
   FRAGMENT_MAX_ATTEMPTS: 5,
   FRAGMENT_RETRY_DELAY: 500,
   HIGHLIGHT_CHUNK_SIZE: 5,
@@ -93,7 +157,12 @@ global.CONSTANTS = {
   SHORT_TEXT_THRESHOLD: 3,
   SHORT_TEXT_MAX_MATCHES: 10,
   LONG_TEXT_MAX_MATCHES: 5,
-  CLEANUP_RETENTION_DAYS: 365,
+  FUZZY_MAX_ERROR_RATIO: 0.25,
+  FUZZY_MIN_CONFIDENCE: 0.75,
+  FUZZY_SEARCH_RADIUS: 1000,
+  FUZZY_CONTEXT_PROBE_CHARS: 20,
+  FUZZY_MAX_WINDOWS: 5,
+  FUZZY_MAX_SEARCH_CELLS: 5000000,
   RATE_LIMIT_MAX_REQUESTS: 5,
   RATE_LIMIT_WINDOW_MS: 60000,
   POPUP_PAGE_SIZE: 50,
@@ -0,0 +1,69 @@
+// Load the source files
+require("../shared/tag-utils.js");
+require("../shared/tag-input.js");
+
+const { TagUtils, TagInput } = window.__highlightSaver;
+
+describe("TagUtils", () => {
+  test("normalize trims, collapses whitespace and drops a leading #", () => {
+    expect(TagUtils.normalize("  #Deep   Work ")).toBe("Deep Work");
+    expect(TagUtils.normalize("a,b")).toBe("a b");
+    expect(TagUtils.normalize(42)).toBe("");
+  });
+
+  test("normalizeList removes empties and case-insensitive duplicates", () => {
+    expect(TagUtils.normalizeList(["Ideas", "", "ideas", " #todo", null])).toEqual([
+      "Ideas",
+      "todo",
+    ]);
+    expect(TagUtils.normalizeList("not a list")).toEqual([]);
+  });
+
+  test("countTags groups spellings and sorts by use", () => {
+    expect(
+      TagUtils.countTags([{ tags: ["b", "A"] }, { tags: ["a"] }, {}])
+    ).toEqual([
+      { name: "A", count: 2 },
+      { name: "b", count: 1 },
+    ]);
+  });
+});
+
+describe("TagInput", () => {
+  let tagInput;
+
+  beforeEach(() => {
+    tagInput = new TagInput({ tags: ["thesis"], suggestions: ["thesis", "reading", "ml"] });
+    document.body.innerHTML = "";
+    document.body.appendChild(tagInput.element);
+  });
+
+  const type = (value, key) => {
+    tagInput.input.value = value;
+    tagInput.input.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true }));
+  };
+
+  test("adds a chip on Enter or comma", () => {
+    type("reading", "Enter");
+    type("new idea", ",");
+
+    const chips = [...tagInput.element.querySelectorAll(".tag-chip")];
+    expect(chips.map((c) => c.firstChild.textContent)).toEqual(["thesis", "reading", "new idea"]);
+    expect(tagInput.input.value).toBe("");
+  });
+
+  test("offers only suggestions that aren't chosen yet", () => {
+    const options = [...tagInput.datalist.querySelectorAll("option")].map((o) => o.value);
+    expect(options).toEqual(["reading", "ml"]);
+  });
+
+  test("getTags includes text that wasn't committed", () => {
+    tagInput.input.value = "draft";
+    expect(tagInput.getTags()).toEqual(["thesis", "draft"]);
+  });
+
+  test("Backspace in an empty field removes the last chip", () => {
+    type("", "Backspace");
+    expect(tagInput.getTags()).toEqual([]);
+  });
+});
@@ -0,0 +1,93 @@
+// Load the source file
+require("../shared/text-fragment-utils.js");
+
+const TextFragmentUtils = window.__highlightSaver.TextFragmentUtils;
+
+describe("TextFragmentUtils", () => {
+  let fragments;
+
+  beforeEach(() => {
+    fragments = new TextFragmentUtils();
+  });
+
+  describe("buildShareUrl", () => {
+    test("builds prefix-,text,-suffix from the stored anchor", () => {
+      const url = fragments.buildShareUrl({
+        url: "https://example.com/post",
+        text: "the API",
+        anchor: {
+          quote: {
+            exact: "the API",
+            prefix: "ocs before calling ",
+            suffix: ". It returns JSON",
+          },
+        },
+      });
+
+      expect(url).toBe(
+        "https://example.com/post#:~:text=before%20calling-,the%20API,-.%20It%20returns"
+      );
+    });
+
+    test("uses a textStart,textEnd range for long quotes", () => {
+      const text =
+        "One two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen";
+      const url = fragments.buildShareUrl({ url: "https://example.com/", text });
+
+      expect(url).toBe(
+        "https://example.com/#:~:text=One%20two%20three%20four,twelve%20thirteen%20fourteen%20fifteen"
+      );
+    });
+
+    test("escapes dashes and commas and keeps ordinary fragments", () => {
+      const url = fragments.buildShareUrl({
+        url: "https://example.com/page#section",
+        text: "well-known, widely used",
+      });
+
+      expect(url).toBe(
+        "https://example.com/page#section:~:text=well%2Dknown%2C%20widely%20used"
+      );
+    });
+
+    test("replaces extension-specific and existing directives", () => {
+      expect(
+        fragments.buildShareUrl({
+          url: "https://example.com/a#highlight=x&pos=%7B%7D",
+          text: "new",
+        })
+      ).toBe("https://example.com/a#:~:text=new");
+
+      expect(
+        fragments.buildShareUrl({ url: "https://example.com/a#:~:text=old", text: "new" })
+      ).toBe("https://example.com/a#:~:text=new");
+    });
+  });
+
+  describe("parse", () => {
+    test("reads every part of a directive", () => {
+      expect(
+        fragments.parse("https://example.com/#:~:text=before-,start%2Dhere,end,-after")
+      ).toEqual([
+        { prefix: "before", textStart: "start-here", textEnd: "end", suffix: "after" },
+      ]);
+    });
+
+    test("round-trips built links", () => {
+      const highlight = {
+        url: "https://example.com/",
+        text: "a, b & c-d",
+        anchor: { quote: { exact: "a, b & c-d", prefix: "x see ", suffix: " now y" } },
+      };
+
+      expect(fragments.parse(fragments.buildShareUrl(highlight))).toEqual([
+        { prefix: "see", textStart: "a, b & c-d", textEnd: "", suffix: "now" },
+      ]);
+    });
+
+    test("ignores URLs without a text directive", () => {
+      expect(fragments.parse("https://example.com/#section")).toEqual([]);
+      expect(fragments.parse("https://example.com/#:~:other=1")).toEqual([]);
+    });
+  });
+});
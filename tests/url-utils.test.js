@@ -0,0 +1,75 @@
+// Load the source file
+require("../shared/url-utils.js");
+
+const UrlUtils = window.__highlightSaver.UrlUtils;
+
+describe("UrlUtils", () => {
+  let urlUtils;
+
+  beforeEach(() => {
+    urlUtils = new UrlUtils();
+  });
+
+  describe("normalize", () => {
+    test("removes tracking parameters and sorts the rest", () => {
+      expect(
+        urlUtils.normalize("https://example.com/a?utm_source=x&b=2&fbclid=y&a=1")
+      ).toBe("https://example.com/a?a=1&b=2");
+    });
+
+    test("drops fragments, trailing slashes and www", () => {
+      expect(urlUtils.normalize("https://www.Example.com/post/#section-2")).toBe(
+        "https://example.com/post"
+      );
+      expect(urlUtils.normalize("https://example.com/")).toBe("https://example.com/");
+    });
+
+    test("keeps hash routes of single-page apps", () => {
+      expect(urlUtils.normalize("https://app.example.com/#/notes/42")).toBe(
+        "https://app.example.com/#/notes/42"
+      );
+    });
+
+    test("respects a same-site canonical link", () => {
+      expect(
+        urlUtils.normalize("https://example.com/amp/story?ref_src=tw", {
+          canonical: "https://www.example.com/story",
+        })
+      ).toBe("https://example.com/story");
+    });
+
+    test("ignores a canonical link to another site", () => {
+      expect(
+        urlUtils.normalize("https://mirror.org/story", {
+          canonical: "https://example.com/story",
+        })
+      ).toBe("https://mirror.org/story");
+    });
+
+    test("returns unparseable input unchanged", () => {
+      expect(urlUtils.normalize("not a url")).toBe("not a url");
+    });
+  });
+
+  describe("per-domain rules", () => {
+    test("apply to the domain and its subdomains", () => {
+      urlUtils.setRules({
+        "example.com": { keepParams: ["utm_campaign"], removeParams: ["page"] },
+      });
+
+      expect(
+        urlUtils.normalize("https://blog.example.com/p?utm_campaign=a&page=2&id=1")
+      ).toBe("https://blog.example.com/p?id=1&utm_campaign=a");
+    });
+
+    test("can keep fragments and ignore canonical links", () => {
+      urlUtils.setRules({ "docs.site": { keepHash: true, ignoreCanonical: true } });
+
+      expect(
+        urlUtils.normalize("https://docs.site/guide#install", {
+          canonical: "https://docs.site/",
+        })
+      ).toBe("https://docs.site/guide#install");
+    });
+  });
+});
@@ -0,0 +1,180 @@
+// Load the source files
+require("../shared/hash-utils.js");
+require("../shared/web-annotation.js");
+
+const { WebAnnotation } = window.__highlightSaver;
+
+// A highlight with every field the extension stores
+const fullHighlight = {
+  id: "highlight_0f8fad5b-d9cb-469f-a165-70867728950e",
+  text: "the quoted  text",
+  url: "https://example.com/post?ref=feed",
+  normalizedUrl: "example.com/post",
+  title: "A post",
+  domain: "example.com",
+  timestamp: 1709634615123,
+  updatedAt: 1709700000456,
+  pageText: "before the quoted text after",
+  textPosition: { top: 812.5, left: 20, width: 300, height: 18 },
+  anchor: {
+    quote: { exact: "the quoted text", prefix: "before ", suffix: " after" },
+    position: { start: 7, end: 22 },
+  },
+  anchorStatus: "detached",
+  color: "red",
+  note: "**why** it matters",
+  tags: ["deep work", "ideas"],
+  summary: "A short summary.",
+};
+
+const roundTrip = (highlights) =>
+  WebAnnotation.toHighlights(JSON.parse(JSON.stringify(WebAnnotation.toCollection(highlights))));
+
+describe("WebAnnotation", () => {
+  test("exports highlights as standard annotations", () => {
+    const collection = WebAnnotation.toCollection([fullHighlight], { now: 0 });
+    expect(collection).toMatchObject({
+      "@context": expect.arrayContaining(["http://www.w3.org/ns/anno.jsonld"]),
+      type: "AnnotationCollection",
+      total: 1,
+      first: { type: "AnnotationPage", startIndex: 0 },
+    });
+
+    const [annotation] = collection.first.items;
+    expect(annotation).toMatchObject({
+      type: "Annotation",
+      motivation: "highlighting",
+      created: "2024-03-05T10:30:15.123Z",
+      target: {
+        source: "https://example.com/post?ref=feed",
+        selector: [
+          { type: "TextQuoteSelector", exact: "the quoted text", prefix: "before ", suffix: " after" },
+          { type: "TextPositionSelector", start: 7, end: 22 },
+        ],
+      },
+    });
+    expect(annotation.body).toEqual([
+      { type: "TextualBody", value: "**why** it matters", format: "text/markdown", purpose: "commenting" },
+      { type: "TextualBody", value: "deep work", purpose: "tagging" },
+      { type: "TextualBody", value: "ideas", purpose: "tagging" },
+      { type: "TextualBody", value: "A short summary.", format: "text/markdown", purpose: "describing" },
+    ]);
+    expect(WebAnnotation.isAnnotationDocument(collection)).toBe(true);
+    expect(WebAnnotation.isAnnotationDocument({ highlights: [] })).toBe(false);
+  });
+
+  test("round-trips every field of a highlight", () => {
+    expect(roundTrip([fullHighlight])).toEqual([fullHighlight]);
+  });
+
+  test("round-trips minimal and unanchored highlights", () => {
+    const minimal = { id: "legacy id/1", text: "plain", url: "https://a.com/", timestamp: 5 };
+    expect(roundTrip([minimal])).toEqual([minimal]);
+    expect(roundTrip([{ ...minimal, anchor: null, tags: ["x"] }])).toEqual([{ ...minimal, anchor: null, tags: ["x"] }]);
+  });
+
+  test("imports annotations from other tools", () => {
+    const hypothesis = {
+      "@context": "http://www.w3.org/ns/anno.jsonld",
+      id: "https://hypothes.is/a/abc123",
+      type: "Annotation",
+      created: "2023-01-02T03:04:05.000Z",
+      body: [
+        { type: "TextualBody", value: "First comment" },
+        { type: "TextualBody", value: "research", purpose: "tagging" },
+      ],
+      bodyValue: "Second comment",
+      target: [
+        "https://other.org/whole-page",
+        {
+          source: "https://other.org/article",
+          selector: [
+            { type: "RangeSelector", startSelector: {}, endSelector: {} },
+            { type: "TextPositionSelector", start: 10, end: 20 },
+            { type: "oa:TextQuoteSelector", exact: "quoted bit" },
+          ],
+        },
+      ],
+    };
+
+    expect(WebAnnotation.toHighlights(hypothesis)).toEqual([
+      {
+        id: "https://hypothes.is/a/abc123",
+        text: "quoted bit",
+        url: "https://other.org/article",
+        domain: "other.org",
+        timestamp: Date.parse("2023-01-02T03:04:05.000Z"),
+        anchor: { quote: { exact: "quoted bit", prefix: "", suffix: "" }, position: { start: 10, end: 20 } },
+        note: "First comment\n\nSecond comment",
+        tags: ["research"],
+      },
+    ]);
+  });
+
+  test("skips annotations without quoted text and gives id-less ones stable ids", () => {
+    const page = {
+      type: "AnnotationPage",
+      items: [
+        { type: "Annotation", target: "https://a.com/" },
+        { type: "Annotation", target: { source: "https://a.com/", selector: { type: "TextQuoteSelector", exact: "x" } } },
+      ],
+    };
+    const first = WebAnnotation.toHighlights(page);
+    expect(first).toHaveLength(1);
+    expect(first[0].id).toMatch(/^annotation_[0-9a-f]+$/);
+    expect(WebAnnotation.toHighlights(page)[0].id).toBe(first[0].id);
+
+    expect(() => WebAnnotation.toHighlights({ type: "Collection" })).toThrow("Not a Web Annotation document");
+  });
+
+  test("keeps ids with malformed escapes as they are", () => {
+    const [highlight] = WebAnnotation.toHighlights([
+      {
+        id: "urn:x-highlight-saver:bad%E0%A4%A",
+        type: "Annotation",
+        target: { source: "https://a.com/", selector: { type: "TextQuoteSelector", exact: "x" } },
+      },
+    ]);
+    expect(highlight).toMatchObject({ id: "bad%E0%A4%A", text: "x" });
+  });
+
+  test("follows included pages and flags collections whose pages are only linked", () => {
+    const annotation = (exact) => ({
+      type: "Annotation",
+      target: { source: "https://a.com/", selector: { type: "TextQuoteSelector", exact } },
+    });
+    const linked = { type: "AnnotationCollection", total: 2, first: "https://a.com/anno/page1" };
+    expect(WebAnnotation.readAnnotations(linked)).toEqual({ annotations: [], total: 2, complete: false });
+
+    const paged = {
+      type: "AnnotationCollection",
+      total: 3,
+      first: {
+        type: "AnnotationPage",
+        items: [annotation("a")],
+        next: { type: "AnnotationPage", items: [annotation("b")], next: "https://a.com/anno/page3" },
+      },
+    };
+    const { annotations, total, complete } = WebAnnotation.readAnnotations(paged);
+    expect([annotations.length, total, complete]).toEqual([2, 3, false]);
+    expect(WebAnnotation.toHighlights(paged).map((h) => h.text)).toEqual(["a", "b"]);
+
+    delete paged.first.next.next;
+    paged.total = 2;
+    expect(WebAnnotation.readAnnotations(paged).complete).toBe(true);
+  });
+
+  test("reads back only the extension fields it knows", () => {
+    const [annotation] = WebAnnotation.toCollection([fullHighlight]).first.items;
+    annotation.highlightSaver = {
+      ...annotation.highlightSaver,
+      id: "other",
+      url: "https://evil.example/",
+      timestamp: 1,
+      isAdmin: true,
+    };
+
+    expect(WebAnnotation.fromAnnotation(annotation)).toEqual(fullHighlight);
+    expect(WebAnnotation.fromAnnotation({ ...annotation, highlightSaver: "title" })).toMatchObject({ id: fullHighlight.id });
+  });
+});
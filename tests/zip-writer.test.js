@@ -0,0 +1,67 @@
+// Load the source files
+require("../shared/zip-writer.js");
+
+const { ZipWriter } = window.__highlightSaver;
+
+/**
+ * Read the entries back through the central directory, the way unzip
+ * tools do
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    expect(ZipWriter.crc32(data)).toBe(crc);
+    entries.push({ name, content: new TextDecoder().decode(data), flags: view.getUint16(position + 8, true) });
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe("ZipWriter", () => {
+  test("computes standard CRC-32 checksums", () => {
+    expect(ZipWriter.crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+    expect(ZipWriter.crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  test("writes entries that read back with their names and contents", () => {
+    const zip = ZipWriter.build([
+      { path: "Highlights/Café.md", content: "# Café\n", modified: Date.UTC(2024, 2, 5, 10, 30) },
+      { path: "Highlights/empty.md", content: "" },
+    ]);
+    const entries = readZip(zip);
+    expect(entries.map(({ name, content }) => ({ name, content }))).toEqual([
+      { name: "Highlights/Café.md", content: "# Café\n" },
+      { name: "Highlights/empty.md", content: "" },
+    ]);
+    // Names are marked as UTF-8
+    expect(entries[0].flags & 0x0800).toBe(0x0800);
+  });
+
+  test("produces identical archives for identical input", () => {
+    const files = [{ path: "a.md", content: "same", modified: 1700000000000 }];
+    expect(ZipWriter.build(files)).toEqual(ZipWriter.build(files));
+  });
+
+  test("stores modification times as UTC DOS dates", () => {
+    expect(ZipWriter.dosDateTime(Date.UTC(2024, 2, 5, 10, 30, 16))).toEqual({
+      time: (10 << 11) | (30 << 5) | 8,
+      date: (44 << 9) | (3 << 5) | 5,
+    });
+  });
+});